@@ -13,6 +13,7 @@ import {
 } from 'edge-core-js/types'
 
 import { CurrencyEngine } from '../common/engine.js'
+import { type CustomToken } from '../common/types.js'
 import {
   asyncWaterfall,
   getDenomInfo,
@@ -26,11 +27,13 @@ import { BinancePlugin } from './bnbPlugin.js'
 import {
   BinanceApiAccountBalance,
   BinanceApiGetTransactions,
-  BinanceApiNodeInfo
+  BinanceApiNodeInfo,
+  BinanceTokenIdSchema
 } from './bnbSchema.js'
 import {
   type BinanceApiTransaction,
-  type BinanceTxOtherParams
+  type BinanceTxOtherParams,
+  type BinanceWalletOtherData
 } from './bnbTypes.js'
 
 const PRIMARY_CURRENCY = currencyInfo.currencyCode
@@ -75,7 +78,8 @@ type BnbFunction =
 
 export class BinanceEngine extends CurrencyEngine {
   binancePlugin: BinancePlugin
-  // otherData: BinanceWalletOtherData
+  otherData: BinanceWalletOtherData
+  otherMethods: Object
   // initOptions: BinanceInitOptions
 
   constructor(
@@ -92,6 +96,14 @@ export class BinanceEngine extends CurrencyEngine {
     // }
     // this.currencyPlugin = currencyPlugin
     // this.initOptions = initOptions
+    this.tokenIdSchema = BinanceTokenIdSchema
+    this.otherMethods = {
+      ...this.otherMethods,
+
+      // Balances for every asset on the account, tracked or not:
+      getAssetBalances: async (): Promise<{ [symbol: string]: string }> =>
+        this.otherData.assetBalances
+    }
   }
 
   async fetchGet(url: string) {
@@ -143,6 +155,50 @@ export class BinanceEngine extends CurrencyEngine {
     this.updateOnAddressesChecked()
   }
 
+  // The asset symbol on chain, like `BUSD-BD1`, for a currency code
+  getAssetSymbol(currencyCode: string): string | null {
+    if (currencyCode === PRIMARY_CURRENCY) return PRIMARY_CURRENCY
+    const tokenInfo = this.getTokenInfo(currencyCode)
+    if (tokenInfo == null || typeof tokenInfo.contractAddress !== 'string') {
+      return null
+    }
+    return tokenInfo.contractAddress.toUpperCase()
+  }
+
+  // The currency code is the asset symbol without its suffix
+  validateCustomToken(tokenObj: CustomToken) {
+    if (!/^[A-Z0-9]{2,8}$/.test(tokenObj.currencyCode)) {
+      throw new Error('ErrorInvalidCurrencyCode')
+    }
+    if (tokenObj.currencyName.trim() === '') {
+      throw new Error('ErrorInvalidCurrencyNameLength')
+    }
+  }
+
+  normalizeContractAddress(contractAddress: string): string {
+    return contractAddress.toUpperCase()
+  }
+
+  // Tokens can be added by symbol alone, such as `{ contractAddress: 'TWT-8C2' }`
+  async addCustomToken(obj: any) {
+    if (!validateObject(obj, this.tokenIdSchema)) {
+      throw new Error('ErrorInvalidContractAddress')
+    }
+    const contractAddress = this.normalizeContractAddress(obj.contractAddress)
+    const [baseSymbol] = contractAddress.split('-')
+    const tokenObj = {
+      currencyCode: baseSymbol,
+      currencyName: baseSymbol,
+      multiplier: NATIVE_UNIT_MULTIPLIER,
+      ...obj,
+      contractAddress
+    }
+    if (tokenObj.multiplier !== NATIVE_UNIT_MULTIPLIER) {
+      throw new Error('ErrorInvalidMultiplier')
+    }
+    await super.addCustomToken(tokenObj)
+  }
+
   async checkAccountInnerLoop() {
     const address = this.walletLocalData.publicKey
 
@@ -153,21 +209,30 @@ export class BinanceEngine extends CurrencyEngine {
       )
       const valid = validateObject(jsonObj, BinanceApiAccountBalance)
       if (valid) {
-        if (jsonObj.balances.length === 0) {
-          this.updateBalance('BNB', '0')
+        // Every asset uses the same precision as BNB:
+        const assetBalances = {}
+        for (const balance of jsonObj.balances) {
+          assetBalances[balance.symbol] = bns.mul(
+            balance.free,
+            NATIVE_UNIT_MULTIPLIER
+          )
+        }
+        if (
+          JSON.stringify(assetBalances) !==
+          JSON.stringify(this.otherData.assetBalances)
+        ) {
+          this.otherData.assetBalances = assetBalances
+          this.walletLocalDataDirty = true
         }
+
+        // Assets the account doesn't hold are missing from the reply:
         for (const tk of this.walletLocalData.enabledTokens) {
-          for (const balance of jsonObj.balances) {
-            if (balance.symbol === tk) {
-              const denom = getDenomInfo(this.currencyInfo, tk)
-              if (!denom) {
-                this.log(`Received unsupported currencyCode: ${tk}`)
-                break
-              }
-              const nativeAmount = bns.mul(balance.free, denom.multiplier)
-              this.updateBalance(tk, nativeAmount)
-            }
+          const symbol = this.getAssetSymbol(tk)
+          if (symbol == null) {
+            this.log(`Received unsupported currencyCode: ${tk}`)
+            continue
           }
+          this.updateBalance(tk, assetBalances[symbol] || '0')
         }
       }
     } catch (e) {
@@ -190,11 +255,20 @@ export class BinanceEngine extends CurrencyEngine {
     const ourReceiveAddresses: Array<string> = []
     const nativeNetworkFee: string = bns.mul(tx.txFee, NATIVE_UNIT_MULTIPLIER) // always denominated in BNB
     const nativeValue = bns.mul(tx.value, NATIVE_UNIT_MULTIPLIER)
+    const isToken = currencyCode !== PRIMARY_CURRENCY
+    let parentNetworkFee
     if (
       tx.fromAddr.toLowerCase() === this.walletLocalData.publicKey.toLowerCase()
     ) {
-      // if it's a send to one's self
-      if (tx.fromAddr.toLowerCase() === tx.toAddr.toLowerCase()) {
+      if (isToken) {
+        // Token sends pay their fee in BNB:
+        parentNetworkFee = nativeNetworkFee
+        netNativeAmount =
+          tx.fromAddr.toLowerCase() === tx.toAddr.toLowerCase()
+            ? '0'
+            : bns.sub('0', nativeValue)
+      } else if (tx.fromAddr.toLowerCase() === tx.toAddr.toLowerCase()) {
+        // if it's a send to one's self
         // Spend to self. netNativeAmount is just the fee
         netNativeAmount = bns.mul(nativeNetworkFee, '-1')
       } else {
@@ -223,63 +297,104 @@ export class BinanceEngine extends CurrencyEngine {
       currencyCode,
       blockHeight,
       nativeAmount: netNativeAmount,
-      networkFee: nativeNetworkFee,
+      networkFee: isToken ? '0' : nativeNetworkFee,
       ourReceiveAddresses, // blank if you sent money otherwise array of addresses that are yours in this transaction
       signedTx: '',
       otherParams
     }
+    if (parentNetworkFee != null) {
+      edgeTransaction.parentNetworkFee = parentNetworkFee
+    }
 
     this.addTransaction(currencyCode, edgeTransaction)
   }
 
+  // Fetches every transfer in one time window, a page at a time
+  async fetchTransactionWindow(
+    start: number,
+    end: number,
+    currencyCode: string,
+    txAsset: string
+  ): Promise<boolean> {
+    const address = this.walletLocalData.publicKey
+    let pageLength = NUM_TRANSACTIONS_TO_QUERY
+    for (
+      let offset = 0;
+      pageLength === NUM_TRANSACTIONS_TO_QUERY;
+      offset += NUM_TRANSACTIONS_TO_QUERY
+    ) {
+      // this.log('fetchTransactionWindow inner loop, offset is: ', offset)
+      // loop by 50-tx increments
+      const baseUrl = `/api/v1/transactions?address=${address}&txType=TRANSFER&limit=${NUM_TRANSACTIONS_TO_QUERY}`
+      const finalUrl =
+        baseUrl +
+        `&offset=${offset}&startTime=${start}&endTime=${end}&txAsset=${txAsset}`
+      const transactionsResults = await this.multicastServers(
+        'bnb_getTransactions',
+        finalUrl
+      )
+      const valid = validateObject(
+        transactionsResults,
+        BinanceApiGetTransactions
+      )
+      if (!valid) {
+        this.log('fetchTransactionWindow invalid query results')
+        return false
+      }
+      for (const transaction of transactionsResults.tx) {
+        // shuold we process extra transaction for native BNB fees?
+        this.processBinanceApiTransaction(transaction, currencyCode)
+      }
+      pageLength = transactionsResults.tx.length
+    }
+    return true
+  }
+
   async checkTransactionsFetch(
     startTime: number,
     currencyCode: string
   ): Promise<boolean> {
-    const address = this.walletLocalData.publicKey
     let checkAddressSuccess = true
     let start = startTime
     let end = 0
     const now = Date.now()
+    const txAsset = this.getAssetSymbol(currencyCode)
+    if (txAsset == null) {
+      this.log(
+        `checkTransactionsFetch unsupported currencyCode ${currencyCode}`
+      )
+      return false
+    }
     try {
       // this.log('checkTransactionsFetch start of while loop')
       while (end !== now && checkAddressSuccess) {
-        // loop from startTime to current time by 3-month increments
+        // loop from startTime to current time by 2-month increments
         end = start + TRANSACTION_QUERY_TIME_WINDOW
         if (end > now) end = now
         // this.log('checkTransactionsFetch outer loop: ', start, ' and end: ', end)
-        for (let offset = 0; ; offset += NUM_TRANSACTIONS_TO_QUERY) {
-          // this.log('checkTransactionsFetch inner loop, offset is: ', offset)
-          // loop by 50-tx increments
-          const baseUrl = `/api/v1/transactions?address=${address}&txType=TRANSFER&limit=${NUM_TRANSACTIONS_TO_QUERY}`
-          const finalUrl =
-            baseUrl +
-            `&offset=${offset}&startTime=${start}&endTime=${end}&txAsset=${currencyCode}`
-          const transactionsResults = await this.multicastServers(
-            'bnb_getTransactions',
-            finalUrl
-          )
-          const valid = validateObject(
-            transactionsResults,
-            BinanceApiGetTransactions
-          )
-          if (valid) {
-            for (const transaction of transactionsResults.tx) {
-              // shuold we process extra transaction for native BNB fees?
-              this.processBinanceApiTransaction(transaction, currencyCode)
-            }
-            if (transactionsResults.tx.length < NUM_TRANSACTIONS_TO_QUERY) {
-              break
-            }
-          } else {
-            checkAddressSuccess = false
-            this.log('checkTransactionsFetch inner loop invalid query results')
-            break
-          }
-        }
+        checkAddressSuccess = await this.fetchTransactionWindow(
+          start,
+          end,
+          currencyCode,
+          txAsset
+        )
         start = end
       }
+
+      // Once the recent transfers are in, fill in anything older:
+      if (checkAddressSuccess) {
+        const { historySyncedBefore } = this.otherData
+        if (historySyncedBefore[currencyCode] == null) {
+          historySyncedBefore[currencyCode] = startTime
+          this.walletLocalDataDirty = true
+        }
+        checkAddressSuccess = await this.checkOlderTransactions(
+          currencyCode,
+          txAsset
+        )
+      }
     } catch (e) {
+      checkAddressSuccess = false
       this.log(
         `Error checkTransactionsFetch ${currencyCode}: ${this.walletLocalData.publicKey}`,
         e
@@ -295,9 +410,54 @@ export class BinanceEngine extends CurrencyEngine {
     }
   }
 
+  /**
+   * Pages backwards through history one time window at a time,
+   * saving how far back each currency has synced after every window,
+   * so a restarted engine resumes where it left off.
+   */
+  async checkOlderTransactions(
+    currencyCode: string,
+    txAsset: string
+  ): Promise<boolean> {
+    const { historySyncedBefore } = this.otherData
+    const now = Date.now()
+    while (historySyncedBefore[currencyCode] > TIMESTAMP_BEFORE_BNB_LAUNCH) {
+      const end = historySyncedBefore[currencyCode]
+      const start = Math.max(
+        end - TRANSACTION_QUERY_TIME_WINDOW,
+        TIMESTAMP_BEFORE_BNB_LAUNCH
+      )
+      const success = await this.fetchTransactionWindow(
+        start,
+        end,
+        currencyCode,
+        txAsset
+      )
+      if (!success) return false
+      historySyncedBefore[currencyCode] = start
+      this.walletLocalDataDirty = true
+
+      // Report partial progress, since this can take many windows:
+      this.tokenCheckTransactionsStatus[currencyCode] =
+        (now - start) / (now - TIMESTAMP_BEFORE_BNB_LAUNCH)
+      this.updateOnAddressesChecked()
+      if (this.transactionsChangedArray.length > 0) {
+        this.currencyEngineCallbacks.onTransactionsChanged(
+          this.transactionsChangedArray
+        )
+        this.transactionsChangedArray = []
+      }
+    }
+    return true
+  }
+
   async checkTransactionsInnerLoop() {
     const blockHeight = Date.now()
-    let startTime: number = TIMESTAMP_BEFORE_BNB_LAUNCH
+    // New wallets start with the latest window, and page back from there:
+    let startTime: number = Math.max(
+      blockHeight - TRANSACTION_QUERY_TIME_WINDOW,
+      TIMESTAMP_BEFORE_BNB_LAUNCH
+    )
     const promiseArray = []
 
     if (
@@ -431,41 +591,18 @@ export class BinanceEngine extends CurrencyEngine {
     const data =
       spendTarget.otherParams != null ? spendTarget.otherParams.data : undefined
 
-    let otherParams: Object = {}
-
-    if (currencyCode === PRIMARY_CURRENCY) {
-      const bnbParams: BinanceTxOtherParams = {
-        from: [this.walletLocalData.publicKey],
-        to: [publicAddress],
-        errorVal: 0,
-        tokenRecipientAddress: null,
-        data: data
-      }
-      otherParams = bnbParams
-    } else {
-      let contractAddress = ''
-      if (data) {
-        contractAddress = publicAddress
-      } else {
-        const tokenInfo = this.getTokenInfo(currencyCode)
-        if (!tokenInfo || typeof tokenInfo.contractAddress !== 'string') {
-          throw new Error(
-            'Error: Token not supported or invalid contract address'
-          )
-        }
-
-        contractAddress = tokenInfo.contractAddress
-      }
-
-      const bnbParams: BinanceTxOtherParams = {
-        from: [this.walletLocalData.publicKey],
-        to: [contractAddress],
-        errorVal: 0,
-        tokenRecipientAddress: publicAddress,
-        data: data
-      }
-      otherParams = bnbParams
+    // Tokens are native assets, so they go straight to the recipient too:
+    if (this.getAssetSymbol(currencyCode) == null) {
+      throw new Error('Error: Token not supported or invalid contract address')
+    }
+    const bnbParams: BinanceTxOtherParams = {
+      from: [this.walletLocalData.publicKey],
+      to: [publicAddress],
+      errorVal: 0,
+      tokenRecipientAddress: null,
+      data: data
     }
+    const otherParams: Object = bnbParams
     if (
       edgeSpendInfo.spendTargets[0].otherParams &&
       edgeSpendInfo.spendTargets[0].otherParams.uniqueIdentifier
@@ -481,16 +618,31 @@ export class BinanceEngine extends CurrencyEngine {
     ErrorInsufficientFundsMoreBnb.name = 'ErrorInsufficientFundsMoreBnb'
 
     let nativeAmount = edgeSpendInfo.spendTargets[0].nativeAmount
-    const balanceBnb = this.walletLocalData.totalBalances[
-      this.currencyInfo.currencyCode
-    ]
+    const balanceBnb =
+      this.walletLocalData.totalBalances[this.currencyInfo.currencyCode] || '0'
 
-    let totalTxAmount = '0'
-    totalTxAmount = bns.add(nativeAmount, nativeNetworkFee)
-    if (bns.gt(totalTxAmount, balanceBnb)) {
-      throw new InsufficientFundsError()
+    let networkFee = nativeNetworkFee
+    let parentNetworkFee
+    if (currencyCode === PRIMARY_CURRENCY) {
+      let totalTxAmount = '0'
+      totalTxAmount = bns.add(nativeAmount, nativeNetworkFee)
+      if (bns.gt(totalTxAmount, balanceBnb)) {
+        throw new InsufficientFundsError()
+      }
+      nativeAmount = bns.mul(totalTxAmount, '-1')
+    } else {
+      const balanceToken =
+        this.walletLocalData.totalBalances[currencyCode] || '0'
+      if (bns.gt(nativeAmount, balanceToken)) {
+        throw new InsufficientFundsError()
+      }
+      if (bns.gt(nativeNetworkFee, balanceBnb)) {
+        throw ErrorInsufficientFundsMoreBnb
+      }
+      nativeAmount = bns.mul(nativeAmount, '-1')
+      networkFee = '0'
+      parentNetworkFee = nativeNetworkFee
     }
-    nativeAmount = bns.mul(totalTxAmount, '-1')
 
     // **********************************
     // Create the unsigned EdgeTransaction
@@ -501,11 +653,14 @@ export class BinanceEngine extends CurrencyEngine {
       currencyCode, // currencyCode
       blockHeight: 0, // blockHeight
       nativeAmount, // nativeAmount
-      networkFee: nativeNetworkFee, // networkFee, supposedly fixed
+      networkFee, // networkFee, supposedly fixed
       ourReceiveAddresses: [], // ourReceiveAddresses
       signedTx: '', // signedTx
       otherParams // otherParams
     }
+    if (parentNetworkFee != null) {
+      edgeTransaction.parentNetworkFee = parentNetworkFee
+    }
 
     return edgeTransaction
   }
@@ -519,13 +674,19 @@ export class BinanceEngine extends CurrencyEngine {
     await bnbClient.setPrivateKey(privKey)
     await bnbClient.initChain()
     const currencyCode = edgeTransaction.currencyCode
-    const spendAmount = bns.add(
-      edgeTransaction.nativeAmount,
-      NETWORK_FEE_NATIVE_AMOUNT
-    )
+    // BNB amounts include the fee, but token amounts don't:
+    const spendAmount =
+      currencyCode === PRIMARY_CURRENCY
+        ? bns.add(edgeTransaction.nativeAmount, NETWORK_FEE_NATIVE_AMOUNT)
+        : edgeTransaction.nativeAmount
     const amount = spendAmount.replace('-', '')
-    const denom = getDenomInfo(this.currencyInfo, currencyCode)
-    if (!denom) {
+    const denom = getDenomInfo(
+      this.currencyInfo,
+      currencyCode,
+      this.customTokens
+    )
+    const asset = this.getAssetSymbol(currencyCode)
+    if (!denom || asset == null) {
       this.log(`Received unsupported currencyCode: ${currencyCode}`)
       throw new Error(`Received unsupported currencyCode: ${currencyCode}`)
     }
@@ -540,7 +701,7 @@ export class BinanceEngine extends CurrencyEngine {
       edgeTransaction.otherParams.from[0],
       edgeTransaction.otherParams.to[0],
       nativeAmount,
-      currencyCode,
+      asset,
       edgeTransaction.otherParams.memo
     )
     this.log(`SUCCESS BNB broadcastTx\n${JSON.stringify(signedTx)}`)
@@ -38,5 +38,18 @@ export const currencyInfo: EdgeCurrencyInfo = {
   ],
   symbolImage: `${imageServerUrl}/binance-coin-logo-solo-64.png`,
   symbolImageDarkMono: `${imageServerUrl}/binance-coin-logo-solo-64.png`,
-  metaTokens: []
+  metaTokens: [
+    {
+      currencyCode: 'BUSD',
+      currencyName: 'Binance USD',
+      denominations: [
+        {
+          name: 'BUSD',
+          multiplier: '100000000'
+        }
+      ],
+      contractAddress: 'BUSD-BD1',
+      symbolImage: `${imageServerUrl}/busd-logo-solo-64.png`
+    }
+  ]
 }
@@ -154,6 +154,12 @@ export function makeBinancePlugin(
 
     // This is just to make sure otherData is Flow type checked
     currencyEngine.otherData = currencyEngine.walletLocalData.otherData
+    if (!currencyEngine.otherData.assetBalances) {
+      currencyEngine.otherData.assetBalances = {}
+    }
+    if (!currencyEngine.otherData.historySyncedBefore) {
+      currencyEngine.otherData.historySyncedBefore = {}
+    }
 
     const out: EdgeCurrencyEngine = currencyEngine
 
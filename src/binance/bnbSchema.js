@@ -71,13 +71,15 @@ export const BinanceApiGetTransactions = {
   required: ['tx']
 }
 
-export const CustomTokenSchema = {
+// Tokens are identified by their full symbol, such as `BUSD-BD1`.
+// BEP-2 symbols end in a three-character suffix, and BEP-8 ones add an `M`:
+export const BinanceTokenIdSchema = {
   type: 'object',
   properties: {
-    currencyCode: { type: 'string' },
-    currencyName: { type: 'string' },
-    multiplier: { type: 'string' },
-    contractAddress: { type: 'string' }
+    contractAddress: {
+      type: 'string',
+      pattern: '^[A-Za-z0-9]{2,8}-[0-9A-Fa-f]{3}[Mm]?$'
+    }
   },
-  required: ['currencyCode', 'currencyName', 'multiplier', 'contractAddress']
+  required: ['contractAddress']
 }
@@ -37,3 +37,11 @@ export type BinanceTxOtherParams = {
   data?: string | null,
   memo?: string
 }
+
+export type BinanceWalletOtherData = {
+  // Every asset the account holds, including ones the wallet doesn't track,
+  // as native amounts keyed by asset symbol like `BUSD-BD1`:
+  assetBalances: { [symbol: string]: string },
+  // How far back in time each currency's history is complete, in ms:
+  historySyncedBefore: { [currencyCode: string]: number }
+}
@@ -0,0 +1,215 @@
+// @flow
+
+import { bns } from 'biggystring'
+import { type EdgeSpendTarget } from 'edge-core-js/types'
+import abi from 'ethereumjs-abi'
+import EthereumUtil from 'ethereumjs-util'
+
+import { hexToBuf } from './utils.js'
+
+const { BN } = EthereumUtil
+
+/**
+ * A contract method call, described by its ABI rather than raw calldata.
+ * The ABI can be the whole contract ABI or just the method's fragment.
+ */
+export type ContractCall = {
+  abi: Array<Object> | Object,
+  method: string,
+  args: Array<any>
+}
+
+// What the calldata says, decoded back out for display:
+export type ContractCallSummary = {
+  method: string,
+  signature: string,
+  payable: boolean,
+  args: Array<{ name: string, type: string, value: any }>
+}
+
+function findMethod(call: ContractCall): Object {
+  const fragments = Array.isArray(call.abi) ? call.abi : [call.abi]
+  const matches = fragments.filter(
+    item =>
+      item != null &&
+      (item.type == null || item.type === 'function') &&
+      item.name === call.method &&
+      Array.isArray(item.inputs) &&
+      item.inputs.length === call.args.length
+  )
+  if (matches.length !== 1) {
+    throw new Error(
+      matches.length === 0
+        ? `ErrorContractMethodNotFound: ${call.method}`
+        : `ErrorContractMethodAmbiguous: ${call.method}`
+    )
+  }
+  for (const input of matches[0].inputs) {
+    if (/^tuple/.test(input.type)) {
+      throw new Error(`ErrorUnsupportedAbiType: ${input.type}`)
+    }
+  }
+  return matches[0]
+}
+
+function isHexString(value: any, bytes?: number): boolean {
+  if (typeof value !== 'string' || !/^0x([0-9a-f]{2})*$/i.test(value)) {
+    return false
+  }
+  return bytes == null || value.length === 2 + 2 * bytes
+}
+
+function parseInteger(value: any): Object | null {
+  if (typeof value === 'number') {
+    return Number.isSafeInteger(value) ? new BN(value) : null
+  }
+  if (typeof value !== 'string') return null
+  if (/^0x[0-9a-f]+$/i.test(value)) return new BN(value.slice(2), 16)
+  if (/^-?[0-9]+$/.test(value)) return new BN(value, 10)
+  return null
+}
+
+/**
+ * Checks an argument against its ABI type,
+ * returning the value in the form `ethereumjs-abi` expects.
+ */
+function checkArg(type: string, value: any, name: string): any {
+  const fail = () => {
+    throw new TypeError(`Invalid ${type} for argument ${name}`)
+  }
+
+  const array = /^(.*)\[([0-9]*)\]$/.exec(type)
+  if (array != null) {
+    const [, itemType, length] = array
+    if (!Array.isArray(value)) fail()
+    if (length !== '' && value.length !== Number(length)) fail()
+    return value.map((item, i) => checkArg(itemType, item, `${name}[${i}]`))
+  }
+
+  const integer = /^(u?)int([0-9]*)$/.exec(type)
+  if (integer != null) {
+    const [, unsigned, size] = integer
+    const bits = size === '' ? 256 : Number(size)
+    const out = parseInteger(value)
+    if (out == null) return fail()
+    if (unsigned === 'u') {
+      if (out.isNeg() || out.bitLength() > bits) fail()
+    } else {
+      const limit = new BN(1).shln(bits - 1)
+      if (out.lt(limit.neg()) || out.gte(limit)) fail()
+    }
+    return out
+  }
+
+  const fixedBytes = /^bytes([0-9]+)$/.exec(type)
+  if (fixedBytes != null) {
+    if (!isHexString(value, Number(fixedBytes[1]))) fail()
+    return hexToBuf(value)
+  }
+
+  switch (type) {
+    case 'address':
+      if (typeof value !== 'string' || !EthereumUtil.isValidAddress(value)) {
+        fail()
+      }
+      return value
+    case 'bool':
+      if (typeof value !== 'boolean') fail()
+      return value
+    case 'bytes':
+      if (!isHexString(value)) fail()
+      return hexToBuf(value)
+    case 'string':
+      if (typeof value !== 'string') fail()
+      return value
+  }
+  throw new Error(`ErrorUnsupportedAbiType: ${type}`)
+}
+
+// Turns `ethereumjs-abi` output into plain JSON values:
+function formatValue(type: string, value: any): any {
+  const array = /^(.*)\[[0-9]*\]$/.exec(type)
+  if (array != null) return value.map(item => formatValue(array[1], item))
+  if (type === 'address') {
+    return '0x' + value.toString(16).padStart(40, '0')
+  }
+  if (/^u?int/.test(type)) return value.toString(10)
+  if (/^bytes/.test(type)) return '0x' + value.toString('hex')
+  return value
+}
+
+/**
+ * Validates the arguments and encodes the calldata for a contract call.
+ * The summary comes from decoding the finished calldata,
+ * so it shows exactly what will be signed.
+ */
+export function encodeContractCall(
+  call: ContractCall
+): { data: string, summary: ContractCallSummary } {
+  if (!Array.isArray(call.args)) throw new TypeError('Invalid contract args')
+  const fragment = findMethod(call)
+  const { inputs } = fragment
+  const types = inputs.map(input => input.type)
+  const values = inputs.map((input, i) =>
+    checkArg(input.type, call.args[i], input.name || String(i))
+  )
+
+  const signature = `${fragment.name}(${types.join(',')})`
+  const params = abi.rawEncode(types, values)
+  const data =
+    '0x' +
+    abi.methodID(fragment.name, types).toString('hex') +
+    params.toString('hex')
+
+  const decoded = abi.rawDecode(types, params)
+  const summary: ContractCallSummary = {
+    method: fragment.name,
+    signature,
+    payable:
+      fragment.stateMutability === 'payable' || fragment.payable === true,
+    args: inputs.map((input, i) => ({
+      name: input.name || '',
+      type: input.type,
+      value: formatValue(input.type, decoded[i])
+    }))
+  }
+  return { data, summary }
+}
+
+/**
+ * Encodes the contract call a spend target describes, if any.
+ * Returns the calldata to send, which is the spend target's own `data`
+ * when it has no contract call.
+ */
+export function encodeSpendContractCall(
+  spendTarget: EdgeSpendTarget,
+  data: string | void
+): { data: string | void, contractCall: ContractCallSummary | void } {
+  const { nativeAmount = '0', otherParams = {} } = spendTarget
+  if (!otherParams.contractCall) return { data, contractCall: undefined }
+  if (data != null) {
+    throw new Error('Error: contractCall cannot be combined with data')
+  }
+  const encoded = encodeContractCall(otherParams.contractCall)
+  if (!encoded.summary.payable && !bns.eq(nativeAmount, '0')) {
+    throw new Error(`Error: ${encoded.summary.method} is not payable`)
+  }
+  return { data: encoded.data, contractCall: encoded.summary }
+}
+
+/**
+ * Encodes the calldata for a method named by its signature,
+ * such as `balanceOf(address)`.
+ */
+export function encodeCall(method: string, ...args: Array<any>): string {
+  return '0x' + abi.simpleEncode(method, ...args).toString('hex')
+}
+
+/**
+ * Reads a `uint256` call result as a decimal string.
+ * Calls that return nothing, such as calls to non-contracts, read as 0.
+ */
+export function decodeUint(result: string): string {
+  if (typeof result !== 'string' || result.length < 66) return '0'
+  return bns.add(result.slice(0, 66), '0')
+}
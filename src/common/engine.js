@@ -24,21 +24,22 @@ import {
 } from 'edge-core-js/types'
 
 import { CurrencyPlugin } from './plugin.js'
-import { CustomTokenSchema, MakeSpendSchema } from './schema.js'
+import {
+  ContractTokenIdSchema,
+  CustomTokenSchema,
+  CustomTokensFileSchema,
+  MakeSpendSchema
+} from './schema.js'
 import {
   type CustomToken,
+  CUSTOM_TOKENS_FILE,
   DATA_STORE_FILE,
   TRANSACTION_STORE_FILE,
   TXID_LIST_FILE,
   TXID_MAP_FILE,
   WalletLocalData
 } from './types.js'
-import {
-  getDenomInfo,
-  isHex,
-  normalizeAddress,
-  validateObject
-} from './utils.js'
+import { getDenomInfo, normalizeAddress, validateObject } from './utils.js'
 
 const SAVE_DATASTORE_MILLISECONDS = 10000
 const MAX_TRANSACTIONS = 1000
@@ -64,11 +65,13 @@ class CurrencyEngine {
   currencyInfo: EdgeCurrencyInfo
   allTokens: Array<EdgeMetaToken>
   customTokens: Array<EdgeMetaToken>
+  tokenIdSchema: Object
   currentSettings: any
   timers: any
   walletId: string
   io: EdgeIo
   otherData: Object
+  otherMethods: Object
 
   constructor(
     currencyPlugin: CurrencyPlugin,
@@ -96,8 +99,18 @@ class CurrencyEngine {
     this.currencyInfo = currencyPlugin.currencyInfo
     this.allTokens = currencyPlugin.currencyInfo.metaTokens.slice(0)
     this.customTokens = []
+    this.tokenIdSchema = ContractTokenIdSchema
     this.timers = {}
 
+    // Methods every engine offers apps. Subclasses spread these into theirs:
+    this.otherMethods = {
+      // Custom tokens can be dropped again, along with their history:
+      removeCustomToken: async (
+        currencyCode: string,
+        contractAddress?: string
+      ): Promise<void> => this.removeCustomToken(currencyCode, contractAddress)
+    }
+
     this.transactionList[currencyCode] = []
     this.txIdMap[currencyCode] = {}
     this.txIdList[currencyCode] = []
@@ -200,6 +213,35 @@ class CurrencyEngine {
     }
   }
 
+  async loadCustomTokens() {
+    let customTokens
+    try {
+      const result = await this.walletLocalDisklet.getText(CUSTOM_TOKENS_FILE)
+      customTokens = JSON.parse(result)
+    } catch (e) {
+      this.log('Could not load customTokens file. Failure is ok on new device')
+      return
+    }
+    if (!validateObject(customTokens, CustomTokensFileSchema)) {
+      this.log('Invalid customTokens file')
+      return
+    }
+
+    // Skip tokens that have since become built-in:
+    const { metaTokens } = this.currencyInfo
+    this.customTokens = customTokens.filter(
+      token => !metaTokens.some(tk => tk.currencyCode === token.currencyCode)
+    )
+    this.allTokens = metaTokens.concat(this.customTokens)
+  }
+
+  async saveCustomTokens() {
+    await this.walletLocalDisklet.setText(
+      CUSTOM_TOKENS_FILE,
+      JSON.stringify(this.customTokens)
+    )
+  }
+
   async loadEngine(
     plugin: EdgeCurrencyTools,
     walletInfo: EdgeWalletInfo,
@@ -237,6 +279,8 @@ class CurrencyEngine {
       }
     }
 
+    await this.loadCustomTokens()
+
     for (const token of this.walletLocalData.enabledTokens) {
       this.tokenCheckBalanceStatus[token] = 0
       this.tokenCheckTransactionsStatus[token] = 0
@@ -274,12 +318,7 @@ class CurrencyEngine {
     lastSeenTime?: number
   ) {
     this.log('executing addTransaction: ', edgeTransaction)
-    // remove SPAM and proxy allowance transactions (ie DEX extra transaction)
-    // this should reduce confusion for users
-    if (
-      edgeTransaction.nativeAmount === '0' &&
-      edgeTransaction.networkFee === '0'
-    ) {
+    if (this.isSpamTransaction(edgeTransaction)) {
       return
     }
     // set otherParams if not already set
@@ -367,6 +406,14 @@ class CurrencyEngine {
     }
   }
 
+  // remove SPAM and proxy allowance transactions (ie DEX extra transaction)
+  // this should reduce confusion for users
+  isSpamTransaction(edgeTransaction: EdgeTransaction): boolean {
+    return (
+      edgeTransaction.nativeAmount === '0' && edgeTransaction.networkFee === '0'
+    )
+  }
+
   sortTransactions(currencyCode: string) {
     // Sort
     this.transactionList[currencyCode].sort(this.sortTxByDate)
@@ -667,6 +714,9 @@ class CurrencyEngine {
     const valid = validateObject(obj, CustomTokenSchema)
 
     if (valid) {
+      if (!validateObject(obj, this.tokenIdSchema)) {
+        throw new Error('ErrorInvalidContractAddress')
+      }
       const tokenObj: CustomToken = obj
       // If token is already in currencyInfo, error as it cannot be changed
       for (const tk of this.currencyInfo.metaTokens) {
@@ -680,49 +730,39 @@ class CurrencyEngine {
       }
 
       // Validate the token object
-      if (tokenObj.currencyCode.toUpperCase() !== tokenObj.currencyCode) {
-        throw new Error('ErrorInvalidCurrencyCode')
-      }
-      if (
-        tokenObj.currencyCode.length < 2 ||
-        tokenObj.currencyCode.length > 7
-      ) {
-        throw new Error('ErrorInvalidCurrencyCodeLength')
-      }
-      if (
-        tokenObj.currencyName.length < 3 ||
-        tokenObj.currencyName.length > 20
-      ) {
-        throw new Error('ErrorInvalidCurrencyNameLength')
-      }
+      this.validateCustomToken(tokenObj)
       if (
         bns.lt(tokenObj.multiplier, '1') ||
         bns.gt(tokenObj.multiplier, '100000000000000000000000000000000')
       ) {
         throw new Error('ErrorInvalidMultiplier')
       }
-      let contractAddress = tokenObj.contractAddress
-        .replace('0x', '')
-        .toLowerCase()
-      if (!isHex(contractAddress) || contractAddress.length !== 40) {
-        throw new Error('ErrorInvalidContractAddress')
-      }
-      contractAddress = '0x' + contractAddress
+      const contractAddress = this.normalizeContractAddress(
+        tokenObj.contractAddress
+      )
 
-      for (const tk of this.customTokens) {
-        if (
-          tk.currencyCode.toLowerCase() ===
-            tokenObj.currencyCode.toLowerCase() ||
-          tk.currencyName.toLowerCase() === tokenObj.currencyName.toLowerCase()
-        ) {
-          // Remove old token first then re-add it to incorporate any modifications
-          const idx = this.customTokens.findIndex(
-            element => element.currencyCode === tokenObj.currencyCode
-          )
-          if (idx !== -1) {
-            this.customTokens.splice(idx, 1)
+      // Remove old token first then re-add it to incorporate any modifications.
+      // A token is its code and contract together, so another contract
+      // using the same code can't take over this token or its history.
+      // Moving a token to a new contract means naming the old one in
+      // `oldContractAddress`, the way `removeCustomToken` does,
+      // and starts its history over:
+      const idx = this.customTokens.findIndex(
+        element => element.currencyCode === tokenObj.currencyCode
+      )
+      if (idx !== -1) {
+        const oldContractAddress = this.customTokens[idx].contractAddress
+        if (oldContractAddress !== contractAddress) {
+          if (
+            obj.oldContractAddress == null ||
+            this.normalizeContractAddress(obj.oldContractAddress) !==
+              oldContractAddress
+          ) {
+            throw new Error('ErrorCurrencyCodeTaken')
           }
+          this.clearTokenData(tokenObj.currencyCode)
         }
+        this.customTokens.splice(idx, 1)
       }
 
       // Create a token object for inclusion in customTokens
@@ -740,11 +780,71 @@ class CurrencyEngine {
       this.customTokens.push(edgeMetaToken)
       this.allTokens = this.currencyInfo.metaTokens.concat(this.customTokens)
       this.enableTokensSync([edgeMetaToken.currencyCode])
+      await this.saveCustomTokens()
     } else {
       throw new Error('Invalid custom token object')
     }
   }
 
+  // Passing the contract address makes sure we remove the token we expect:
+  async removeCustomToken(currencyCode: string, contractAddress?: string) {
+    if (
+      this.currencyInfo.metaTokens.some(tk => tk.currencyCode === currencyCode)
+    ) {
+      throw new Error('ErrorCannotModifyToken')
+    }
+    const address =
+      contractAddress != null
+        ? this.normalizeContractAddress(contractAddress)
+        : undefined
+    const idx = this.customTokens.findIndex(
+      tk =>
+        tk.currencyCode === currencyCode &&
+        (address == null || tk.contractAddress === address)
+    )
+    if (idx === -1) throw new Error('ErrorUnknownToken')
+
+    this.customTokens.splice(idx, 1)
+    this.allTokens = this.currencyInfo.metaTokens.concat(this.customTokens)
+    this.disableTokensSync([currencyCode])
+    this.clearTokenData(currencyCode)
+    await this.saveCustomTokens()
+  }
+
+  // Forgets the balance and transactions cached for one token:
+  clearTokenData(currencyCode: string) {
+    delete this.walletLocalData.totalBalances[currencyCode]
+    delete this.walletLocalData.lastTransactionQueryHeight[currencyCode]
+    delete this.transactionList[currencyCode]
+    delete this.txIdList[currencyCode]
+    delete this.txIdMap[currencyCode]
+    this.tokenCheckBalanceStatus[currencyCode] = 0
+    this.tokenCheckTransactionsStatus[currencyCode] = 0
+    this.walletLocalDataDirty = true
+    this.transactionListDirty = true
+  }
+
+  // Checks a custom token's currency code and name. These are the ERC-20
+  // rules; chains with their own token naming override both checks.
+  validateCustomToken(tokenObj: CustomToken) {
+    if (tokenObj.currencyCode.toUpperCase() !== tokenObj.currencyCode) {
+      throw new Error('ErrorInvalidCurrencyCode')
+    }
+    if (tokenObj.currencyCode.length < 2 || tokenObj.currencyCode.length > 7) {
+      throw new Error('ErrorInvalidCurrencyCodeLength')
+    }
+    const name = tokenObj.currencyName.trim()
+    if (name.length < 3 || name.length > 20) {
+      throw new Error('ErrorInvalidCurrencyNameLength')
+    }
+  }
+
+  // Returns the canonical form of a contract address `tokenIdSchema` accepted.
+  // Chains without ERC-20 style contracts override this.
+  normalizeContractAddress(contractAddress: string): string {
+    return '0x' + contractAddress.replace('0x', '').toLowerCase()
+  }
+
   getTokenStatus(token: string) {
     return this.walletLocalData.enabledTokens.indexOf(token) !== -1
   }
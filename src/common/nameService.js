@@ -0,0 +1,108 @@
+// @flow
+
+import { Buffer } from 'buffer'
+import abi from 'ethereumjs-abi'
+import EthereumUtil from 'ethereumjs-util'
+
+import { encodeCall } from './contractCalls.js'
+import { hexToBuf } from './utils.js'
+
+/**
+ * Performs a read-only `eth_call` against a contract,
+ * returning the raw hex result.
+ */
+export type EthCall = (to: string, data: string) => Promise<string>
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000'
+
+// Names like `alice.eth` or `bob.rsk`:
+export function isNameServiceName(name: string): boolean {
+  return /^([a-z0-9-]+\.)+[a-z0-9-]+$/i.test(name)
+}
+
+const EIP681_PREFIXES = ['pay', 'token', 'token_info']
+
+/**
+ * Splits the EIP-681 prefix, such as `pay-` or `token-`, off a URI target.
+ * Only known prefixes count, so hyphenated names like `my-wallet.eth`
+ * come back whole, ready to resolve.
+ */
+export function splitEip681Prefix(
+  target: string
+): { prefix: string, target: string } {
+  const dash = target.indexOf('-')
+  if (dash > 0 && EIP681_PREFIXES.includes(target.slice(0, dash))) {
+    return { prefix: target.slice(0, dash), target: target.slice(dash + 1) }
+  }
+  return { prefix: 'pay', target } // The default prefix according to EIP-681
+}
+
+/**
+ * The EIP-137 namehash, which both ENS and RNS use to identify names.
+ */
+export function namehash(name: string): string {
+  let node = Buffer.alloc(32)
+  if (name !== '') {
+    const labels = name.toLowerCase().split('.')
+    for (let i = labels.length - 1; i >= 0; --i) {
+      const labelHash = EthereumUtil.keccak256(Buffer.from(labels[i], 'utf8'))
+      node = EthereumUtil.keccak256(Buffer.concat([node, labelHash]))
+    }
+  }
+  return '0x' + node.toString('hex')
+}
+
+function decodeAddress(result: string): string | null {
+  if (typeof result !== 'string' || result.length < 66) return null
+  const address = '0x' + result.slice(-40).toLowerCase()
+  return address === ZERO_ADDRESS ? null : address
+}
+
+async function getResolver(
+  ethCall: EthCall,
+  registry: string,
+  node: string
+): Promise<string | null> {
+  const result = await ethCall(registry, encodeCall('resolver(bytes32)', node))
+  return decodeAddress(result)
+}
+
+/**
+ * Looks up the address a name points to,
+ * or returns null if the name is not registered.
+ */
+export async function resolveName(
+  ethCall: EthCall,
+  registry: string,
+  name: string
+): Promise<string | null> {
+  const node = namehash(name)
+  const resolver = await getResolver(ethCall, registry, node)
+  if (resolver == null) return null
+  const result = await ethCall(resolver, encodeCall('addr(bytes32)', node))
+  return decodeAddress(result)
+}
+
+/**
+ * Finds the primary name an address has claimed through the
+ * `addr.reverse` registrar. The name only counts if it resolves
+ * back to the same address, since anybody can claim any name there.
+ */
+export async function reverseLookup(
+  ethCall: EthCall,
+  registry: string,
+  address: string
+): Promise<string | null> {
+  const reverseName = `${address.toLowerCase().replace('0x', '')}.addr.reverse`
+  const node = namehash(reverseName)
+  const resolver = await getResolver(ethCall, registry, node)
+  if (resolver == null) return null
+  const result = await ethCall(resolver, encodeCall('name(bytes32)', node))
+  if (typeof result !== 'string' || result.length < 130) return null
+  const [name] = abi.rawDecode(['string'], hexToBuf(result))
+  if (!name) return null
+
+  const forward = await resolveName(ethCall, registry, name)
+  if (forward == null || forward !== address.toLowerCase()) return null
+  return name
+}
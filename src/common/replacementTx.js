@@ -0,0 +1,206 @@
+// @flow
+
+import { bns } from 'biggystring'
+import {
+  type EdgeCurrencyEngineCallbacks,
+  type EdgeCurrencyInfo,
+  type EdgeTransaction,
+  InsufficientFundsError
+} from 'edge-core-js/types'
+
+import { type WalletLocalData } from './types.js'
+import { normalizeAddress } from './utils.js'
+
+type ReplacementEngine = {
+  +currencyInfo: EdgeCurrencyInfo,
+  walletLocalData: WalletLocalData,
+  transactionList: { [currencyCode: string]: Array<EdgeTransaction> },
+  transactionListDirty: boolean,
+  transactionsChangedArray: Array<EdgeTransaction>,
+  currencyEngineCallbacks: EdgeCurrencyEngineCallbacks,
+  +findTransaction: (currencyCode: string, txid: string) => number
+}
+
+// The going rate a replacement should pay, if that beats the minimum bump:
+export type ReplacementFees = {
+  +gasPrice: string,
+  +maxFeePerGas?: string,
+  +maxPriorityFeePerGas?: string
+}
+
+// Fields only our own copy of a send has, since we signed it:
+const LOCAL_PARAMS = [
+  'nonce',
+  'data',
+  'gas',
+  'gasPrice',
+  'maxFeePerGas',
+  'maxPriorityFeePerGas',
+  'tokenRecipientAddress'
+]
+
+// Nodes only accept a replacement paying at least 10% more:
+export function bumpGasPrice(oldPrice: string, currentPrice?: string): string {
+  const bumped = bns.add(bns.div(bns.mul(oldPrice, '11'), '10'), '1')
+  if (currentPrice != null && bns.gt(currentPrice, bumped)) return currentPrice
+  return bumped
+}
+
+/**
+ * Fills in what a server's report of a transaction leaves out,
+ * from the copy we already have. Returns false if the report should
+ * be dropped, since servers can keep showing a replaced send as pending.
+ */
+export function mergeLocalParams(
+  localTx: EdgeTransaction,
+  edgeTransaction: EdgeTransaction
+): boolean {
+  const { otherParams: local = {} } = localTx
+  const { otherParams } = edgeTransaction
+  if (otherParams == null) return true
+
+  if (local.replacedByTxid != null) {
+    if (edgeTransaction.blockHeight === 0) return false
+    otherParams.replacedByTxid = local.replacedByTxid
+  }
+  for (const key of LOCAL_PARAMS) {
+    if (local[key] == null || local[key] === '') continue
+    if (otherParams[key] == null || otherParams[key] === '') {
+      otherParams[key] = local[key]
+    }
+  }
+  return true
+}
+
+/**
+ * Builds a send that takes over a pending transaction's nonce.
+ * A speed-up re-sends the same thing with a higher fee,
+ * while a cancel is an empty send to ourselves, which only burns the fee.
+ */
+export function makeReplacementTx(
+  engine: ReplacementEngine,
+  edgeTransaction: EdgeTransaction,
+  cancel: boolean,
+  current: ReplacementFees,
+  cancelGasLimit: string
+): EdgeTransaction {
+  const { currencyCode, otherParams } = edgeTransaction
+  if (
+    edgeTransaction.blockHeight !== 0 ||
+    otherParams == null ||
+    otherParams.replacedByTxid != null
+  ) {
+    throw new Error('ErrorTransactionNotPending')
+  }
+  const { publicKey } = engine.walletLocalData
+  if (
+    otherParams.nonce == null ||
+    otherParams.gasPrice == null ||
+    otherParams.gasPrice === '' ||
+    normalizeAddress(otherParams.from[0]) !== normalizeAddress(publicKey)
+  ) {
+    throw new Error('ErrorTransactionNotReplaceable')
+  }
+
+  const gasLimit = cancel ? cancelGasLimit : otherParams.gas
+  const gasPrice = bumpGasPrice(otherParams.gasPrice, current.gasPrice)
+  let { maxFeePerGas, maxPriorityFeePerGas } = otherParams
+  if (maxFeePerGas != null && maxPriorityFeePerGas != null) {
+    maxFeePerGas = bumpGasPrice(maxFeePerGas, current.maxFeePerGas)
+    maxPriorityFeePerGas = bumpGasPrice(
+      maxPriorityFeePerGas,
+      current.maxPriorityFeePerGas
+    )
+  }
+
+  const params: Object = cancel
+    ? {
+        from: [publicKey],
+        to: [publicKey],
+        gas: gasLimit,
+        gasPrice,
+        gasUsed: '0',
+        cumulativeGasUsed: '0',
+        errorVal: 0,
+        tokenRecipientAddress: null,
+        data: null
+      }
+    : { ...otherParams, gasPrice, gasUsed: '0', cumulativeGasUsed: '0' }
+  delete params.lastSeenTime
+  params.nonce = otherParams.nonce
+  params.replacesTxid = edgeTransaction.txid
+  if (maxFeePerGas != null && maxPriorityFeePerGas != null) {
+    params.maxFeePerGas = maxFeePerGas
+    params.maxPriorityFeePerGas = maxPriorityFeePerGas
+  }
+
+  const primaryCurrency = engine.currencyInfo.currencyCode
+  const networkFee = bns.mul(gasPrice, gasLimit)
+  const maxNetworkFee =
+    maxFeePerGas != null ? bns.mul(maxFeePerGas, gasLimit) : networkFee
+  const balance = engine.walletLocalData.totalBalances[primaryCurrency] || '0'
+  const out: EdgeTransaction = {
+    txid: '',
+    date: 0,
+    currencyCode: cancel ? primaryCurrency : currencyCode,
+    blockHeight: 0,
+    nativeAmount: bns.mul(networkFee, '-1'),
+    networkFee,
+    ourReceiveAddresses: [],
+    signedTx: '',
+    otherParams: params
+  }
+  if (cancel) {
+    if (bns.gt(maxNetworkFee, balance)) throw new InsufficientFundsError()
+  } else if (currencyCode === primaryCurrency) {
+    // Swap the old fee out of the amount for the new one:
+    const value = bns.sub(
+      bns.mul(edgeTransaction.nativeAmount, '-1'),
+      edgeTransaction.networkFee
+    )
+    if (bns.gt(bns.add(maxNetworkFee, value), balance)) {
+      throw new InsufficientFundsError()
+    }
+    out.nativeAmount = bns.mul(bns.add(value, networkFee), '-1')
+    out.metadata = edgeTransaction.metadata
+  } else {
+    if (bns.gt(maxNetworkFee, balance)) {
+      throw new InsufficientFundsError(
+        `Insufficient ${primaryCurrency} for transaction fee`
+      )
+    }
+    out.nativeAmount = edgeTransaction.nativeAmount
+    out.networkFee = '0'
+    out.parentNetworkFee = networkFee
+    out.metadata = edgeTransaction.metadata
+  }
+  return out
+}
+
+// Marks the transactions a broadcast replacement has superseded:
+export function markReplacedTransaction(
+  engine: ReplacementEngine,
+  txid: string,
+  replacedByTxid: string
+) {
+  const normalizedTxid = normalizeAddress(txid)
+  for (const currencyCode of Object.keys(engine.transactionList)) {
+    const idx = engine.findTransaction(currencyCode, normalizedTxid)
+    if (idx === -1) continue
+    const edgeTransaction = engine.transactionList[currencyCode][idx]
+    edgeTransaction.blockHeight = -1
+    edgeTransaction.nativeAmount = '0'
+    edgeTransaction.otherParams = {
+      ...edgeTransaction.otherParams,
+      replacedByTxid
+    }
+    engine.transactionListDirty = true
+    engine.transactionsChangedArray.push(edgeTransaction)
+  }
+  if (engine.transactionsChangedArray.length > 0) {
+    engine.currencyEngineCallbacks.onTransactionsChanged(
+      engine.transactionsChangedArray
+    )
+    engine.transactionsChangedArray = []
+  }
+}
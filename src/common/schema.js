@@ -89,13 +89,52 @@ export const MakeSpendSchema = {
   required: ['spendTargets']
 }
 
+// Fields every custom token has, whatever chain it lives on:
 export const CustomTokenSchema = {
   type: 'object',
   properties: {
     currencyCode: { type: 'string' },
     currencyName: { type: 'string' },
-    multiplier: { type: 'string' },
-    contractAddress: { type: 'string' }
+    multiplier: { type: 'string' }
   },
-  required: ['currencyCode', 'currencyName', 'multiplier', 'contractAddress']
+  required: ['currencyCode', 'currencyName', 'multiplier']
+}
+
+// ERC-20 tokens are identified by their contract address.
+// Engines whose tokens live elsewhere supply their own schema:
+export const ContractTokenIdSchema = {
+  type: 'object',
+  properties: {
+    contractAddress: { type: 'string', pattern: '^(0x)?[0-9a-fA-F]{40}$' }
+  },
+  required: ['contractAddress']
+}
+
+export const CustomTokensFileSchema = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      currencyCode: { type: 'string' },
+      currencyName: { type: 'string' },
+      contractAddress: { type: 'string' },
+      denominations: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            multiplier: { type: 'string' }
+          },
+          required: ['name', 'multiplier']
+        }
+      }
+    },
+    required: [
+      'currencyCode',
+      'currencyName',
+      'contractAddress',
+      'denominations'
+    ]
+  }
 }
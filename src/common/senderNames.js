@@ -0,0 +1,89 @@
+// @flow
+
+import {
+  type EdgeCurrencyEngineCallbacks,
+  type EdgeTransaction
+} from 'edge-core-js/types'
+
+import { addHexPrefix, normalizeAddress } from './utils.js'
+
+type SenderNamesEngine = {
+  transactionList: { [currencyCode: string]: Array<EdgeTransaction> },
+  transactionListDirty: boolean,
+  transactionsChangedArray: Array<EdgeTransaction>,
+  currencyEngineCallbacks: EdgeCurrencyEngineCallbacks,
+  +log: (...args: Array<any>) => void
+}
+
+// Who sent us an incoming transaction, as a normalized address:
+export function getIncomingSender(
+  edgeTransaction: EdgeTransaction
+): string | null {
+  const { otherParams = {}, ourReceiveAddresses } = edgeTransaction
+  if (ourReceiveAddresses.length === 0) return null
+  if (otherParams.from == null || otherParams.from.length === 0) return null
+  return normalizeAddress(otherParams.from[0])
+}
+
+/**
+ * Labels incoming transactions with the name service name
+ * their sender has claimed, for the ENS and RNS engines.
+ * Each sender is only looked up once per session.
+ */
+export class SenderNames {
+  engine: SenderNamesEngine
+  reverseLookup: (address: string) => Promise<string | null>
+  names: { [address: string]: string | null }
+
+  constructor(
+    engine: SenderNamesEngine,
+    reverseLookup: (address: string) => Promise<string | null>
+  ) {
+    this.engine = engine
+    this.reverseLookup = reverseLookup
+    this.names = {}
+  }
+
+  // Names the transaction if we know its sender, or starts a lookup:
+  label(edgeTransaction: EdgeTransaction) {
+    const sender = getIncomingSender(edgeTransaction)
+    if (sender == null) return
+    const name = this.names[sender]
+    if (name === undefined) {
+      this.lookup(sender)
+    } else if (name != null) {
+      edgeTransaction.metadata = { ...edgeTransaction.metadata, name }
+    }
+  }
+
+  async lookup(sender: string) {
+    const { engine } = this
+    this.names[sender] = null
+    let name
+    try {
+      name = await this.reverseLookup(addHexPrefix(sender))
+    } catch (e) {
+      delete this.names[sender]
+      engine.log(`lookupSenderName ${sender} failed: ${e.message}`)
+      return
+    }
+    if (name == null) return
+    this.names[sender] = name
+
+    for (const currencyCode of Object.keys(engine.transactionList)) {
+      for (const edgeTransaction of engine.transactionList[currencyCode]) {
+        if (getIncomingSender(edgeTransaction) === sender) {
+          edgeTransaction.metadata = { ...edgeTransaction.metadata, name }
+          engine.transactionListDirty = true
+          engine.transactionsChangedArray.push(edgeTransaction)
+        }
+      }
+    }
+    if (engine.transactionsChangedArray.length > 0) {
+      engine.currencyEngineCallbacks.onTransactionsChanged(
+        engine.transactionsChangedArray
+      )
+      engine.transactionsChangedArray = []
+    }
+  }
+}
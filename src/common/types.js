@@ -9,6 +9,7 @@ export const DATA_STORE_FILE = 'txEngineFolder/walletLocalData.json'
 export const TXID_MAP_FILE = 'txEngineFolder/txidMap.json'
 export const TXID_LIST_FILE = 'txEngineFolder/txidList.json'
 export const TRANSACTION_STORE_FILE = 'txEngineFolder/transactionList.json'
+export const CUSTOM_TOKENS_FILE = 'txEngineFolder/customTokens.json'
 
 export type CustomToken = {
   currencyCode: string,
@@ -2,6 +2,7 @@
 /* eslint-disable camelcase */
 
 import { bns } from 'biggystring'
+import type { Disklet } from 'disklet'
 import {
   type EdgeCurrencyEngineOptions,
   type EdgeCurrencyTools,
@@ -15,15 +16,30 @@ import {
 import eosjs from 'eosjs'
 
 import { CurrencyEngine } from '../common/engine.js'
+import { type CustomToken } from '../common/types.js'
 import {
   asyncWaterfall,
   getDenomInfo,
+  normalizeAddress,
   pickRandom,
   validateObject
 } from '../common/utils.js'
-import { checkAddress, eosConfig, EosPlugin } from './eosPlugin.js'
-import { EosTransactionSuperNodeSchema } from './eosSchema.js'
+import { checkAddress, EosPlugin, getActivationServer } from './eosPlugin.js'
 import {
+  EosAccountPermissionsSchema,
+  EosAccountResourcesSchema,
+  EosRamMarketSchema,
+  EosTokenIdSchema,
+  EosTransactionSuperNodeSchema
+} from './eosSchema.js'
+import {
+  type EosActivation,
+  type EosHistoryHeights,
+  type EosKeyRotations,
+  type EosPermission,
+  type EosResources,
+  type EosRotatedKeys,
+  type EosTokenId,
   type EosTransaction,
   type EosTransactionSuperNode,
   type EosWalletOtherData
@@ -35,13 +51,21 @@ const TRANSACTION_POLL_MILLISECONDS = 10000
 // const ADDRESS_QUERY_LOOKBACK_BLOCKS = 0
 const CHECK_TXS_HYPERION = true
 const CHECK_TXS_FULL_NODES = true
+const SYSTEM_TOKEN_CONTRACT = 'eosio.token'
+const KEY_ROTATIONS_FILE = 'keyRotations.json'
+// Unstaked funds only come back this long after the request:
+const REFUND_DELAY_SECONDS = 3 * 24 * 60 * 60
+
+const { ecc } = eosjs.modules
 
 type EosFunction =
+  | 'getAccount'
   | 'getCurrencyBalance'
   | 'getIncomingTransactions'
   | 'getInfo'
   | 'getKeyAccounts'
   | 'getOutgoingTransactions'
+  | 'getTableRows'
   | 'transaction'
 
 export class EosEngine extends CurrencyEngine {
@@ -51,6 +75,8 @@ export class EosEngine extends CurrencyEngine {
   // constructor()
   eosPlugin: EosPlugin
   activatedAccountsCache: { [publicAddress: string]: boolean }
+  encryptedDisklet: Disklet
+  keyRotations: EosKeyRotations
   otherData: EosWalletOtherData
   otherMethods: Object
 
@@ -64,7 +90,11 @@ export class EosEngine extends CurrencyEngine {
 
     this.eosPlugin = currencyPlugin
     this.activatedAccountsCache = {}
+    this.encryptedDisklet = opts.walletLocalEncryptedDisklet
+    this.keyRotations = { keys: {}, pending: {} }
+    this.tokenIdSchema = EosTokenIdSchema
     this.otherMethods = {
+      ...this.otherMethods,
       getAccountActivationQuote: async (params: Object): Promise<Object> => {
         const {
           requestedAccountName,
@@ -97,10 +127,179 @@ export class EosEngine extends CurrencyEngine {
             activePublicKey
           })
         }
-        const eosPaymentServer = this.currencyInfo.defaultSettings.otherSettings
-          .eosActivationServers[0]
+        const eosPaymentServer = getActivationServer(this.currencyInfo)
         const url = `${eosPaymentServer}/api/v1/activateAccount`
-        return fetchJson(url, options)
+        const quote = await fetchJson(url, options)
+
+        // Remember what we asked for, so we can find the account later:
+        this.otherData.activation = {
+          state: 'quoted',
+          requestedAccountName,
+          quote
+        }
+        this.walletLocalDataDirty = true
+        return quote
+      },
+
+      // The app calls this once it has paid an activation quote
+      markActivationPaid: async (): Promise<EosActivation> => {
+        const { activation } = this.otherData
+        if (activation.state !== 'quoted') {
+          throw new Error('ErrorNoActivationQuote')
+        }
+        activation.state = 'paid'
+        this.walletLocalDataDirty = true
+        return activation
+      },
+      getActivationState: async (): Promise<EosActivation> =>
+        this.otherData.activation,
+
+      // CPU, NET and RAM usage as of the last account check:
+      getResources: async (): Promise<EosResources | null> =>
+        this.otherData.resources,
+
+      // Resource management. Amounts are native EOS amounts,
+      // and the receiver defaults to this account:
+      stakeResources: async (params: Object): Promise<EdgeTransaction> => {
+        const { cpuAmount = '0', netAmount = '0', transfer = false } = params
+        const { accountName } = this.otherData
+        const receiver = params.receiver || accountName
+        return this.makeSystemTransaction(
+          'delegatebw',
+          {
+            from: accountName,
+            receiver,
+            stake_net_quantity: this.formatQuantity(netAmount),
+            stake_cpu_quantity: this.formatQuantity(cpuAmount),
+            transfer
+          },
+          `-${bns.add(cpuAmount, netAmount)}`
+        )
+      },
+      unstakeResources: async (params: Object): Promise<EdgeTransaction> => {
+        const { cpuAmount = '0', netAmount = '0' } = params
+        const { accountName } = this.otherData
+        const receiver = params.receiver || accountName
+        // Unstaked funds come back later, through a refund:
+        return this.makeSystemTransaction(
+          'undelegatebw',
+          {
+            from: accountName,
+            receiver,
+            unstake_net_quantity: this.formatQuantity(netAmount),
+            unstake_cpu_quantity: this.formatQuantity(cpuAmount)
+          },
+          '0'
+        )
+      },
+      buyRam: async (params: Object): Promise<EdgeTransaction> => {
+        const { bytes } = params
+        const { accountName } = this.otherData
+        const receiver = params.receiver || accountName
+        const cost = await this.getRamPrice(bytes, true)
+        return this.makeSystemTransaction(
+          'buyrambytes',
+          { payer: accountName, receiver, bytes },
+          `-${cost}`
+        )
+      },
+      sellRam: async (params: Object): Promise<EdgeTransaction> => {
+        const { bytes } = params
+        const proceeds = await this.getRamPrice(bytes, false)
+        return this.makeSystemTransaction(
+          'sellram',
+          { account: this.otherData.accountName, bytes },
+          proceeds
+        )
+      },
+      claimRefund: async (): Promise<EdgeTransaction> => {
+        const { refund } = this.otherData.resources || {}
+        if (refund == null) throw new Error('ErrorNoRefundAvailable')
+        if (getRefundTime(refund.requestTime) > Date.now() / 1000) {
+          throw new Error('ErrorRefundNotReady')
+        }
+        return this.makeSystemTransaction(
+          'refund',
+          { owner: this.otherData.accountName },
+          bns.add(refund.cpu, refund.net)
+        )
+      },
+
+      // The account's permission tree, straight from the chain:
+      getPermissions: async (): Promise<Array<EosPermission>> =>
+        this.getPermissions(),
+
+      // Permission management. Like the resource methods above,
+      // these return unsigned transactions for the app to sign and send:
+      updateAuth: async (params: Object): Promise<EdgeTransaction> => {
+        const {
+          permission,
+          parent,
+          threshold = 1,
+          keys = [],
+          accounts = [],
+          waits = []
+        } = params
+        if (!permission || (!parent && permission !== 'owner')) {
+          throw new Error('ErrorInvalidParams')
+        }
+        const isRoot = permission === 'owner' || permission === 'active'
+        if (isRoot) this.checkKeepsAccess(threshold, keys)
+        return this.makeSystemTransaction(
+          'updateauth',
+          {
+            account: this.otherData.accountName,
+            permission,
+            parent: parent || '',
+            auth: makeAuthority(threshold, keys, accounts, waits)
+          },
+          '0',
+          params.authority || (isRoot ? 'owner' : 'active')
+        )
+      },
+      deleteAuth: async (params: Object): Promise<EdgeTransaction> => {
+        const { permission, authority = 'active' } = params
+        if (!permission || permission === 'owner' || permission === 'active') {
+          throw new Error('ErrorInvalidParams')
+        }
+        return this.makeSystemTransaction(
+          'deleteauth',
+          { account: this.otherData.accountName, permission },
+          '0',
+          authority
+        )
+      },
+      linkAuth: async (params: Object): Promise<EdgeTransaction> => {
+        const { code, type, requirement, authority = 'active' } = params
+        if (!code || !type || !requirement) {
+          throw new Error('ErrorInvalidParams')
+        }
+        return this.makeSystemTransaction(
+          'linkauth',
+          { account: this.otherData.accountName, code, type, requirement },
+          '0',
+          authority
+        )
+      },
+      unlinkAuth: async (params: Object): Promise<EdgeTransaction> => {
+        const { code, type, authority = 'active' } = params
+        if (!code || !type) throw new Error('ErrorInvalidParams')
+        return this.makeSystemTransaction(
+          'unlinkauth',
+          { account: this.otherData.accountName, code, type },
+          '0',
+          authority
+        )
+      },
+
+      // Replaces one of our keys with a freshly-generated one.
+      // The wallet switches over once the transaction broadcasts:
+      rotateKey: async (params: Object = {}): Promise<EdgeTransaction> => {
+        const { permission = 'active' } = params
+        if (permission !== 'owner' && permission !== 'active') {
+          throw new Error('ErrorInvalidParams')
+        }
+        return this.makeKeyRotation(permission)
       }
     }
   }
@@ -110,6 +309,7 @@ export class EosEngine extends CurrencyEngine {
     walletInfo: EdgeWalletInfo,
     opts: EdgeCurrencyEngineOptions
   ): Promise<void> {
+    await this.loadKeyRotations()
     await super.loadEngine(plugin, walletInfo, opts)
     if (typeof this.walletInfo.keys.ownerPublicKey !== 'string') {
       if (walletInfo.keys.ownerPublicKey) {
@@ -141,7 +341,10 @@ export class EosEngine extends CurrencyEngine {
     }
   }
 
-  processIncomingTransaction(action: EosTransactionSuperNode): number {
+  processIncomingTransaction(
+    action: EosTransactionSuperNode,
+    token: EosTokenId
+  ): number {
     const result = validateObject(action, EosTransactionSuperNodeSchema)
     if (!result) {
       this.log('Invalid supernode tx')
@@ -153,11 +356,15 @@ export class EosEngine extends CurrencyEngine {
 
     const { from, to, memo, symbol } = act.data
     const exchangeAmount = act.data.amount.toString()
-    const currencyCode = symbol
     const ourReceiveAddresses = []
-    const denom = getDenomInfo(this.currencyInfo, currencyCode)
-    if (!denom) {
-      this.log(`Received unsupported currencyCode: ${currencyCode}`)
+    const contract = act.account != null ? act.account : token.contract
+    const currencyCode = this.findTokenCode(contract, symbol)
+    const denom =
+      currencyCode != null
+        ? getDenomInfo(this.currencyInfo, currencyCode, this.customTokens)
+        : null
+    if (currencyCode == null || denom == null) {
+      this.log(`Received unsupported token: ${contract} ${symbol}`)
       return 0
     }
     let nativeAmount = bns.mul(exchangeAmount, denom.multiplier)
@@ -195,7 +402,10 @@ export class EosEngine extends CurrencyEngine {
     return edgeTransaction.blockHeight
   }
 
-  processOutgoingTransaction(action: EosTransaction): number {
+  processOutgoingTransaction(
+    action: EosTransaction,
+    token: EosTokenId
+  ): number {
     const ourReceiveAddresses = []
     const date = Date.parse(action['@timestamp']) / 1000
     const blockHeight = action.block_num > 0 ? action.block_num : 0
@@ -220,12 +430,16 @@ export class EosEngine extends CurrencyEngine {
       }
       const { from, to, memo, amount, symbol } = action.act.data
       const exchangeAmount = amount.toString()
-      const currencyCode = symbol
 
-      const denom = getDenomInfo(this.currencyInfo, currencyCode)
+      // Tokens with the same symbol on other contracts are impostors:
+      const currencyCode = this.findTokenCode(action.act.account, symbol)
+      const denom =
+        currencyCode != null
+          ? getDenomInfo(this.currencyInfo, currencyCode, this.customTokens)
+          : null
       // if invalid currencyCode then don't count as valid transaction
-      if (!denom) {
-        this.log(`Received unsupported currencyCode: ${currencyCode}`)
+      if (currencyCode == null || denom == null) {
+        this.log(`Received unsupported token: ${action.act.account} ${symbol}`)
         return 0
       }
       let nativeAmount = bns.mul(exchangeAmount, denom.multiplier)
@@ -240,6 +454,22 @@ export class EosEngine extends CurrencyEngine {
         nativeAmount = `-${nativeAmount}`
       }
 
+      // Batched payments have several transfer actions in the same
+      // transaction, so combine the amounts from every action we have seen:
+      const actionAmounts: { [sequence: string]: string } = {}
+      const idx = this.findTransaction(currencyCode, normalizeAddress(txid))
+      if (idx !== -1) {
+        const { otherParams } = this.transactionList[currencyCode][idx]
+        if (otherParams != null && otherParams.actionAmounts != null) {
+          Object.assign(actionAmounts, otherParams.actionAmounts)
+        }
+      }
+      actionAmounts[String(action.global_sequence)] = nativeAmount
+      nativeAmount = '0'
+      for (const sequence of Object.keys(actionAmounts)) {
+        nativeAmount = bns.add(nativeAmount, actionAmounts[sequence])
+      }
+
       const edgeTransaction: EdgeTransaction = {
         txid,
         date,
@@ -253,7 +483,7 @@ export class EosEngine extends CurrencyEngine {
         metadata: {
           notes: memo
         },
-        otherParams: { fromAddress: from, toAddress: to }
+        otherParams: { fromAddress: from, toAddress: to, actionAmounts }
       }
 
       this.addTransaction(currencyCode, edgeTransaction)
@@ -266,17 +496,21 @@ export class EosEngine extends CurrencyEngine {
     return blockHeight
   }
 
-  async checkOutgoingTransactions(acct: string): Promise<boolean> {
+  async checkOutgoingTransactions(
+    acct: string,
+    token: EosTokenId
+  ): Promise<boolean> {
     if (!CHECK_TXS_FULL_NODES) throw new Error('Dont use full node API')
     const limit = 10
     let skip = 0
     let finish = false
 
-    let newHighestTxHeight = this.walletLocalData.otherData.lastQueryActionSeq
+    const heights = this.getHistoryHeights(token)
+    let newHighestTxHeight = heights.outgoing
 
     while (!finish) {
       this.log('looping through checkOutgoingTransactions')
-      const url = `/v2/history/get_actions?transfer.from=${acct}&transfer.symbol=EOS&skip=${skip}&limit=${limit}&sort=desc`
+      const url = `/v2/history/get_actions?transfer.from=${acct}&transfer.symbol=${token.symbol}&act.account=${token.contract}&skip=${skip}&limit=${limit}&sort=desc`
 
       // query the server / node
       const response = await this.multicastServers(
@@ -293,7 +527,7 @@ export class EosEngine extends CurrencyEngine {
       }
       for (let i = 0; i < actions.length; i++) {
         const action = actions[i]
-        const blockNum = this.processOutgoingTransaction(action)
+        const blockNum = this.processOutgoingTransaction(action, token)
         // if the block height for the transaction is greater than the previously highest block height
         if (blockNum > newHighestTxHeight) {
           newHighestTxHeight = blockNum
@@ -311,20 +545,22 @@ export class EosEngine extends CurrencyEngine {
       skip += 10
     }
     // if there have been new valid actions then increase the last sequence number
-    if (
-      newHighestTxHeight > this.walletLocalData.otherData.lastQueryActionSeq
-    ) {
-      this.walletLocalData.otherData.lastQueryActionSeq = newHighestTxHeight
+    if (newHighestTxHeight > heights.outgoing) {
+      heights.outgoing = newHighestTxHeight
       this.walletLocalDataDirty = true
     }
     return true
   }
 
   // similar to checkOutgoingTransactions, possible to refactor
-  async checkIncomingTransactions(acct: string): Promise<boolean> {
+  async checkIncomingTransactions(
+    acct: string,
+    token: EosTokenId
+  ): Promise<boolean> {
     if (!CHECK_TXS_HYPERION) throw new Error('Dont use Hyperion API')
 
-    let newHighestTxHeight = this.walletLocalData.otherData.highestTxHeight
+    const heights = this.getHistoryHeights(token)
+    let newHighestTxHeight = heights.incoming
 
     const limit = 10
     let skip = 0
@@ -334,7 +570,7 @@ export class EosEngine extends CurrencyEngine {
       this.log('looping through checkIncomingTransactions')
       // Use hyperion API with a block producer. "transfers" essentially mean transactions
       // may want to move to get_actions at the request of block producer
-      const url = `/v2/history/get_transfers?to=${acct}&symbol=EOS&skip=${skip}&limit=${limit}&sort=desc`
+      const url = `/v2/history/get_transfers?to=${acct}&symbol=${token.symbol}&contract=${token.contract}&skip=${skip}&limit=${limit}&sort=desc`
       const result = await this.multicastServers('getIncomingTransactions', url)
       const actionsObject = await result.json()
       let actions = []
@@ -350,7 +586,7 @@ export class EosEngine extends CurrencyEngine {
 
       for (let i = 0; i < actions.length; i++) {
         const action = actions[i]
-        const blockNum = this.processIncomingTransaction(action)
+        const blockNum = this.processIncomingTransaction(action, token)
         // if the block height for the transaction is greater than the previously highest block height
         // then set new highest block height
         if (blockNum > newHighestTxHeight) {
@@ -368,8 +604,8 @@ export class EosEngine extends CurrencyEngine {
       }
       skip += 10
     }
-    if (newHighestTxHeight > this.walletLocalData.otherData.highestTxHeight) {
-      this.walletLocalData.otherData.highestTxHeight = newHighestTxHeight
+    if (newHighestTxHeight > heights.incoming) {
+      heights.incoming = newHighestTxHeight
       this.walletLocalDataDirty = true
     }
     return true
@@ -383,19 +619,22 @@ export class EosEngine extends CurrencyEngine {
       return
     }
     const acct = this.walletLocalData.otherData.accountName
-    let incomingResult, outgoingResult
-    try {
-      incomingResult = await this.checkIncomingTransactions(acct)
-      outgoingResult = await this.checkOutgoingTransactions(acct)
-    } catch (e) {
-      this.log('checkTransactionsInnerLoop fetches failed with error: ')
-      this.log(e)
-      return false
-    }
+    for (const token of this.getHistoryTokens()) {
+      let incomingResult, outgoingResult
+      try {
+        incomingResult = await this.checkIncomingTransactions(acct, token)
+        outgoingResult = await this.checkOutgoingTransactions(acct, token)
+      } catch (e) {
+        this.log('checkTransactionsInnerLoop fetches failed with error: ')
+        this.log(e)
+        continue
+      }
 
-    if (incomingResult && outgoingResult) {
-      this.tokenCheckTransactionsStatus.EOS = 1
-      this.updateOnAddressesChecked()
+      const currencyCode = this.findTokenCode(token.contract, token.symbol)
+      if (incomingResult && outgoingResult && currencyCode != null) {
+        this.tokenCheckTransactionsStatus[currencyCode] = 1
+        this.updateOnAddressesChecked()
+      }
     }
     if (this.transactionsChangedArray.length > 0) {
       this.currencyEngineCallbacks.onTransactionsChanged(
@@ -414,7 +653,7 @@ export class EosEngine extends CurrencyEngine {
           this.currencyInfo.defaultSettings.otherSettings.eosHyperionNodes.map(
             server => async () => {
               const url = server + params[0]
-              const result = await eosConfig.fetch(url)
+              const result = await this.eosPlugin.eosJsConfig.fetch(url)
               return { server, result }
             }
           )
@@ -425,7 +664,7 @@ export class EosEngine extends CurrencyEngine {
         out = await asyncWaterfall(
           this.currencyInfo.defaultSettings.otherSettings.eosHyperionNodes.map(
             server => async () => {
-              const reply = await eosConfig.fetch(
+              const reply = await this.eosPlugin.eosJsConfig.fetch(
                 `${server}/v2/state/get_key_accounts?public_key=${params[0]}`
               )
               if (!reply.ok) {
@@ -440,14 +679,19 @@ export class EosEngine extends CurrencyEngine {
         break
       }
 
+      case 'getAccount':
       case 'getCurrencyBalance':
       case 'getInfo':
+      case 'getTableRows':
       case 'transaction': {
         const { eosNodes } = this.currencyInfo.defaultSettings.otherSettings
         const randomNodes = pickRandom(eosNodes, 3)
         out = await asyncWaterfall(
           randomNodes.map(server => async () => {
-            const eosServer = eosjs({ ...eosConfig, httpEndpoint: server })
+            const eosServer = eosjs({
+              ...this.eosPlugin.eosJsConfig,
+              httpEndpoint: server
+            })
             const result = await eosServer[func](...params)
             return { server, result }
           })
@@ -462,71 +706,57 @@ export class EosEngine extends CurrencyEngine {
 
   // Check all account balance and other relevant info
   async checkAccountInnerLoop() {
-    const publicKey = this.walletLocalData.publicKey
     try {
-      // Check if the publicKey has an account accountName
+      // Check if either of our keys controls an account yet
       if (!this.walletLocalData.otherData.accountName) {
-        const accounts = await this.multicastServers(
-          'getKeyAccounts',
-          publicKey
-        )
-        if (accounts.account_names && accounts.account_names.length > 0) {
-          this.walletLocalData.otherData.accountName = accounts.account_names[0]
-          this.walletLocalDataDirty = true
-        }
+        await this.discoverAccount()
       }
 
       // Check balance on account
-      if (this.walletLocalData.otherData.accountName) {
+      const { accountName } = this.walletLocalData.otherData
+      if (accountName) {
         const results = await this.multicastServers(
           'getCurrencyBalance',
-          'eosio.token',
-          this.walletLocalData.otherData.accountName
+          SYSTEM_TOKEN_CONTRACT,
+          accountName
         )
         if (results && results.length > 0) {
           for (const r of results) {
-            if (typeof r === 'string') {
-              const balanceArray = r.split(' ')
-              if (balanceArray.length === 2) {
-                const exchangeAmount = balanceArray[0]
-                const currencyCode = balanceArray[1]
-                let nativeAmount = ''
-
-                // Convert exchange amount to native amount
-                const denom = getDenomInfo(this.currencyInfo, currencyCode)
-                if (denom && denom.multiplier) {
-                  nativeAmount = bns.mul(exchangeAmount, denom.multiplier)
-                } else {
-                  this.log(
-                    `Received balance for unsupported currencyCode: ${currencyCode}`
-                  )
-                }
-
-                if (!this.walletLocalData.totalBalances[currencyCode]) {
-                  this.walletLocalData.totalBalances[currencyCode] = '0'
-                }
-                if (
-                  !bns.eq(
-                    this.walletLocalData.totalBalances[currencyCode],
-                    nativeAmount
-                  )
-                ) {
-                  this.walletLocalData.totalBalances[
-                    currencyCode
-                  ] = nativeAmount
-                  this.walletLocalDataDirty = true
-                  this.currencyEngineCallbacks.onBalanceChanged(
-                    currencyCode,
-                    nativeAmount
-                  )
-                }
-              }
-            }
+            if (typeof r === 'string') this.updateBalance(r)
           }
         }
+
+        // Custom tokens live on their own contracts
+        for (const token of this.customTokens) {
+          const { currencyCode, contractAddress } = token
+          if (
+            contractAddress == null ||
+            contractAddress === SYSTEM_TOKEN_CONTRACT ||
+            this.walletLocalData.enabledTokens.indexOf(currencyCode) < 0
+          ) {
+            continue
+          }
+          const results = await this.multicastServers(
+            'getCurrencyBalance',
+            contractAddress,
+            accountName,
+            currencyCode
+          )
+          // Accounts that never held a token have no balance row:
+          const r =
+            results && typeof results[0] === 'string'
+              ? results[0]
+              : `0 ${currencyCode}`
+          this.updateBalance(r)
+          this.tokenCheckBalanceStatus[currencyCode] = 1
+        }
       }
-      this.tokenCheckBalanceStatus.EOS = 1
+      this.tokenCheckBalanceStatus[this.currencyInfo.currencyCode] = 1
       this.updateOnAddressesChecked()
+
+      if (this.walletLocalData.otherData.accountName) {
+        await this.checkResources(this.walletLocalData.otherData.accountName)
+      }
     } catch (e) {
       this.log(`Error fetching account: ${JSON.stringify(e)}`)
       this.log(`e.code: ${JSON.stringify(e.code)}`)
@@ -534,12 +764,520 @@ export class EosEngine extends CurrencyEngine {
     }
   }
 
+  async discoverAccount() {
+    const { publicKey, ownerPublicKey } = this.walletInfo.keys
+    const { activation } = this.otherData
+    const accountNames: Array<string> = []
+    for (const key of [publicKey, ownerPublicKey]) {
+      if (typeof key !== 'string') continue
+      const accounts = await this.multicastServers('getKeyAccounts', key)
+      for (const name of accounts.account_names || []) {
+        if (accountNames.indexOf(name) === -1) accountNames.push(name)
+      }
+    }
+
+    // The key index can lag behind the chain, so also try the name we asked for:
+    const { requestedAccountName } = activation
+    if (
+      accountNames.length === 0 &&
+      requestedAccountName != null &&
+      (await this.isOurAccount(requestedAccountName))
+    ) {
+      accountNames.push(requestedAccountName)
+    }
+    if (accountNames.length === 0) return
+
+    const accountName =
+      requestedAccountName != null &&
+      accountNames.indexOf(requestedAccountName) !== -1
+        ? requestedAccountName
+        : accountNames[0]
+    this.walletLocalData.otherData.accountName = accountName
+    activation.state = 'created'
+    this.walletLocalDataDirty = true
+    this.log(`Found EOS account ${accountName}`)
+
+    // Core has no callback for a new receive address, so restart the sync
+    // progress instead. The account's balances and history are all new,
+    // and the app reloads the wallet, including getFreshAddress, as it syncs:
+    this.addressesChecked = false
+    this.tokenCheckBalanceStatus = {}
+    this.tokenCheckTransactionsStatus = {}
+    this.updateOnAddressesChecked()
+  }
+
+  // True if the account exists and one of our keys controls it
+  async isOurAccount(accountName: string): Promise<boolean> {
+    let account
+    try {
+      account = await this.multicastServers('getAccount', accountName)
+    } catch (e) {
+      return false
+    }
+    const { publicKey, ownerPublicKey } = this.walletInfo.keys
+    for (const permission of account.permissions || []) {
+      for (const { key } of permission.required_auth.keys) {
+        if (key === publicKey || key === ownerPublicKey) return true
+      }
+    }
+    return false
+  }
+
+  // Records a balance string like `1.0000 EOS`
+  updateBalance(balance: string) {
+    const balanceArray = balance.split(' ')
+    if (balanceArray.length !== 2) return
+    const exchangeAmount = balanceArray[0]
+    const currencyCode = balanceArray[1]
+
+    // Convert exchange amount to native amount
+    const denom = getDenomInfo(
+      this.currencyInfo,
+      currencyCode,
+      this.customTokens
+    )
+    if (!denom || !denom.multiplier) {
+      this.log(`Received balance for unsupported currencyCode: ${currencyCode}`)
+      return
+    }
+    const nativeAmount = bns.mul(exchangeAmount, denom.multiplier)
+
+    if (!this.walletLocalData.totalBalances[currencyCode]) {
+      this.walletLocalData.totalBalances[currencyCode] = '0'
+    }
+    if (
+      !bns.eq(this.walletLocalData.totalBalances[currencyCode], nativeAmount)
+    ) {
+      this.walletLocalData.totalBalances[currencyCode] = nativeAmount
+      this.walletLocalDataDirty = true
+      this.currencyEngineCallbacks.onBalanceChanged(currencyCode, nativeAmount)
+    }
+  }
+
+  // The enabled tokens whose history we follow, including the native one
+  getHistoryTokens(): Array<EosTokenId> {
+    const { currencyCode } = this.currencyInfo
+    const tokens = [{ contract: SYSTEM_TOKEN_CONTRACT, symbol: currencyCode }]
+    for (const token of this.allTokens) {
+      if (
+        token.contractAddress != null &&
+        this.walletLocalData.enabledTokens.indexOf(token.currencyCode) !== -1
+      ) {
+        tokens.push({
+          contract: token.contractAddress,
+          symbol: token.currencyCode
+        })
+      }
+    }
+    return tokens
+  }
+
+  getHistoryHeights(token: EosTokenId): EosHistoryHeights {
+    const { historyHeights } = this.otherData
+    const key = `${token.contract}:${token.symbol}`
+    if (historyHeights[key] == null) {
+      historyHeights[key] = { incoming: 0, outgoing: 0 }
+    }
+    return historyHeights[key]
+  }
+
+  // Transfers name their token by contract and symbol,
+  // so find the currency code we track it under, if any
+  findTokenCode(contract: string, symbol: string): string | null {
+    if (
+      contract === SYSTEM_TOKEN_CONTRACT &&
+      symbol === this.currencyInfo.currencyCode
+    ) {
+      return symbol
+    }
+    const token = this.allTokens.find(
+      token =>
+        token.contractAddress === contract && token.currencyCode === symbol
+    )
+    return token != null ? token.currencyCode : null
+  }
+
+  // The contract account that issues a token
+  getTokenContract(currencyCode: string): string {
+    if (currencyCode === this.currencyInfo.currencyCode) {
+      return SYSTEM_TOKEN_CONTRACT
+    }
+    const token = this.getTokenInfo(currencyCode)
+    if (token == null || token.contractAddress == null) {
+      throw new Error('ErrorInvalidCurrencyCode')
+    }
+    return token.contractAddress
+  }
+
+  // The currency code is the token's symbol, up to 7 capital letters
+  validateCustomToken(tokenObj: CustomToken) {
+    if (!/^[A-Z]{1,7}$/.test(tokenObj.currencyCode)) {
+      throw new Error('ErrorInvalidCurrencyCode')
+    }
+    if (tokenObj.currencyName.trim() === '') {
+      throw new Error('ErrorInvalidCurrencyNameLength')
+    }
+  }
+
+  // Account names only come in one form
+  normalizeContractAddress(contractAddress: string): string {
+    return contractAddress
+  }
+
+  async addCustomToken(obj: any) {
+    // Token precision comes from the multiplier, so it must be a power of ten:
+    if (
+      typeof obj.multiplier !== 'string' ||
+      !/^10{0,18}$/.test(obj.multiplier)
+    ) {
+      throw new Error('ErrorInvalidMultiplier')
+    }
+    await super.addCustomToken(obj)
+  }
+
+  async checkResources(accountName: string) {
+    const account = await this.multicastServers('getAccount', accountName)
+    if (!validateObject(account, EosAccountResourcesSchema)) {
+      this.log('Invalid data returned from getAccount')
+      return
+    }
+    const {
+      cpu_limit,
+      net_limit,
+      ram_quota,
+      ram_usage,
+      self_delegated_bandwidth,
+      refund_request
+    } = account
+    const resources: EosResources = {
+      cpu: {
+        used: cpu_limit.used,
+        available: cpu_limit.available,
+        max: cpu_limit.max
+      },
+      net: {
+        used: net_limit.used,
+        available: net_limit.available,
+        max: net_limit.max
+      },
+      ram: { used: ram_usage, quota: ram_quota },
+      staked: {
+        cpu: self_delegated_bandwidth
+          ? this.parseQuantity(self_delegated_bandwidth.cpu_weight)
+          : '0',
+        net: self_delegated_bandwidth
+          ? this.parseQuantity(self_delegated_bandwidth.net_weight)
+          : '0'
+      },
+      refund: refund_request
+        ? {
+            cpu: this.parseQuantity(refund_request.cpu_amount),
+            net: this.parseQuantity(refund_request.net_amount),
+            requestTime: refund_request.request_time
+          }
+        : null
+    }
+    if (
+      JSON.stringify(resources) !== JSON.stringify(this.otherData.resources)
+    ) {
+      this.otherData.resources = resources
+      this.walletLocalDataDirty = true
+    }
+  }
+
+  // Turns a native amount into an asset string like `1.0000 EOS`,
+  // using as many decimal places as the token has
+  formatQuantity(
+    nativeAmount: string,
+    currencyCode: string = this.currencyInfo.currencyCode
+  ): string {
+    const denom = getDenomInfo(
+      this.currencyInfo,
+      currencyCode,
+      this.customTokens
+    )
+    if (!denom) throw new Error('InternalErrorInvalidCurrencyCode')
+    const DecimalPad = eosjs.modules.format.DecimalPad
+    const precision = denom.multiplier.length - 1
+    const exchangeAmount = bns.div(nativeAmount, denom.multiplier, precision)
+    return DecimalPad(exchangeAmount, precision) + ` ${currencyCode}`
+  }
+
+  parseQuantity(quantity: string): string {
+    const [exchangeAmount, currencyCode] = quantity.split(' ')
+    const denom = getDenomInfo(
+      this.currencyInfo,
+      currencyCode,
+      this.customTokens
+    )
+    if (!denom) throw new Error('InternalErrorInvalidCurrencyCode')
+    return bns.mul(exchangeAmount, denom.multiplier)
+  }
+
+  // Prices RAM using the system contract's Bancor market,
+  // including its 0.5% fee, returning a native EOS amount:
+  async getRamPrice(bytes: number, buy: boolean): Promise<string> {
+    if (!(bytes > 0)) throw new Error('ErrorInvalidParams')
+    const result = await this.multicastServers('getTableRows', {
+      json: true,
+      code: 'eosio',
+      scope: 'eosio',
+      table: 'rammarket'
+    })
+    if (!validateObject(result, EosRamMarketSchema) || !result.rows.length) {
+      throw new Error('Invalid data returned from rammarket')
+    }
+    const { base, quote } = result.rows[0]
+    const baseBytes = base.balance.split(' ')[0]
+    const quoteAmount = this.parseQuantity(quote.balance)
+    const amount = String(bytes)
+    if (buy) {
+      const cost = bns.div(
+        bns.mul(quoteAmount, amount),
+        bns.sub(baseBytes, amount),
+        0
+      )
+      return bns.add(bns.div(bns.mul(cost, '1000'), '995', 0), '1')
+    }
+    const proceeds = bns.div(
+      bns.mul(quoteAmount, amount),
+      bns.add(baseBytes, amount),
+      0
+    )
+    return bns.div(bns.mul(proceeds, '995'), '1000', 0)
+  }
+
+  // System actions like undelegatebw or updateauth move no tokens,
+  // but they still belong in the history:
+  isSpamTransaction(edgeTransaction: EdgeTransaction): boolean {
+    const { otherParams = {} } = edgeTransaction
+    if (otherParams.systemAction != null) return false
+    return super.isSpamTransaction(edgeTransaction)
+  }
+
+  // Builds a system contract action, in the same form as makeSpend
+  async makeSystemTransaction(
+    name: string,
+    data: Object,
+    nativeAmount: string,
+    permission: string = 'active'
+  ): Promise<EdgeTransaction> {
+    const { accountName } = this.otherData
+    if (!accountName) throw new Error('ErrorAccountNotActivated')
+    const { currencyCode } = this.currencyInfo
+    const balance = this.walletLocalData.totalBalances[currencyCode] || '0'
+    if (
+      bns.lt(nativeAmount, '0') &&
+      bns.gt(bns.mul(nativeAmount, '-1'), balance)
+    ) {
+      throw new InsufficientFundsError()
+    }
+
+    const transactionJson = {
+      actions: [
+        {
+          account: 'eosio',
+          name,
+          authorization: [{ actor: accountName, permission }],
+          data
+        }
+      ]
+    }
+
+    // Create an unsigned transaction to catch any errors
+    await this.multicastServers('transaction', transactionJson, {
+      sign: false,
+      broadcast: false
+    })
+
+    const edgeTransaction: EdgeTransaction = {
+      txid: '', // txid
+      date: 0, // date
+      currencyCode, // currencyCode
+      blockHeight: 0, // blockHeight
+      nativeAmount, // nativeAmount
+      networkFee: '0', // networkFee
+      ourReceiveAddresses: [], // ourReceiveAddresses
+      signedTx: '', // signedTx
+      otherParams: {
+        transactionJson,
+        systemAction: name
+      }
+    }
+    this.log(`EOS ${name} transaction prepared`)
+    return edgeTransaction
+  }
+
+  async getPermissions(): Promise<Array<EosPermission>> {
+    const { accountName } = this.otherData
+    if (!accountName) throw new Error('ErrorAccountNotActivated')
+    const account = await this.multicastServers('getAccount', accountName)
+    if (!validateObject(account, EosAccountPermissionsSchema)) {
+      throw new Error('Invalid data returned from getAccount')
+    }
+    return account.permissions.map(({ perm_name, parent, required_auth }) => ({
+      name: perm_name,
+      parent,
+      threshold: required_auth.threshold,
+      keys: required_auth.keys.map(({ key, weight }) => ({ key, weight })),
+      accounts: required_auth.accounts.map(({ permission, weight }) => ({
+        actor: permission.actor,
+        permission: permission.permission,
+        weight
+      })),
+      waits: required_auth.waits || []
+    }))
+  }
+
+  // Throws if a new owner or active authority would no longer accept
+  // the keys this wallet holds, which would lock it out of the account
+  checkKeepsAccess(
+    threshold: number,
+    keys: Array<{ key: string, weight: number }>
+  ) {
+    const {
+      eosKey,
+      publicKey,
+      eosOwnerKey,
+      ownerPublicKey
+    } = this.walletInfo.keys
+    let weight = 0
+    for (const { key, weight: keyWeight } of keys) {
+      if (
+        (eosKey && key === publicKey) ||
+        (eosOwnerKey && key === ownerPublicKey)
+      ) {
+        weight += keyWeight
+      }
+    }
+    if (weight < threshold) throw new Error('ErrorWouldLockAccount')
+  }
+
+  async makeKeyRotation(
+    permission: 'owner' | 'active'
+  ): Promise<EdgeTransaction> {
+    const { keys } = this.walletInfo
+    const oldPublicKey =
+      permission === 'owner' ? keys.ownerPublicKey : keys.publicKey
+    const permissions = await this.getPermissions()
+    const current = permissions.find(({ name }) => name === permission)
+    if (
+      current == null ||
+      !current.keys.some(({ key }) => key === oldPublicKey)
+    ) {
+      throw new Error('ErrorKeyNotInPermission')
+    }
+
+    const entropy = Buffer.from(this.io.random(32)).toString('hex')
+    const privateKey = ecc.seedPrivate(entropy)
+    const publicKey = ecc.privateToPublic(privateKey)
+
+    // Only swap our own key, leaving any other signers in place:
+    const newKeys = current.keys.map(({ key, weight }) => ({
+      key: key === oldPublicKey ? publicKey : key,
+      weight
+    }))
+    const edgeTransaction = await this.makeSystemTransaction(
+      'updateauth',
+      {
+        account: this.otherData.accountName,
+        permission,
+        parent: current.parent,
+        auth: makeAuthority(
+          current.threshold,
+          newKeys,
+          current.accounts,
+          current.waits
+        )
+      },
+      '0',
+      keys.eosOwnerKey ? 'owner' : permission
+    )
+
+    // Save the new key before anything can broadcast the rotation,
+    // keeping it out of otherParams, which gets saved unencrypted:
+    this.keyRotations.pending[publicKey] =
+      permission === 'owner'
+        ? { eosOwnerKey: privateKey, ownerPublicKey: publicKey }
+        : { eosKey: privateKey, publicKey }
+    await this.saveKeyRotations()
+    edgeTransaction.otherParams.rotatedPublicKey = publicKey
+    return edgeTransaction
+  }
+
+  // Swaps in the keys from earlier rotations, before the base engine
+  // reads `walletInfo.keys`. Core can't sync these, so they only live
+  // on this device, and show up in `getDisplayPrivateSeed` for backup:
+  async loadKeyRotations() {
+    try {
+      const text = await this.encryptedDisklet.getText(KEY_ROTATIONS_FILE)
+      const { keys = {}, pending = {} } = JSON.parse(text)
+      this.keyRotations = { keys, pending }
+    } catch (e) {
+      this.log('No EOS key rotations yet')
+    }
+    this.applyKeys(this.keyRotations.keys)
+  }
+
+  async saveKeyRotations() {
+    await this.encryptedDisklet.setText(
+      KEY_ROTATIONS_FILE,
+      JSON.stringify(this.keyRotations)
+    )
+  }
+
+  applyKeys(rotatedKeys: EosRotatedKeys) {
+    this.walletInfo.keys = { ...this.walletInfo.keys, ...rotatedKeys }
+  }
+
+  // The old key stops working once a rotation goes through:
+  async finishKeyRotation(rotatedPublicKey: string) {
+    const rotatedKeys = this.keyRotations.pending[rotatedPublicKey]
+    if (rotatedKeys == null) return
+    delete this.keyRotations.pending[rotatedPublicKey]
+    this.keyRotations.keys = { ...this.keyRotations.keys, ...rotatedKeys }
+    await this.saveKeyRotations()
+
+    this.applyKeys(rotatedKeys)
+    this.walletLocalData.publicKey = this.walletInfo.keys.publicKey
+    this.walletLocalDataDirty = true
+    this.log('EOS keys rotated')
+  }
+
+  // Throws if the destination account does not exist yet
+  async checkAccountActivated(publicAddress: string): Promise<void> {
+    let mustCreateAccount = false
+    const activated = this.activatedAccountsCache[publicAddress]
+    if (activated !== undefined && activated === false) {
+      mustCreateAccount = true
+    } else if (activated === undefined) {
+      try {
+        await this.eosPlugin.getAccSystemStats(publicAddress)
+        this.activatedAccountsCache[publicAddress] = true
+      } catch (e) {
+        if (e.code.includes('ErrorUnknownAccount')) {
+          this.activatedAccountsCache[publicAddress] = false
+          mustCreateAccount = true
+        } else {
+          this.log(e)
+          throw e
+        }
+      }
+    }
+    if (mustCreateAccount) {
+      throw new Error('ErrorAccountNotActivated')
+    }
+  }
+
   async clearBlockchainCache(): Promise<void> {
+    // A pending activation isn't blockchain data, so keep it:
+    const { activation } = this.walletLocalData.otherData
     this.activatedAccountsCache = {}
     await super.clearBlockchainCache()
-    this.walletLocalData.otherData.lastQueryActionSeq = 0
-    this.walletLocalData.otherData.highestTxHeight = 0
+    this.walletLocalData.otherData.historyHeights = {}
     this.walletLocalData.otherData.accountName = ''
+    this.walletLocalData.otherData.resources = null
+    this.walletLocalData.otherData.activation = activation
   }
 
   // ****************************************************************************
@@ -576,87 +1314,71 @@ export class EosEngine extends CurrencyEngine {
   }
 
   async makeSpend(edgeSpendInfoIn: EdgeSpendInfo) {
-    const {
-      edgeSpendInfo,
-      currencyCode,
-      nativeBalance,
-      denom
-    } = super.makeSpend(edgeSpendInfoIn)
+    const { edgeSpendInfo, currencyCode, nativeBalance } = super.makeSpend(
+      edgeSpendInfoIn
+    )
 
-    if (edgeSpendInfo.spendTargets.length !== 1) {
-      throw new Error('Error: only one output allowed')
-    }
-    const publicAddress = edgeSpendInfo.spendTargets[0].publicAddress
+    const contract = this.getTokenContract(currencyCode)
+    const networkFee = '0'
+    let nativeAmount = '0'
+    const actions = []
+    const toAddresses: Array<string> = []
 
-    // Check if destination address is activated
-    let mustCreateAccount = false
-    const activated = this.activatedAccountsCache[publicAddress]
-    if (activated !== undefined && activated === false) {
-      mustCreateAccount = true
-    } else if (activated === undefined) {
-      try {
-        await this.eosPlugin.getAccSystemStats(publicAddress)
-        this.activatedAccountsCache[publicAddress] = true
-      } catch (e) {
-        if (e.code.includes('ErrorUnknownAccount')) {
-          this.activatedAccountsCache[publicAddress] = false
-          mustCreateAccount = true
-        } else {
-          this.log(e)
-          throw e
-        }
-      }
-    }
-    if (mustCreateAccount) {
-      throw new Error('ErrorAccountNotActivated')
-    }
+    // Each spend target becomes a transfer action in the same transaction
+    for (const spendTarget of edgeSpendInfo.spendTargets) {
+      const { publicAddress } = spendTarget
+      await this.checkAccountActivated(publicAddress)
 
-    let nativeAmount = '0'
-    if (typeof edgeSpendInfo.spendTargets[0].nativeAmount === 'string') {
-      nativeAmount = edgeSpendInfo.spendTargets[0].nativeAmount
-    } else {
-      throw new NoAmountSpecifiedError()
-    }
+      if (typeof spendTarget.nativeAmount !== 'string') {
+        throw new NoAmountSpecifiedError()
+      }
+      if (bns.eq(spendTarget.nativeAmount, '0')) {
+        throw new NoAmountSpecifiedError()
+      }
+      nativeAmount = bns.add(nativeAmount, spendTarget.nativeAmount)
 
-    if (bns.eq(nativeAmount, '0')) {
-      throw new NoAmountSpecifiedError()
+      const quantity = this.formatQuantity(
+        spendTarget.nativeAmount,
+        currencyCode
+      )
+      let memo = ''
+      if (
+        spendTarget.otherParams &&
+        typeof spendTarget.otherParams.uniqueIdentifier === 'string'
+      ) {
+        memo = spendTarget.otherParams.uniqueIdentifier
+      }
+      actions.push({
+        account: contract,
+        name: 'transfer',
+        authorization: [
+          {
+            actor: this.walletLocalData.otherData.accountName,
+            permission: 'active'
+          }
+        ],
+        data: {
+          from: this.walletLocalData.otherData.accountName,
+          to: publicAddress,
+          quantity,
+          memo
+        }
+      })
+      toAddresses.push(publicAddress)
     }
 
-    const exchangeAmount = bns.div(nativeAmount, denom.multiplier, 4)
-    const networkFee = '0'
     if (bns.gt(nativeAmount, nativeBalance)) {
       throw new InsufficientFundsError()
     }
-    const DecimalPad = eosjs.modules.format.DecimalPad
-    const quantity = DecimalPad(exchangeAmount, 4) + ` ${currencyCode}`
-    let memo = ''
-    if (
-      edgeSpendInfo.spendTargets[0].otherParams &&
-      typeof edgeSpendInfo.spendTargets[0].otherParams.uniqueIdentifier ===
-        'string'
-    ) {
-      memo = edgeSpendInfo.spendTargets[0].otherParams.uniqueIdentifier
+    // Fail early if the last account check found no bandwidth left:
+    const { resources } = this.otherData
+    if (resources != null && resources.net.available <= 0) {
+      throw makeResourceError('net')
     }
-    const transactionJson = {
-      actions: [
-        {
-          account: 'eosio.token',
-          name: 'transfer',
-          authorization: [
-            {
-              actor: this.walletLocalData.otherData.accountName,
-              permission: 'active'
-            }
-          ],
-          data: {
-            from: this.walletLocalData.otherData.accountName,
-            to: publicAddress,
-            quantity,
-            memo
-          }
-        }
-      ]
+    if (resources != null && resources.cpu.available <= 0) {
+      throw makeResourceError('cpu')
     }
+    const transactionJson = { actions }
 
     // Create an unsigned transaction to catch any errors
     await this.multicastServers('transaction', transactionJson, {
@@ -683,7 +1405,9 @@ export class EosEngine extends CurrencyEngine {
 
     this.log('EOS transaction prepared')
     this.log(
-      `${nativeAmount} ${this.walletLocalData.publicKey} -> ${publicAddress}`
+      `${nativeAmount} ${this.walletLocalData.publicKey} -> ${toAddresses.join(
+        ', '
+      )}`
     )
     return edgeTransaction
   }
@@ -791,6 +1515,11 @@ export class EosEngine extends CurrencyEngine {
       )
       edgeTransaction.date = Date.now() / 1000
       edgeTransaction.txid = signedTx.transaction_id
+
+      const { rotatedPublicKey } = edgeTransaction.otherParams
+      if (rotatedPublicKey != null) {
+        await this.finishKeyRotation(rotatedPublicKey)
+      }
       return edgeTransaction
     } catch (e) {
       let err = e
@@ -800,14 +1529,11 @@ export class EosEngine extends CurrencyEngine {
         throw e
       }
       if (err.error && err.error.name === 'tx_net_usage_exceeded') {
-        err = new Error('Insufficient NET available to send EOS transaction')
-        err.name = 'ErrorEosInsufficientNet'
+        err = makeResourceError('net')
       } else if (err.error && err.error.name === 'tx_cpu_usage_exceeded') {
-        err = new Error('Insufficient CPU available to send EOS transaction')
-        err.name = 'ErrorEosInsufficientCpu'
+        err = makeResourceError('cpu')
       } else if (err.error && err.error.name === 'ram_usage_exceeded') {
-        err = new Error('Insufficient RAM available to send EOS transaction')
-        err.name = 'ErrorEosInsufficientRam'
+        err = makeResourceError('ram')
       }
       throw err
     }
@@ -836,4 +1562,58 @@ export class EosEngine extends CurrencyEngine {
   }
 }
 
+function makeResourceError(resource: 'cpu' | 'net' | 'ram'): Error {
+  const upper = resource.toUpperCase()
+  const error = new Error(
+    `Insufficient ${upper} available to send EOS transaction`
+  )
+  error.name = `ErrorEosInsufficient${upper.charAt(0)}${resource.slice(1)}`
+  return error
+}
+
+/**
+ * Builds an `authority` for updateauth. The chain rejects
+ * authorities whose keys and accounts are out of order, so sort them.
+ */
+function makeAuthority(
+  threshold: number,
+  keys: Array<{ key: string, weight: number }>,
+  accounts: Array<{ actor: string, permission: string, weight: number }>,
+  waits: Array<{ wait_sec: number, weight: number }>
+): Object {
+  // Keys sort by their binary form, which their base58 form doesn't follow:
+  const keyBuffer = key => ecc.PublicKey.fromString(key).toBuffer()
+  return {
+    threshold,
+    keys: keys
+      .map(({ key, weight }) => ({ key, weight }))
+      .sort((a, b) => Buffer.compare(keyBuffer(a.key), keyBuffer(b.key))),
+    // Name order matches string order, since '.' < '1'-'5' < 'a'-'z':
+    accounts: accounts
+      .map(({ actor, permission, weight }) => ({
+        permission: { actor, permission },
+        weight
+      }))
+      .sort(
+        (a, b) =>
+          compareStrings(a.permission.actor, b.permission.actor) ||
+          compareStrings(a.permission.permission, b.permission.permission)
+      ),
+    waits: waits.slice().sort((a, b) => a.wait_sec - b.wait_sec)
+  }
+}
+
+/**
+ * When a refund becomes claimable, in seconds.
+ * The chain reports times in UTC, without a zone suffix.
+ */
+function getRefundTime(requestTime: string): number {
+  const utcTime = /Z$/.test(requestTime) ? requestTime : requestTime + 'Z'
+  return Date.parse(utcTime) / 1000 + REFUND_DELAY_SECONDS
+}
+
+function compareStrings(a: string, b: string): number {
+  return a < b ? -1 : a > b ? 1 : 0
+}
+
 export { CurrencyEngine }
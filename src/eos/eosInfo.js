@@ -6,6 +6,9 @@ import { type EdgeCurrencyInfo } from 'edge-core-js/types'
 import { imageServerUrl } from '../common/utils'
 import { type EosSettings } from './eosTypes.js'
 
+export const chainId =
+  'aca376f206b8fc25a6ed44dbdc66547c36c6c33e3a119ffbeaef943642f0e906'
+
 const otherSettings: EosSettings = {
   eosActivationServers: ['https://eos-pay-sf2.edgesecure.co'],
   eosHyperionNodes: [
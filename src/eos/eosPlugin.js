@@ -9,6 +9,7 @@ import {
   type EdgeCorePluginOptions,
   type EdgeCurrencyEngine,
   type EdgeCurrencyEngineOptions,
+  type EdgeCurrencyInfo,
   type EdgeCurrencyPlugin,
   type EdgeEncodeUri,
   type EdgeIo,
@@ -21,13 +22,25 @@ import { CurrencyPlugin } from '../common/plugin.js'
 import { getDenomInfo, getEdgeInfoServer } from '../common/utils.js'
 import { getFetchCors, getFetchJson } from '../react-native-io.js'
 import { EosEngine } from './eosEngine'
-import { currencyInfo } from './eosInfo.js'
+import {
+  chainId as eosChainId,
+  currencyInfo as eosCurrencyInfo
+} from './eosInfo.js'
+import {
+  chainId as telosChainId,
+  currencyInfo as telosCurrencyInfo
+} from './telosInfo.js'
+import {
+  chainId as waxChainId,
+  currencyInfo as waxCurrencyInfo
+} from './waxInfo.js'
 
 const { ecc } = eosjs.modules
 
-// ----MAIN NET----
+// Settings shared by every EOSIO chain. Each plugin fills in its own
+// chainId, endpoint and fetch:
 export const eosConfig = {
-  chainId: 'aca376f206b8fc25a6ed44dbdc66547c36c6c33e3a119ffbeaef943642f0e906', // main net
+  chainId: eosChainId,
   keyProvider: [],
   httpEndpoint: '', // main net
   fetch: fetch,
@@ -55,23 +68,38 @@ export function checkAddress(address: string): boolean {
   return true
 }
 
+// Chains without an activation server can't sell new accounts:
+export function getActivationServer(currencyInfo: EdgeCurrencyInfo): string {
+  const servers =
+    currencyInfo.defaultSettings.otherSettings.eosActivationServers
+  if (servers.length === 0) throw new Error('ErrorActivationUnsupported')
+  return servers[0]
+}
+
 export class EosPlugin extends CurrencyPlugin {
   otherMethods: Object
+  eosJsConfig: Object
   eosServer: Object
 
-  constructor(io: EdgeIo, fetchCors: Function) {
-    super(io, 'eos', currencyInfo)
-
-    eosConfig.httpEndpoint = this.currencyInfo.defaultSettings.otherSettings.eosNodes[0]
-    eosConfig.fetch = fetchCors
+  constructor(
+    io: EdgeIo,
+    fetchCors: Function,
+    currencyInfo: EdgeCurrencyInfo,
+    chainId: string
+  ) {
+    super(io, currencyInfo.pluginName, currencyInfo)
 
-    this.eosServer = eosjs(eosConfig)
+    this.eosJsConfig = {
+      ...eosConfig,
+      chainId,
+      httpEndpoint: currencyInfo.defaultSettings.otherSettings.eosNodes[0],
+      fetch: fetchCors
+    }
+    this.eosServer = eosjs(this.eosJsConfig)
   }
 
   async createPrivateKey(walletType: string): Promise<Object> {
-    const type = walletType.replace('wallet:', '')
-
-    if (type === 'eos') {
+    if (walletType === this.currencyInfo.walletType) {
       // TODO: User currency library to create private key as a string
       // Use io.random() for random number generation
       // Multiple keys can be created and stored here. ie. If there is both a mnemonic and key format,
@@ -87,8 +115,7 @@ export class EosPlugin extends CurrencyPlugin {
   }
 
   async derivePublicKey(walletInfo: EdgeWalletInfo): Promise<Object> {
-    const type = walletInfo.type.replace('wallet:', '')
-    if (type === 'eos') {
+    if (walletInfo.type === this.currencyInfo.walletType) {
       // TODO: User currency library to derive the public keys/addresses from the private key.
       // Multiple keys can be generated and stored if needed. Do not store an HD chain
       // but rather just different versions of the master public key
@@ -106,8 +133,8 @@ export class EosPlugin extends CurrencyPlugin {
   }
 
   async parseUri(uri: string): Promise<EdgeParsedUri> {
-    const { edgeParsedUri } = this.parseUriCommon(currencyInfo, uri, {
-      eos: true
+    const { edgeParsedUri } = this.parseUriCommon(this.currencyInfo, uri, {
+      [this.pluginName]: true
     })
 
     const valid = checkAddress(edgeParsedUri.publicAddress || '')
@@ -124,15 +151,19 @@ export class EosPlugin extends CurrencyPlugin {
     }
     let amount
     if (typeof obj.nativeAmount === 'string') {
-      const currencyCode: string = 'EOS'
+      const { currencyCode } = this.currencyInfo
       const nativeAmount: string = obj.nativeAmount
-      const denom = getDenomInfo(currencyInfo, currencyCode)
+      const denom = getDenomInfo(this.currencyInfo, currencyCode)
       if (!denom) {
         throw new Error('InternalErrorInvalidCurrencyCode')
       }
-      amount = bns.div(nativeAmount, denom.multiplier, 4)
+      amount = bns.div(
+        nativeAmount,
+        denom.multiplier,
+        denom.multiplier.length - 1
+      )
     }
-    const encodedUri = this.encodeUriCommon(obj, 'eos', amount)
+    const encodedUri = this.encodeUriCommon(obj, this.pluginName, amount)
     return encodedUri
   }
 
@@ -151,7 +182,14 @@ export class EosPlugin extends CurrencyPlugin {
   }
 }
 
-export function makeEosPlugin(opts: EdgeCorePluginOptions): EdgeCurrencyPlugin {
+/**
+ * Builds a plugin for any chain that runs the EOSIO protocol.
+ */
+function makeEosBasedPlugin(
+  opts: EdgeCorePluginOptions,
+  currencyInfo: EdgeCurrencyInfo,
+  chainId: string
+): EdgeCurrencyPlugin {
   const { io } = opts
   const fetchJson = getFetchJson(opts)
 
@@ -159,7 +197,9 @@ export function makeEosPlugin(opts: EdgeCorePluginOptions): EdgeCurrencyPlugin {
   function makeCurrencyTools(): Promise<EosPlugin> {
     if (toolsPromise != null) return toolsPromise
     const fetch = getFetchCors(opts)
-    toolsPromise = Promise.resolve(new EosPlugin(io, fetch))
+    toolsPromise = Promise.resolve(
+      new EosPlugin(io, fetch, currencyInfo, chainId)
+    )
     return toolsPromise
   }
 
@@ -182,11 +222,27 @@ export function makeEosPlugin(opts: EdgeCorePluginOptions): EdgeCurrencyPlugin {
     if (!currencyEngine.otherData.accountName) {
       currencyEngine.otherData.accountName = ''
     }
-    if (!currencyEngine.otherData.lastQueryActionSeq) {
-      currencyEngine.otherData.lastQueryActionSeq = 0
+    if (!currencyEngine.otherData.historyHeights) {
+      // Older wallets only followed the native currency:
+      const {
+        lastQueryActionSeq = 0,
+        highestTxHeight = 0
+      } = currencyEngine.walletLocalData.otherData
+      currencyEngine.otherData.historyHeights = {
+        [`eosio.token:${currencyInfo.currencyCode}`]: {
+          incoming: highestTxHeight,
+          outgoing: lastQueryActionSeq
+        }
+      }
+    }
+    if (!currencyEngine.otherData.resources) {
+      currencyEngine.otherData.resources = null
     }
-    if (!currencyEngine.otherData.highestTxHeight) {
-      currencyEngine.otherData.highestTxHeight = 0
+    if (!currencyEngine.otherData.activation) {
+      // Wallets that already have an account never needed activating:
+      currencyEngine.otherData.activation = {
+        state: currencyEngine.otherData.accountName ? 'created' : 'none'
+      }
     }
 
     const out: EdgeCurrencyEngine = currencyEngine
@@ -195,11 +251,14 @@ export function makeEosPlugin(opts: EdgeCorePluginOptions): EdgeCurrencyPlugin {
 
   const otherMethods = {
     getActivationSupportedCurrencies: async (): Promise<Object> => {
-      const eosPaymentServer =
-        currencyInfo.defaultSettings.otherSettings.eosActivationServers[0]
+      const eosPaymentServer = getActivationServer(currencyInfo)
       return fetchJson(`${eosPaymentServer}/api/v1/getSupportedCurrencies`)
     },
     getActivationCost: async (): Promise<string> => {
+      // The info server only prices EOS resources:
+      if (currencyInfo.currencyCode !== 'EOS') {
+        throw new Error('ErrorActivationUnsupported')
+      }
       try {
         const infoServer = getEdgeInfoServer()
         const prices = await fetchJson(`${infoServer}/v1/eosPrices`)
@@ -250,3 +309,17 @@ export function makeEosPlugin(opts: EdgeCorePluginOptions): EdgeCurrencyPlugin {
     otherMethods
   }
 }
+
+export function makeEosPlugin(opts: EdgeCorePluginOptions): EdgeCurrencyPlugin {
+  return makeEosBasedPlugin(opts, eosCurrencyInfo, eosChainId)
+}
+
+export function makeTelosPlugin(
+  opts: EdgeCorePluginOptions
+): EdgeCurrencyPlugin {
+  return makeEosBasedPlugin(opts, telosCurrencyInfo, telosChainId)
+}
+
+export function makeWaxPlugin(opts: EdgeCorePluginOptions): EdgeCurrencyPlugin {
+  return makeEosBasedPlugin(opts, waxCurrencyInfo, waxChainId)
+}
@@ -65,3 +65,87 @@ export const EosTransactionSuperNodeSchema = {
 //     }
 //   }
 // }
+
+const EosResourceLimitSchema = {
+  type: 'object',
+  properties: {
+    used: { type: 'number' },
+    available: { type: 'number' },
+    max: { type: 'number' }
+  },
+  required: ['used', 'available', 'max']
+}
+
+export const EosAccountResourcesSchema = {
+  type: 'object',
+  properties: {
+    cpu_limit: EosResourceLimitSchema,
+    net_limit: EosResourceLimitSchema,
+    ram_quota: { type: 'number' },
+    ram_usage: { type: 'number' }
+  },
+  required: ['cpu_limit', 'net_limit', 'ram_quota', 'ram_usage']
+}
+
+export const EosRamMarketSchema = {
+  type: 'object',
+  properties: {
+    rows: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          base: {
+            type: 'object',
+            properties: { balance: { type: 'string' } },
+            required: ['balance']
+          },
+          quote: {
+            type: 'object',
+            properties: { balance: { type: 'string' } },
+            required: ['balance']
+          }
+        },
+        required: ['base', 'quote']
+      }
+    }
+  },
+  required: ['rows']
+}
+
+export const EosAccountPermissionsSchema = {
+  type: 'object',
+  properties: {
+    permissions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          perm_name: { type: 'string' },
+          parent: { type: 'string' },
+          required_auth: {
+            type: 'object',
+            properties: {
+              threshold: { type: 'number' },
+              keys: { type: 'array' },
+              accounts: { type: 'array' },
+              waits: { type: 'array' }
+            },
+            required: ['threshold', 'keys', 'accounts']
+          }
+        },
+        required: ['perm_name', 'parent', 'required_auth']
+      }
+    }
+  },
+  required: ['permissions']
+}
+
+// Tokens are identified by their symbol and the contract account issuing it:
+export const EosTokenIdSchema = {
+  type: 'object',
+  properties: {
+    contractAddress: { type: 'string', pattern: '^[a-z1-5.]{0,11}[a-z1-5]$' }
+  },
+  required: ['contractAddress']
+}
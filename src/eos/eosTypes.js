@@ -4,12 +4,14 @@
 // @flow
 
 export type EosSettings = {
+  eosActivationServers: Array<string>,
   eosHyperionNodes: Array<string>,
   eosNodes: Array<string>
 }
 
 export type EosTransactionSuperNode = {
   act: {
+    account?: string,
     data: {
       from: string,
       to: string,
@@ -73,8 +75,70 @@ export type EosAction = {
 
 export type EosParams = {}
 
+export type EosResourceLimit = {
+  used: number,
+  available: number,
+  max: number
+}
+
+// CPU and NET are in microseconds and bytes, RAM is in bytes,
+// and staked or refunding amounts are native EOS amounts:
+export type EosResources = {
+  cpu: EosResourceLimit,
+  net: EosResourceLimit,
+  ram: { used: number, quota: number },
+  staked: { cpu: string, net: string },
+  refund: { cpu: string, net: string, requestTime: string } | null
+}
+
+// Progress of a paid account activation:
+export type EosActivation = {
+  state: 'none' | 'quoted' | 'paid' | 'created',
+  requestedAccountName?: string,
+  quote?: Object
+}
+
+// One node of an account's permission tree:
+export type EosPermission = {
+  name: string,
+  parent: string,
+  threshold: number,
+  keys: Array<{ key: string, weight: number }>,
+  accounts: Array<{ actor: string, permission: string, weight: number }>,
+  waits: Array<{ wait_sec: number, weight: number }>
+}
+
+// Keys that have replaced the ones in the wallet's original key set:
+export type EosRotatedKeys = {
+  eosKey?: string,
+  publicKey?: string,
+  eosOwnerKey?: string,
+  ownerPublicKey?: string
+}
+
+// What the encrypted disklet keeps about rotations. Pending ones are
+// keyed by their new public key, and take over once they broadcast:
+export type EosKeyRotations = {
+  keys: EosRotatedKeys,
+  pending: { [publicKey: string]: EosRotatedKeys }
+}
+
+// A token as the chain identifies it, by contract account and symbol:
+export type EosTokenId = {
+  contract: string,
+  symbol: string
+}
+
+// The highest blocks the history queries for one token have seen:
+export type EosHistoryHeights = {
+  incoming: number,
+  outgoing: number
+}
+
 export type EosWalletOtherData = {
   accountName: string,
-  lastQueryActionSeq: number,
-  highestTxHeight: number
+  // Keyed by `contract:symbol`:
+  historyHeights: { [tokenKey: string]: EosHistoryHeights },
+  resources: EosResources | null,
+  activation: EosActivation
 }
@@ -0,0 +1,51 @@
+/* global */
+// @flow
+
+import { type EdgeCurrencyInfo } from 'edge-core-js/types'
+
+import { imageServerUrl } from '../common/utils'
+import { type EosSettings } from './eosTypes.js'
+
+export const chainId =
+  '4667b205c6838ef70ff7988f6e8257e8be0e1284a2f59699054a018f743b1d11'
+
+const otherSettings: EosSettings = {
+  // No activation server sells TLOS accounts yet:
+  eosActivationServers: [],
+  eosHyperionNodes: ['https://telos.caleos.io', 'https://mainnet.telos.net'],
+  eosNodes: [
+    'https://telos.greymass.com',
+    'https://api.telos.kitchen',
+    'https://telos.caleos.io',
+    'https://mainnet.telos.net',
+    'https://telos.eosphere.io'
+  ]
+}
+
+const defaultSettings: any = {
+  otherSettings
+}
+
+export const currencyInfo: EdgeCurrencyInfo = {
+  // Basic currency information:
+  currencyCode: 'TLOS',
+  displayName: 'Telos',
+  pluginName: 'telos',
+  walletType: 'wallet:telos',
+
+  defaultSettings,
+
+  addressExplorer: 'https://telos.bloks.io/account/%s',
+  transactionExplorer: 'https://telos.bloks.io/transaction/%s',
+
+  denominations: [
+    {
+      name: 'TLOS',
+      multiplier: '10000',
+      symbol: 'T'
+    }
+  ],
+  symbolImage: `${imageServerUrl}/telos-logo-solo-64.png`,
+  symbolImageDarkMono: `${imageServerUrl}/telos-logo-solo-64.png`,
+  metaTokens: []
+}
@@ -0,0 +1,55 @@
+/* global */
+// @flow
+
+import { type EdgeCurrencyInfo } from 'edge-core-js/types'
+
+import { imageServerUrl } from '../common/utils'
+import { type EosSettings } from './eosTypes.js'
+
+export const chainId =
+  '1064487b3cd1a897ce03ae5b6a865651747e2e152090f99c1d19d44e01aea5a4'
+
+const otherSettings: EosSettings = {
+  // No activation server sells WAX accounts yet:
+  eosActivationServers: [],
+  eosHyperionNodes: [
+    'https://api.waxsweden.org',
+    'https://wax.eosphere.io',
+    'https://wax.eosrio.io'
+  ],
+  eosNodes: [
+    'https://wax.greymass.com',
+    'https://api.waxsweden.org',
+    'https://wax.eosphere.io',
+    'https://wax.cryptolions.io',
+    'https://wax.eosrio.io'
+  ]
+}
+
+const defaultSettings: any = {
+  otherSettings
+}
+
+export const currencyInfo: EdgeCurrencyInfo = {
+  // Basic currency information:
+  currencyCode: 'WAX',
+  displayName: 'WAX',
+  pluginName: 'wax',
+  walletType: 'wallet:wax',
+
+  defaultSettings,
+
+  addressExplorer: 'https://wax.bloks.io/account/%s',
+  transactionExplorer: 'https://wax.bloks.io/transaction/%s',
+
+  denominations: [
+    {
+      name: 'WAX',
+      multiplier: '100000000',
+      symbol: 'W'
+    }
+  ],
+  symbolImage: `${imageServerUrl}/wax-logo-solo-64.png`,
+  symbolImageDarkMono: `${imageServerUrl}/wax-logo-solo-64.png`,
+  metaTokens: []
+}
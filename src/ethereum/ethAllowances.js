@@ -0,0 +1,65 @@
+// @flow
+
+import { decodeUint, encodeCall } from '../common/contractCalls.js'
+import { type EthCall } from '../common/nameService.js'
+import { type EtherscanLog } from './ethTypes.js'
+
+// keccak256('Approval(address,address,uint256)'):
+export const APPROVAL_TOPIC =
+  '0x8c5be1e5ebec7d5bd14f71427d1e84f3dd0314c0f7b2291e5b200ac8c7c3b925'
+
+// Log topics hold addresses padded out to 32 bytes:
+export function addressToTopic(address: string): string {
+  return (
+    '0x' +
+    address
+      .replace('0x', '')
+      .toLowerCase()
+      .padStart(64, '0')
+  )
+}
+
+function topicToAddress(topic: string): string {
+  return '0x' + topic.slice(-40).toLowerCase()
+}
+
+/**
+ * Pulls the token and spender out of an `Approval` log.
+ * Returns null for logs that aren't ERC-20 approvals,
+ * such as ERC-721 approvals, which index the token id too.
+ */
+export function parseApprovalLog(
+  log: EtherscanLog
+): { contractAddress: string, spender: string } | null {
+  const { address, topics } = log
+  if (topics.length !== 3 || topics[0] !== APPROVAL_TOPIC) return null
+  return {
+    contractAddress: address.toLowerCase(),
+    spender: topicToAddress(topics[2])
+  }
+}
+
+/**
+ * Asks a token contract how much the spender may still move
+ * on the owner's behalf.
+ */
+export async function getAllowance(
+  ethCall: EthCall,
+  contractAddress: string,
+  owner: string,
+  spender: string
+): Promise<string> {
+  const result = await ethCall(
+    contractAddress,
+    encodeCall('allowance(address,address)', owner, spender)
+  )
+  return decodeUint(result)
+}
+
+/**
+ * Builds the `approve` call data, which revokes an allowance
+ * when the amount is 0.
+ */
+export function makeApproveData(spender: string, amount: string): string {
+  return encodeCall('approve(address,uint256)', spender, amount)
+}
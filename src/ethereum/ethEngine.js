@@ -3,9 +3,12 @@
  */
 // @flow
 
+import Common from '@ethereumjs/common'
+import { FeeMarketEIP1559Transaction } from '@ethereumjs/tx'
 import { bns } from 'biggystring'
 import {
   type EdgeCurrencyEngineOptions,
+  type EdgeMetaToken,
   type EdgeSpendInfo,
   type EdgeTransaction,
   type EdgeWalletInfo,
@@ -16,7 +19,14 @@ import EthereumTx from 'ethereumjs-tx'
 import EthereumUtil from 'ethereumjs-util'
 import ethWallet from 'ethereumjs-wallet'
 
+import { encodeSpendContractCall } from '../common/contractCalls.js'
 import { CurrencyEngine } from '../common/engine.js'
+import {
+  makeReplacementTx,
+  markReplacedTransaction,
+  mergeLocalParams
+} from '../common/replacementTx.js'
+import { SenderNames } from '../common/senderNames.js'
 import {
   addHexPrefix,
   asyncWaterfall,
@@ -26,9 +36,16 @@ import {
   toHex,
   validateObject
 } from '../common/utils.js'
+import { makeApproveData } from './ethAllowances.js'
 import { currencyInfo } from './ethInfo.js'
 import { calcMiningFee } from './ethMiningFees.js'
-import { EthereumNetwork } from './ethNetwork'
+import {
+  type NftUpdate,
+  type TokenDiscovery,
+  EthereumNetwork
+} from './ethNetwork'
+import { getNftKey, makeNftTransferData } from './ethNfts.js'
+import { EthereumNonceManager } from './ethNonces.js'
 import { EthereumPlugin } from './ethPlugin.js'
 import {
   EthGasStationSchema,
@@ -36,9 +53,13 @@ import {
   SuperEthGetUnconfirmedTransactions
 } from './ethSchema.js'
 import {
+  type EthereumAllowance,
   type EthereumFee,
   type EthereumFeesGasPrice,
   type EthereumInitOptions,
+  type EthereumNft,
+  type EthereumNftTransfer,
+  type EthereumSuggestedToken,
   type EthereumTxOtherParams,
   type EthereumWalletOtherData
 } from './ethTypes.js'
@@ -47,11 +68,16 @@ const PRIMARY_CURRENCY = currencyInfo.currencyCode
 const UNCONFIRMED_TRANSACTION_POLL_MILLISECONDS = 3000
 const NETWORKFEES_POLL_MILLISECONDS = 60 * 10 * 1000 // 10 minutes
 const WEI_MULTIPLIER = 100000000
+const CHAIN_ID = 1 // Mainnet
 
 export class EthereumEngine extends CurrencyEngine {
   otherData: EthereumWalletOtherData
   initOptions: EthereumInitOptions
   ethNetwork: EthereumNetwork
+  nonceManager: EthereumNonceManager
+  ethereumPlugin: EthereumPlugin
+  senderNames: SenderNames
+  otherMethods: Object
 
   constructor(
     currencyPlugin: EthereumPlugin,
@@ -66,8 +92,246 @@ export class EthereumEngine extends CurrencyEngine {
       }
     }
     this.currencyPlugin = currencyPlugin
+    this.ethereumPlugin = currencyPlugin
     this.initOptions = initOptions
     this.ethNetwork = new EthereumNetwork(this)
+    this.nonceManager = new EthereumNonceManager(this)
+    this.senderNames = new SenderNames(this, address =>
+      currencyPlugin.reverseLookup(address)
+    )
+
+    this.otherMethods = {
+      ...this.otherMethods,
+
+      // NFTs the wallet currently holds:
+      getNfts: async (): Promise<Array<EthereumNft>> =>
+        Object.keys(this.otherData.nfts).map(key => this.otherData.nfts[key]),
+
+      // Token approvals the wallet has granted and not yet used up:
+      getAllowances: async (): Promise<Array<EthereumAllowance>> => {
+        const allowances = await this.ethNetwork.fetchAllowances()
+        for (const allowance of allowances) {
+          const metaToken = this.getTokenInfoByContract(
+            allowance.contractAddress
+          )
+          if (metaToken != null) allowance.currencyCode = metaToken.currencyCode
+        }
+        return allowances
+      },
+
+      // Builds an `approve(spender, 0)` transaction to sign and broadcast:
+      makeRevokeAllowanceSpend: async (params: {
+        contractAddress: string,
+        spender: string,
+        networkFeeOption?: $PropertyType<EdgeSpendInfo, 'networkFeeOption'>
+      }): Promise<EdgeTransaction> => {
+        const { contractAddress, spender, networkFeeOption } = params
+        const edgeSpendInfo: EdgeSpendInfo = {
+          currencyCode: PRIMARY_CURRENCY,
+          spendTargets: [
+            {
+              publicAddress: contractAddress,
+              nativeAmount: '0',
+              otherParams: { data: makeApproveData(spender, '0') }
+            }
+          ]
+        }
+        if (networkFeeOption != null) {
+          edgeSpendInfo.networkFeeOption = networkFeeOption
+        }
+        return this.makeSpend(edgeSpendInfo)
+      },
+
+      // Replacements for a stuck send, reusing its nonce with a higher fee:
+      makeSpeedUpTx: async (
+        edgeTransaction: EdgeTransaction
+      ): Promise<EdgeTransaction> =>
+        this.makeReplacementTx(edgeTransaction, false),
+      makeCancelTx: async (
+        edgeTransaction: EdgeTransaction
+      ): Promise<EdgeTransaction> =>
+        this.makeReplacementTx(edgeTransaction, true),
+
+      // Frees the nonce of a signed send the app decided not to broadcast:
+      abandonTx: async (edgeTransaction: EdgeTransaction): Promise<void> => {
+        const { nonce } = edgeTransaction.otherParams || {}
+        if (nonce != null) {
+          this.nonceManager.abandonNonce(nonce, edgeTransaction.txid)
+        }
+      },
+
+      // Unknown tokens the wallet holds, ready for `addCustomToken`:
+      getSuggestedTokens: async (): Promise<Array<EthereumSuggestedToken>> =>
+        Object.keys(this.otherData.suggestedTokens)
+          .map(key => this.otherData.suggestedTokens[key])
+          .filter(
+            suggestion =>
+              this.getTokenInfoByContract(suggestion.contractAddress) == null &&
+              !this.isCurrencyCodeTaken(suggestion.currencyCode)
+          ),
+
+      dismissSuggestedToken: async (contractAddress: string): Promise<void> => {
+        delete this.otherData.suggestedTokens[contractAddress.toLowerCase()]
+        this.walletLocalDataDirty = true
+      },
+
+      // Nonces that keep later sends from confirming:
+      getNonceGaps: async (): Promise<Array<string>> =>
+        this.nonceManager.getNonceGaps(),
+
+      // Builds a transaction for the lowest gap, to sign and broadcast:
+      repairNonceGap: async (): Promise<EdgeTransaction | null> =>
+        this.repairNonceGap()
+    }
+  }
+
+  // Labels incoming transactions with the sender's ENS name, if any:
+  addTransaction(
+    currencyCode: string,
+    edgeTransaction: EdgeTransaction,
+    lastSeenTime?: number
+  ) {
+    this.senderNames.label(edgeTransaction)
+
+    // The regular transaction queries don't know about NFTs,
+    // so keep any transfers we already found:
+    const idx = this.findTransaction(
+      currencyCode,
+      normalizeAddress(edgeTransaction.txid)
+    )
+    if (idx !== -1 && edgeTransaction.otherParams != null) {
+      const localTx = this.transactionList[currencyCode][idx]
+      const { otherParams = {} } = localTx
+      if (
+        otherParams.nftTransfers != null &&
+        edgeTransaction.otherParams.nftTransfers == null
+      ) {
+        edgeTransaction.otherParams.nftTransfers = otherParams.nftTransfers
+      }
+      if (!mergeLocalParams(localTx, edgeTransaction)) return
+    }
+    super.addTransaction(currencyCode, edgeTransaction, lastSeenTime)
+  }
+
+  // NFT transfers move no ETH, but they still belong in the history:
+  isSpamTransaction(edgeTransaction: EdgeTransaction): boolean {
+    const { otherParams = {} } = edgeTransaction
+    if (otherParams.nftTransfers != null) return false
+    return super.isSpamTransaction(edgeTransaction)
+  }
+
+  getTokenInfoByContract(contractAddress: string): EdgeMetaToken | void {
+    const address = normalizeAddress(contractAddress)
+    return this.allTokens.find(
+      metaToken =>
+        metaToken.contractAddress != null &&
+        normalizeAddress(metaToken.contractAddress) === address
+    )
+  }
+
+  // Whether a token already goes by this code, which would make
+  // a suggested token with the same symbol ambiguous:
+  isCurrencyCodeTaken(currencyCode: string): boolean {
+    return (
+      currencyCode === PRIMARY_CURRENCY ||
+      this.allTokens.some(metaToken => metaToken.currencyCode === currencyCode)
+    )
+  }
+
+  processTokenDiscovery(tokenDiscovery: TokenDiscovery) {
+    const { knownTokens, suggestedTokens, emptyTokens } = tokenDiscovery
+    if (knownTokens.length > 0) {
+      this.log(`Found tokens ${knownTokens.join(', ')}`)
+      this.enableTokensSync(knownTokens)
+    }
+    for (const suggestion of suggestedTokens) {
+      this.otherData.suggestedTokens[suggestion.contractAddress] = suggestion
+    }
+    for (const contractAddress of emptyTokens) {
+      delete this.otherData.suggestedTokens[contractAddress]
+    }
+    this.walletLocalDataDirty = true
+  }
+
+  processNftUpdate(nftUpdate: NftUpdate) {
+    const { nfts, transfers } = nftUpdate
+    for (const nft of nfts) {
+      const key = getNftKey(nft.contractAddress, nft.tokenId)
+      if (bns.gt(nft.balance, '0')) {
+        this.otherData.nfts[key] = nft
+      } else {
+        delete this.otherData.nfts[key]
+      }
+    }
+
+    // Group the transfers by the transaction that made them:
+    const txs: { [txid: string]: Array<Object> } = {}
+    for (const { standard, transfer } of transfers) {
+      const txid = addHexPrefix(transfer.hash).toLowerCase()
+      if (txs[txid] == null) txs[txid] = []
+      txs[txid].push({ standard, transfer })
+    }
+
+    const address = normalizeAddress(this.walletLocalData.publicKey)
+    for (const txid of Object.keys(txs)) {
+      const nftTransfers: Array<EthereumNftTransfer> = txs[txid].map(
+        ({ standard, transfer }) => ({
+          contractAddress: transfer.contractAddress.toLowerCase(),
+          tokenId: transfer.tokenID,
+          standard,
+          amount: transfer.tokenValue != null ? transfer.tokenValue : '1',
+          from: transfer.from,
+          to: transfer.to
+        })
+      )
+
+      const idx = this.findTransaction(PRIMARY_CURRENCY, normalizeAddress(txid))
+      if (idx !== -1) {
+        const edgeTransaction = this.transactionList[PRIMARY_CURRENCY][idx]
+        const { otherParams = {} } = edgeTransaction
+        if (
+          JSON.stringify(otherParams.nftTransfers) !==
+          JSON.stringify(nftTransfers)
+        ) {
+          edgeTransaction.otherParams = { ...otherParams, nftTransfers }
+          this.transactionListDirty = true
+          this.transactionsChangedArray.push(edgeTransaction)
+        }
+        continue
+      }
+
+      // We didn't see this transaction, so somebody else must have paid for it,
+      // unless the regular transaction queries just haven't caught up:
+      const { transfer } = txs[txid][0]
+      const outgoing = normalizeAddress(transfer.from) === address
+      const networkFee =
+        outgoing && transfer.gasPrice != null && transfer.gasUsed != null
+          ? bns.mul(transfer.gasPrice, transfer.gasUsed)
+          : '0'
+      const otherParams: EthereumTxOtherParams = {
+        from: [transfer.from],
+        to: [transfer.to],
+        gas: '0',
+        gasPrice: transfer.gasPrice != null ? transfer.gasPrice : '0',
+        gasUsed: transfer.gasUsed != null ? transfer.gasUsed : '0',
+        errorVal: 0,
+        tokenRecipientAddress: null,
+        nftTransfers
+      }
+      const edgeTransaction: EdgeTransaction = {
+        txid,
+        date: parseInt(transfer.timeStamp),
+        currencyCode: PRIMARY_CURRENCY,
+        blockHeight: parseInt(transfer.blockNumber),
+        nativeAmount: bns.mul(networkFee, '-1'),
+        networkFee,
+        ourReceiveAddresses: outgoing ? [] : [address],
+        signedTx: '',
+        otherParams
+      }
+      this.addTransaction(PRIMARY_CURRENCY, edgeTransaction)
+    }
+    this.walletLocalDataDirty = true
   }
 
   updateBalance(tk: string, balance: string) {
@@ -269,7 +533,105 @@ export class EthereumEngine extends CurrencyEngine {
   async clearBlockchainCache() {
     await super.clearBlockchainCache()
     this.otherData.nextNonce = '0'
-    this.otherData.unconfirmedNextNonce = '0'
+    this.otherData.pendingNonce = '0'
+    this.otherData.nonceReservations = {}
+    this.otherData.nfts = {}
+    this.otherData.nftQueryHeight = 0
+    this.otherData.suggestedTokens = {}
+    this.otherData.tokenDiscoveryHeight = 0
+  }
+
+  async makeReplacementTx(
+    edgeTransaction: EdgeTransaction,
+    cancel: boolean
+  ): Promise<EdgeTransaction> {
+    const current = calcMiningFee(
+      {
+        currencyCode: PRIMARY_CURRENCY,
+        networkFeeOption: 'high',
+        spendTargets: [
+          { publicAddress: this.walletLocalData.publicKey, nativeAmount: '0' }
+        ]
+      },
+      this.otherData.networkFees,
+      this.otherData.feeMarket
+    )
+    return makeReplacementTx(
+      this,
+      edgeTransaction,
+      cancel,
+      current,
+      this.otherData.networkFees.default.gasLimit.regularTransaction
+    )
+  }
+
+  /**
+   * If the transaction holding the lowest gap is still around,
+   * re-sends it with a higher fee. Otherwise, fills the gap
+   * with an empty send to ourselves.
+   */
+  async repairNonceGap(): Promise<EdgeTransaction | null> {
+    const [nonce] = this.nonceManager.getNonceGaps()
+    if (nonce == null) return null
+
+    const reservation = this.otherData.nonceReservations[nonce]
+    if (reservation != null && reservation.txid != null) {
+      const txid = normalizeAddress(reservation.txid)
+      for (const currencyCode of Object.keys(this.transactionList)) {
+        const idx = this.findTransaction(currencyCode, txid)
+        if (idx === -1) continue
+        const edgeTransaction = this.transactionList[currencyCode][idx]
+        if (edgeTransaction.blockHeight === 0) {
+          return this.makeReplacementTx(edgeTransaction, false)
+        }
+      }
+    }
+
+    const publicKey = this.walletLocalData.publicKey
+    const { gasPrice, maxFeePerGas, maxPriorityFeePerGas } = calcMiningFee(
+      {
+        currencyCode: PRIMARY_CURRENCY,
+        networkFeeOption: 'high',
+        spendTargets: [{ publicAddress: publicKey, nativeAmount: '0' }]
+      },
+      this.otherData.networkFees,
+      this.otherData.feeMarket
+    )
+    const gasLimit = this.otherData.networkFees.default.gasLimit
+      .regularTransaction
+    const otherParams: EthereumTxOtherParams = {
+      from: [publicKey],
+      to: [publicKey],
+      gas: gasLimit,
+      gasPrice,
+      gasUsed: '0',
+      cumulativeGasUsed: '0',
+      errorVal: 0,
+      tokenRecipientAddress: null,
+      data: null,
+      nonce
+    }
+    if (maxFeePerGas != null && maxPriorityFeePerGas != null) {
+      otherParams.maxFeePerGas = maxFeePerGas
+      otherParams.maxPriorityFeePerGas = maxPriorityFeePerGas
+    }
+    const networkFee = bns.mul(gasPrice, gasLimit)
+    const maxNetworkFee =
+      maxFeePerGas != null ? bns.mul(maxFeePerGas, gasLimit) : networkFee
+    const balanceEth = this.walletLocalData.totalBalances[PRIMARY_CURRENCY]
+    if (bns.gt(maxNetworkFee, balanceEth)) throw new InsufficientFundsError()
+
+    return {
+      txid: '',
+      date: 0,
+      currencyCode: PRIMARY_CURRENCY,
+      blockHeight: 0,
+      nativeAmount: bns.mul(networkFee, '-1'),
+      networkFee,
+      ourReceiveAddresses: [],
+      signedTx: '',
+      otherParams
+    }
   }
 
   // ****************************************************************************
@@ -309,24 +671,83 @@ export class EthereumEngine extends CurrencyEngine {
       throw new TypeError('Invalid Ethereum address')
     }
 
-    const data =
+    let data =
       spendTarget.otherParams != null ? spendTarget.otherParams.data : undefined
 
+    // NFTs go out through the contract's `safeTransferFrom`:
+    let nft: EthereumNft | void
+    let nftTransfers: Array<EthereumNftTransfer> | void
+    if (spendTarget.otherParams != null && spendTarget.otherParams.nft) {
+      if (currencyCode !== PRIMARY_CURRENCY) {
+        throw new Error('Error: NFTs can only be sent from the ETH wallet')
+      }
+      const {
+        contractAddress,
+        tokenId,
+        amount = '1'
+      } = spendTarget.otherParams.nft
+      nft = this.otherData.nfts[getNftKey(contractAddress, tokenId)]
+      if (nft == null || bns.gt(amount, nft.balance)) {
+        throw new InsufficientFundsError()
+      }
+      const from = this.walletLocalData.publicKey
+      data = makeNftTransferData(
+        nft.standard,
+        from,
+        publicAddress,
+        tokenId,
+        amount
+      )
+      nftTransfers = [
+        {
+          contractAddress: nft.contractAddress,
+          tokenId,
+          standard: nft.standard,
+          amount,
+          from: normalizeAddress(from),
+          to: normalizeAddress(publicAddress)
+        }
+      ]
+    }
+
+    // Contract calls described by an ABI, rather than raw calldata:
+    const encoded = encodeSpendContractCall(spendTarget, data)
+    const { contractCall } = encoded
+    data = encoded.data
+    if (contractCall != null && currencyCode !== PRIMARY_CURRENCY) {
+      throw new Error('Error: contract calls must be sent from the ETH wallet')
+    }
+
     let otherParams: Object = {}
 
     const miningFees = calcMiningFee(
       edgeSpendInfo,
-      this.walletLocalData.otherData.networkFees
+      this.walletLocalData.otherData.networkFees,
+      this.walletLocalData.otherData.feeMarket
     )
-    const { gasPrice, useDefaults } = miningFees
+    const {
+      gasPrice,
+      maxFeePerGas,
+      maxPriorityFeePerGas,
+      useDefaults
+    } = miningFees
     let { gasLimit } = miningFees
     let nativeAmount = edgeSpendInfo.spendTargets[0].nativeAmount
+    // The recipient gets the NFT, not ETH:
+    if (nft != null) nativeAmount = '0'
+    const txTo = nft != null ? nft.contractAddress : publicAddress
     if (currencyCode === PRIMARY_CURRENCY && useDefaults) {
-      const estimateGasParams = {
-        to: publicAddress,
+      const estimateGasParams: Object = {
+        to: txTo,
         gas: '0xffffff',
         value: bns.add(nativeAmount, '0', 16)
       }
+      if (data != null) {
+        // Contract calls cost more than plain sends if estimation fails:
+        gasLimit = this.otherData.networkFees.default.gasLimit.tokenTransaction
+        estimateGasParams.from = this.walletLocalData.publicKey
+        estimateGasParams.data = data
+      }
       try {
         const funcs = []
         funcs.push(async () => {
@@ -345,15 +766,19 @@ export class EthereumEngine extends CurrencyEngine {
     if (currencyCode === PRIMARY_CURRENCY) {
       const ethParams: EthereumTxOtherParams = {
         from: [this.walletLocalData.publicKey],
-        to: [publicAddress],
+        to: [txTo],
         gas: gasLimit,
         gasPrice: gasPrice,
         gasUsed: '0',
         cumulativeGasUsed: '0',
         errorVal: 0,
         tokenRecipientAddress: null,
-        data: data
+        data: data,
+        maxFeePerGas,
+        maxPriorityFeePerGas
       }
+      if (nftTransfers != null) ethParams.nftTransfers = nftTransfers
+      if (contractCall != null) ethParams.contractCall = contractCall
       otherParams = ethParams
     } else {
       let contractAddress = ''
@@ -379,7 +804,9 @@ export class EthereumEngine extends CurrencyEngine {
         cumulativeGasUsed: '0',
         errorVal: 0,
         tokenRecipientAddress: publicAddress,
-        data: data
+        data: data,
+        maxFeePerGas,
+        maxPriorityFeePerGas
       }
       otherParams = ethParams
     }
@@ -392,16 +819,21 @@ export class EthereumEngine extends CurrencyEngine {
     let totalTxAmount = '0'
     let parentNetworkFee = null
 
+    // The network requires a balance covering the highest possible fee,
+    // even though only the actual fee gets charged:
+    const maxNetworkFee =
+      maxFeePerGas != null ? bns.mul(maxFeePerGas, gasLimit) : nativeNetworkFee
+
     if (currencyCode === PRIMARY_CURRENCY) {
       totalTxAmount = bns.add(nativeNetworkFee, nativeAmount)
-      if (bns.gt(totalTxAmount, balanceEth)) {
+      if (bns.gt(bns.add(maxNetworkFee, nativeAmount), balanceEth)) {
         throw new InsufficientFundsError()
       }
       nativeAmount = bns.mul(totalTxAmount, '-1')
     } else {
       parentNetworkFee = nativeNetworkFee
 
-      if (bns.gt(nativeNetworkFee, balanceEth)) {
+      if (bns.gt(maxNetworkFee, balanceEth)) {
         throw new InsufficientFundsError('Insufficient ETH for transaction fee')
       }
       const balanceToken = this.walletLocalData.totalBalances[currencyCode]
@@ -451,42 +883,10 @@ export class EthereumEngine extends CurrencyEngine {
       nativeAmountHex = bns.mul('-1', edgeTransaction.nativeAmount, 16)
     }
 
-    let nonceHex
-    // Use an unconfirmed nonce if
-    // 1. We have unconfirmed spending txs in the transaction list
-    // 2. It is greater than the confirmed nonce
-    // 3. Is no more than 5 higher than confirmed nonce
-    if (
-      this.walletLocalData.numUnconfirmedSpendTxs &&
-      bns.gt(
-        this.walletLocalData.otherData.unconfirmedNextNonce,
-        this.walletLocalData.otherData.nextNonce
-      )
-    ) {
-      const diff = bns.sub(
-        this.walletLocalData.otherData.unconfirmedNextNonce,
-        this.walletLocalData.otherData.nextNonce
-      )
-      if (bns.lte(diff, '5')) {
-        nonceHex = toHex(this.walletLocalData.otherData.unconfirmedNextNonce)
-        this.walletLocalData.otherData.unconfirmedNextNonce = bns.add(
-          this.walletLocalData.otherData.unconfirmedNextNonce,
-          '1'
-        )
-        this.walletLocalDataDirty = true
-      } else {
-        const e = new Error('Excessive pending spend transactions')
-        e.name = 'ErrorExcessivePendingSpends'
-        throw e
-      }
-    }
-    if (!nonceHex) {
-      nonceHex = toHex(this.walletLocalData.otherData.nextNonce)
-      this.walletLocalData.otherData.unconfirmedNextNonce = bns.add(
-        this.walletLocalData.otherData.nextNonce,
-        '1'
-      )
-    }
+    // Replacements reuse the nonce of the transaction they replace:
+    let { nonce } = edgeTransaction.otherParams
+    if (nonce == null) nonce = this.nonceManager.reserveNonce()
+    const nonceHex = toHex(nonce)
 
     let data
     if (edgeTransaction.otherParams.data != null) {
@@ -503,28 +903,50 @@ export class EthereumEngine extends CurrencyEngine {
       nativeAmountHex = '0x00'
     }
 
-    const txParams = {
-      nonce: nonceHex,
-      gasPrice: gasPriceHex,
-      gasLimit: gasLimitHex,
-      to: edgeTransaction.otherParams.to[0],
-      value: nativeAmountHex,
-      data: data,
-      // EIP 155 chainId - mainnet: 1, ropsten: 3
-      chainId: 1
-    }
-
     const privKey = Buffer.from(this.walletInfo.keys.ethereumKey, 'hex')
     const wallet = ethWallet.fromPrivateKey(privKey)
 
     this.log(wallet.getAddressString())
 
-    this.log('signTx txParams', txParams)
-    const tx = new EthereumTx(txParams)
-    tx.sign(privKey)
+    const { maxFeePerGas, maxPriorityFeePerGas } = edgeTransaction.otherParams
+    let tx
+    if (maxFeePerGas != null && maxPriorityFeePerGas != null) {
+      // EIP-1559 (type 2) transaction
+      const txParams = {
+        nonce: nonceHex,
+        maxFeePerGas: toHex(maxFeePerGas),
+        maxPriorityFeePerGas: toHex(maxPriorityFeePerGas),
+        gasLimit: gasLimitHex,
+        to: edgeTransaction.otherParams.to[0],
+        value: nativeAmountHex,
+        data: data !== '' ? data : undefined
+      }
+      this.log('signTx txParams', txParams)
+      const common = new Common({ chain: CHAIN_ID, hardfork: 'london' })
+      const unsignedTx = FeeMarketEIP1559Transaction.fromTxData(txParams, {
+        common
+      })
+      tx = unsignedTx.sign(privKey)
+    } else {
+      const txParams = {
+        nonce: nonceHex,
+        gasPrice: gasPriceHex,
+        gasLimit: gasLimitHex,
+        to: edgeTransaction.otherParams.to[0],
+        value: nativeAmountHex,
+        data: data,
+        // EIP 155 chainId - mainnet: 1, ropsten: 3
+        chainId: CHAIN_ID
+      }
+      this.log('signTx txParams', txParams)
+      tx = new EthereumTx(txParams)
+      tx.sign(privKey)
+    }
 
+    edgeTransaction.otherParams.nonce = nonce
     edgeTransaction.signedTx = bufToHex(tx.serialize())
     edgeTransaction.txid = bufToHex(tx.hash())
+    this.nonceManager.assignTxid(nonce, edgeTransaction.txid)
     edgeTransaction.date = Date.now() / 1000
 
     return edgeTransaction
@@ -533,15 +955,37 @@ export class EthereumEngine extends CurrencyEngine {
   async broadcastTx(
     edgeTransaction: EdgeTransaction
   ): Promise<EdgeTransaction> {
-    const result = await this.ethNetwork.multicastServers(
-      'broadcastTx',
-      edgeTransaction
-    )
+    const { nonce, replacesTxid } = edgeTransaction.otherParams
+    // A newer send has taken over the nonce this one was signed with:
+    if (
+      nonce != null &&
+      !this.nonceManager.holdsNonce(nonce, edgeTransaction.txid)
+    ) {
+      throw new Error('ErrorNonceReused')
+    }
+    let result
+    try {
+      result = await this.ethNetwork.multicastServers(
+        'broadcastTx',
+        edgeTransaction
+      )
+    } catch (e) {
+      // Let the next send have the nonce, unless the original still holds it:
+      if (nonce != null && replacesTxid == null) {
+        this.nonceManager.releaseNonce(nonce)
+      }
+      throw e
+    }
+    if (nonce != null) this.nonceManager.markBroadcast(nonce)
 
     // Success
     this.log(`SUCCESS broadcastTx\n${JSON.stringify(result)}`)
     this.log('edgeTransaction = ', edgeTransaction)
 
+    if (replacesTxid != null) {
+      markReplacedTransaction(this, replacesTxid, edgeTransaction.txid)
+    }
+
     return edgeTransaction
   }
 
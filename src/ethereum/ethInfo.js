@@ -22,7 +22,8 @@ const otherSettings: EthereumSettings = {
     AGLD: true
   },
   blockchairApiServers: ['https://api.blockchair.com'],
-  alethioApiServers: ['https://api.aleth.io/v1']
+  alethioApiServers: ['https://api.aleth.io/v1'],
+  nameServiceRegistry: '0x00000000000C2E074eC69A0dFb2997BA6C7d2e1e' // ENS
 }
 
 const defaultSettings: any = {
@@ -10,6 +10,8 @@ import { normalizeAddress } from '../common/utils.js'
 import type {
   EthereumCalcedFees,
   EthereumFee,
+  EthereumFeeHistory,
+  EthereumFeeMarket,
   EthereumFees
 } from './ethTypes.js'
 
@@ -18,9 +20,88 @@ export const ES_FEE_STANDARD = 'standard'
 export const ES_FEE_HIGH = 'high'
 export const ES_FEE_CUSTOM = 'custom'
 
+// Reward percentiles requested from eth_feeHistory for low, standard & high
+export const FEE_HISTORY_PERCENTILES = [10, 50, 90]
+const MIN_PRIORITY_FEE = '100000000' // 0.1 gwei
+
+// Leave room for the base fee to double before the transaction is priced out
+const BASE_FEE_MULTIPLIER = '2'
+
+function median(values: Array<string>): string {
+  const sorted = values.slice(0).sort((a, b) => {
+    if (bns.lt(a, b)) return -1
+    if (bns.gt(a, b)) return 1
+    return 0
+  })
+  return sorted[Math.floor(sorted.length / 2)]
+}
+
+/**
+ * Turns an eth_feeHistory result into the base fee of the next block
+ * and the miner tips to use for each fee option.
+ */
+export function calcFeeMarket(
+  feeHistory: EthereumFeeHistory
+): EthereumFeeMarket {
+  const { baseFeePerGas, reward } = feeHistory
+  if (baseFeePerGas.length === 0 || reward.length === 0) {
+    throw new Error('ErrorInvalidFeeHistory')
+  }
+
+  // The last entry is the base fee of the block after the newest one
+  const nextBaseFee = bns.add(baseFeePerGas[baseFeePerGas.length - 1], '0')
+
+  const priorityFees = FEE_HISTORY_PERCENTILES.map((percentile, i) => {
+    const fee = median(
+      reward.map(blockRewards => bns.add(blockRewards[i], '0'))
+    )
+    return bns.lt(fee, MIN_PRIORITY_FEE) ? MIN_PRIORITY_FEE : fee
+  })
+  let [lowPriorityFee, standardPriorityFee, highPriorityFee] = priorityFees
+
+  // Correct inconsistencies
+  if (bns.lt(standardPriorityFee, lowPriorityFee)) {
+    standardPriorityFee = lowPriorityFee
+  }
+  if (bns.lt(highPriorityFee, standardPriorityFee)) {
+    highPriorityFee = standardPriorityFee
+  }
+
+  return {
+    baseFeePerGas: nextBaseFee,
+    lowPriorityFee,
+    standardPriorityFee,
+    highPriorityFee
+  }
+}
+
+function calcFeeMarketFees(
+  feeMarket: EthereumFeeMarket,
+  maxPriorityFeePerGas: string,
+  maxFeePerGas?: string
+) {
+  const { baseFeePerGas } = feeMarket
+  if (maxFeePerGas == null) {
+    maxFeePerGas = bns.add(
+      bns.mul(baseFeePerGas, BASE_FEE_MULTIPLIER),
+      maxPriorityFeePerGas
+    )
+  }
+  if (bns.gt(maxPriorityFeePerGas, maxFeePerGas)) {
+    maxPriorityFeePerGas = maxFeePerGas
+  }
+
+  // The price we expect to actually pay, since the rest gets refunded
+  let gasPrice = bns.add(baseFeePerGas, maxPriorityFeePerGas)
+  if (bns.gt(gasPrice, maxFeePerGas)) gasPrice = maxFeePerGas
+
+  return { gasPrice, maxFeePerGas, maxPriorityFeePerGas }
+}
+
 export function calcMiningFee(
   spendInfo: EdgeSpendInfo,
-  networkFees: EthereumFees
+  networkFees: EthereumFees,
+  feeMarket?: EthereumFeeMarket | null
 ): EthereumCalcedFees {
   let useDefaults = true
   if (
@@ -38,6 +119,19 @@ export function calcMiningFee(
         gasPrice &&
         bns.gt(gasPrice, '0')
       ) {
+        if (feeMarket != null) {
+          // The custom gas price is the most the user is willing to pay
+          const { maxPriorityFeePerGas } = customNetworkFee
+          const priorityFee =
+            maxPriorityFeePerGas != null && bns.gt(maxPriorityFeePerGas, '0')
+              ? bns.mul(maxPriorityFeePerGas, '1000000000')
+              : feeMarket.standardPriorityFee
+          return {
+            gasLimit,
+            ...calcFeeMarketFees(feeMarket, priorityFee, gasPriceGwei),
+            useDefaults: false
+          }
+        }
         return { gasLimit, gasPrice: gasPriceGwei, useDefaults: false }
       }
     }
@@ -130,6 +224,22 @@ export function calcMiningFee(
       default:
         throw new Error(`Invalid networkFeeOption`)
     }
+
+    if (feeMarket != null) {
+      let priorityFee = feeMarket.standardPriorityFee
+      if (networkFeeOption === ES_FEE_LOW) {
+        priorityFee = feeMarket.lowPriorityFee
+      } else if (networkFeeOption === ES_FEE_HIGH) {
+        priorityFee = feeMarket.highPriorityFee
+      }
+      const out: EthereumCalcedFees = {
+        gasLimit,
+        ...calcFeeMarketFees(feeMarket, priorityFee),
+        useDefaults
+      }
+      return out
+    }
+
     const out: EthereumCalcedFees = { gasLimit, gasPrice, useDefaults }
     return out
   } else {
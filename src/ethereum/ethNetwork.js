@@ -1,6 +1,7 @@
 import { bns } from 'biggystring'
-import type { EdgeTransaction } from 'edge-core-js/src/types/types'
+import type { EdgeIo, EdgeTransaction } from 'edge-core-js/src/types/types'
 
+import { type EthCall } from '../common/nameService.js'
 import {
   asyncWaterfall,
   isHex,
@@ -8,10 +9,19 @@ import {
   promiseAny,
   shuffleArray,
   snooze,
+  toHex,
   validateObject
 } from '../common/utils'
+import {
+  addressToTopic,
+  APPROVAL_TOPIC,
+  getAllowance,
+  parseApprovalLog
+} from './ethAllowances.js'
 import { EthereumEngine } from './ethEngine'
 import { currencyInfo } from './ethInfo'
+import { calcFeeMarket, FEE_HISTORY_PERCENTILES } from './ethMiningFees'
+import { getNftBalance, getNftKey, getNftMetadataUri } from './ethNfts.js'
 import {
   AlethioAccountsTokenTransferSchema,
   AlethioAccountsTxSchema,
@@ -20,13 +30,23 @@ import {
   EtherscanGetAccountBalance,
   EtherscanGetAccountNonce,
   EtherscanGetBlockHeight,
+  EtherscanGetLogs,
+  EtherscanGetNftTransfers,
   EtherscanGetTokenTransactions,
-  EtherscanGetTransactions
+  EtherscanGetTransactions,
+  EthFeeHistorySchema
 } from './ethSchema'
+import { getTokenBalance, getTokenDetails } from './ethTokens.js'
 import type {
   AlethioTokenTransfer,
   AlethioTransaction,
+  EthereumAllowance,
+  EthereumFeeMarket,
+  EthereumNft,
+  EthereumNftStandard,
+  EthereumSuggestedToken,
   EthereumTxOtherParams,
+  EtherscanNftTransfer,
   EtherscanTransaction
 } from './ethTypes'
 
@@ -34,6 +54,10 @@ const BLOCKHEIGHT_POLL_MILLISECONDS = 20000
 const NONCE_POLL_MILLISECONDS = 20000
 const BAL_POLL_MILLISECONDS = 20000
 const TXS_POLL_MILLISECONDS = 20000
+const FEE_MARKET_POLL_MILLISECONDS = 30000
+const TOKEN_DISCOVERY_POLL_MILLISECONDS = 5 * 60 * 1000
+
+const FEE_HISTORY_BLOCK_COUNT = 20
 
 const ADDRESS_QUERY_LOOKBACK_BLOCKS = 4 * 2 // ~ 2 minutes
 const NUM_TRANSACTIONS_TO_QUERY = 50
@@ -42,8 +66,11 @@ const PRIMARY_CURRENCY = currencyInfo.currencyCode
 type EthereumNeeds = {
   blockHeightLastChecked: number,
   nonceLastChecked: number,
+  feeMarketLastChecked: number,
   tokenBalLastChecked: { [currencyCode: string]: number },
-  tokenTxsLastChecked: { [currencyCode: string]: number }
+  tokenTxsLastChecked: { [currencyCode: string]: number },
+  nftTxsLastChecked: number,
+  tokenDiscoveryLastChecked: number
 }
 
 type EdgeTransactionsBlockHeightTuple = {
@@ -51,11 +78,35 @@ type EdgeTransactionsBlockHeightTuple = {
   edgeTransactions: Array<EdgeTransaction>
 }
 
+export type NftTransferRecord = {
+  standard: EthereumNftStandard,
+  transfer: EtherscanNftTransfer
+}
+
+// NFT transfers since the last check, along with the current state
+// of every NFT they touched:
+export type NftUpdate = {
+  transfers: Array<NftTransferRecord>,
+  nfts: Array<EthereumNft>
+}
+
+// Tokens with a balance, found by scanning the wallet's token transfers,
+// along with the earlier suggestions the wallet no longer holds:
+export type TokenDiscovery = {
+  knownTokens: Array<string>,
+  suggestedTokens: Array<EthereumSuggestedToken>,
+  emptyTokens: Array<string>
+}
+
 type EthereumNetworkUpdate = {
   blockHeight?: number,
-  nonce?: number,
+  nonce?: string,
+  pendingNonce?: string,
+  feeMarket?: EthereumFeeMarket,
   tokenBal?: { [currencyCode: string]: string },
   tokenTxs?: { [currencyCode: string]: EdgeTransactionsBlockHeightTuple },
+  nftUpdate?: NftUpdate,
+  tokenDiscovery?: TokenDiscovery,
   server: string
 }
 
@@ -65,8 +116,12 @@ type EthFunction =
   | 'eth_getTransactionCount'
   | 'eth_getBalance'
   | 'eth_estimateGas'
+  | 'eth_feeHistory'
   | 'getTokenBalance'
   | 'getTransactions'
+  | 'getNftTransfers'
+  | 'getApprovalLogs'
+  | 'eth_call'
 
 type BroadcastResults = {
   incrementNonce: boolean,
@@ -81,6 +136,133 @@ async function broadcastWrapper(promise: Promise<Object>, server: string) {
   return out
 }
 
+// The fetchers take their io and API keys directly,
+// so the plugin can use them before any engine exists:
+
+async function fetchGet(
+  io: EdgeIo,
+  initOptions: Object,
+  url: string,
+  _options: Object = {}
+) {
+  const options = { ..._options }
+  options.method = 'GET'
+  const response = await io.fetch(url, options)
+  if (!response.ok) {
+    const {
+      blockcypherApiKey,
+      etherscanApiKey,
+      infuraProjectId,
+      blockchairApiKey
+    } = initOptions
+    if (typeof etherscanApiKey === 'string')
+      url = url.replace(etherscanApiKey, 'private')
+    if (Array.isArray(etherscanApiKey)) {
+      for (const key of etherscanApiKey) {
+        url = url.replace(key, 'private')
+      }
+    }
+    if (blockcypherApiKey) url = url.replace(blockcypherApiKey, 'private')
+    if (infuraProjectId) url = url.replace(infuraProjectId, 'private')
+    if (blockchairApiKey) url = url.replace(blockchairApiKey, 'private')
+    throw new Error(
+      `The server returned error code ${response.status} for ${url}`
+    )
+  }
+  return response.json()
+}
+
+async function fetchGetEtherscan(
+  io: EdgeIo,
+  initOptions: Object,
+  server: string,
+  cmd: string
+) {
+  const { etherscanApiKey } = initOptions
+  const chosenKey = Array.isArray(etherscanApiKey)
+    ? pickRandom(etherscanApiKey, 1)[0]
+    : etherscanApiKey
+  const apiKey =
+    chosenKey && chosenKey.length > 5 && server.includes('etherscan')
+      ? '&apikey=' + chosenKey
+      : ''
+
+  const url = `${server}/api${cmd}${apiKey}`
+  return fetchGet(io, initOptions, url)
+}
+
+async function fetchPostInfura(
+  io: EdgeIo,
+  initOptions: Object,
+  method: string,
+  params: Object
+) {
+  const { infuraProjectId } = initOptions
+  if (!infuraProjectId || infuraProjectId.length < 6) {
+    throw new Error('Need Infura Project ID')
+  }
+  const url = `https://mainnet.infura.io/v3/${infuraProjectId}`
+  const body = {
+    id: 1,
+    jsonrpc: '2.0',
+    method,
+    params
+  }
+  const response = await io.fetch(url, {
+    headers: {
+      Accept: 'application/json',
+      'Content-Type': 'application/json'
+    },
+    method: 'POST',
+    body: JSON.stringify(body)
+  })
+  const jsonObj = await response.json()
+  return jsonObj
+}
+
+// Etherscan's proxy and Infura can both run a read-only `eth_call`:
+function makeEthCallFuncs(
+  io: EdgeIo,
+  initOptions: Object,
+  to: string,
+  data: string
+): Array<() => Promise<Object>> {
+  const cmd = `?module=proxy&action=eth_call&to=${to}&data=${data}&tag=latest`
+  const funcs = currencyInfo.defaultSettings.otherSettings.etherscanApiServers
+    .filter(server => server.includes('etherscan'))
+    .map(server => async () => {
+      const result = await fetchGetEtherscan(io, initOptions, server, cmd)
+      if (typeof result.result !== 'string' || !/^0x/.test(result.result)) {
+        throw new Error(`Invalid return value eth_call in ${server}`)
+      }
+      return { server, result }
+    })
+  funcs.push(async () => {
+    const result = await fetchPostInfura(io, initOptions, 'eth_call', [
+      { to, data },
+      'latest'
+    ])
+    if (result.error != null) {
+      throw new Error(`Infura eth_call error ${result.error.message}`)
+    }
+    return { server: 'infura', result }
+  })
+  return shuffleArray(funcs)
+}
+
+/**
+ * Makes read-only contract calls through the engine's servers,
+ * for the plugin's name lookups.
+ */
+export function makeEthCall(io: EdgeIo, initOptions: Object): EthCall {
+  return async (to: string, data: string) => {
+    const out = await asyncWaterfall(
+      makeEthCallFuncs(io, initOptions, to, data)
+    )
+    return out.result.result
+  }
+}
+
 export class EthereumNetwork {
   ethNeeds: EthereumNeeds
   constructor(ethEngine: EthereumEngine) {
@@ -88,21 +270,28 @@ export class EthereumNetwork {
     this.ethNeeds = {
       blockHeightLastChecked: 0,
       nonceLastChecked: 0,
+      feeMarketLastChecked: 0,
       tokenBalLastChecked: {},
-      tokenTxsLastChecked: {}
+      tokenTxsLastChecked: {},
+      nftTxsLastChecked: 0,
+      tokenDiscoveryLastChecked: 0
     }
 
     this.fetchGetEtherscan = this.fetchGetEtherscan.bind(this)
     this.fetchPostInfura = this.fetchPostInfura.bind(this)
+    this.ethCall = this.ethCall.bind(this)
     this.multicastServers = this.multicastServers.bind(this)
     this.checkBlockHeightEthscan = this.checkBlockHeightEthscan.bind(this)
     this.checkBlockHeightBlockchair = this.checkBlockHeightBlockchair.bind(this)
     this.checkBlockHeight = this.checkBlockHeight.bind(this)
     this.checkNonce = this.checkNonce.bind(this)
+    this.checkFeeMarket = this.checkFeeMarket.bind(this)
     this.checkTxs = this.checkTxs.bind(this)
     this.checkTokenBalEthscan = this.checkTokenBalEthscan.bind(this)
     this.checkTokenBalBlockchair = this.checkTokenBalBlockchair.bind(this)
     this.checkTokenBal = this.checkTokenBal.bind(this)
+    this.checkNftTxs = this.checkNftTxs.bind(this)
+    this.checkTokenDiscovery = this.checkTokenDiscovery.bind(this)
     this.processEthereumNetworkUpdate = this.processEthereumNetworkUpdate.bind(
       this
     )
@@ -150,7 +339,8 @@ export class EthereumNetwork {
       gasUsed: tx.gasUsed,
       cumulativeGasUsed: tx.cumulativeGasUsed,
       errorVal: parseInt(tx.isError),
-      tokenRecipientAddress: null
+      tokenRecipientAddress: null,
+      nonce: tx.nonce
     }
 
     let blockHeight = parseInt(tx.blockNumber)
@@ -253,69 +443,24 @@ export class EthereumNetwork {
   }
 
   async fetchGet(url: string, _options: Object = {}) {
-    const options = { ..._options }
-    options.method = 'GET'
-    const response = await this.ethEngine.io.fetch(url, options)
-    if (!response.ok) {
-      const {
-        blockcypherApiKey,
-        etherscanApiKey,
-        infuraProjectId,
-        blockchairApiKey
-      } = this.ethEngine.initOptions
-      if (typeof etherscanApiKey === 'string')
-        url = url.replace(etherscanApiKey, 'private')
-      if (Array.isArray(etherscanApiKey)) {
-        for (const key of etherscanApiKey) {
-          url = url.replace(key, 'private')
-        }
-      }
-      if (blockcypherApiKey) url = url.replace(blockcypherApiKey, 'private')
-      if (infuraProjectId) url = url.replace(infuraProjectId, 'private')
-      if (blockchairApiKey) url = url.replace(blockchairApiKey, 'private')
-      throw new Error(
-        `The server returned error code ${response.status} for ${url}`
-      )
-    }
-    return response.json()
+    const { io, initOptions } = this.ethEngine
+    return fetchGet(io, initOptions, url, _options)
   }
 
   async fetchGetEtherscan(server: string, cmd: string) {
-    const { etherscanApiKey } = this.ethEngine.initOptions
-    const chosenKey = Array.isArray(etherscanApiKey)
-      ? pickRandom(etherscanApiKey, 1)[0]
-      : etherscanApiKey
-    const apiKey =
-      chosenKey && chosenKey.length > 5 && server.includes('etherscan')
-        ? '&apikey=' + chosenKey
-        : ''
-
-    const url = `${server}/api${cmd}${apiKey}`
-    return this.fetchGet(url)
+    const { io, initOptions } = this.ethEngine
+    return fetchGetEtherscan(io, initOptions, server, cmd)
   }
 
   async fetchPostInfura(method: string, params: Object) {
-    const { infuraProjectId } = this.ethEngine.initOptions
-    if (!infuraProjectId || infuraProjectId.length < 6) {
-      throw new Error('Need Infura Project ID')
-    }
-    const url = `https://mainnet.infura.io/v3/${infuraProjectId}`
-    const body = {
-      id: 1,
-      jsonrpc: '2.0',
-      method,
-      params
-    }
-    const response = await this.ethEngine.io.fetch(url, {
-      headers: {
-        Accept: 'application/json',
-        'Content-Type': 'application/json'
-      },
-      method: 'POST',
-      body: JSON.stringify(body)
-    })
-    const jsonObj = await response.json()
-    return jsonObj
+    const { io, initOptions } = this.ethEngine
+    return fetchPostInfura(io, initOptions, method, params)
+  }
+
+  // For the NFT, allowance and token lookups, which take a plain `EthCall`:
+  async ethCall(to: string, data: string): Promise<string> {
+    const result = await this.multicastServers('eth_call', to, data)
+    return result.result
   }
 
   async fetchPostBlockcypher(cmd: string, body: any) {
@@ -480,6 +625,14 @@ export class EthereumNetwork {
         break
       }
 
+      case 'eth_call': {
+        const { io, initOptions } = this.ethEngine
+        out = await asyncWaterfall(
+          makeEthCallFuncs(io, initOptions, params[0], params[1])
+        )
+        break
+      }
+
       case 'eth_blockNumber':
         funcs = this.ethEngine.currencyInfo.defaultSettings.otherSettings.etherscanApiServers.map(
           server => async () => {
@@ -522,10 +675,29 @@ export class EthereumNetwork {
         out = await asyncWaterfall(funcs)
         break
 
+      case 'eth_feeHistory':
+        funcs = []
+        funcs2 = async () => {
+          const result = await this.fetchPostInfura('eth_feeHistory', [
+            params[0],
+            'latest',
+            params[1]
+          ])
+          if (typeof result.error !== 'undefined') {
+            throw new Error(
+              `Infura eth_feeHistory error ${result.error.message}`
+            )
+          }
+          return { server: 'infura', result }
+        }
+        funcs.push(funcs2)
+        out = await asyncWaterfall(funcs)
+        break
+
       case 'eth_getTransactionCount':
         url = `?module=proxy&action=eth_getTransactionCount&address=${
           params[0]
-        }&tag=latest`
+        }&tag=${params[1] || 'latest'}`
         funcs = this.ethEngine.currencyInfo.defaultSettings.otherSettings.etherscanApiServers.map(
           server => async () => {
             if (!server.includes('etherscan')) {
@@ -545,7 +717,7 @@ export class EthereumNetwork {
         funcs2 = async () => {
           const result = await this.fetchPostInfura('eth_getTransactionCount', [
             params[0],
-            'latest'
+            params[1] || 'latest'
           ])
           return { server: 'infura', result }
         }
@@ -616,6 +788,9 @@ export class EthereumNetwork {
         let startUrl
         if (currencyCode === 'ETH') {
           startUrl = `?action=txlist&module=account`
+        } else if (contractAddress === '') {
+          // Transfers of every token:
+          startUrl = `?action=tokentx&module=account`
         } else {
           startUrl = `?action=tokentx&contractaddress=${contractAddress}&module=account`
         }
@@ -639,6 +814,56 @@ export class EthereumNetwork {
         out = await asyncWaterfall(funcs)
         break
       }
+      case 'getNftTransfers': {
+        const { action, address, startBlock, page, offset } = params[0]
+        url = `?action=${action}&module=account&address=${address}&startblock=${startBlock}&endblock=999999999&sort=asc&page=${page}&offset=${offset}`
+        funcs = this.ethEngine.currencyInfo.defaultSettings.otherSettings.etherscanApiServers.map(
+          server => async () => {
+            const result = await this.fetchGetEtherscan(server, url)
+            if (
+              typeof result.result !== 'object' ||
+              typeof result.result.length !== 'number'
+            ) {
+              const msg = `Invalid return value getNftTransfers in ${server}`
+              this.ethEngine.log(msg)
+              throw new Error(msg)
+            }
+            return { server, result }
+          }
+        )
+        // Randomize array
+        funcs = shuffleArray(funcs)
+        out = await asyncWaterfall(funcs)
+        break
+      }
+      case 'getApprovalLogs': {
+        const { owner, page, offset } = params[0]
+        url = `?module=logs&action=getLogs&fromBlock=0&toBlock=latest&topic0=${APPROVAL_TOPIC}&topic0_1_opr=and&topic1=${addressToTopic(
+          owner
+        )}&page=${page}&offset=${offset}`
+        funcs = this.ethEngine.currencyInfo.defaultSettings.otherSettings.etherscanApiServers.map(
+          server => async () => {
+            const result = await this.fetchGetEtherscan(server, url)
+            // Etherscan reports an empty log list as an error:
+            if (result.status === '0' && /no records/i.test(result.message)) {
+              return { server, result: { ...result, result: [] } }
+            }
+            if (
+              typeof result.result !== 'object' ||
+              typeof result.result.length !== 'number'
+            ) {
+              const msg = `Invalid return value getApprovalLogs in ${server}`
+              this.ethEngine.log(msg)
+              throw new Error(msg)
+            }
+            return { server, result }
+          }
+        )
+        // Randomize array
+        funcs = shuffleArray(funcs)
+        out = await asyncWaterfall(funcs)
+        break
+      }
     }
 
     return out
@@ -688,7 +913,22 @@ export class EthereumNetwork {
       const valid = validateObject(jsonObj, EtherscanGetAccountNonce)
       if (valid) {
         const nonce = bns.add('0', jsonObj.result)
-        return { nonce, server }
+
+        // The pending count includes the mempool, which reveals nonce gaps:
+        let pendingNonce
+        try {
+          const pending = await this.multicastServers(
+            'eth_getTransactionCount',
+            address,
+            'pending'
+          )
+          if (validateObject(pending.result, EtherscanGetAccountNonce)) {
+            pendingNonce = bns.add('0', pending.result.result)
+          }
+        } catch (err) {
+          this.ethEngine.log('Error fetching pending nonce: ' + err)
+        }
+        return { nonce, pendingNonce, server }
       }
     } catch (err) {
       this.ethEngine.log('Error fetching height: ' + err)
@@ -696,6 +936,24 @@ export class EthereumNetwork {
     return {}
   }
 
+  async checkFeeMarket(): Promise<EthereumNetworkUpdate> {
+    try {
+      const { result: jsonObj, server } = await this.multicastServers(
+        'eth_feeHistory',
+        toHex(FEE_HISTORY_BLOCK_COUNT.toString()),
+        FEE_HISTORY_PERCENTILES
+      )
+      const valid = validateObject(jsonObj, EthFeeHistorySchema)
+      if (valid) {
+        const feeMarket = calcFeeMarket(jsonObj.result)
+        return { feeMarket, server }
+      }
+    } catch (err) {
+      this.ethEngine.log('Error fetching fee history: ' + err)
+    }
+    return {}
+  }
+
   async checkTxsEthscan(
     startBlock: number,
     currencyCode: string
@@ -967,6 +1225,258 @@ export class EthereumNetwork {
     })
   }
 
+  async checkNftTxsEthscan(startBlock: number): Promise<EthereumNetworkUpdate> {
+    const address = this.ethEngine.walletLocalData.publicKey
+    const transfers: Array<NftTransferRecord> = []
+    let server
+    const actions = [
+      { standard: 'erc721', action: 'tokennfttx' },
+      { standard: 'erc1155', action: 'token1155tx' }
+    ]
+    for (const { standard, action } of actions) {
+      let page = 1
+      while (1) {
+        const offset = NUM_TRANSACTIONS_TO_QUERY
+        const response = await this.multicastServers('getNftTransfers', {
+          action,
+          address,
+          startBlock,
+          page,
+          offset
+        })
+        server = response.server
+        const jsonObj = response.result
+        if (!validateObject(jsonObj, EtherscanGetNftTransfers)) {
+          throw new Error(
+            `checkNftTxsEthscan invalid JSON data:${JSON.stringify(jsonObj)}`
+          )
+        }
+        for (const transfer of jsonObj.result) {
+          transfers.push({ standard, transfer })
+        }
+        if (jsonObj.result.length < NUM_TRANSACTIONS_TO_QUERY) break
+        page++
+      }
+    }
+
+    // Transfers only show what moved, so ask the contracts what we still own:
+    const { ethCall } = this
+    const { nfts: knownNfts } = this.ethEngine.otherData
+    const nfts: Array<EthereumNft> = []
+    const checked: { [key: string]: true } = {}
+    for (const { standard, transfer } of transfers) {
+      const { contractAddress, tokenID: tokenId } = transfer
+      const key = getNftKey(contractAddress, tokenId)
+      if (checked[key]) continue
+      checked[key] = true
+
+      const balance = await getNftBalance(
+        ethCall,
+        standard,
+        contractAddress,
+        tokenId,
+        address
+      )
+      let metadataUri = null
+      if (knownNfts[key] != null) {
+        metadataUri = knownNfts[key].metadataUri
+      } else if (bns.gt(balance, '0')) {
+        metadataUri = await getNftMetadataUri(
+          ethCall,
+          standard,
+          contractAddress,
+          tokenId
+        ).catch(() => null)
+      }
+      nfts.push({
+        contractAddress: contractAddress.toLowerCase(),
+        tokenId,
+        standard,
+        balance,
+        name: transfer.tokenName,
+        symbol: transfer.tokenSymbol,
+        metadataUri
+      })
+    }
+
+    return { nftUpdate: { transfers, nfts }, server }
+  }
+
+  /**
+   * Finds every spender the wallet has approved, using the `Approval` logs,
+   * and asks the token contracts which allowances are still open.
+   */
+  async fetchAllowances(): Promise<Array<EthereumAllowance>> {
+    const owner = this.ethEngine.walletLocalData.publicKey
+    const pairs: {
+      [key: string]: { contractAddress: string, spender: string }
+    } = {}
+    let page = 1
+    while (1) {
+      const offset = NUM_TRANSACTIONS_TO_QUERY
+      const response = await this.multicastServers('getApprovalLogs', {
+        owner,
+        page,
+        offset
+      })
+      const jsonObj = response.result
+      if (!validateObject(jsonObj, EtherscanGetLogs)) {
+        throw new Error(
+          `fetchAllowances invalid JSON data:${JSON.stringify(jsonObj)}`
+        )
+      }
+      for (const log of jsonObj.result) {
+        const approval = parseApprovalLog(log)
+        if (approval == null) continue
+        pairs[`${approval.contractAddress}:${approval.spender}`] = approval
+      }
+      if (jsonObj.result.length < NUM_TRANSACTIONS_TO_QUERY) break
+      page++
+    }
+
+    const { ethCall } = this
+    const out: Array<EthereumAllowance> = []
+    for (const key of Object.keys(pairs)) {
+      const { contractAddress, spender } = pairs[key]
+      const allowance = await getAllowance(
+        ethCall,
+        contractAddress,
+        owner,
+        spender
+      )
+      if (bns.gt(allowance, '0')) {
+        out.push({ contractAddress, spender, allowance })
+      }
+    }
+    return out
+  }
+
+  async checkTokenDiscoveryEthscan(
+    startBlock: number
+  ): Promise<EthereumNetworkUpdate> {
+    const address = this.ethEngine.walletLocalData.publicKey
+    const transfers: { [contractAddress: string]: EtherscanTransaction } = {}
+    let server
+    let page = 1
+    while (1) {
+      const offset = NUM_TRANSACTIONS_TO_QUERY
+      const response = await this.multicastServers('getTransactions', {
+        currencyCode: '',
+        address,
+        startBlock,
+        page,
+        offset,
+        contractAddress: ''
+      })
+      server = response.server
+      const jsonObj = response.result
+      if (!validateObject(jsonObj, EtherscanGetTokenTransactions)) {
+        throw new Error(
+          `checkTokenDiscoveryEthscan invalid JSON data:${JSON.stringify(
+            jsonObj
+          )}`
+        )
+      }
+      for (const tx of jsonObj.result) {
+        if (tx.contractAddress == null) continue
+        transfers[tx.contractAddress.toLowerCase()] = tx
+      }
+      if (jsonObj.result.length < NUM_TRANSACTIONS_TO_QUERY) break
+      page++
+    }
+
+    const { ethCall } = this
+    const { suggestedTokens } = this.ethEngine.otherData
+    const knownTokens: Array<string> = []
+    const suggestions: Array<EthereumSuggestedToken> = []
+    for (const contractAddress of Object.keys(transfers)) {
+      const metaToken = this.ethEngine.getTokenInfoByContract(contractAddress)
+      if (
+        (metaToken != null &&
+          this.ethEngine.getTokenStatus(metaToken.currencyCode)) ||
+        suggestedTokens[contractAddress] != null
+      ) {
+        continue
+      }
+
+      const balance = await getTokenBalance(ethCall, contractAddress, address)
+      if (bns.eq(balance, '0')) continue
+      if (metaToken != null) {
+        knownTokens.push(metaToken.currencyCode)
+        continue
+      }
+
+      // Contracts are the better source, but the transfers can fill in:
+      const tx = transfers[contractAddress]
+      const details = await getTokenDetails(ethCall, contractAddress)
+      const symbol = details.symbol || tx.tokenSymbol
+      const name = details.name || tx.tokenName || symbol
+      let { decimals } = details
+      if (decimals == null && tx.tokenDecimal != null) {
+        decimals = parseInt(tx.tokenDecimal)
+      }
+      if (
+        symbol == null ||
+        name == null ||
+        decimals == null ||
+        isNaN(decimals)
+      ) {
+        continue
+      }
+      // Anybody can deploy a token claiming to be USDT:
+      const currencyCode = symbol.toUpperCase()
+      if (this.ethEngine.isCurrencyCodeTaken(currencyCode)) {
+        this.ethEngine.log(
+          `Ignoring token ${contractAddress}, since ${currencyCode} is taken`
+        )
+        continue
+      }
+      suggestions.push({
+        currencyCode,
+        currencyName: name,
+        contractAddress,
+        multiplier: '1' + '0'.repeat(decimals),
+        balance
+      })
+    }
+
+    // Keep the balances we suggested earlier up to date:
+    const emptyTokens: Array<string> = []
+    for (const contractAddress of Object.keys(suggestedTokens)) {
+      const balance = await getTokenBalance(ethCall, contractAddress, address)
+      if (bns.eq(balance, '0')) {
+        emptyTokens.push(contractAddress)
+      } else {
+        suggestions.push({ ...suggestedTokens[contractAddress], balance })
+      }
+    }
+
+    return {
+      tokenDiscovery: {
+        knownTokens,
+        suggestedTokens: suggestions,
+        emptyTokens
+      },
+      server
+    }
+  }
+
+  async checkTokenDiscovery(
+    startBlock: number
+  ): Promise<EthereumNetworkUpdate> {
+    return this.checkTokenDiscoveryEthscan(startBlock).catch(err => {
+      this.ethEngine.log('checkTokenDiscovery failed to update', err)
+      return {}
+    })
+  }
+
+  async checkNftTxs(startBlock: number): Promise<EthereumNetworkUpdate> {
+    return this.checkNftTxsEthscan(startBlock).catch(err => {
+      this.ethEngine.log('checkNftTxs failed to update', err)
+      return {}
+    })
+  }
+
   async checkAndUpdate(
     lastChecked: number = 0,
     pollMillisec: number,
@@ -1006,6 +1516,13 @@ export class EthereumNetwork {
         this.checkNonce
       )
 
+      await this.checkAndUpdate(
+        this.ethNeeds.feeMarketLastChecked,
+        FEE_MARKET_POLL_MILLISECONDS,
+        preUpdateBlockHeight,
+        this.checkFeeMarket
+      )
+
       for (const tk of this.ethEngine.walletLocalData.enabledTokens) {
         await this.checkAndUpdate(
           this.ethNeeds.tokenBalLastChecked[tk],
@@ -1028,6 +1545,30 @@ export class EthereumNetwork {
         )
       }
 
+      await this.checkAndUpdate(
+        this.ethNeeds.nftTxsLastChecked,
+        TXS_POLL_MILLISECONDS,
+        preUpdateBlockHeight,
+        async () =>
+          this.checkNftTxs(
+            this.getQueryHeightWithLookback(
+              this.ethEngine.otherData.nftQueryHeight
+            )
+          )
+      )
+
+      await this.checkAndUpdate(
+        this.ethNeeds.tokenDiscoveryLastChecked,
+        TOKEN_DISCOVERY_POLL_MILLISECONDS,
+        preUpdateBlockHeight,
+        async () =>
+          this.checkTokenDiscovery(
+            this.getQueryHeightWithLookback(
+              this.ethEngine.otherData.tokenDiscoveryHeight
+            )
+          )
+      )
+
       await snooze(1000)
     }
   }
@@ -1060,8 +1601,19 @@ export class EthereumNetwork {
         `ETH processEthereumNetworkUpdate nonce ${ethereumNetworkUpdate.server} won`
       )
       this.ethNeeds.nonceLastChecked = now
-      this.ethEngine.walletLocalData.otherData.nextNonce =
-        ethereumNetworkUpdate.nonce
+      this.ethEngine.nonceManager.reconcile(
+        ethereumNetworkUpdate.nonce,
+        ethereumNetworkUpdate.pendingNonce
+      )
+    }
+
+    if (ethereumNetworkUpdate.feeMarket) {
+      this.ethEngine.log(
+        `ETH processEthereumNetworkUpdate feeMarket ${ethereumNetworkUpdate.server} won`
+      )
+      this.ethNeeds.feeMarketLastChecked = now
+      this.ethEngine.walletLocalData.otherData.feeMarket =
+        ethereumNetworkUpdate.feeMarket
       this.ethEngine.walletLocalDataDirty = true
     }
 
@@ -1096,6 +1648,26 @@ export class EthereumNetwork {
       this.ethEngine.updateOnAddressesChecked()
     }
 
+    if (ethereumNetworkUpdate.nftUpdate) {
+      this.ethEngine.log(
+        `ETH processEthereumNetworkUpdate nftUpdate ${ethereumNetworkUpdate.server} won`
+      )
+      this.ethNeeds.nftTxsLastChecked = now
+      this.ethEngine.processNftUpdate(ethereumNetworkUpdate.nftUpdate)
+      this.ethEngine.otherData.nftQueryHeight = preUpdateBlockHeight
+      this.ethEngine.walletLocalDataDirty = true
+    }
+
+    if (ethereumNetworkUpdate.tokenDiscovery) {
+      this.ethEngine.log(
+        `ETH processEthereumNetworkUpdate tokenDiscovery ${ethereumNetworkUpdate.server} won`
+      )
+      this.ethNeeds.tokenDiscoveryLastChecked = now
+      this.ethEngine.processTokenDiscovery(ethereumNetworkUpdate.tokenDiscovery)
+      this.ethEngine.otherData.tokenDiscoveryHeight = preUpdateBlockHeight
+      this.ethEngine.walletLocalDataDirty = true
+    }
+
     if (this.ethEngine.transactionsChangedArray.length > 0) {
       this.ethEngine.currencyEngineCallbacks.onTransactionsChanged(
         this.ethEngine.transactionsChangedArray
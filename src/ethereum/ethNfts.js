@@ -0,0 +1,101 @@
+// @flow
+
+import { Buffer } from 'buffer'
+import abi from 'ethereumjs-abi'
+
+import { decodeUint, encodeCall } from '../common/contractCalls.js'
+import { type EthCall } from '../common/nameService.js'
+import { hexToBuf, toHex } from '../common/utils.js'
+import { type EthereumNftStandard } from './ethTypes.js'
+
+// Inventory keys, like `0xabc...:1234`:
+export function getNftKey(contractAddress: string, tokenId: string): string {
+  return `${contractAddress.toLowerCase()}:${tokenId}`
+}
+
+/**
+ * Finds how many of an NFT the owner holds.
+ * ERC-721 tokens only have one owner, so their balance is 0 or 1.
+ */
+export async function getNftBalance(
+  ethCall: EthCall,
+  standard: EthereumNftStandard,
+  contractAddress: string,
+  tokenId: string,
+  owner: string
+): Promise<string> {
+  if (standard === 'erc721') {
+    let result
+    try {
+      result = await ethCall(
+        contractAddress,
+        encodeCall('ownerOf(uint256)', tokenId)
+      )
+    } catch (e) {
+      // Burned tokens have no owner, so the call reverts:
+      if (/revert/i.test(e.message)) return '0'
+      throw e
+    }
+    if (typeof result !== 'string' || result.length < 66) return '0'
+    const holder = '0x' + result.slice(-40).toLowerCase()
+    return holder === owner.toLowerCase() ? '1' : '0'
+  }
+
+  const result = await ethCall(
+    contractAddress,
+    encodeCall('balanceOf(address,uint256)', owner, tokenId)
+  )
+  return decodeUint(result)
+}
+
+/**
+ * Looks up where an NFT's metadata lives, or returns null if the
+ * contract doesn't say.
+ */
+export async function getNftMetadataUri(
+  ethCall: EthCall,
+  standard: EthereumNftStandard,
+  contractAddress: string,
+  tokenId: string
+): Promise<string | null> {
+  const method = standard === 'erc721' ? 'tokenURI(uint256)' : 'uri(uint256)'
+  const result = await ethCall(contractAddress, encodeCall(method, tokenId))
+  if (typeof result !== 'string' || result.length < 130) return null
+  const [uri] = abi.rawDecode(['string'], hexToBuf(result))
+  if (!uri) return null
+
+  // ERC-1155 URIs can hold an `{id}` placeholder for the padded hex id:
+  const hexId = toHex(tokenId)
+    .replace('0x', '')
+    .toLowerCase()
+    .padStart(64, '0')
+  return uri.replace('{id}', hexId)
+}
+
+/**
+ * Builds the `safeTransferFrom` call data for sending an NFT.
+ */
+export function makeNftTransferData(
+  standard: EthereumNftStandard,
+  from: string,
+  to: string,
+  tokenId: string,
+  amount: string = '1'
+): string {
+  if (standard === 'erc721') {
+    return encodeCall(
+      'safeTransferFrom(address,address,uint256)',
+      from,
+      to,
+      tokenId
+    )
+  }
+  return encodeCall(
+    'safeTransferFrom(address,address,uint256,uint256,bytes)',
+    from,
+    to,
+    tokenId,
+    amount,
+    Buffer.alloc(0)
+  )
+}
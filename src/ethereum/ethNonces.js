@@ -0,0 +1,166 @@
+// @flow
+
+import { bns } from 'biggystring'
+
+import { type EthereumNonceReservation } from './ethTypes.js'
+
+// Most transactions we let wait behind the confirmed nonce at once:
+const MAX_PENDING_NONCES = 5
+
+// Reservations for transactions that were signed but never sent:
+const UNSENT_RESERVATION_SECONDS = 10 * 60
+
+// How long the nodes get to report a broadcast as pending:
+const NONCE_GAP_SECONDS = 2 * 60
+
+type NonceManagerEngine = {
+  +otherData: {
+    nextNonce: string,
+    pendingNonce: string,
+    nonceReservations: { [nonce: string]: EthereumNonceReservation }
+  },
+  walletLocalDataDirty: boolean
+}
+
+/**
+ * Hands out nonces for outgoing transactions,
+ * so sends in quick succession don't collide while the nodes catch up.
+ * The reservations live in `otherData`, keyed by decimal nonce.
+ */
+export class EthereumNonceManager {
+  ethEngine: NonceManagerEngine
+
+  constructor(ethEngine: NonceManagerEngine) {
+    this.ethEngine = ethEngine
+  }
+
+  /**
+   * Picks the lowest nonce nobody is using yet,
+   * which can fill a gap left by a failed broadcast.
+   * Signed sends keep their nonce until they go out, get abandoned,
+   * or `reconcile` gives up on them.
+   */
+  reserveNonce(now: number = Date.now() / 1000): string {
+    const {
+      nextNonce,
+      nonceReservations,
+      pendingNonce
+    } = this.ethEngine.otherData
+
+    let nonce = bns.max(nextNonce, pendingNonce)
+    while (nonceReservations[nonce] != null) nonce = bns.add(nonce, '1')
+
+    if (bns.gt(bns.sub(nonce, nextNonce), String(MAX_PENDING_NONCES))) {
+      const e = new Error('Excessive pending spend transactions')
+      e.name = 'ErrorExcessivePendingSpends'
+      throw e
+    }
+
+    nonceReservations[nonce] = {
+      txid: null,
+      reservedAt: now,
+      broadcastAt: null
+    }
+    this.ethEngine.walletLocalDataDirty = true
+    return nonce
+  }
+
+  // Records which signed transaction holds a nonce:
+  assignTxid(nonce: string, txid: string, now: number = Date.now() / 1000) {
+    const { nonceReservations } = this.ethEngine.otherData
+    if (nonceReservations[nonce] != null) {
+      nonceReservations[nonce].txid = txid
+    } else {
+      nonceReservations[nonce] = { txid, reservedAt: now, broadcastAt: null }
+    }
+    this.ethEngine.walletLocalDataDirty = true
+  }
+
+  // False once a newer send has taken over the transaction's nonce,
+  // which happens if it was abandoned or sat unsent for too long:
+  holdsNonce(nonce: string, txid: string): boolean {
+    const reservation = this.ethEngine.otherData.nonceReservations[nonce]
+    return reservation == null || reservation.txid === txid
+  }
+
+  markBroadcast(nonce: string, now: number = Date.now() / 1000) {
+    const reservation = this.ethEngine.otherData.nonceReservations[nonce]
+    if (reservation == null) return
+    reservation.broadcastAt = now
+    this.ethEngine.walletLocalDataDirty = true
+  }
+
+  releaseNonce(nonce: string) {
+    delete this.ethEngine.otherData.nonceReservations[nonce]
+    this.ethEngine.walletLocalDataDirty = true
+  }
+
+  // Gives back the nonce of a signed send that will never go out:
+  abandonNonce(nonce: string, txid: string) {
+    const reservation = this.ethEngine.otherData.nonceReservations[nonce]
+    if (
+      reservation == null ||
+      reservation.txid !== txid ||
+      reservation.broadcastAt != null
+    ) {
+      return
+    }
+    this.releaseNonce(nonce)
+  }
+
+  /**
+   * Updates the counts from the network,
+   * dropping reservations that got mined or were never sent.
+   */
+  reconcile(
+    nextNonce: string,
+    pendingNonce?: string,
+    now: number = Date.now() / 1000
+  ) {
+    const { otherData } = this.ethEngine
+    const { nonceReservations } = otherData
+    otherData.nextNonce = nextNonce
+    otherData.pendingNonce =
+      pendingNonce != null ? bns.max(pendingNonce, nextNonce) : nextNonce
+
+    for (const nonce of Object.keys(nonceReservations)) {
+      const { broadcastAt, reservedAt } = nonceReservations[nonce]
+      if (
+        bns.lt(nonce, nextNonce) ||
+        (broadcastAt == null && now - reservedAt > UNSENT_RESERVATION_SECONDS)
+      ) {
+        delete nonceReservations[nonce]
+      }
+    }
+    this.ethEngine.walletLocalDataDirty = true
+  }
+
+  /**
+   * Finds nonces that hold up later broadcasts. The nodes count pending
+   * transactions up to the first missing nonce, so anything past that count
+   * that has had time to show up never made it into the mempool.
+   */
+  getNonceGaps(now: number = Date.now() / 1000): Array<string> {
+    const { nonceReservations, pendingNonce } = this.ethEngine.otherData
+    let highest
+    for (const nonce of Object.keys(nonceReservations)) {
+      if (nonceReservations[nonce].broadcastAt == null) continue
+      if (highest == null || bns.gt(nonce, highest)) highest = nonce
+    }
+    if (highest == null) return []
+
+    const gaps = []
+    for (let nonce = pendingNonce; bns.lt(nonce, highest); ) {
+      const reservation = nonceReservations[nonce]
+      if (
+        reservation == null ||
+        reservation.broadcastAt == null ||
+        now - reservation.broadcastAt > NONCE_GAP_SECONDS
+      ) {
+        gaps.push(nonce)
+      }
+      nonce = bns.add(nonce, '1')
+    }
+    return gaps
+  }
+}
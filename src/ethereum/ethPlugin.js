@@ -19,10 +19,20 @@ import {
 import EthereumUtil from 'ethereumjs-util'
 import ethWallet from 'ethereumjs-wallet'
 
+import {
+  type EthCall,
+  isNameServiceName,
+  resolveName,
+  reverseLookup,
+  splitEip681Prefix
+} from '../common/nameService.js'
 import { CurrencyPlugin } from '../common/plugin.js'
 import { getDenomInfo, hexToBuf } from '../common/utils.js'
+import { checkFioAddress, FioPlugin } from '../fio/fioPlugin.js'
+import { getFetchJson } from '../react-native-io.js'
 import { EthereumEngine } from './ethEngine.js'
 import { currencyInfo } from './ethInfo.js'
+import { makeEthCall } from './ethNetwork.js'
 
 export { calcMiningFee } from './ethMiningFees.js'
 
@@ -64,8 +74,44 @@ const defaultNetworkFees = {
 }
 
 export class EthereumPlugin extends CurrencyPlugin {
-  constructor(io: EdgeIo) {
+  initOptions: Object
+  fioPlugin: FioPlugin
+  ethCall: EthCall
+
+  constructor(io: EdgeIo, initOptions: Object, fetchJson: Function) {
     super(io, 'ethereum', currencyInfo)
+    this.initOptions = initOptions
+    this.fioPlugin = new FioPlugin(io, fetchJson)
+    this.ethCall = makeEthCall(io, initOptions)
+  }
+
+  // Turns an ENS name or FIO address into an address,
+  // or returns null if the name isn't registered:
+  async resolveName(
+    name: string,
+    currencyCode: string
+  ): Promise<string | null> {
+    try {
+      if (checkFioAddress(name)) {
+        return await this.fioPlugin.getPublicAddress(name, 'ETH', currencyCode)
+      }
+      if (isNameServiceName(name)) {
+        const {
+          nameServiceRegistry
+        } = this.currencyInfo.defaultSettings.otherSettings
+        return await resolveName(this.ethCall, nameServiceRegistry, name)
+      }
+    } catch (e) {
+      this.io.console.info(`Unable to resolve ${name}: ${e.message}`)
+    }
+    return null
+  }
+
+  async reverseLookup(address: string): Promise<string | null> {
+    const {
+      nameServiceRegistry
+    } = this.currencyInfo.defaultSettings.otherSettings
+    return reverseLookup(this.ethCall, nameServiceRegistry, address)
   }
 
   async importPrivateKey(passPhrase: string): Promise<Object> {
@@ -133,14 +179,21 @@ export class EthereumPlugin extends CurrencyPlugin {
       address = edgeParsedUri.publicAddress
     }
 
-    let [prefix, contractAddress] = address.split('-') // Split the address to get the prefix according to EIP-681
-    // If contractAddress is null or undefined it means there is no prefix
-    if (!contractAddress) {
-      contractAddress = prefix // Set the contractAddress to be the prefix when the prefix is missing.
-      prefix = 'pay' // The default prefix according to EIP-681 is "pay"
-    }
+    const { prefix, target: contractAddress } = splitEip681Prefix(address)
     address = contractAddress
-    const valid = EthereumUtil.isValidAddress(address || '')
+    let valid = EthereumUtil.isValidAddress(address || '')
+    if (!valid && prefix === 'pay') {
+      const name = address
+      const resolved = await this.resolveName(name, currencyCode || 'ETH')
+      if (resolved != null && EthereumUtil.isValidAddress(resolved)) {
+        address = resolved
+        edgeParsedUri.publicAddress = resolved
+        // Keep any label from the URI, but fall back on the name:
+        const metadata = edgeParsedUri.metadata || {}
+        edgeParsedUri.metadata = { ...metadata, name: metadata.name || name }
+        valid = true
+      }
+    }
     if (!valid) {
       throw new Error('InvalidPublicAddressError')
     }
@@ -208,11 +261,14 @@ export function makeEthereumPlugin(
   opts: EdgeCorePluginOptions
 ): EdgeCurrencyPlugin {
   const { io, initOptions } = opts
+  const fetchJson = getFetchJson(opts)
 
   let toolsPromise: Promise<EthereumPlugin>
   function makeCurrencyTools(): Promise<EthereumPlugin> {
     if (toolsPromise != null) return toolsPromise
-    toolsPromise = Promise.resolve(new EthereumPlugin(io))
+    toolsPromise = Promise.resolve(
+      new EthereumPlugin(io, initOptions, fetchJson)
+    )
     return toolsPromise
   }
 
@@ -238,12 +294,27 @@ export function makeEthereumPlugin(
     if (!currencyEngine.otherData.nextNonce) {
       currencyEngine.otherData.nextNonce = '0'
     }
-    if (!currencyEngine.otherData.unconfirmedNextNonce) {
-      currencyEngine.otherData.unconfirmedNextNonce = '0'
+    if (!currencyEngine.otherData.pendingNonce) {
+      currencyEngine.otherData.pendingNonce = currencyEngine.otherData.nextNonce
+    }
+    if (!currencyEngine.otherData.nonceReservations) {
+      currencyEngine.otherData.nonceReservations = {}
     }
     if (!currencyEngine.otherData.networkFees) {
       currencyEngine.otherData.networkFees = defaultNetworkFees
     }
+    if (!currencyEngine.otherData.nfts) {
+      currencyEngine.otherData.nfts = {}
+    }
+    if (!currencyEngine.otherData.nftQueryHeight) {
+      currencyEngine.otherData.nftQueryHeight = 0
+    }
+    if (!currencyEngine.otherData.suggestedTokens) {
+      currencyEngine.otherData.suggestedTokens = {}
+    }
+    if (!currencyEngine.otherData.tokenDiscoveryHeight) {
+      currencyEngine.otherData.tokenDiscoveryHeight = 0
+    }
 
     const out: EdgeCurrencyEngine = currencyEngine
     return out
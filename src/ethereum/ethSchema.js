@@ -61,6 +61,64 @@ export const EtherscanGetTransactions = {
   required: ['result']
 }
 
+export const EtherscanGetLogs = {
+  type: 'object',
+  properties: {
+    result: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          address: { type: 'string' },
+          topics: { type: 'array', items: { type: 'string' } },
+          data: { type: 'string' },
+          blockNumber: { type: 'string' },
+          timeStamp: { type: 'string' },
+          transactionHash: { type: 'string' }
+        },
+        required: ['address', 'topics', 'transactionHash']
+      }
+    }
+  },
+  required: ['result']
+}
+
+export const EtherscanGetNftTransfers = {
+  type: 'object',
+  properties: {
+    result: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          blockNumber: { type: 'string' },
+          timeStamp: { type: 'string' },
+          hash: { type: 'string' },
+          from: { type: 'string' },
+          to: { type: 'string' },
+          contractAddress: { type: 'string' },
+          tokenID: { type: 'string' },
+          tokenValue: { type: 'string' },
+          tokenName: { type: 'string' },
+          tokenSymbol: { type: 'string' },
+          gasPrice: { type: 'string' },
+          gasUsed: { type: 'string' }
+        },
+        required: [
+          'blockNumber',
+          'timeStamp',
+          'hash',
+          'from',
+          'to',
+          'contractAddress',
+          'tokenID'
+        ]
+      }
+    }
+  },
+  required: ['result']
+}
+
 export const EtherscanGetTokenTransactions = {
   type: 'object',
   properties: {
@@ -190,6 +248,35 @@ export const NetworkFeesSchema = {
   }
 }
 
+export const EthFeeHistorySchema = {
+  type: 'object',
+  properties: {
+    result: {
+      type: 'object',
+      properties: {
+        oldestBlock: { type: 'string' },
+        baseFeePerGas: {
+          type: 'array',
+          items: { type: 'string' }
+        },
+        gasUsedRatio: {
+          type: 'array',
+          items: { type: 'number' }
+        },
+        reward: {
+          type: 'array',
+          items: {
+            type: 'array',
+            items: { type: 'string' }
+          }
+        }
+      },
+      required: ['oldestBlock', 'baseFeePerGas', 'reward']
+    }
+  },
+  required: ['result']
+}
+
 export const EthGasStationSchema = {
   type: 'object',
   properties: {
@@ -0,0 +1,60 @@
+// @flow
+
+import { Buffer } from 'buffer'
+import abi from 'ethereumjs-abi'
+
+import { decodeUint, encodeCall } from '../common/contractCalls.js'
+import { type EthCall } from '../common/nameService.js'
+import { hexToBuf } from '../common/utils.js'
+
+/**
+ * Reads an ERC-20 balance straight from the contract.
+ */
+export async function getTokenBalance(
+  ethCall: EthCall,
+  contractAddress: string,
+  owner: string
+): Promise<string> {
+  const result = await ethCall(
+    contractAddress,
+    encodeCall('balanceOf(address)', owner)
+  )
+  return decodeUint(result)
+}
+
+/**
+ * Decodes a `name()` or `symbol()` result. Most tokens return a string,
+ * but some early ones, like MKR, return a bytes32 instead.
+ */
+function decodeText(result: string): string | null {
+  if (typeof result !== 'string' || result.length < 66) return null
+  if (result.length === 66) {
+    const text = Buffer.from(result.slice(2), 'hex').toString('utf8')
+    return text.replace(/\0+$/, '') || null
+  }
+  const [text] = abi.rawDecode(['string'], hexToBuf(result))
+  return text || null
+}
+
+/**
+ * Reads a token's name, symbol and decimals from its contract,
+ * leaving out whatever the contract doesn't provide.
+ */
+export async function getTokenDetails(
+  ethCall: EthCall,
+  contractAddress: string
+): Promise<{ name?: string, symbol?: string, decimals?: number }> {
+  const out = {}
+  const read = async (method: string) =>
+    ethCall(contractAddress, encodeCall(method)).catch(() => '0x')
+
+  const name = decodeText(await read('name()'))
+  if (name != null) out.name = name
+  const symbol = decodeText(await read('symbol()'))
+  if (symbol != null) out.symbol = symbol
+  const decimals = await read('decimals()')
+  if (typeof decimals === 'string' && decimals.length >= 66) {
+    out.decimals = parseInt(decimals.slice(0, 66), 16)
+  }
+  return out
+}
@@ -3,6 +3,8 @@
  */
 // @flow
 
+import { type ContractCallSummary } from '../common/contractCalls.js'
+
 export type EthereumInitOptions = {
   blockcypherApiKey?: string,
   etherscanApiKey?: string | Array<string>,
@@ -13,7 +15,8 @@ export type EthereumSettings = {
   etherscanApiServers: Array<string>,
   blockcypherApiServers: Array<string>,
   superethServers: Array<string>,
-  iosAllowedTokens: { [currencyCode: string]: boolean }
+  iosAllowedTokens: { [currencyCode: string]: boolean },
+  nameServiceRegistry: string
 }
 
 type EthereumFeesGasLimit = {
@@ -43,10 +46,31 @@ export type EthereumFees = {
   [address: string]: EthereumFee
 }
 
+export type EthereumFeeMarket = {
+  // Base fee expected for the next block, in wei
+  baseFeePerGas: string,
+
+  // Miner tips for each fee option, in wei
+  lowPriorityFee: string,
+  standardPriorityFee: string,
+  highPriorityFee: string
+}
+
+export type EthereumFeeHistory = {
+  oldestBlock: string,
+  baseFeePerGas: Array<string>,
+  gasUsedRatio: Array<number>,
+  reward: Array<Array<string>>
+}
+
 export type EthereumCalcedFees = {
   gasPrice: string,
   gasLimit: string,
-  useDefaults: boolean
+  useDefaults: boolean,
+
+  // Only present when the network supports EIP-1559 transactions
+  maxFeePerGas?: string,
+  maxPriorityFeePerGas?: string
 }
 
 export type EtherscanTransaction = {
@@ -70,6 +94,60 @@ export type EtherscanTransaction = {
   tokenDecimal?: string
 }
 
+export type EtherscanNftTransfer = {
+  hash: string,
+  blockNumber: string,
+  timeStamp: string,
+  from: string,
+  to: string,
+  contractAddress: string,
+  tokenID: string,
+  tokenValue?: string,
+  tokenName?: string,
+  tokenSymbol?: string,
+  gasPrice?: string,
+  gasUsed?: string
+}
+
+export type EtherscanLog = {
+  address: string,
+  topics: Array<string>,
+  data: string,
+  blockNumber: string,
+  timeStamp: string,
+  transactionHash: string
+}
+
+// A spender's remaining right to move tokens out of the wallet:
+export type EthereumAllowance = {
+  contractAddress: string,
+  currencyCode?: string,
+  spender: string,
+  allowance: string
+}
+
+export type EthereumNftStandard = 'erc721' | 'erc1155'
+
+export type EthereumNft = {
+  contractAddress: string,
+  tokenId: string,
+  standard: EthereumNftStandard,
+  balance: string,
+  name?: string,
+  symbol?: string,
+  metadataUri: string | null
+}
+
+// One NFT movement within a transaction:
+export type EthereumNftTransfer = {
+  contractAddress: string,
+  tokenId: string,
+  standard: EthereumNftStandard,
+  amount: string,
+  from: string,
+  to: string
+}
+
 export type EthereumTxOtherParams = {
   from: Array<string>,
   to: Array<string>,
@@ -79,13 +157,46 @@ export type EthereumTxOtherParams = {
   cumulativeGasUsed?: string,
   errorVal: number,
   tokenRecipientAddress: string | null,
-  data?: string | null
+  data?: string | null,
+  maxFeePerGas?: string,
+  maxPriorityFeePerGas?: string,
+  nftTransfers?: Array<EthereumNftTransfer>,
+  contractCall?: ContractCallSummary,
+  nonce?: string,
+  // Links between a stuck transaction and its speed-up or cancel:
+  replacesTxid?: string,
+  replacedByTxid?: string
+}
+
+// A token found in the wallet's history that isn't in our token list:
+export type EthereumSuggestedToken = {
+  currencyCode: string,
+  currencyName: string,
+  contractAddress: string,
+  multiplier: string,
+  balance: string
+}
+
+// A nonce handed out to an outgoing transaction:
+export type EthereumNonceReservation = {
+  txid: string | null,
+  reservedAt: number,
+  broadcastAt: number | null
 }
 
 export type EthereumWalletOtherData = {
   nextNonce: string,
-  unconfirmedNextNonce: string,
-  networkFees: EthereumFees
+  // The count of confirmed plus mempool transactions, from the nodes:
+  pendingNonce: string,
+  nonceReservations: { [nonce: string]: EthereumNonceReservation },
+  networkFees: EthereumFees,
+  feeMarket?: EthereumFeeMarket | null,
+  // NFTs the wallet holds, keyed by contract address and token id:
+  nfts: { [key: string]: EthereumNft },
+  nftQueryHeight: number,
+  // Unknown tokens found by scanning transfers, keyed by contract address:
+  suggestedTokens: { [contractAddress: string]: EthereumSuggestedToken },
+  tokenDiscoveryHeight: number
 }
 
 export type AlethioTokenTransferAttributes = {
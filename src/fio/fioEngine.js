@@ -1,11 +1,12 @@
-/* eslint-disable no-unused-vars */
 /**
  * Created by paul on 7/7/17.
  */
 // @flow
+/* eslint-disable camelcase */
 
-import { FIOSDK } from '@dapix/react-native-fio'
+import { Fio } from '@dapix/fiojs'
 import { bns } from 'biggystring'
+import { Buffer } from 'buffer'
 import {
   type EdgeCurrencyEngineOptions,
   type EdgeCurrencyTools,
@@ -21,21 +22,71 @@ import { CurrencyEngine } from '../common/engine.js'
 import {
   asyncWaterfall,
   getDenomInfo,
+  normalizeAddress,
   promiseAny,
   validateObject
 } from '../common/utils.js'
-import { checkAddress, FioPlugin } from './fioPlugin.js'
+import {
+  type FioApiFunction,
+  checkAddress,
+  checkFioAddress,
+  checkFioDomain,
+  FioPlugin
+} from './fioPlugin.js'
+import {
+  FioBalanceSchema,
+  FioFeeSchema,
+  FioHistoryActionSchema,
+  FioRequestSchema
+} from './fioSchema.js'
+import {
+  type FioHistoryAction,
+  type FioRequest,
+  type FioRequestContent,
+  type FioWalletOtherData
+} from './fioTypes.js'
 
 const ADDRESS_POLL_MILLISECONDS = 10000
 const BLOCKCHAIN_POLL_MILLISECONDS = 15000
-const TRANSACTION_POLL_MILLISECONDS = 3000
+const TRANSACTION_POLL_MILLISECONDS = 10000
+const HISTORY_PAGE_SIZE = 20
+const REQUEST_PAGE_SIZE = 100
+
+const EXPIRE_SECONDS = 180
+
+const FEE_COLLECTOR = 'fio.treasury'
+
+// The system contract that handles each action we sign:
+const ACTION_CONTRACTS: { [action: string]: string } = {
+  regaddress: 'fio.address',
+  regdomain: 'fio.address',
+  renewaddress: 'fio.address',
+  renewdomain: 'fio.address',
+  newfundsreq: 'fio.reqobt',
+  recordobt: 'fio.reqobt',
+  rejectfndreq: 'fio.reqobt',
+  trnsfiopubky: 'fio.token'
+}
+const TRANSFER_ENDPOINT = 'transfer_tokens_pub_key'
+
+type FioFunction = FioApiFunction | 'getActions' | 'pushTransaction'
+
+// fiojs only needs UTF-8 from these, so React Native,
+// which has no TextEncoder or TextDecoder, can use Buffer instead:
+const textEncoder = {
+  encode: (text: string): Uint8Array =>
+    Uint8Array.from(Buffer.from(text, 'utf8'))
+}
+const textDecoder = {
+  decode: (bytes: Uint8Array): string => Buffer.from(bytes).toString('utf8')
+}
 
 export class FioEngine extends CurrencyEngine {
   fioPlugin: FioPlugin
   activatedAccountsCache: { [publicAddress: string]: boolean }
-  otherData: any
+  otherData: FioWalletOtherData
   otherMethods: Object
-  fioSDK: FIOSDK
+  abiMap: Map<string, Object>
   fetchJson: Function
 
   constructor(
@@ -48,7 +99,180 @@ export class FioEngine extends CurrencyEngine {
     this.fetchJson = fetchJson
     this.fioPlugin = currencyPlugin
     this.activatedAccountsCache = {}
-    this.otherMethods = {}
+    this.abiMap = new Map()
+    this.otherMethods = {
+      ...this.otherMethods,
+      registerFioAddress: async (fioAddress: string) => {
+        if (!checkFioAddress(fioAddress)) {
+          throw new Error('ErrorInvalidFioAddress')
+        }
+        return this.makeFioTransaction('register_fio_address', 'regaddress', {
+          fio_address: fioAddress,
+          owner_fio_public_key: this.walletInfo.keys.publicKey
+        })
+      },
+      renewFioAddress: async (fioAddress: string) => {
+        if (!checkFioAddress(fioAddress)) {
+          throw new Error('ErrorInvalidFioAddress')
+        }
+        return this.makeFioTransaction('renew_fio_address', 'renewaddress', {
+          fio_address: fioAddress
+        })
+      },
+      registerFioDomain: async (fioDomain: string) => {
+        if (!checkFioDomain(fioDomain)) {
+          throw new Error('ErrorInvalidFioDomain')
+        }
+        return this.makeFioTransaction('register_fio_domain', 'regdomain', {
+          fio_domain: fioDomain,
+          owner_fio_public_key: this.walletInfo.keys.publicKey
+        })
+      },
+      renewFioDomain: async (fioDomain: string) => {
+        if (!checkFioDomain(fioDomain)) {
+          throw new Error('ErrorInvalidFioDomain')
+        }
+        return this.makeFioTransaction('renew_fio_domain', 'renewdomain', {
+          fio_domain: fioDomain
+        })
+      },
+
+      // Asks `payerFioAddress` to pay us. The amount is in exchange units,
+      // as the FIO spec requires:
+      requestFunds: async (params: Object) => {
+        const {
+          payerFioAddress,
+          payeeFioAddress,
+          amount,
+          chainCode = 'FIO',
+          tokenCode = chainCode,
+          payeePublicAddress = this.walletInfo.keys.publicKey,
+          memo = null
+        } = params
+        if (!checkFioAddress(payerFioAddress)) {
+          throw new Error('ErrorInvalidFioAddress')
+        }
+        if (!checkFioAddress(payeeFioAddress)) {
+          throw new Error('ErrorInvalidFioAddress')
+        }
+        if (!amount) throw new NoAmountSpecifiedError()
+        const payerPublicKey = await this.fioPlugin.getPublicAddress(
+          payerFioAddress,
+          'FIO'
+        )
+        const content: FioRequestContent = {
+          payee_public_address: payeePublicAddress,
+          amount: String(amount),
+          chain_code: chainCode,
+          token_code: tokenCode,
+          memo,
+          hash: null,
+          offline_url: null
+        }
+        return this.makeFioTransaction(
+          'new_funds_request',
+          'newfundsreq',
+          {
+            payer_fio_address: payerFioAddress,
+            payee_fio_address: payeeFioAddress,
+            content: this.encryptContent(
+              'new_funds_content',
+              content,
+              payerPublicKey
+            )
+          },
+          '0',
+          payeeFioAddress
+        )
+      },
+
+      // Requests other addresses have sent to us, awaiting our payment:
+      getPendingFioRequests: async () => {
+        const requests = await this.fetchFioRequests('getPendingFioRequests')
+        return requests.map(request =>
+          this.decryptRequest(request, request.payee_fio_public_key)
+        )
+      },
+
+      // Requests we have sent to others:
+      getSentFioRequests: async () => {
+        const requests = await this.fetchFioRequests('getSentFioRequests')
+        return requests.map(request =>
+          this.decryptRequest(request, request.payer_fio_public_key)
+        )
+      },
+
+      // Records a payment we made, optionally against a pending request:
+      recordObtData: async (params: Object) => {
+        const {
+          fioRequestId = '',
+          payerFioAddress,
+          payeeFioAddress,
+          payerPublicAddress,
+          payeePublicAddress,
+          amount,
+          chainCode = 'FIO',
+          tokenCode = chainCode,
+          obtId,
+          memo = null,
+          status = 'sent_to_blockchain'
+        } = params
+        if (!checkFioAddress(payerFioAddress)) {
+          throw new Error('ErrorInvalidFioAddress')
+        }
+        if (!checkFioAddress(payeeFioAddress)) {
+          throw new Error('ErrorInvalidFioAddress')
+        }
+        const payeePublicKey = await this.fioPlugin.getPublicAddress(
+          payeeFioAddress,
+          'FIO'
+        )
+        const content = {
+          payer_public_address: payerPublicAddress,
+          payee_public_address: payeePublicAddress,
+          amount: String(amount),
+          chain_code: chainCode,
+          token_code: tokenCode,
+          status,
+          obt_id: obtId,
+          memo,
+          hash: null,
+          offline_url: null
+        }
+        return this.makeFioTransaction(
+          'record_obt_data',
+          'recordobt',
+          {
+            payer_fio_address: payerFioAddress,
+            payee_fio_address: payeeFioAddress,
+            content: this.encryptContent(
+              'record_obt_data_content',
+              content,
+              payeePublicKey
+            ),
+            fio_request_id: String(fioRequestId)
+          },
+          '0',
+          payerFioAddress
+        )
+      },
+
+      rejectFundsRequest: async (
+        fioRequestId: number | string,
+        payerFioAddress: string
+      ) => {
+        if (!checkFioAddress(payerFioAddress)) {
+          throw new Error('ErrorInvalidFioAddress')
+        }
+        return this.makeFioTransaction(
+          'reject_funds_request',
+          'rejectfndreq',
+          { fio_request_id: String(fioRequestId) },
+          '0',
+          payerFioAddress
+        )
+      }
+    }
   }
 
   async loadEngine(
@@ -71,10 +295,8 @@ export class FioEngine extends CurrencyEngine {
     // currencyEngine.otherData is an opaque utility object for use for currency
     // specific data that will be persisted to disk on this one device.
     // Commonly stored data would be last queried block height or nonce values for accounts
-    // Edit the flow type EosWalletOtherData and initialize those values here if they are
+    // Edit the flow type FioWalletOtherData and initialize those values here if they are
     // undefined
-    // TODO: Initialize anything specific to this currency
-    // if (!currencyEngine.otherData.nonce) currencyEngine.otherData.nonce = 0
     if (!this.otherData.accountName) {
       this.otherData.accountName = ''
     }
@@ -86,29 +308,251 @@ export class FioEngine extends CurrencyEngine {
     }
   }
 
+  // The on-chain account that owns our public key.
+  // fiojs only hashes keys written with the EOS prefix:
+  getActor(): string {
+    const { publicKey } = this.walletInfo.keys
+    return Fio.accountHash(publicKey.replace(/^FIO/, 'EOS'))
+  }
+
+  async multicastServers(func: FioFunction, ...params: any): Promise<any> {
+    const {
+      fioApiServers,
+      fioHistoryServers
+    } = this.currencyInfo.defaultSettings.otherSettings
+    let out = { result: '', server: 'no server' }
+    switch (func) {
+      case 'availCheck':
+      case 'getBlock':
+      case 'getFee':
+      case 'getFioBalance':
+      case 'getInfo':
+      case 'getPendingFioRequests':
+      case 'getPubAddress':
+      case 'getRawAbi':
+      case 'getSentFioRequests':
+        return this.fioPlugin.multicastServers(func, params[0])
+
+      case 'getActions':
+        out = await asyncWaterfall(
+          fioHistoryServers.map(server => async () => {
+            const result = await this.fetchJson(
+              `${server}history/get_actions`,
+              {
+                method: 'POST',
+                body: JSON.stringify(params[0])
+              }
+            )
+            return { server, result }
+          })
+        )
+        break
+
+      case 'pushTransaction': {
+        // Broadcast to every node and take the first one that accepts it:
+        const [endpoint, signedTx] = params
+        out = await promiseAny(
+          fioApiServers.map(async server => {
+            const result = await this.fetchJson(`${server}chain/${endpoint}`, {
+              method: 'POST',
+              body: signedTx
+            })
+            return { server, result }
+          })
+        )
+        break
+      }
+    }
+
+    this.log(`FIO multicastServers ${func} ${out.server} won`)
+    return out.result
+  }
+
   // Poll on the blockheight
   async checkBlockchainInnerLoop() {
-    const blockHeight = 1578128
-    if (this.walletLocalData.blockHeight !== blockHeight) {
-      this.walletLocalData.blockHeight = blockHeight
+    try {
+      const result = await this.multicastServers('getInfo')
+      const blockHeight = result.head_block_num
+      if (this.walletLocalData.blockHeight !== blockHeight) {
+        this.checkDroppedTransactionsThrottled()
+        this.walletLocalData.blockHeight = blockHeight
+        this.walletLocalDataDirty = true
+        this.currencyEngineCallbacks.onBlockHeightChanged(
+          this.walletLocalData.blockHeight
+        )
+      }
+    } catch (e) {
+      this.log(`Error fetching height: ${e.message}`)
+    }
+  }
+
+  updateBalance(tk: string, balance: string) {
+    if (!this.walletLocalData.totalBalances[tk]) {
+      this.walletLocalData.totalBalances[tk] = '0'
+    }
+    if (!bns.eq(balance, this.walletLocalData.totalBalances[tk])) {
+      this.walletLocalData.totalBalances[tk] = balance
       this.walletLocalDataDirty = true
-      this.currencyEngineCallbacks.onBlockHeightChanged(
-        this.walletLocalData.blockHeight
-      )
+      this.log(tk + ': token Address balance: ' + balance)
+      this.currencyEngineCallbacks.onBalanceChanged(tk, balance)
     }
+    this.tokenCheckBalanceStatus[tk] = 1
+    this.updateOnAddressesChecked()
   }
 
-  getBalance(options: any): string {
-    const bla = super.getBalance(options)
-    return super.getBalance(options)
+  processTransaction(action: FioHistoryAction): number {
+    const valid = validateObject(action, FioHistoryActionSchema)
+    if (!valid) {
+      this.log('Invalid FIO history action')
+      return 0
+    }
+    const { currencyCode } = this.currencyInfo
+    const { act, trx_id: txid } = action.action_trace
+    const actor = this.getActor()
+    const publicKey = this.walletInfo.keys.publicKey
+    const ourReceiveAddresses = []
+    let nativeAmount
+    let networkFee = '0'
+    let fromAddress = ''
+    let toAddress = ''
+
+    if (act.account !== 'fio.token') return 0
+    if (act.name === 'trnsfiopubky') {
+      const { payee_public_key, amount, actor: payer } = act.data
+      fromAddress = payer
+      toAddress = payee_public_key
+      if (payee_public_key === publicKey) {
+        ourReceiveAddresses.push(publicKey)
+        nativeAmount = payer === actor ? '0' : String(amount)
+      } else if (payer === actor) {
+        nativeAmount = `-${amount}`
+      } else {
+        return 0
+      }
+    } else if (act.name === 'transfer') {
+      // Fees are collected with an inline transfer to the treasury:
+      const { from, to, quantity } = act.data
+      if (from !== actor || to !== FEE_COLLECTOR) return 0
+      const denom = getDenomInfo(this.currencyInfo, currencyCode)
+      if (!denom) return 0
+      const [exchangeAmount] = quantity.split(' ')
+      networkFee = bns.mul(exchangeAmount, denom.multiplier)
+      nativeAmount = `-${networkFee}`
+    } else {
+      return 0
+    }
+
+    // The transfer and its fee arrive as separate actions,
+    // so combine them with whatever we have already seen:
+    const actionAmounts: { [sequence: string]: string } = {}
+    const actionFees: { [sequence: string]: string } = {}
+    const idx = this.findTransaction(currencyCode, normalizeAddress(txid))
+    if (idx !== -1) {
+      const existing = this.transactionList[currencyCode][idx]
+      const { otherParams = {} } = existing
+      Object.assign(actionAmounts, otherParams.actionAmounts)
+      Object.assign(actionFees, otherParams.actionFees)
+      if (!fromAddress) fromAddress = otherParams.fromAddress || ''
+      if (!toAddress) toAddress = otherParams.toAddress || ''
+      ourReceiveAddresses.push(...existing.ourReceiveAddresses)
+    }
+    const sequence = String(action.account_action_seq)
+    actionAmounts[sequence] = nativeAmount
+    actionFees[sequence] = networkFee
+    nativeAmount = '0'
+    networkFee = '0'
+    for (const seq of Object.keys(actionAmounts)) {
+      nativeAmount = bns.add(nativeAmount, actionAmounts[seq])
+      networkFee = bns.add(networkFee, actionFees[seq] || '0')
+    }
+
+    const edgeTransaction: EdgeTransaction = {
+      txid,
+      date: Date.parse(action.block_time + 'Z') / 1000,
+      currencyCode,
+      blockHeight: action.block_num > 0 ? action.block_num : 0,
+      nativeAmount,
+      networkFee,
+      ourReceiveAddresses: Array.from(new Set(ourReceiveAddresses)),
+      signedTx: '',
+      otherParams: { fromAddress, toAddress, actionAmounts, actionFees }
+    }
+    this.addTransaction(currencyCode, edgeTransaction)
+    return action.block_num
   }
 
-  updateBalance(tk: string, balance: string) {}
+  async checkTransactions(): Promise<boolean> {
+    const actor = this.getActor()
+    let pos = this.otherData.lastQueryActionSeq
+    let newHighestTxHeight = this.otherData.highestTxHeight
+
+    while (true) {
+      const result = await this.multicastServers('getActions', {
+        account_name: actor,
+        pos,
+        offset: HISTORY_PAGE_SIZE - 1
+      })
+      const actions: Array<FioHistoryAction> = result.actions || []
+      for (const action of actions) {
+        const blockNum = this.processTransaction(action)
+        if (blockNum > newHighestTxHeight) newHighestTxHeight = blockNum
+        if (action.account_action_seq >= pos) {
+          pos = action.account_action_seq + 1
+        }
+      }
+      if (actions.length < HISTORY_PAGE_SIZE) break
+    }
+
+    if (
+      pos !== this.otherData.lastQueryActionSeq ||
+      newHighestTxHeight !== this.otherData.highestTxHeight
+    ) {
+      this.otherData.lastQueryActionSeq = pos
+      this.otherData.highestTxHeight = newHighestTxHeight
+      this.walletLocalDataDirty = true
+    }
+    return true
+  }
 
-  async checkTransactionsInnerLoop() {}
+  async checkTransactionsInnerLoop() {
+    const { currencyCode } = this.currencyInfo
+    try {
+      await this.checkTransactions()
+    } catch (e) {
+      this.log(`checkTransactionsInnerLoop failed: ${e.message}`)
+      return
+    }
+    this.tokenCheckTransactionsStatus[currencyCode] = 1
+    this.updateOnAddressesChecked()
+    if (this.transactionsChangedArray.length > 0) {
+      this.currencyEngineCallbacks.onTransactionsChanged(
+        this.transactionsChangedArray
+      )
+      this.transactionsChangedArray = []
+    }
+  }
 
   // Check all account balance and other relevant info
-  async checkAccountInnerLoop() {}
+  async checkAccountInnerLoop() {
+    const { currencyCode } = this.currencyInfo
+    try {
+      const result = await this.multicastServers('getFioBalance', {
+        fio_public_key: this.walletInfo.keys.publicKey
+      })
+      if (!validateObject(result, FioBalanceSchema)) {
+        this.log('Invalid FIO balance response')
+        return
+      }
+      this.updateBalance(currencyCode, String(result.balance))
+    } catch (e) {
+      // Keys that have never received funds have no account yet:
+      if (/\b404\b/.test(e.message)) {
+        this.updateBalance(currencyCode, '0')
+        return
+      }
+      this.log(`checkAccountInnerLoop failed: ${e.message}`)
+    }
+  }
 
   async clearBlockchainCache(): Promise<void> {
     this.activatedAccountsCache = {}
@@ -126,9 +570,9 @@ export class FioEngine extends CurrencyEngine {
   async startEngine() {
     this.engineOn = true
     this.addToLoop('checkBlockchainInnerLoop', BLOCKCHAIN_POLL_MILLISECONDS)
+    this.addToLoop('checkAccountInnerLoop', ADDRESS_POLL_MILLISECONDS)
+    this.addToLoop('checkTransactionsInnerLoop', TRANSACTION_POLL_MILLISECONDS)
     super.startEngine()
-    // Simulate a 100% complete sync:
-    this.currencyEngineCallbacks.onAddressesChecked(1)
   }
 
   async resyncBlockchain(): Promise<void> {
@@ -150,65 +594,213 @@ export class FioEngine extends CurrencyEngine {
     }
   }
 
-  async makeSpend(edgeSpendInfoIn: EdgeSpendInfo) {
-    const {
-      edgeSpendInfo,
-      currencyCode,
-      nativeBalance,
-      denom
-    } = super.makeSpend(edgeSpendInfoIn)
-
-    const publicAddress = edgeSpendInfo.spendTargets[0].publicAddress
-    const quantity = edgeSpendInfo.spendTargets[0].nativeAmount
-    const memo = ''
+  // Builds an unsigned transaction for a single FIO action,
+  // quoting the current fee for its API endpoint:
+  async makeFioTransaction(
+    endpoint: string,
+    name: string,
+    data: Object,
+    spendAmount: string = '0',
+    feeFioAddress: string = ''
+  ): Promise<EdgeTransaction> {
+    const { currencyCode } = this.currencyInfo
+    // Some actions are free while the address still has bundled transactions:
+    const feeResult = await this.multicastServers('getFee', {
+      end_point: endpoint,
+      fio_address: feeFioAddress
+    })
+    if (!validateObject(feeResult, FioFeeSchema)) {
+      throw new Error('ErrorInvalidFee')
+    }
+    const networkFee = String(feeResult.fee)
+    const totalAmount = bns.add(spendAmount, networkFee)
+    const nativeBalance = this.walletLocalData.totalBalances[currencyCode]
+    if (bns.gt(totalAmount, nativeBalance || '0')) {
+      throw new InsufficientFundsError()
+    }
 
+    const actor = this.getActor()
     const transactionJson = {
       actions: [
         {
-          account: 'fio.token',
-          name: 'trnsfiopubky',
-          authorization: [
-            {
-              actor: 'actor',
-              permission: 'active'
-            }
-          ],
-          data: {
-            from: this.walletInfo.keys.publicKey, // this.walletLocalData.otherData.accountName,
-            to: publicAddress,
-            quantity,
-            memo
-          }
+          account: ACTION_CONTRACTS[name],
+          name,
+          authorization: [{ actor, permission: 'active' }],
+          // Amounts go out as decimal strings, since int64 fields
+          // can hold more than a JavaScript number:
+          data: { ...data, max_fee: networkFee, actor, tpid: '' }
         }
       ]
     }
 
-    const nativeAmount = quantity
-    const networkFee = '0'
     const edgeTransaction: EdgeTransaction = {
       txid: '', // txid
       date: 0, // date
       currencyCode, // currencyCode
       blockHeight: 0, // blockHeight
-      nativeAmount, // nativeAmount
+      nativeAmount: bns.sub('0', totalAmount), // nativeAmount
       networkFee, // networkFee
       ourReceiveAddresses: [], // ourReceiveAddresses
-      signedTx: '0', // signedTx
+      signedTx: '', // signedTx
       otherParams: {
+        endpoint,
+        fromAddress: this.walletInfo.keys.publicKey,
         transactionJson
       }
     }
     return edgeTransaction
   }
 
+  async makeSpend(edgeSpendInfoIn: EdgeSpendInfo) {
+    const { edgeSpendInfo } = super.makeSpend(edgeSpendInfoIn)
+
+    const publicAddress = edgeSpendInfo.spendTargets[0].publicAddress
+    const quantity = edgeSpendInfo.spendTargets[0].nativeAmount
+    if (!checkAddress(publicAddress)) {
+      throw new Error('InvalidPublicAddressError')
+    }
+    if (!quantity || bns.eq(quantity, '0')) {
+      throw new NoAmountSpecifiedError()
+    }
+
+    const edgeTransaction = await this.makeFioTransaction(
+      TRANSFER_ENDPOINT,
+      'trnsfiopubky',
+      { payee_public_key: publicAddress, amount: quantity },
+      quantity
+    )
+    edgeTransaction.otherParams.toAddress = publicAddress
+    return edgeTransaction
+  }
+
+  // Request content is encrypted with a secret shared
+  // between our key and the other party's FIO public key:
+  encryptContent(
+    fioContentType: string,
+    content: Object,
+    publicKey: string
+  ): string {
+    const cipher = Fio.createSharedCipher({
+      privateKey: this.walletInfo.keys.fioKey,
+      publicKey,
+      textEncoder,
+      textDecoder
+    })
+    return cipher.encrypt(fioContentType, content)
+  }
+
+  decryptRequest(request: FioRequest, publicKey: string) {
+    let content: FioRequestContent | null = null
+    try {
+      const cipher = Fio.createSharedCipher({
+        privateKey: this.walletInfo.keys.fioKey,
+        publicKey,
+        textEncoder,
+        textDecoder
+      })
+      content = cipher.decrypt('new_funds_content', request.content)
+    } catch (e) {
+      this.log(`Unable to decrypt FIO request ${request.fio_request_id}`)
+    }
+    return {
+      fioRequestId: request.fio_request_id,
+      payerFioAddress: request.payer_fio_address,
+      payeeFioAddress: request.payee_fio_address,
+      payerFioPublicKey: request.payer_fio_public_key,
+      payeeFioPublicKey: request.payee_fio_public_key,
+      timeStamp: request.time_stamp,
+      status: request.status,
+      content
+    }
+  }
+
+  async fetchFioRequests(
+    func: 'getPendingFioRequests' | 'getSentFioRequests'
+  ): Promise<Array<FioRequest>> {
+    const out: Array<FioRequest> = []
+    let offset = 0
+    while (true) {
+      let result
+      try {
+        result = await this.multicastServers(func, {
+          fio_public_key: this.walletInfo.keys.publicKey,
+          limit: REQUEST_PAGE_SIZE,
+          offset
+        })
+      } catch (e) {
+        // The API answers 404 when there are no requests:
+        if (/\b404\b/.test(e.message)) break
+        throw e
+      }
+      const requests = result.requests || []
+      for (const request of requests) {
+        if (validateObject(request, FioRequestSchema)) out.push(request)
+      }
+      if (!result.more || requests.length === 0) break
+      offset += requests.length
+    }
+    return out
+  }
+
+  // Signs against the last irreversible block, like the FIO SDK does:
+  async signActions(actions: Array<Object>): Promise<Object> {
+    const info = await this.multicastServers('getInfo')
+    const block = await this.multicastServers('getBlock', {
+      block_num_or_id: info.last_irreversible_block_num
+    })
+    const expiration = new Date(block.timestamp + 'Z')
+    expiration.setSeconds(expiration.getSeconds() + EXPIRE_SECONDS)
+    const transaction = {
+      expiration: expiration.toISOString().replace('Z', ''),
+      ref_block_num: block.block_num & 0xffff,
+      ref_block_prefix: block.ref_block_prefix,
+      max_net_usage_words: 0,
+      max_cpu_usage_ms: 0,
+      delay_sec: 0,
+      context_free_actions: [],
+      actions,
+      transaction_extensions: []
+    }
+
+    for (const { account } of actions) {
+      if (!this.abiMap.has(account)) {
+        const abi = await this.multicastServers('getRawAbi', {
+          account_name: account
+        })
+        this.abiMap.set(account, abi)
+      }
+    }
+
+    return Fio.prepareTransaction({
+      transaction,
+      chainId: info.chain_id,
+      privateKeys: [this.walletInfo.keys.fioKey],
+      abiMap: this.abiMap,
+      textDecoder,
+      textEncoder
+    })
+  }
+
   async signTx(edgeTransaction: EdgeTransaction): Promise<EdgeTransaction> {
-    // Do nothing
+    const { actions } = edgeTransaction.otherParams.transactionJson
+    const signedTx = await this.signActions(actions)
+    edgeTransaction.signedTx = JSON.stringify(signedTx)
     return edgeTransaction
   }
 
   async broadcastTx(
     edgeTransaction: EdgeTransaction
   ): Promise<EdgeTransaction> {
+    const result = await this.multicastServers(
+      'pushTransaction',
+      edgeTransaction.otherParams.endpoint || TRANSFER_ENDPOINT,
+      edgeTransaction.signedTx
+    )
+    if (!result.transaction_id) {
+      throw new Error('ErrorFioBroadcastFailed')
+    }
+    edgeTransaction.txid = result.transaction_id
+    edgeTransaction.date = Date.now() / 1000
     return edgeTransaction
   }
 
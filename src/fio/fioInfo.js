@@ -3,7 +3,24 @@
 
 import { type EdgeCurrencyInfo } from 'edge-core-js/types'
 
-const defaultSettings: any = {}
+import { type FioSettings } from './fioTypes.js'
+
+const otherSettings: FioSettings = {
+  fioApiServers: [
+    'https://fio.eu.eosamsterdam.net/v1/',
+    'https://fio.eosphere.io/v1/',
+    'https://fio.greymass.com/v1/',
+    'https://api.fio.eosdetroit.io/v1/'
+  ],
+  fioHistoryServers: [
+    'https://fio.greymass.com/v1/',
+    'https://fio.eosphere.io/v1/'
+  ]
+}
+
+const defaultSettings: any = {
+  otherSettings
+}
 
 export const currencyInfo: EdgeCurrencyInfo = {
   // Basic currency information:
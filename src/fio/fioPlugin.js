@@ -16,10 +16,40 @@ import {
 } from 'edge-core-js/types'
 
 import { CurrencyPlugin } from '../common/plugin.js'
-import { getDenomInfo } from '../common/utils.js'
+import {
+  asyncWaterfall,
+  getDenomInfo,
+  validateObject
+} from '../common/utils.js'
 import { getFetchJson } from '../react-native-io.js'
 import { FioEngine } from './fioEngine'
 import { currencyInfo } from './fioInfo.js'
+import { FioPubAddressSchema } from './fioSchema.js'
+
+export type FioApiFunction =
+  | 'availCheck'
+  | 'getBlock'
+  | 'getFee'
+  | 'getFioBalance'
+  | 'getInfo'
+  | 'getPendingFioRequests'
+  | 'getPubAddress'
+  | 'getRawAbi'
+  | 'getSentFioRequests'
+
+const apiPaths: { [func: FioApiFunction]: string } = {
+  availCheck: 'chain/avail_check',
+  getBlock: 'chain/get_block',
+  getFee: 'chain/get_fee',
+  getFioBalance: 'chain/get_fio_balance',
+  getInfo: 'chain/get_info',
+  getPendingFioRequests: 'chain/get_pending_fio_requests',
+  getPubAddress: 'chain/get_pub_address',
+  getRawAbi: 'chain/get_raw_abi',
+  getSentFioRequests: 'chain/get_sent_fio_requests'
+}
+
+const namePart = '[a-zA-Z0-9](?:[a-zA-Z0-9-]*[a-zA-Z0-9])?'
 
 export function checkAddress(address: string): boolean {
   const start = address.startsWith('FIO')
@@ -27,11 +57,86 @@ export function checkAddress(address: string): boolean {
   return start && lenght
 }
 
+export function checkFioDomain(domain: string): boolean {
+  return (
+    domain.length <= 62 &&
+    !domain.includes('--') &&
+    new RegExp(`^${namePart}$`).test(domain)
+  )
+}
+
+// FIO addresses look like `name@domain`:
+export function checkFioAddress(fioAddress: string): boolean {
+  return (
+    fioAddress.length >= 3 &&
+    fioAddress.length <= 64 &&
+    !fioAddress.includes('--') &&
+    new RegExp(`^${namePart}@${namePart}$`).test(fioAddress)
+  )
+}
+
 export class FioPlugin extends CurrencyPlugin {
   otherMethods: Object
+  fetchJson: Function
 
-  constructor(io: EdgeIo) {
+  constructor(io: EdgeIo, fetchJson: Function) {
     super(io, 'fio', currencyInfo)
+    this.fetchJson = fetchJson
+  }
+
+  // Read-only chain API calls, which any node can answer:
+  async multicastServers(func: FioApiFunction, body: Object = {}) {
+    const { fioApiServers } = this.currencyInfo.defaultSettings.otherSettings
+    const out = await asyncWaterfall(
+      fioApiServers.map(server => async () => {
+        const result = await this.fetchJson(`${server}${apiPaths[func]}`, {
+          method: 'POST',
+          body: JSON.stringify(body)
+        })
+        return { server, result }
+      })
+    )
+    this.io.console.info(`FIO multicastServers ${func} ${out.server} won`)
+    return out.result
+  }
+
+  async isFioNameAvailable(fioName: string): Promise<boolean> {
+    if (!checkFioAddress(fioName) && !checkFioDomain(fioName)) {
+      throw new Error('ErrorInvalidFioName')
+    }
+    const result = await this.multicastServers('availCheck', {
+      fio_name: fioName
+    })
+    return !result.is_registered
+  }
+
+  async getPublicAddress(
+    fioAddress: string,
+    chainCode: string,
+    tokenCode: string = chainCode
+  ): Promise<string> {
+    if (!checkFioAddress(fioAddress)) {
+      throw new Error('ErrorInvalidFioAddress')
+    }
+    let result
+    try {
+      result = await this.multicastServers('getPubAddress', {
+        fio_address: fioAddress,
+        chain_code: chainCode,
+        token_code: tokenCode
+      })
+    } catch (e) {
+      // The API answers 404 when the address has nothing for this chain:
+      if (/\b404\b/.test(e.message)) throw new Error('ErrorFioAddressNotFound')
+      throw e
+    }
+    if (!validateObject(result, FioPubAddressSchema)) {
+      throw new Error('ErrorInvalidPublicAddress')
+    }
+    if (result.public_address === '') {
+      throw new Error('ErrorFioAddressNotFound')
+    }
+    return result.public_address
   }
 
   async createPrivateKey(walletType: string): Promise<Object> {
@@ -108,7 +213,7 @@ export function makeFioPlugin(opts: EdgeCorePluginOptions): EdgeCurrencyPlugin {
   let toolsPromise: Promise<FioPlugin>
   function makeCurrencyTools(): Promise<FioPlugin> {
     if (toolsPromise != null) return toolsPromise
-    toolsPromise = Promise.resolve(new FioPlugin(io))
+    toolsPromise = Promise.resolve(new FioPlugin(io, fetchJson))
     return toolsPromise
   }
 
@@ -124,9 +229,33 @@ export function makeFioPlugin(opts: EdgeCorePluginOptions): EdgeCurrencyPlugin {
     return out
   }
 
+  const otherMethods = {
+    isFioNameAvailable: async (fioName: string): Promise<boolean> => {
+      const tools = await makeCurrencyTools()
+      return tools.isFioNameAvailable(fioName)
+    },
+    getPublicAddress: async (
+      fioAddress: string,
+      chainCode: string,
+      tokenCode?: string
+    ): Promise<string> => {
+      const tools = await makeCurrencyTools()
+      return tools.getPublicAddress(fioAddress, chainCode, tokenCode)
+    },
+    getFee: async (endPoint: string): Promise<string> => {
+      const tools = await makeCurrencyTools()
+      const result = await tools.multicastServers('getFee', {
+        end_point: endPoint,
+        fio_address: ''
+      })
+      return String(result.fee)
+    }
+  }
+
   return {
     currencyInfo,
     makeCurrencyEngine,
-    makeCurrencyTools
+    makeCurrencyTools,
+    otherMethods
   }
 }
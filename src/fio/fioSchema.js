@@ -0,0 +1,70 @@
+export const FioBalanceSchema = {
+  type: 'object',
+  properties: {
+    balance: { type: 'number' }
+  },
+  required: ['balance']
+}
+
+export const FioFeeSchema = {
+  type: 'object',
+  properties: {
+    fee: { type: 'number' }
+  },
+  required: ['fee']
+}
+
+export const FioPubAddressSchema = {
+  type: 'object',
+  properties: {
+    public_address: { type: 'string' }
+  },
+  required: ['public_address']
+}
+
+export const FioHistoryActionSchema = {
+  type: 'object',
+  properties: {
+    account_action_seq: { type: 'number' },
+    block_num: { type: 'number' },
+    block_time: { type: 'string' },
+    action_trace: {
+      type: 'object',
+      properties: {
+        trx_id: { type: 'string' },
+        act: {
+          type: 'object',
+          properties: {
+            account: { type: 'string' },
+            name: { type: 'string' },
+            data: { type: 'object' }
+          },
+          required: ['account', 'name', 'data']
+        }
+      },
+      required: ['trx_id', 'act']
+    }
+  },
+  required: ['account_action_seq', 'block_num', 'block_time', 'action_trace']
+}
+
+export const FioRequestSchema = {
+  type: 'object',
+  properties: {
+    fio_request_id: { type: 'number' },
+    payer_fio_address: { type: 'string' },
+    payee_fio_address: { type: 'string' },
+    payer_fio_public_key: { type: 'string' },
+    payee_fio_public_key: { type: 'string' },
+    content: { type: 'string' },
+    time_stamp: { type: 'string' }
+  },
+  required: [
+    'fio_request_id',
+    'payer_fio_address',
+    'payee_fio_address',
+    'payer_fio_public_key',
+    'payee_fio_public_key',
+    'content'
+  ]
+}
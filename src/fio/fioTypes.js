@@ -0,0 +1,48 @@
+// @flow
+
+export type FioSettings = {
+  fioApiServers: Array<string>,
+  fioHistoryServers: Array<string>
+}
+
+export type FioWalletOtherData = {
+  accountName: string,
+  lastQueryActionSeq: number,
+  highestTxHeight: number
+}
+
+export type FioHistoryAction = {
+  account_action_seq: number,
+  block_num: number,
+  block_time: string,
+  action_trace: {
+    trx_id: string,
+    act: {
+      account: string,
+      name: string,
+      data: Object
+    }
+  }
+}
+
+export type FioRequest = {
+  fio_request_id: number,
+  payer_fio_address: string,
+  payee_fio_address: string,
+  payer_fio_public_key: string,
+  payee_fio_public_key: string,
+  content: string,
+  time_stamp: string,
+  status?: string
+}
+
+// The decrypted `new_funds_content` of a request:
+export type FioRequestContent = {
+  payee_public_address: string,
+  amount: string,
+  chain_code: string,
+  token_code: string,
+  memo: string | null,
+  hash: string | null,
+  offline_url: string | null
+}
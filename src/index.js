@@ -6,7 +6,11 @@
 import 'regenerator-runtime/runtime'
 
 import { makeBinancePlugin } from './binance/bnbPlugin.js'
-import { makeEosPlugin } from './eos/eosPlugin.js'
+import {
+  makeEosPlugin,
+  makeTelosPlugin,
+  makeWaxPlugin
+} from './eos/eosPlugin.js'
 import { makeEthereumPlugin } from './ethereum/ethPlugin.js'
 import { makeFioPlugin } from './fio/fioPlugin'
 import { makeRskPlugin } from './rsk/rskPlugin.js'
@@ -21,7 +25,9 @@ const plugins = {
   // "ripple" is network name. XRP is just an asset:
   ripple: makeRipplePlugin,
   stellar: makeStellarPlugin,
+  telos: makeTelosPlugin,
   tezos: makeTezosPlugin,
+  wax: makeWaxPlugin,
   rsk: makeRskPlugin,
   binance: makeBinancePlugin
 }
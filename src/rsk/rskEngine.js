@@ -6,6 +6,7 @@
 import { bns } from 'biggystring'
 import {
   type EdgeCurrencyEngineOptions,
+  type EdgeIo,
   type EdgeSpendInfo,
   type EdgeTransaction,
   type EdgeWalletInfo,
@@ -15,7 +16,15 @@ import abi from 'ethereumjs-abi'
 import EthereumTx from 'ethereumjs-tx'
 import ethWallet from 'ethereumjs-wallet'
 
+import { encodeSpendContractCall } from '../common/contractCalls.js'
 import { CurrencyEngine } from '../common/engine.js'
+import { type EthCall } from '../common/nameService.js'
+import {
+  makeReplacementTx,
+  markReplacedTransaction,
+  mergeLocalParams
+} from '../common/replacementTx.js'
+import { SenderNames } from '../common/senderNames.js'
 import {
   addHexPrefix,
   asyncWaterfall,
@@ -28,7 +37,7 @@ import {
   validateObject
 } from '../common/utils.js'
 import { currencyInfo } from './rskInfo.js'
-import { calcMiningFee } from './rskMiningFees.js'
+import { calcMiningFee, ES_FEE_CUSTOM, ES_FEE_HIGH } from './rskMiningFees.js'
 import { RskPlugin } from './rskPlugin.js'
 import {
   EtherscanGetAccountBalance,
@@ -58,6 +67,7 @@ const NUM_TRANSACTIONS_TO_QUERY = 50
 type EthFunction =
   | 'broadcastTx'
   | 'eth_blockNumber'
+  | 'eth_estimateGas'
   | 'eth_getTransactionCount'
   | 'eth_getBalance'
   | 'getTokenBalance'
@@ -68,6 +78,44 @@ type BroadcastResults = {
   decrementNonce: boolean
 }
 
+// The plugin uses this too, before any engine exists:
+async function fetchPostPublicNode(io: EdgeIo, method: string, params: Object) {
+  const url = `https://public-node.rsk.co`
+  const body = {
+    id: 1,
+    jsonrpc: '2.0',
+    method,
+    params
+  }
+  const response = await io.fetch(url, {
+    headers: {
+      Accept: 'application/json',
+      'Content-Type': 'application/json'
+    },
+    method: 'POST',
+    body: JSON.stringify(body)
+  })
+  const jsonObj = await response.json()
+  return jsonObj
+}
+
+/**
+ * Makes read-only contract calls through the public node,
+ * for the plugin's name lookups.
+ */
+export function makeEthCall(io: EdgeIo): EthCall {
+  return async (to: string, data: string) => {
+    const jsonObj = await fetchPostPublicNode(io, 'eth_call', [
+      { to, data },
+      'latest'
+    ])
+    if (jsonObj.error != null) {
+      throw new Error(`Public Node eth_call error ${jsonObj.error.message}`)
+    }
+    return jsonObj.result
+  }
+}
+
 async function broadcastWrapper(promise: Promise<Object>, server: string) {
   const out = {
     result: await promise,
@@ -80,6 +128,8 @@ export class RskEngine extends CurrencyEngine {
   rskPlugin: RskPlugin
   otherData: RskWalletOtherData
   initOptions: RskInitOptions
+  senderNames: SenderNames
+  otherMethods: Object
 
   constructor(
     currencyPlugin: RskPlugin,
@@ -94,7 +144,45 @@ export class RskEngine extends CurrencyEngine {
       }
     }
     this.currencyPlugin = currencyPlugin
+    this.rskPlugin = currencyPlugin
     this.initOptions = initOptions
+    this.senderNames = new SenderNames(this, address =>
+      currencyPlugin.reverseLookup(address)
+    )
+
+    this.otherMethods = {
+      ...this.otherMethods,
+
+      // Speed up or cancel a pending send by replacing its nonce:
+      makeSpeedUpTx: async (
+        edgeTransaction: EdgeTransaction
+      ): Promise<EdgeTransaction> =>
+        this.makeReplacementTx(edgeTransaction, false),
+      makeCancelTx: async (
+        edgeTransaction: EdgeTransaction
+      ): Promise<EdgeTransaction> =>
+        this.makeReplacementTx(edgeTransaction, true)
+    }
+  }
+
+  // Labels incoming transactions with the sender's RNS name, if any:
+  addTransaction(
+    currencyCode: string,
+    edgeTransaction: EdgeTransaction,
+    lastSeenTime?: number
+  ) {
+    this.senderNames.label(edgeTransaction)
+
+    // Keep what only our own copy of a send knows:
+    const idx = this.findTransaction(
+      currencyCode,
+      normalizeAddress(edgeTransaction.txid)
+    )
+    if (idx !== -1) {
+      const localTx = this.transactionList[currencyCode][idx]
+      if (!mergeLocalParams(localTx, edgeTransaction)) return
+    }
+    super.addTransaction(currencyCode, edgeTransaction, lastSeenTime)
   }
 
   async fetchGetBlockScout(server: string, cmd: string) {
@@ -275,7 +363,8 @@ export class RskEngine extends CurrencyEngine {
       gasUsed: tx.gasUsed,
       cumulativeGasUsed: tx.cumulativeGasUsed,
       errorVal: parseInt(tx.isError),
-      tokenRecipientAddress: null
+      tokenRecipientAddress: null,
+      nonce: tx.nonce
     }
 
     let blockHeight = parseInt(tx.blockNumber)
@@ -555,6 +644,21 @@ export class RskEngine extends CurrencyEngine {
         out = await asyncWaterfall(funcs)
         break
 
+      case 'eth_estimateGas':
+        funcs = []
+        funcs2 = async () => {
+          const result = await this.fetchPostPublicNode('eth_estimateGas', [
+            params[0]
+          ])
+          if (typeof result.result !== 'string') {
+            throw new Error('Invalid return value eth_estimateGas')
+          }
+          return { server: 'public-node', result }
+        }
+        funcs.push(funcs2)
+        out = await asyncWaterfall(funcs)
+        break
+
       case 'eth_getTransactionCount':
         url = `module=proxy&action=eth_getTransactionCount&address=${
           params[0]
@@ -680,6 +784,30 @@ export class RskEngine extends CurrencyEngine {
     this.otherData.unconfirmedNextNonce = '0'
   }
 
+  async makeReplacementTx(
+    edgeTransaction: EdgeTransaction,
+    cancel: boolean
+  ): Promise<EdgeTransaction> {
+    const { networkFees } = this.walletLocalData.otherData
+    const { gasPrice } = calcMiningFee(
+      {
+        currencyCode: PRIMARY_CURRENCY,
+        networkFeeOption: ES_FEE_HIGH,
+        spendTargets: [
+          { publicAddress: this.walletLocalData.publicKey, nativeAmount: '0' }
+        ]
+      },
+      networkFees
+    )
+    return makeReplacementTx(
+      this,
+      edgeTransaction,
+      cancel,
+      { gasPrice },
+      networkFees.default.gasLimit.regularTransaction
+    )
+  }
+
   // ****************************************************************************
   // Public methods
   // ****************************************************************************
@@ -724,12 +852,46 @@ export class RskEngine extends CurrencyEngine {
     }
 
     let otherParams: Object = {}
-    const { gasLimit, gasPrice } = calcMiningFee(
+    const miningFees = calcMiningFee(
       edgeSpendInfo,
       this.walletLocalData.otherData.networkFees
     )
+    const { gasPrice } = miningFees
+    let { gasLimit } = miningFees
+
+    const spendTarget = edgeSpendInfo.spendTargets[0]
+    const publicAddress = spendTarget.publicAddress
+
+    // Contract calls can come as raw calldata, or described by an ABI:
+    const { data, contractCall } = encodeSpendContractCall(
+      spendTarget,
+      spendTarget.otherParams != null ? spendTarget.otherParams.data : undefined
+    )
+    if (data != null && currencyCode !== PRIMARY_CURRENCY) {
+      throw new Error('Error: contract calls must be sent from the RBTC wallet')
+    }
 
-    const publicAddress = edgeSpendInfo.spendTargets[0].publicAddress
+    if (data != null && edgeSpendInfo.networkFeeOption !== ES_FEE_CUSTOM) {
+      // Contract calls cost more than plain sends if estimation fails:
+      gasLimit = this.walletLocalData.otherData.networkFees.default.gasLimit
+        .tokenTransaction
+      const estimateGasParams = {
+        from: this.walletLocalData.publicKey,
+        to: publicAddress,
+        gas: '0x67c280',
+        value: bns.add(spendTarget.nativeAmount, '0', 16),
+        data
+      }
+      try {
+        const result = await this.multicastServers(
+          'eth_estimateGas',
+          estimateGasParams
+        )
+        gasLimit = bns.add(result.result, '0')
+      } catch (err) {
+        this.log('makeSpend failed to estimate gas', err)
+      }
+    }
 
     if (currencyCode === PRIMARY_CURRENCY) {
       const ethParams: RskTxOtherParams = {
@@ -740,8 +902,10 @@ export class RskEngine extends CurrencyEngine {
         gasUsed: '0',
         cumulativeGasUsed: '0',
         errorVal: 0,
-        tokenRecipientAddress: null
+        tokenRecipientAddress: null,
+        data
       }
+      if (contractCall != null) ethParams.contractCall = contractCall
       otherParams = ethParams
     } else {
       let contractAddress = ''
@@ -834,11 +998,14 @@ export class RskEngine extends CurrencyEngine {
     }
 
     let nonceHex
-    // Use an unconfirmed nonce if
+    // Replacements reuse the nonce of the transaction they replace.
+    // Otherwise, use an unconfirmed nonce if
     // 1. We have unconfirmed spending txs in the transaction list
     // 2. It is greater than the confirmed nonce
     // 3. Is no more than 5 higher than confirmed nonce
-    if (
+    if (edgeTransaction.otherParams.nonce != null) {
+      nonceHex = toHex(edgeTransaction.otherParams.nonce)
+    } else if (
       this.walletLocalData.numUnconfirmedSpendTxs &&
       bns.gt(
         this.walletLocalData.otherData.unconfirmedNextNonce,
@@ -871,7 +1038,9 @@ export class RskEngine extends CurrencyEngine {
     }
 
     let data
-    if (edgeTransaction.currencyCode === PRIMARY_CURRENCY) {
+    if (edgeTransaction.otherParams.data != null) {
+      data = edgeTransaction.otherParams.data
+    } else if (edgeTransaction.currencyCode === PRIMARY_CURRENCY) {
       data = ''
     } else {
       const dataArray = abi.simpleEncode(
@@ -903,6 +1072,7 @@ export class RskEngine extends CurrencyEngine {
     const tx = new EthereumTx(txParams)
     tx.sign(privKey)
 
+    edgeTransaction.otherParams.nonce = bns.add(nonceHex, '0')
     edgeTransaction.signedTx = bufToHex(tx.serialize())
     edgeTransaction.txid = bufToHex(tx.hash())
     edgeTransaction.date = Date.now() / 1000
@@ -911,23 +1081,7 @@ export class RskEngine extends CurrencyEngine {
   }
 
   async fetchPostPublicNode(method: string, params: Object) {
-    const url = `https://public-node.rsk.co`
-    const body = {
-      id: 1,
-      jsonrpc: '2.0',
-      method,
-      params
-    }
-    const response = await this.io.fetch(url, {
-      headers: {
-        Accept: 'application/json',
-        'Content-Type': 'application/json'
-      },
-      method: 'POST',
-      body: JSON.stringify(body)
-    })
-    const jsonObj = await response.json()
-    return jsonObj
+    return fetchPostPublicNode(this.io, method, params)
   }
 
   async broadcastPublicNode(
@@ -963,6 +1117,11 @@ export class RskEngine extends CurrencyEngine {
     this.log(`SUCCESS broadcastTx\n${JSON.stringify(result)}`)
     this.log('edgeTransaction = ', edgeTransaction)
 
+    const { replacesTxid } = edgeTransaction.otherParams
+    if (replacesTxid != null) {
+      markReplacedTransaction(this, replacesTxid, edgeTransaction.txid)
+    }
+
     return edgeTransaction
   }
 
@@ -9,7 +9,8 @@ export const imageServerUrl = 'https://developer.airbitz.co/content'
 
 const otherSettings: RskSettings = {
   etherscanApiServers: ['https://blockscout.com/rsk/mainnet'],
-  iosAllowedTokens: { RIF: true }
+  iosAllowedTokens: { RIF: true },
+  nameServiceRegistry: '0xcb868aeabd31e2b66f74e9a55cf064abb31a4ad5' // RNS
 }
 
 const defaultSettings: any = {
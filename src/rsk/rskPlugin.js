@@ -20,9 +20,18 @@ import {
 import EthereumUtil from 'ethereumjs-util'
 import hdKey from 'ethereumjs-wallet/hdkey'
 
+import {
+  type EthCall,
+  isNameServiceName,
+  resolveName,
+  reverseLookup,
+  splitEip681Prefix
+} from '../common/nameService.js'
 import { CurrencyPlugin } from '../common/plugin.js'
 import { getDenomInfo } from '../common/utils.js'
-import { RskEngine } from './rskEngine.js'
+import { checkFioAddress, FioPlugin } from '../fio/fioPlugin.js'
+import { getFetchJson } from '../react-native-io.js'
+import { makeEthCall, RskEngine } from './rskEngine.js'
 import { currencyInfo } from './rskInfo.js'
 
 export { calcMiningFee } from './rskMiningFees.js'
@@ -45,8 +54,42 @@ const defaultNetworkFees = {
 }
 
 export class RskPlugin extends CurrencyPlugin {
-  constructor(io: EdgeIo) {
+  fioPlugin: FioPlugin
+  ethCall: EthCall
+
+  constructor(io: EdgeIo, fetchJson: Function) {
     super(io, 'rsk', currencyInfo)
+    this.fioPlugin = new FioPlugin(io, fetchJson)
+    this.ethCall = makeEthCall(io)
+  }
+
+  // Turns an RNS name or FIO address into an address,
+  // or returns null if the name isn't registered:
+  async resolveName(
+    name: string,
+    currencyCode: string
+  ): Promise<string | null> {
+    try {
+      if (checkFioAddress(name)) {
+        return await this.fioPlugin.getPublicAddress(name, 'RBTC', currencyCode)
+      }
+      if (isNameServiceName(name)) {
+        const {
+          nameServiceRegistry
+        } = this.currencyInfo.defaultSettings.otherSettings
+        return await resolveName(this.ethCall, nameServiceRegistry, name)
+      }
+    } catch (e) {
+      this.io.console.info(`Unable to resolve ${name}: ${e.message}`)
+    }
+    return null
+  }
+
+  async reverseLookup(address: string): Promise<string | null> {
+    const {
+      nameServiceRegistry
+    } = this.currencyInfo.defaultSettings.otherSettings
+    return reverseLookup(this.ethCall, nameServiceRegistry, address)
   }
 
   async importPrivateKey(userInput: string): Promise<Object> {
@@ -157,16 +200,25 @@ export class RskPlugin extends CurrencyPlugin {
       address = edgeParsedUri.publicAddress
     }
 
-    // TODO: check this about prefix
-    let [prefix, contractAddress] = address.split('-') // Split the address to get the prefix according to EIP-681
-    // If contractAddress is null or undefined it means there is no prefix
-    if (!contractAddress) {
-      contractAddress = prefix // Set the contractAddress to be the prefix when the prefix is missing.
-      prefix = 'pay' // The default prefix according to EIP-681 is "pay"
-    }
+    const { prefix, target: contractAddress } = splitEip681Prefix(address)
     address = contractAddress
     // TODO: add chainId 30 to isValidAddress when included EIP-1191 and remove toLowerCase
-    const valid = EthereumUtil.isValidAddress(address.toLowerCase() || '')
+    let valid = EthereumUtil.isValidAddress(address.toLowerCase() || '')
+    if (!valid && prefix === 'pay') {
+      const name = address
+      const resolved = await this.resolveName(name, currencyCode || 'RBTC')
+      if (
+        resolved != null &&
+        EthereumUtil.isValidAddress(resolved.toLowerCase())
+      ) {
+        address = resolved
+        edgeParsedUri.publicAddress = resolved
+        // Keep any label from the URI, but fall back on the name:
+        const metadata = edgeParsedUri.metadata || {}
+        edgeParsedUri.metadata = { ...metadata, name: metadata.name || name }
+        valid = true
+      }
+    }
     if (!valid) {
       throw new Error('InvalidPublicAddressError')
     }
@@ -233,11 +285,12 @@ export class RskPlugin extends CurrencyPlugin {
 
 export function makeRskPlugin(opts: EdgeCorePluginOptions): EdgeCurrencyPlugin {
   const { io, initOptions } = opts
+  const fetchJson = getFetchJson(opts)
 
   let toolsPromise: Promise<RskPlugin>
   function makeCurrencyTools(): Promise<RskPlugin> {
     if (toolsPromise != null) return toolsPromise
-    toolsPromise = Promise.resolve(new RskPlugin(io))
+    toolsPromise = Promise.resolve(new RskPlugin(io, fetchJson))
     return toolsPromise
   }
 
@@ -3,11 +3,14 @@
  */
 // @flow
 
+import { type ContractCallSummary } from '../common/contractCalls.js'
+
 export type RskInitOptions = {}
 
 export type RskSettings = {
   etherscanApiServers: Array<string>,
-  iosAllowedTokens: { [currencyCode: string]: boolean }
+  iosAllowedTokens: { [currencyCode: string]: boolean },
+  nameServiceRegistry: string
 }
 
 type RskFeesGasLimit = {
@@ -71,7 +74,13 @@ export type RskTxOtherParams = {
   gasUsed: string,
   cumulativeGasUsed: string,
   errorVal: number,
-  tokenRecipientAddress: string | null
+  tokenRecipientAddress: string | null,
+  data?: string | null,
+  contractCall?: ContractCallSummary,
+  nonce?: string,
+  // Links between a stuck transaction and its speed-up or cancel:
+  replacesTxid?: string,
+  replacedByTxid?: string
 }
 
 export type RskWalletOtherData = {
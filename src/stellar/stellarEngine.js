@@ -15,8 +15,15 @@ import {
 } from 'edge-core-js/types'
 
 import { CurrencyEngine } from '../common/engine.js'
-import { asyncWaterfall, getDenomInfo, promiseAny } from '../common/utils.js'
+import { type CustomToken } from '../common/types.js'
+import {
+  asyncWaterfall,
+  getDenomInfo,
+  normalizeAddress,
+  promiseAny
+} from '../common/utils.js'
 import { StellarPlugin } from '../stellar/stellarPlugin.js'
+import { StellarTokenIdSchema } from './stellarSchema.js'
 import {
   type StellarAccount,
   type StellarOperation,
@@ -28,6 +35,9 @@ const TX_QUERY_PAGING_LIMIT = 2
 const ADDRESS_POLL_MILLISECONDS = 15000
 const BLOCKCHAIN_POLL_MILLISECONDS = 30000
 const TRANSACTION_POLL_MILLISECONDS = 5000
+const MAX_OPERATIONS = 100 // Maximum operations in a single transaction
+const BASE_RESERVE = '5000000' // 0.5 XLM held per account entry
+const ASSET_MULTIPLIER = '10000000' // Every Stellar asset has 7 decimals
 
 type StellarServerFunction =
   | 'payments'
@@ -42,6 +52,7 @@ export class StellarEngine extends CurrencyEngine {
   pendingTransactionsIndex: number
   pendingTransactionsMap: { [index: number]: Object }
   otherData: StellarWalletOtherData
+  otherMethods: Object
 
   constructor(
     currencyPlugin: StellarPlugin,
@@ -54,6 +65,16 @@ export class StellarEngine extends CurrencyEngine {
     this.activatedAccountsCache = {}
     this.pendingTransactionsIndex = 0
     this.pendingTransactionsMap = {}
+    this.tokenIdSchema = StellarTokenIdSchema
+    this.otherMethods = {
+      ...this.otherMethods,
+
+      // Trustlines let the account hold an asset, at the cost of a reserve:
+      openTrustline: async (currencyCode: string) =>
+        this.makeChangeTrust(currencyCode, true),
+      closeTrustline: async (currencyCode: string) =>
+        this.makeChangeTrust(currencyCode, false)
+    }
   }
 
   async multicastServers(
@@ -142,12 +163,23 @@ export class StellarEngine extends CurrencyEngine {
       if (tx.asset_type === 'native') {
         currencyCode = this.currencyInfo.currencyCode
       } else {
-        currencyCode = tx.asset_type
+        const assetCurrencyCode = this.getAssetCurrencyCode(
+          tx.asset_code,
+          tx.asset_issuer
+        )
+        // Skip assets we don't track:
+        if (assetCurrencyCode == null) return tx.paging_token
+        currencyCode = assetCurrencyCode
       }
     }
+    const isAsset = currencyCode !== this.currencyInfo.currencyCode
 
     const date: number = Date.parse(tx.created_at) / 1000
-    const denom = getDenomInfo(this.currencyInfo, currencyCode)
+    const denom = getDenomInfo(
+      this.currencyInfo,
+      currencyCode,
+      this.customTokens
+    )
     if (denom && denom.multiplier) {
       nativeAmount = bns.mul(exchangeAmount, denom.multiplier)
     } else {
@@ -163,16 +195,40 @@ export class StellarEngine extends CurrencyEngine {
       throw e
     }
 
+    let operationAmount
     if (toAddress === this.walletLocalData.publicKey) {
       ourReceiveAddresses.push(fromAddress)
       if (fromAddress === this.walletLocalData.publicKey) {
         // This is a spend to self. Make fee the only amount
-        nativeAmount = '-' + networkFee
+        operationAmount = '0'
+      } else {
+        operationAmount = nativeAmount
       }
     } else {
-      // This is a spend. Include fee in amount and make amount negative
-      nativeAmount = bns.add(nativeAmount, networkFee)
-      nativeAmount = '-' + nativeAmount
+      operationAmount = '-' + nativeAmount
+    }
+
+    // Batched payments have several operations in the same transaction,
+    // so combine the amounts from every operation we have seen:
+    const operationAmounts: { [id: string]: string } = {}
+    const idx = this.findTransaction(
+      currencyCode,
+      normalizeAddress(tx.transaction_hash)
+    )
+    if (idx !== -1) {
+      const { otherParams } = this.transactionList[currencyCode][idx]
+      if (otherParams != null && otherParams.operationAmounts != null) {
+        Object.assign(operationAmounts, otherParams.operationAmounts)
+      }
+    }
+    operationAmounts[tx.id] = operationAmount
+    nativeAmount = '0'
+    for (const id of Object.keys(operationAmounts)) {
+      nativeAmount = bns.add(nativeAmount, operationAmounts[id])
+    }
+    if (fromAddress === this.walletLocalData.publicKey && !isAsset) {
+      // This is a spend. Include fee in amount
+      nativeAmount = bns.sub(nativeAmount, networkFee)
     }
     const edgeTransaction: EdgeTransaction = {
       txid: tx.transaction_hash,
@@ -180,13 +236,15 @@ export class StellarEngine extends CurrencyEngine {
       currencyCode,
       blockHeight: rawTx.ledger_attr > 0 ? rawTx.ledger_attr : 0, // API shows no ledger number ??
       nativeAmount,
-      networkFee,
-      parentNetworkFee: '0',
+      // Assets pay their fees in XLM:
+      networkFee: isAsset ? '0' : networkFee,
+      parentNetworkFee: isAsset ? networkFee : '0',
       ourReceiveAddresses,
       signedTx: '',
       otherParams: {
         fromAddress,
-        toAddress
+        toAddress,
+        operationAmounts
       }
     }
 
@@ -242,7 +300,7 @@ export class StellarEngine extends CurrencyEngine {
       } catch (e) {
         if (e.response && e.response.title === 'Resource Missing') {
           this.log('Account not found. Probably not activated w/minimum XLM')
-          this.tokenCheckTransactionsStatus.XLM = 1
+          this.markTransactionsChecked()
           this.updateOnAddressesChecked()
         } else {
           this.log(`Error fetching transaction info: ${JSON.stringify(e)}`)
@@ -263,10 +321,18 @@ export class StellarEngine extends CurrencyEngine {
       this.walletLocalDataDirty = true
     }
     this.walletLocalData.lastAddressQueryHeight = blockHeight
-    this.tokenCheckTransactionsStatus.XLM = 1
+    this.markTransactionsChecked()
     this.updateOnAddressesChecked()
   }
 
+  // The payments query covers XLM and every asset at once:
+  markTransactionsChecked() {
+    this.tokenCheckTransactionsStatus.XLM = 1
+    for (const currencyCode of this.walletLocalData.enabledTokens) {
+      this.tokenCheckTransactionsStatus[currencyCode] = 1
+    }
+  }
+
   async checkUnconfirmedTransactionsFetch() {}
 
   // Check all account balance and other relevant info
@@ -280,34 +346,55 @@ export class StellarEngine extends CurrencyEngine {
       if (account.sequence !== this.otherData.accountSequence) {
         this.otherData.accountSequence = account.sequence
       }
+      if (account.subentry_count !== this.otherData.subentryCount) {
+        this.otherData.subentryCount = account.subentry_count
+        this.walletLocalDataDirty = true
+      }
+      const balances: { [currencyCode: string]: string } = {}
       for (const bal of account.balances) {
         let currencyCode
         if (bal.asset_type === 'native') {
           currencyCode = this.currencyInfo.currencyCode
           this.log('--Got balances--')
         } else {
-          currencyCode = bal.asset_type
+          currencyCode = this.getAssetCurrencyCode(
+            bal.asset_code,
+            bal.asset_issuer
+          )
+          if (currencyCode == null) continue
         }
-        const denom = getDenomInfo(this.currencyInfo, currencyCode)
+        const denom = getDenomInfo(
+          this.currencyInfo,
+          currencyCode,
+          this.customTokens
+        )
         if (denom && denom.multiplier) {
-          const nativeAmount = bns.mul(bal.balance, denom.multiplier)
-          if (
-            typeof this.walletLocalData.totalBalances[currencyCode] ===
-            'undefined'
-          ) {
-            this.walletLocalData.totalBalances[currencyCode] = '0'
-          }
+          balances[currencyCode] = bns.mul(bal.balance, denom.multiplier)
+        }
+      }
+      // Assets without a trustline have nothing in them:
+      for (const token of this.customTokens) {
+        if (balances[token.currencyCode] == null) {
+          balances[token.currencyCode] = '0'
+        }
+      }
+      for (const currencyCode of Object.keys(balances)) {
+        const nativeAmount = balances[currencyCode]
+        if (
+          typeof this.walletLocalData.totalBalances[currencyCode] ===
+          'undefined'
+        ) {
+          this.walletLocalData.totalBalances[currencyCode] = '0'
+        }
 
-          if (
-            this.walletLocalData.totalBalances[currencyCode] !== nativeAmount
-          ) {
-            this.walletLocalData.totalBalances[currencyCode] = nativeAmount
-            this.currencyEngineCallbacks.onBalanceChanged(
-              currencyCode,
-              nativeAmount
-            )
-          }
+        if (this.walletLocalData.totalBalances[currencyCode] !== nativeAmount) {
+          this.walletLocalData.totalBalances[currencyCode] = nativeAmount
+          this.currencyEngineCallbacks.onBalanceChanged(
+            currencyCode,
+            nativeAmount
+          )
         }
+        this.tokenCheckBalanceStatus[currencyCode] = 1
       }
       this.tokenCheckBalanceStatus.XLM = 1
       this.updateOnAddressesChecked()
@@ -342,6 +429,78 @@ export class StellarEngine extends CurrencyEngine {
       })
   }
 
+  // Custom assets are identified by their code plus issuing account,
+  // which we keep in the token's contractAddress:
+  getAsset(currencyCode: string): Object {
+    if (currencyCode === this.currencyInfo.currencyCode) {
+      return this.stellarApi.Asset.native()
+    }
+    const token = this.getTokenInfo(currencyCode)
+    if (token == null || token.contractAddress == null) {
+      throw new Error('ErrorInvalidCurrencyCode')
+    }
+    return new this.stellarApi.Asset(currencyCode, token.contractAddress)
+  }
+
+  getAssetCurrencyCode(
+    assetCode?: string,
+    assetIssuer?: string
+  ): string | null {
+    const token = this.allTokens.find(
+      token =>
+        token.currencyCode === assetCode &&
+        token.contractAddress === assetIssuer
+    )
+    return token != null ? token.currencyCode : null
+  }
+
+  // Accounts must hold two base reserves,
+  // plus one more for each trustline, offer or extra signer:
+  getMinimumBalance(extraSubentries: number = 0): string {
+    const entries = 2 + this.otherData.subentryCount + extraSubentries
+    return bns.mul(BASE_RESERVE, entries.toString())
+  }
+
+  // Asset codes are up to 12 letters or digits, in either case
+  validateCustomToken(tokenObj: CustomToken) {
+    if (!/^[a-zA-Z0-9]{1,12}$/.test(tokenObj.currencyCode)) {
+      throw new Error('ErrorInvalidCurrencyCode')
+    }
+    if (tokenObj.currencyName.trim() === '') {
+      throw new Error('ErrorInvalidCurrencyNameLength')
+    }
+  }
+
+  normalizeContractAddress(contractAddress: string): string {
+    if (!this.stellarPlugin.checkAddress(contractAddress)) {
+      throw new Error('ErrorInvalidContractAddress')
+    }
+    return contractAddress
+  }
+
+  async addCustomToken(obj: any) {
+    if (obj.multiplier !== ASSET_MULTIPLIER) {
+      throw new Error('ErrorInvalidMultiplier')
+    }
+    await super.addCustomToken(obj)
+  }
+
+  // Check if destination address is activated
+  async checkMustCreateAccount(publicAddress: string): Promise<boolean> {
+    const activated = this.activatedAccountsCache[publicAddress]
+    if (activated !== undefined) {
+      return !activated
+    }
+    try {
+      await this.multicastServers('loadAccount', publicAddress)
+      this.activatedAccountsCache[publicAddress] = true
+      return false
+    } catch (e) {
+      this.activatedAccountsCache[publicAddress] = false
+      return true
+    }
+  }
+
   async clearBlockchainCache(): Promise<void> {
     this.activatedAccountsCache = {}
     this.pendingTransactionsIndex = 0
@@ -376,68 +535,69 @@ export class StellarEngine extends CurrencyEngine {
       denom
     } = super.makeSpend(edgeSpendInfoIn)
 
-    if (edgeSpendInfo.spendTargets.length !== 1) {
-      throw new Error('Error: only one output allowed')
-    }
-    const publicAddress = edgeSpendInfo.spendTargets[0].publicAddress
-    // Check if destination address is activated
-    let mustCreateAccount = false
-    const activated = this.activatedAccountsCache[publicAddress]
-    if (activated === false) {
-      mustCreateAccount = true
-    } else if (activated === undefined) {
-      try {
-        await this.multicastServers('loadAccount', publicAddress)
-        this.activatedAccountsCache[publicAddress] = true
-      } catch (e) {
-        this.activatedAccountsCache[publicAddress] = false
-        mustCreateAccount = true
-      }
-    }
-
-    let nativeAmount = '0'
-    if (typeof edgeSpendInfo.spendTargets[0].nativeAmount === 'string') {
-      nativeAmount = edgeSpendInfo.spendTargets[0].nativeAmount
-    } else {
-      throw new NoAmountSpecifiedError()
-    }
-
-    if (bns.eq(nativeAmount, '0')) {
-      throw new NoAmountSpecifiedError()
+    if (edgeSpendInfo.spendTargets.length > MAX_OPERATIONS) {
+      throw new Error('Error: too many outputs')
     }
-
-    const exchangeAmount = bns.div(nativeAmount, denom.multiplier, 7)
+    const isAsset = currencyCode !== this.currencyInfo.currencyCode
+    const asset = this.getAsset(currencyCode)
 
     const account = new this.stellarApi.Account(
       this.walletLocalData.publicKey,
       this.otherData.accountSequence
     )
+    let transaction = new this.stellarApi.TransactionBuilder(account)
     let memoId: ?string
-    if (
-      edgeSpendInfo.spendTargets[0].otherParams &&
-      edgeSpendInfo.spendTargets[0].otherParams.uniqueIdentifier
-    ) {
-      memoId = edgeSpendInfo.spendTargets[0].otherParams.uniqueIdentifier
-    }
-    const txBuilder = new this.stellarApi.TransactionBuilder(account)
-    let transaction
-
-    if (mustCreateAccount) {
-      transaction = txBuilder.addOperation(
-        this.stellarApi.Operation.createAccount({
-          destination: publicAddress,
-          startingBalance: exchangeAmount
-        })
-      )
-    } else {
-      transaction = txBuilder.addOperation(
-        this.stellarApi.Operation.payment({
-          destination: publicAddress,
-          asset: this.stellarApi.Asset.native(),
-          amount: exchangeAmount
-        })
+    let nativeAmount = '0'
+    const toAddresses: Array<string> = []
+
+    // Each spend target becomes an operation in the same transaction
+    for (const spendTarget of edgeSpendInfo.spendTargets) {
+      const { publicAddress } = spendTarget
+      if (typeof spendTarget.nativeAmount !== 'string') {
+        throw new NoAmountSpecifiedError()
+      }
+      if (bns.eq(spendTarget.nativeAmount, '0')) {
+        throw new NoAmountSpecifiedError()
+      }
+      nativeAmount = bns.add(nativeAmount, spendTarget.nativeAmount)
+      const exchangeAmount = bns.div(
+        spendTarget.nativeAmount,
+        denom.multiplier,
+        7
       )
+
+      // Stellar transactions only have a single memo
+      if (spendTarget.otherParams && spendTarget.otherParams.uniqueIdentifier) {
+        const { uniqueIdentifier } = spendTarget.otherParams
+        if (memoId != null && memoId !== uniqueIdentifier) {
+          throw new Error('Error: only one memo allowed per transaction')
+        }
+        memoId = uniqueIdentifier
+      }
+
+      const mustCreateAccount = await this.checkMustCreateAccount(publicAddress)
+      if (mustCreateAccount && isAsset) {
+        // Only XLM can fund a new account:
+        throw new Error('ErrorAccountNotActivated')
+      } else if (mustCreateAccount) {
+        transaction = transaction.addOperation(
+          this.stellarApi.Operation.createAccount({
+            destination: publicAddress,
+            startingBalance: exchangeAmount
+          })
+        )
+      } else {
+        transaction = transaction.addOperation(
+          this.stellarApi.Operation.payment({
+            destination: publicAddress,
+            asset,
+            amount: exchangeAmount
+          })
+        )
+      }
+      toAddresses.push(publicAddress)
     }
+
     if (memoId) {
       const memo = this.stellarApi.Memo.id(memoId)
       transaction = transaction.addMemo(memo)
@@ -445,29 +605,55 @@ export class StellarEngine extends CurrencyEngine {
     transaction = transaction.build()
 
     const networkFee = transaction.fee.toString()
-    nativeAmount = bns.add(networkFee, nativeAmount) // Add fee to total
-    const nativeBalance2 = bns.sub(nativeBalance, '10000000') // Subtract the 1 min XLM
-    if (bns.gt(nativeAmount, nativeBalance2)) {
-      throw new InsufficientFundsError()
+    const xlmBalance =
+      this.walletLocalData.totalBalances[this.currencyInfo.currencyCode] || '0'
+    const spendableXlm = bns.sub(xlmBalance, this.getMinimumBalance())
+    if (isAsset) {
+      if (bns.gt(nativeAmount, nativeBalance)) {
+        throw new InsufficientFundsError()
+      }
+      if (bns.gt(networkFee, spendableXlm)) {
+        throw new InsufficientFundsError('Insufficient XLM for transaction fee')
+      }
+    } else {
+      nativeAmount = bns.add(networkFee, nativeAmount) // Add fee to total
+      if (bns.gt(nativeAmount, spendableXlm)) {
+        throw new InsufficientFundsError()
+      }
     }
 
     nativeAmount = `-${nativeAmount}`
-    const idInternal = this.pendingTransactionsIndex
     const edgeTransaction: EdgeTransaction = {
       txid: '', // txid
       date: 0, // date
       currencyCode, // currencyCode
       blockHeight: 0, // blockHeight
       nativeAmount, // nativeAmount
-      networkFee, // networkFee
+      networkFee: isAsset ? '0' : networkFee, // networkFee
       ourReceiveAddresses: [], // ourReceiveAddresses
       signedTx: '', // signedTx
       otherParams: {
-        idInternal,
+        idInternal: this.addPendingTransaction(transaction),
         fromAddress: this.walletLocalData.publicKey,
-        toAddress: publicAddress
+        toAddress: toAddresses[0],
+        toAddresses
       }
     }
+    if (isAsset) edgeTransaction.parentNetworkFee = networkFee
+
+    this.log('Stellar transaction prepared')
+    this.log(`idInternal: ${edgeTransaction.otherParams.idInternal}`)
+    this.log(
+      `${nativeAmount} ${this.walletLocalData.publicKey} -> ${toAddresses.join(
+        ', '
+      )}`
+    )
+    return edgeTransaction
+  }
+
+  // Keeps a built transaction around until signTx and broadcastTx need it
+  addPendingTransaction(transaction: Object): number {
+    const idInternal = this.pendingTransactionsIndex
     this.pendingTransactionsMap[idInternal] = transaction
     this.pendingTransactionsIndex++
 
@@ -475,12 +661,56 @@ export class StellarEngine extends CurrencyEngine {
     if (this.pendingTransactionsMap[this.pendingTransactionsIndex - 20]) {
       delete this.pendingTransactionsMap[this.pendingTransactionsIndex - 20]
     }
+    return idInternal
+  }
 
-    this.log('Stellar transaction prepared')
-    this.log(`idInternal: ${idInternal}`)
-    this.log(
-      `${nativeAmount} ${this.walletLocalData.publicKey} -> ${publicAddress}`
+  async makeChangeTrust(
+    currencyCode: string,
+    open: boolean
+  ): Promise<EdgeTransaction> {
+    const asset = this.getAsset(currencyCode)
+    if (asset.isNative()) throw new Error('ErrorInvalidCurrencyCode')
+    const assetBalance = this.walletLocalData.totalBalances[currencyCode]
+    if (!open && assetBalance != null && !bns.eq(assetBalance, '0')) {
+      throw new Error('ErrorTrustlineHasBalance')
+    }
+
+    const account = new this.stellarApi.Account(
+      this.walletLocalData.publicKey,
+      this.otherData.accountSequence
     )
+    const changeTrust = open
+      ? this.stellarApi.Operation.changeTrust({ asset })
+      : this.stellarApi.Operation.changeTrust({ asset, limit: '0' })
+    const transaction = new this.stellarApi.TransactionBuilder(account)
+      .addOperation(changeTrust)
+      .build()
+
+    // Opening a trustline raises the reserve, while closing one releases it:
+    const networkFee = transaction.fee.toString()
+    const xlmBalance =
+      this.walletLocalData.totalBalances[this.currencyInfo.currencyCode] || '0'
+    const minimumBalance = this.getMinimumBalance(open ? 1 : 0)
+    if (bns.gt(bns.add(networkFee, minimumBalance), xlmBalance)) {
+      throw new InsufficientFundsError()
+    }
+
+    const edgeTransaction: EdgeTransaction = {
+      txid: '', // txid
+      date: 0, // date
+      currencyCode: this.currencyInfo.currencyCode, // currencyCode
+      blockHeight: 0, // blockHeight
+      nativeAmount: `-${networkFee}`, // nativeAmount
+      networkFee, // networkFee
+      ourReceiveAddresses: [], // ourReceiveAddresses
+      signedTx: '', // signedTx
+      otherParams: {
+        idInternal: this.addPendingTransaction(transaction),
+        fromAddress: this.walletLocalData.publicKey,
+        toAddress: asset.getIssuer(),
+        toAddresses: []
+      }
+    }
     return edgeTransaction
   }
 
@@ -520,7 +750,9 @@ export class StellarEngine extends CurrencyEngine {
       )
       edgeTransaction.txid = result.hash
       edgeTransaction.date = Date.now() / 1000
-      this.activatedAccountsCache[edgeTransaction.otherParams.toAddress] = true
+      for (const toAddress of edgeTransaction.otherParams.toAddresses) {
+        this.activatedAccountsCache[toAddress] = true
+      }
       this.otherData.accountSequence++
       this.walletLocalDataDirty = true
     } catch (e) {
@@ -11,6 +11,7 @@ import {
   type EdgeCurrencyPlugin,
   type EdgeEncodeUri,
   type EdgeIo,
+  type EdgeMetaToken,
   type EdgeParsedUri,
   type EdgeWalletInfo
 } from 'edge-core-js/types'
@@ -78,7 +79,11 @@ export class StellarPlugin extends CurrencyPlugin {
     }
   }
 
-  async parseUri(uri: string): Promise<EdgeParsedUri> {
+  async parseUri(
+    uri: string,
+    currencyCode?: string,
+    customTokens?: Array<EdgeMetaToken>
+  ): Promise<EdgeParsedUri> {
     const networks = {}
     networks[URI_PREFIX] = true
     const STELLAR_SEP007_PREFIX = `${URI_PREFIX}:pay`
@@ -107,10 +112,19 @@ export class StellarPlugin extends CurrencyPlugin {
         notes: parsedUri.query.msg
       }
     }
-    if (parsedUri.query.asset_code) {
-      if (parsedUri.query.asset_code.toUpperCase() !== 'XLM') {
+    const { asset_code: assetCode, asset_issuer: assetIssuer } = parsedUri.query
+    if (assetCode && assetCode.toUpperCase() !== 'XLM') {
+      // Custom assets are only meaningful together with their issuer:
+      if (!assetIssuer || !this.checkAddress(assetIssuer)) {
         throw new Error('ErrorInvalidCurrencyCode')
       }
+      const knownToken = (customTokens || []).find(
+        token => token.currencyCode === assetCode
+      )
+      if (knownToken != null && knownToken.contractAddress !== assetIssuer) {
+        throw new Error('ErrorInvalidCurrencyCode')
+      }
+      edgeParsedUri.currencyCode = assetCode
     }
     if (parsedUri.query.memo_type) {
       if (parsedUri.query.memo_type !== 'MEMO_ID') {
@@ -202,6 +216,9 @@ export function makeStellarPlugin(
     if (!currencyEngine.otherData.lastPagingToken) {
       currencyEngine.otherData.lastPagingToken = '0'
     }
+    if (!currencyEngine.otherData.subentryCount) {
+      currencyEngine.otherData.subentryCount = 0
+    }
 
     const out: EdgeCurrencyEngine = currencyEngine
     return out
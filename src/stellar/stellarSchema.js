@@ -52,3 +52,12 @@ export const StellarGetTransactionsSchema = {
     }
   }
 }
+
+// Assets are identified by their code and the account that issues them:
+export const StellarTokenIdSchema = {
+  type: 'object',
+  properties: {
+    contractAddress: { type: 'string', pattern: '^G[A-Z2-7]{55}$' }
+  },
+  required: ['contractAddress']
+}
@@ -11,12 +11,15 @@ export type StellarBalance = {
   balance: string,
   buying_liabilities: string,
   selling_liabilities: string,
-  asset_type: string
+  asset_type: string,
+  asset_code?: string,
+  asset_issuer?: string
 }
 
 export type StellarAccount = {
   id: string,
   sequence: number,
+  subentry_count: number,
   balances: Array<StellarBalance>
 }
 
@@ -34,6 +37,8 @@ export type StellarPayment = {
   created_at: string,
   transaction_hash: string,
   asset_type: string,
+  asset_code?: string,
+  asset_issuer?: string,
   from: string,
   to: string,
   amount: string,
@@ -62,5 +67,6 @@ export type StellarTransaction = {
 }
 export type StellarWalletOtherData = {
   lastPagingToken: string,
-  accountSequence: number
+  accountSequence: number,
+  subentryCount: number
 }
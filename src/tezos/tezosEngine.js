@@ -11,14 +11,35 @@ import {
 import { eztz } from 'eztz.js'
 
 import { CurrencyEngine } from '../common/engine.js'
-import { asyncWaterfall, promiseAny, validateObject } from '../common/utils.js'
+import { type CustomToken } from '../common/types.js'
+import {
+  asyncWaterfall,
+  normalizeAddress,
+  promiseAny,
+  validateObject
+} from '../common/utils.js'
 import { TezosPlugin } from '../tezos/tezosPlugin.js'
 import { currencyInfo } from './tezosInfo.js'
-import { XtzTransactionSchema } from './tezosSchema.js'
+import {
+  TezosContractScriptSchema,
+  TezosTokenIdSchema,
+  TezosTokenTransfersSchema,
+  XtzTransactionSchema
+} from './tezosSchema.js'
+import {
+  findLedger,
+  getLedgerKey,
+  makeTransferParameters,
+  parseTokenAddress,
+  readLedgerBalance
+} from './tezosTokens.js'
 import {
   type HeadInfo,
   type OperationsContainer,
+  type TezosLedger,
   type TezosOperation,
+  type TezosTokenTransfer,
+  type TezosWalletOtherData,
   type XtzGetTransaction
 } from './tezosTypes.js'
 
@@ -27,17 +48,30 @@ const BLOCKCHAIN_POLL_MILLISECONDS = 30000
 const TRANSACTION_POLL_MILLISECONDS = 5000
 
 const PRIMARY_CURRENCY = currencyInfo.currencyCode
+const BAKING_REWARD_METADATA = {
+  name: 'Baking Reward',
+  category: 'Income:Baking Reward'
+}
 type TezosFunction =
   | 'getHead'
   | 'getBalance'
   | 'getNumberOfOperations'
   | 'getTransactions'
+  | 'getDelegate'
+  | 'getContractScript'
+  | 'getBigMapValue'
+  | 'getTokenTransfers'
+  | 'getTransactionHashes'
   | 'createTransaction'
   | 'injectOperation'
   | 'silentInjection'
 
 export class TezosEngine extends CurrencyEngine {
   tezosPlugin: TezosPlugin
+  otherData: TezosWalletOtherData
+  ledgers: { [contract: string]: TezosLedger }
+  checkedSenders: { [address: string]: true }
+  otherMethods: Object
 
   constructor(
     currencyPlugin: TezosPlugin,
@@ -46,6 +80,17 @@ export class TezosEngine extends CurrencyEngine {
   ) {
     super(currencyPlugin, walletInfo, opts)
     this.tezosPlugin = currencyPlugin
+    this.ledgers = {}
+    this.checkedSenders = {}
+    this.tokenIdSchema = TezosTokenIdSchema
+    this.otherMethods = {
+      ...this.otherMethods,
+
+      // Delegating lets a baker stake our balance, in return for rewards:
+      setDelegate: async (delegate: string) => this.makeDelegation(delegate),
+      withdrawDelegate: async () => this.makeDelegation(),
+      getDelegate: async () => this.checkDelegate()
+    }
   }
 
   async multicastServers(func: TezosFunction, ...params: any): Promise<any> {
@@ -118,19 +163,118 @@ export class TezosEngine extends CurrencyEngine {
         out = await asyncWaterfall(funcs)
         break
 
+      case 'getDelegate': {
+        const usableNodes = this.tezosPlugin.tezosRpcNodes.slice(1, 3)
+        funcs = usableNodes.map(server => async () => {
+          const response = await this.io.fetch(
+            `${server}/chains/main/blocks/head/context/contracts/${
+              params[0]
+            }/delegate`
+          )
+          // Accounts without a delegate have nothing here:
+          if (response.status === 404) return { server, result: null }
+          if (!response.ok) {
+            throw new Error(`The server returned error code ${response.status}`)
+          }
+          const result: string = await response.json()
+          return { server, result }
+        })
+        out = await asyncWaterfall(funcs)
+        break
+      }
+
+      case 'getContractScript': {
+        const usableNodes = this.tezosPlugin.tezosRpcNodes.slice(1, 3)
+        funcs = usableNodes.map(server => async () => {
+          const result = await this.io
+            .fetch(
+              `${server}/chains/main/blocks/head/context/contracts/${
+                params[0]
+              }/script`
+            )
+            .then(function(response) {
+              return response.json()
+            })
+          return { server, result }
+        })
+        out = await asyncWaterfall(funcs)
+        break
+      }
+
+      case 'getBigMapValue': {
+        const usableNodes = this.tezosPlugin.tezosRpcNodes.slice(1, 3)
+        funcs = usableNodes.map(server => async () => {
+          const response = await this.io.fetch(
+            `${server}/chains/main/blocks/head/context/big_maps/${params[0]}/${
+              params[1]
+            }`
+          )
+          // Owners without an entry have nothing:
+          if (response.status === 404) return { server, result: null }
+          if (!response.ok) {
+            throw new Error(`The server returned error code ${response.status}`)
+          }
+          const result = await response.json()
+          return { server, result }
+        })
+        out = await asyncWaterfall(funcs)
+        break
+      }
+
+      case 'getTokenTransfers':
+        funcs = this.tezosPlugin.tezosTokenApiServers.map(
+          server => async () => {
+            // A token address narrows the query to that one token:
+            let tokenFilter = ''
+            if (params[2] != null) {
+              const { contract, tokenId } = parseTokenAddress(params[2])
+              tokenFilter = `&token.contract=${contract}`
+              if (tokenId != null) tokenFilter += `&token.tokenId=${tokenId}`
+            }
+            const result: Array<TezosTokenTransfer> = await this.io
+              .fetch(
+                `${server}/v1/tokens/transfers?anyof.from.to=${params[0]}` +
+                  `&id.gt=${params[1]}&sort.asc=id&limit=100${tokenFilter}`
+              )
+              .then(function(response) {
+                return response.json()
+              })
+            return { server, result }
+          }
+        )
+        out = await asyncWaterfall(funcs)
+        break
+
+      case 'getTransactionHashes':
+        funcs = this.tezosPlugin.tezosTokenApiServers.map(
+          server => async () => {
+            const result: Array<{
+              id: number,
+              hash: string
+            }> = await this.io
+              .fetch(
+                `${server}/v1/operations/transactions?id.in=${params[0].join(
+                  ','
+                )}&select=id,hash`
+              )
+              .then(function(response) {
+                return response.json()
+              })
+            return { server, result }
+          }
+        )
+        out = await asyncWaterfall(funcs)
+        break
+
       case 'createTransaction':
         funcs = this.tezosPlugin.tezosRpcNodes.map(server => async () => {
           eztz.node.setProvider(server)
           const result = await eztz.rpc
-            .transfer(
+            .sendOperation(
               params[0],
               params[1],
               params[2],
-              params[3],
-              params[4],
-              null,
-              this.currencyInfo.defaultSettings.limit.gas,
-              this.currencyInfo.defaultSettings.limit.storage,
+              false,
               this.currencyInfo.defaultSettings.fee.reveal
             )
             .then(function(response) {
@@ -223,16 +367,28 @@ export class TezosEngine extends CurrencyEngine {
     const currencyCode = PRIMARY_CURRENCY
     const date = new Date(tx.type.operations[0].timestamp).getTime() / 1000
     const blockHeight = tx.type.operations[0].op_level
-    let nativeAmount = tx.type.operations[0].amount.toString()
-    const networkFee = tx.type.operations[0].fee.toString()
     const failedOperation = tx.type.operations[0].failed
-    if (pkh === tx.type.operations[0].destination.tz) {
-      ourReceiveAddresses.push(pkh)
-      if (tx.type.source.tz === pkh) {
-        nativeAmount = '-' + networkFee
+    let nativeAmount = '0'
+    let networkFee = '0'
+
+    // Batched payments have several transactions in the same operation group
+    for (const operation of tx.type.operations) {
+      if (operation.destination == null) continue
+      const amount = operation.amount.toString()
+      networkFee = bns.add(networkFee, operation.fee.toString())
+      if (pkh === operation.destination.tz) {
+        if (ourReceiveAddresses.indexOf(pkh) === -1) {
+          ourReceiveAddresses.push(pkh)
+        }
+        if (tx.type.source.tz !== pkh) {
+          nativeAmount = bns.add(nativeAmount, amount)
+        }
+      } else if (tx.type.source.tz === pkh) {
+        nativeAmount = bns.sub(nativeAmount, amount)
       }
-    } else {
-      nativeAmount = '-' + bns.add(nativeAmount, networkFee)
+    }
+    if (tx.type.source.tz === pkh) {
+      nativeAmount = bns.sub(nativeAmount, networkFee)
     }
     const edgeTransaction: EdgeTransaction = {
       txid: tx.hash,
@@ -243,13 +399,107 @@ export class TezosEngine extends CurrencyEngine {
       networkFee,
       ourReceiveAddresses,
       signedTx: '',
-      otherParams: {}
+      otherParams: {
+        fromAddress: tx.type.source.tz
+      }
+    }
+    if (this.isBakingReward(edgeTransaction)) {
+      edgeTransaction.metadata = { ...BAKING_REWARD_METADATA }
     }
     if (!failedOperation) {
       this.addTransaction(currencyCode, edgeTransaction)
     }
   }
 
+  isIncomingPayment(edgeTransaction: EdgeTransaction): boolean {
+    const { ourReceiveAddresses, nativeAmount } = edgeTransaction
+    return ourReceiveAddresses.length > 0 && bns.gt(nativeAmount, '0')
+  }
+
+  // Payments into the wallet from any baker we have delegated to,
+  // or from the payout accounts they use
+  isBakingReward(edgeTransaction: EdgeTransaction): boolean {
+    const { fromAddress } = edgeTransaction.otherParams || {}
+    return (
+      this.isIncomingPayment(edgeTransaction) &&
+      (this.otherData.bakers.indexOf(fromAddress) !== -1 ||
+        this.otherData.payoutAddresses.indexOf(fromAddress) !== -1)
+    )
+  }
+
+  /**
+   * Most bakers pay rewards from a separate account,
+   * which they delegate to themselves,
+   * so check where the senders of unlabeled payments delegate.
+   */
+  async findPayoutAddresses() {
+    const { bakers, payoutAddresses } = this.otherData
+    let found = false
+    for (const edgeTransaction of this.transactionList[PRIMARY_CURRENCY] ||
+      []) {
+      const { fromAddress } = edgeTransaction.otherParams || {}
+      if (
+        fromAddress == null ||
+        this.checkedSenders[fromAddress] ||
+        edgeTransaction.metadata != null ||
+        !this.isIncomingPayment(edgeTransaction)
+      ) {
+        continue
+      }
+      const delegate = await this.multicastServers('getDelegate', fromAddress)
+      this.checkedSenders[fromAddress] = true
+      if (
+        delegate != null &&
+        fromAddress !== delegate &&
+        bakers.indexOf(delegate) !== -1 &&
+        payoutAddresses.indexOf(fromAddress) === -1
+      ) {
+        payoutAddresses.push(fromAddress)
+        this.walletLocalDataDirty = true
+        found = true
+      }
+    }
+    if (found) this.labelBakingRewards()
+  }
+
+  async checkDelegate(): Promise<string | null> {
+    const delegate: string | null = await this.multicastServers(
+      'getDelegate',
+      this.walletLocalData.publicKey
+    )
+    if (delegate !== this.otherData.delegate) {
+      this.otherData.delegate = delegate
+      this.walletLocalDataDirty = true
+    }
+    if (delegate != null && this.otherData.bakers.indexOf(delegate) === -1) {
+      this.otherData.bakers.push(delegate)
+      this.walletLocalDataDirty = true
+      this.labelBakingRewards()
+    }
+    return delegate
+  }
+
+  // Labels rewards that arrived before we knew about their baker
+  labelBakingRewards() {
+    for (const edgeTransaction of this.transactionList[PRIMARY_CURRENCY] ||
+      []) {
+      if (
+        edgeTransaction.metadata == null &&
+        this.isBakingReward(edgeTransaction)
+      ) {
+        edgeTransaction.metadata = { ...BAKING_REWARD_METADATA }
+        this.transactionListDirty = true
+        this.transactionsChangedArray.push(edgeTransaction)
+      }
+    }
+    if (this.transactionsChangedArray.length > 0) {
+      this.currencyEngineCallbacks.onTransactionsChanged(
+        this.transactionsChangedArray
+      )
+      this.transactionsChangedArray = []
+    }
+  }
+
   async checkTransactionsInnerLoop() {
     const pkh = this.walletLocalData.publicKey
     if (!this.otherData.numberTransactions) {
@@ -282,9 +532,153 @@ export class TezosEngine extends CurrencyEngine {
       this.walletLocalDataDirty = true
     }
     this.tokenCheckTransactionsStatus.XTZ = 1
+    await this.checkTokenTransactions()
     this.updateOnAddressesChecked()
   }
 
+  // Finds the tracked token a contract and token id belong to
+  getTokenCurrencyCode(contract: string, tokenId: string): string | null {
+    const token = this.allTokens.find(token => {
+      const address = parseTokenAddress(token.contractAddress || '')
+      return (
+        address.contract === contract &&
+        (address.tokenId == null || address.tokenId === tokenId)
+      )
+    })
+    return token != null ? token.currencyCode : null
+  }
+
+  processTokenTransfer(transfer: TezosTokenTransfer, txid: string) {
+    const currencyCode = this.getTokenCurrencyCode(
+      transfer.token.contract.address,
+      transfer.token.tokenId
+    )
+    if (currencyCode == null) return
+    const pkh = this.walletLocalData.publicKey
+    const ourReceiveAddresses: Array<string> = []
+    let transferAmount = '0'
+    if (transfer.to != null && transfer.to.address === pkh) {
+      ourReceiveAddresses.push(pkh)
+      transferAmount = bns.add(transferAmount, transfer.amount)
+    }
+    if (transfer.from != null && transfer.from.address === pkh) {
+      transferAmount = bns.sub(transferAmount, transfer.amount)
+    }
+
+    // Batched transfers have several entries in the same operation group,
+    // so combine the amounts from every transfer we have seen:
+    const transferAmounts: { [id: string]: string } = {}
+    const idx = this.findTransaction(currencyCode, normalizeAddress(txid))
+    if (idx !== -1) {
+      const { otherParams } = this.transactionList[currencyCode][idx]
+      if (otherParams != null && otherParams.transferAmounts != null) {
+        Object.assign(transferAmounts, otherParams.transferAmounts)
+      }
+    }
+    transferAmounts[transfer.id.toString()] = transferAmount
+    let nativeAmount = '0'
+    for (const id of Object.keys(transferAmounts)) {
+      nativeAmount = bns.add(nativeAmount, transferAmounts[id])
+    }
+
+    const edgeTransaction: EdgeTransaction = {
+      txid,
+      date: new Date(transfer.timestamp).getTime() / 1000,
+      currencyCode,
+      blockHeight: transfer.level,
+      nativeAmount,
+      // Token transfers pay their fees in XTZ:
+      networkFee: '0',
+      parentNetworkFee: '0',
+      ourReceiveAddresses,
+      signedTx: '',
+      otherParams: { transferAmounts }
+    }
+    this.addTransaction(currencyCode, edgeTransaction)
+  }
+
+  /**
+   * Fetches one page of token transfers after `lastId`,
+   * optionally for a single token, and returns the last id it processed.
+   * Returns null once there is nothing new.
+   */
+  async fetchTokenTransfers(
+    lastId: number,
+    contractAddress?: string
+  ): Promise<number | null> {
+    const pkh = this.walletLocalData.publicKey
+    const transfers: Array<TezosTokenTransfer> = await this.multicastServers(
+      'getTokenTransfers',
+      pkh,
+      lastId,
+      contractAddress
+    )
+    if (!validateObject(transfers, TezosTokenTransfersSchema)) {
+      throw new Error('Invalid data returned from getTokenTransfers')
+    }
+    if (transfers.length === 0) return null
+
+    // Transfers only know their transaction by id, so look up the hashes:
+    const ids: Array<number> = []
+    for (const transfer of transfers) {
+      if (transfer.transactionId != null) ids.push(transfer.transactionId)
+    }
+    const hashes: { [id: number]: string } = {}
+    if (ids.length > 0) {
+      const rows = await this.multicastServers('getTransactionHashes', ids)
+      for (const row of rows) hashes[row.id] = row.hash
+    }
+
+    for (const transfer of transfers) {
+      const txid =
+        transfer.transactionId != null ? hashes[transfer.transactionId] : null
+      if (txid != null) this.processTokenTransfer(transfer, txid)
+      lastId = transfer.id
+    }
+    return lastId
+  }
+
+  async checkTokenTransactions() {
+    const { otherData } = this
+    try {
+      while (true) {
+        const lastId = await this.fetchTokenTransfers(
+          otherData.lastTokenTransferId
+        )
+        if (lastId == null) break
+        otherData.lastTokenTransferId = lastId
+        this.walletLocalDataDirty = true
+      }
+
+      // Tokens added since the last scan only need their own history:
+      for (const contractAddress of Object.keys(otherData.tokenBackfills)) {
+        while (true) {
+          const lastId = await this.fetchTokenTransfers(
+            otherData.tokenBackfills[contractAddress],
+            contractAddress
+          )
+          if (lastId == null) break
+          otherData.tokenBackfills[contractAddress] = lastId
+          this.walletLocalDataDirty = true
+        }
+        delete otherData.tokenBackfills[contractAddress]
+        this.walletLocalDataDirty = true
+      }
+
+      if (this.transactionsChangedArray.length > 0) {
+        this.currencyEngineCallbacks.onTransactionsChanged(
+          this.transactionsChangedArray
+        )
+        this.transactionsChangedArray = []
+      }
+      for (const currencyCode of this.walletLocalData.enabledTokens) {
+        this.tokenCheckTransactionsStatus[currencyCode] = 1
+      }
+    } catch (e) {
+      this.log(`Error fetching token transfers: ${e.message}`)
+    }
+  }
+
   async checkUnconfirmedTransactionsFetch() {}
 
   // Check all account balance and other relevant info
@@ -303,6 +697,62 @@ export class TezosEngine extends CurrencyEngine {
       this.currencyEngineCallbacks.onBalanceChanged(currencyCode, balance)
     }
     this.tokenCheckBalanceStatus.XTZ = 1
+
+    try {
+      await this.checkDelegate()
+      await this.findPayoutAddresses()
+    } catch (e) {
+      this.log(`Error checking delegate: ${e.message}`)
+    }
+
+    for (const token of this.allTokens) {
+      if (this.walletLocalData.enabledTokens.indexOf(token.currencyCode) < 0) {
+        continue
+      }
+      try {
+        await this.checkTokenBalance(token.currencyCode)
+      } catch (e) {
+        this.log(`Error checking ${token.currencyCode} balance: ${e.message}`)
+      }
+    }
+  }
+
+  // Token contracts keep balances in a big map somewhere in their storage
+  async getLedger(contract: string): Promise<TezosLedger> {
+    if (this.ledgers[contract] == null) {
+      const script = await this.multicastServers('getContractScript', contract)
+      if (!validateObject(script, TezosContractScriptSchema)) {
+        throw new Error('Invalid data returned from getContractScript')
+      }
+      const storage = script.code.find(section => section.prim === 'storage')
+      const ledger =
+        storage != null ? findLedger(storage.args[0], script.storage) : null
+      if (ledger == null) throw new Error('ErrorUnsupportedLedger')
+      this.ledgers[contract] = ledger
+    }
+    return this.ledgers[contract]
+  }
+
+  async checkTokenBalance(currencyCode: string) {
+    const token = this.getTokenInfo(currencyCode)
+    if (token == null || token.contractAddress == null) return
+    const { contract, tokenId } = parseTokenAddress(token.contractAddress)
+    const ledger = await this.getLedger(contract)
+    const key = getLedgerKey(ledger, this.walletLocalData.publicKey, tokenId)
+    const entry = await this.multicastServers(
+      'getBigMapValue',
+      ledger.bigMapId,
+      key
+    )
+    const balance =
+      entry != null ? readLedgerBalance(ledger.valueType, entry) || '0' : '0'
+    if (this.walletLocalData.totalBalances[currencyCode] !== balance) {
+      this.walletLocalData.totalBalances[currencyCode] = balance
+      this.walletLocalDataDirty = true
+      this.currencyEngineCallbacks.onBalanceChanged(currencyCode, balance)
+    }
+    this.tokenCheckBalanceStatus[currencyCode] = 1
+    this.updateOnAddressesChecked()
   }
 
   async checkBlockchainInnerLoop() {
@@ -319,6 +769,47 @@ export class TezosEngine extends CurrencyEngine {
 
   async clearBlockchainCache(): Promise<void> {
     await super.clearBlockchainCache()
+    this.otherData.numberTransactions = 0
+    this.otherData.lastTokenTransferId = 0
+    this.otherData.tokenBackfills = {}
+    this.otherData.delegate = null
+    this.otherData.bakers = []
+    this.otherData.payoutAddresses = []
+    this.checkedSenders = {}
+  }
+
+  // Token symbols come from contract metadata, so allow either case
+  validateCustomToken(tokenObj: CustomToken) {
+    if (!/^[a-zA-Z0-9]{1,12}$/.test(tokenObj.currencyCode)) {
+      throw new Error('ErrorInvalidCurrencyCode')
+    }
+    if (tokenObj.currencyName.trim() === '') {
+      throw new Error('ErrorInvalidCurrencyNameLength')
+    }
+  }
+
+  normalizeContractAddress(contractAddress: string): string {
+    const { contract, tokenId } = parseTokenAddress(contractAddress)
+    if (!this.tezosPlugin.checkAddress(contract)) {
+      throw new Error('ErrorInvalidContractAddress')
+    }
+    if (tokenId == null) return contract
+    if (!/^\d+$/.test(tokenId)) throw new Error('ErrorInvalidTokenId')
+    return `${contract}:${bns.add(tokenId, '0')}`
+  }
+
+  // FA2 tokens can pass their token id separately from the contract address
+  async addCustomToken(obj: any) {
+    if (obj.tokenId != null && obj.contractAddress != null) {
+      obj = { ...obj, contractAddress: `${obj.contractAddress}:${obj.tokenId}` }
+    }
+    await super.addCustomToken(obj)
+    // Pick up the new token's history:
+    const token = this.getTokenInfo(obj.currencyCode)
+    if (token != null && token.contractAddress != null) {
+      this.otherData.tokenBackfills[token.contractAddress] = 0
+      this.walletLocalDataDirty = true
+    }
   }
 
   async isBurn(op: TezosOperation): Promise<boolean> {
@@ -352,25 +843,109 @@ export class TezosEngine extends CurrencyEngine {
   }
 
   async makeSpend(edgeSpendInfoIn: EdgeSpendInfo) {
-    const {
-      edgeSpendInfo,
-      currencyCode,
-      nativeBalance,
-      denom
-    } = super.makeSpend(edgeSpendInfoIn)
-    if (edgeSpendInfo.spendTargets.length !== 1) {
-      throw new Error('Error: only one output allowed')
-    }
-    const publicAddress = edgeSpendInfo.spendTargets[0].publicAddress
+    const { edgeSpendInfo, currencyCode, nativeBalance } = super.makeSpend(
+      edgeSpendInfoIn
+    )
+    const { fee, limit } = this.currencyInfo.defaultSettings
+    const isToken = currencyCode !== PRIMARY_CURRENCY
     let nativeAmount = '0'
-    if (typeof edgeSpendInfo.spendTargets[0].nativeAmount === 'string') {
-      nativeAmount = edgeSpendInfo.spendTargets[0].nativeAmount
+    const toAddresses: Array<string> = []
+    const transactions: Array<Object> = []
+    const transfers: Array<{ to: string, amount: string }> = []
+
+    // Each spend target becomes a transaction in the same operation group
+    for (const spendTarget of edgeSpendInfo.spendTargets) {
+      const { publicAddress } = spendTarget
+      if (typeof spendTarget.nativeAmount !== 'string') {
+        throw new NoAmountSpecifiedError()
+      }
+      if (bns.eq(spendTarget.nativeAmount, '0')) {
+        throw new NoAmountSpecifiedError()
+      }
+      nativeAmount = bns.add(nativeAmount, spendTarget.nativeAmount)
+      if (isToken) {
+        transfers.push({ to: publicAddress, amount: spendTarget.nativeAmount })
+      } else {
+        transactions.push({
+          kind: 'transaction',
+          fee: fee.transaction,
+          gas_limit: limit.gas,
+          storage_limit: limit.storage,
+          amount: spendTarget.nativeAmount,
+          destination: publicAddress
+        })
+      }
+      toAddresses.push(publicAddress)
+    }
+
+    // Token transfers are calls to the token contract's `transfer` entrypoint
+    if (isToken) {
+      const token = this.getTokenInfo(currencyCode)
+      if (token == null || token.contractAddress == null) {
+        throw new Error('ErrorInvalidCurrencyCode')
+      }
+      const tokenAddress = parseTokenAddress(token.contractAddress)
+      const allParameters = makeTransferParameters(
+        tokenAddress,
+        this.walletLocalData.publicKey,
+        transfers
+      )
+      for (const parameters of allParameters) {
+        transactions.push({
+          kind: 'transaction',
+          fee: fee.tokenTransaction,
+          gas_limit: limit.tokenGas,
+          storage_limit: limit.tokenStorage,
+          amount: '0',
+          destination: tokenAddress.contract,
+          parameters
+        })
+      }
+    }
+    const ops = await this.forgeOperations(transactions)
+    const networkFee = await this.getNetworkFee(ops)
+    if (isToken) {
+      if (bns.gt(nativeAmount, nativeBalance)) {
+        throw new InsufficientFundsError()
+      }
+      const xtzBalance =
+        this.walletLocalData.totalBalances[PRIMARY_CURRENCY] || '0'
+      if (bns.gt(networkFee, xtzBalance)) {
+        throw new InsufficientFundsError('Insufficient XTZ for transaction fee')
+      }
     } else {
-      throw new NoAmountSpecifiedError()
+      nativeAmount = bns.add(nativeAmount, networkFee)
+      if (bns.gt(nativeAmount, nativeBalance)) {
+        throw new InsufficientFundsError()
+      }
     }
-    if (bns.eq(nativeAmount, '0')) {
-      throw new NoAmountSpecifiedError()
+    nativeAmount = '-' + nativeAmount
+
+    const edgeTransaction: EdgeTransaction = {
+      txid: '',
+      date: 0,
+      currencyCode,
+      blockHeight: 0,
+      nativeAmount,
+      networkFee: isToken ? '0' : networkFee,
+      ourReceiveAddresses: toAddresses,
+      signedTx: '',
+      otherParams: {
+        idInternal: 0,
+        fromAddress: this.walletLocalData.publicKey,
+        toAddress: toAddresses[0],
+        toAddresses,
+        fullOp: ops
+      }
     }
+    if (isToken) edgeTransaction.parentNetworkFee = networkFee
+    return edgeTransaction
+  }
+
+  // Builds an unsigned operation group, with a reveal if the account needs one
+  async forgeOperations(
+    operations: Array<Object>
+  ): Promise<OperationsContainer> {
     const keys = {
       pk: this.walletInfo.keys.publicKeyEd,
       pkh: this.walletInfo.keys.publicKey,
@@ -384,21 +959,25 @@ export class TezosEngine extends CurrencyEngine {
         ops = await this.multicastServers(
           'createTransaction',
           keys.pkh,
-          keys,
-          publicAddress,
-          bns.div(nativeAmount, denom.multiplier, 6),
-          this.currencyInfo.defaultSettings.fee.transaction
+          operations,
+          keys
         )
       } catch (e) {
         error = e
       }
     } while (
-      (typeof ops === 'undefined' || ops.opOb.contents.length > 2) &&
+      // Allow for one extra reveal operation
+      (typeof ops === 'undefined' ||
+        ops.opOb.contents.length > operations.length + 1) &&
       resendCounter++ < 5
     )
     if (typeof ops === 'undefined') {
       throw error
     }
+    return ops
+  }
+
+  async getNetworkFee(ops: OperationsContainer): Promise<string> {
     let networkFee = '0'
     for (const operation of ops.opOb.contents) {
       networkFee = bns.add(networkFee, operation.fee)
@@ -410,25 +989,44 @@ export class TezosEngine extends CurrencyEngine {
         )
       }
     }
-    nativeAmount = bns.add(nativeAmount, networkFee)
-    if (bns.gt(nativeAmount, nativeBalance)) {
+    return networkFee
+  }
+
+  // Passing no delegate withdraws the current one
+  async makeDelegation(delegate?: string): Promise<EdgeTransaction> {
+    if (delegate != null && !this.tezosPlugin.checkAddress(delegate)) {
+      throw new Error('InvalidPublicAddressError')
+    }
+    const { fee, limit } = this.currencyInfo.defaultSettings
+    const delegation: Object = {
+      kind: 'delegation',
+      fee: fee.delegation,
+      gas_limit: limit.delegationGas,
+      storage_limit: '0'
+    }
+    if (delegate != null) delegation.delegate = delegate
+
+    const ops = await this.forgeOperations([delegation])
+    const networkFee = await this.getNetworkFee(ops)
+    const balance = this.walletLocalData.totalBalances[PRIMARY_CURRENCY] || '0'
+    if (bns.gt(networkFee, balance)) {
       throw new InsufficientFundsError()
     }
-    nativeAmount = '-' + nativeAmount
 
     const edgeTransaction: EdgeTransaction = {
       txid: '',
       date: 0,
-      currencyCode,
+      currencyCode: PRIMARY_CURRENCY,
       blockHeight: 0,
-      nativeAmount,
+      nativeAmount: '-' + networkFee,
       networkFee,
-      ourReceiveAddresses: [publicAddress],
+      ourReceiveAddresses: [],
       signedTx: '',
       otherParams: {
         idInternal: 0,
         fromAddress: this.walletLocalData.publicKey,
-        toAddress: publicAddress,
+        toAddress: delegate || '',
+        toAddresses: delegate != null ? [delegate] : [],
         fullOp: ops
       }
     }
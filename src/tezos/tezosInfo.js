@@ -22,19 +22,25 @@ const otherSettings: TezosSettings = {
     'https://rpc.tulip.tools/mainnet',
     'https://mainnet.tezrpc.me'
   ],
-  tezosApiServers: ['https://mystique.tzkt.io', 'https://tzsimple.tulip.tools']
+  tezosApiServers: ['https://mystique.tzkt.io', 'https://tzsimple.tulip.tools'],
+  tezosTokenApiServers: ['https://api.tzkt.io']
 }
 
 const defaultSettings: any = {
   otherSettings,
   fee: {
     transaction: '1350',
+    tokenTransaction: '15000',
+    delegation: '1300',
     reveal: '1300',
     burn: '257000'
   },
   limit: {
     gas: '10600',
-    storage: '277'
+    storage: '277',
+    tokenGas: '100000',
+    tokenStorage: '300',
+    delegationGas: '10000'
   }
 }
 export const currencyInfo: EdgeCurrencyInfo = {
@@ -59,5 +65,19 @@ export const currencyInfo: EdgeCurrencyInfo = {
   ],
   symbolImage: `${imageServerUrl}/tezos-logo-solo-64.png`,
   symbolImageDarkMono: `${imageServerUrl}/tezos-logo-solo-64.png`,
-  metaTokens: []
+  metaTokens: [
+    // Token contract addresses are `KT1...` for FA1.2,
+    // or `KT1...:<tokenId>` for FA2:
+    {
+      currencyCode: 'USDTZ',
+      currencyName: 'USD Tez',
+      denominations: [
+        {
+          name: 'USDTZ',
+          multiplier: '1000000'
+        }
+      ],
+      contractAddress: 'KT1LN4LPSqTMS7Sd2CJw4bbDGRkMv2t68Fy9'
+    }
+  ]
 }
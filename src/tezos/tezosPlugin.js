@@ -20,6 +20,7 @@ import { type UriTransaction } from './tezosTypes.js'
 export class TezosPlugin extends CurrencyPlugin {
   tezosRpcNodes: Array<Object>
   tezosApiServers: Array<Object>
+  tezosTokenApiServers: Array<string>
   constructor(io: EdgeIo) {
     super(io, 'tezos', currencyInfo)
     this.tezosRpcNodes = []
@@ -32,6 +33,9 @@ export class TezosPlugin extends CurrencyPlugin {
       .tezosApiServers) {
       this.tezosApiServers.push(apiServer)
     }
+    this.tezosTokenApiServers = [
+      ...currencyInfo.defaultSettings.otherSettings.tezosTokenApiServers
+    ]
   }
 
   checkAddress(address: string): boolean {
@@ -159,6 +163,21 @@ export function makeTezosPlugin(
     if (!currencyEngine.otherData.numberTransactions) {
       currencyEngine.otherData.numberTransaction = 0
     }
+    if (!currencyEngine.otherData.lastTokenTransferId) {
+      currencyEngine.otherData.lastTokenTransferId = 0
+    }
+    if (!currencyEngine.otherData.tokenBackfills) {
+      currencyEngine.otherData.tokenBackfills = {}
+    }
+    if (!currencyEngine.otherData.delegate) {
+      currencyEngine.otherData.delegate = null
+    }
+    if (!currencyEngine.otherData.bakers) {
+      currencyEngine.otherData.bakers = []
+    }
+    if (!currencyEngine.otherData.payoutAddresses) {
+      currencyEngine.otherData.payoutAddresses = []
+    }
     const out: TezosEngine = currencyEngine
     return out
   }
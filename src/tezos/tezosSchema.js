@@ -23,3 +23,64 @@ export const XtzTransactionSchema = {
   },
   required: ['block_hash', 'hash', 'network_hash', 'type']
 }
+
+export const TezosContractScriptSchema = {
+  type: 'object',
+  properties: {
+    code: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          prim: { type: 'string' },
+          args: { type: 'array' }
+        },
+        required: ['prim']
+      }
+    },
+    storage: {}
+  },
+  required: ['code', 'storage']
+}
+
+export const TezosTokenTransfersSchema = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      id: { type: 'number' },
+      level: { type: 'number' },
+      timestamp: { type: 'string' },
+      token: {
+        type: 'object',
+        properties: {
+          contract: {
+            type: 'object',
+            properties: {
+              address: { type: 'string' }
+            },
+            required: ['address']
+          },
+          tokenId: { type: 'string' }
+        },
+        required: ['contract', 'tokenId']
+      },
+      amount: { type: 'string' },
+      transactionId: { type: 'number' }
+    },
+    required: ['id', 'level', 'timestamp', 'token', 'amount']
+  }
+}
+
+// Tokens are identified by their KT1 contract, plus a token id for FA2:
+export const TezosTokenIdSchema = {
+  type: 'object',
+  properties: {
+    contractAddress: {
+      type: 'string',
+      pattern: '^KT1[1-9A-HJ-NP-Za-km-z]{33}(:|$)'
+    },
+    tokenId: { type: ['string', 'integer'] }
+  },
+  required: ['contractAddress']
+}
@@ -0,0 +1,223 @@
+// @flow
+
+import { bns } from 'biggystring'
+import { eztz } from 'eztz.js'
+
+import { type TezosLedger, type TezosTokenAddress } from './tezosTypes.js'
+
+// Big map annotations that token contracts use for their balances:
+const LEDGER_ANNOTS = ['%ledger', '%balances']
+
+// Base58 prefix for script expression hashes (`expr...`):
+const EXPR_PREFIX = new Uint8Array([13, 44, 64, 27])
+
+/**
+ * Tokens live at `KT1...` for FA1.2 contracts,
+ * or at `KT1...:<tokenId>` for FA2 contracts.
+ */
+export function parseTokenAddress(contractAddress: string): TezosTokenAddress {
+  const [contract, tokenId] = contractAddress.split(':')
+  return tokenId == null ? { contract } : { contract, tokenId }
+}
+
+// Splits a pair type or value, including combs with more than two args:
+function unpair(node: any): [any, any] | null {
+  const args = Array.isArray(node) ? node : node.args
+  if (args == null || args.length < 2) return null
+  if (args.length === 2) return [args[0], args[1]]
+  const prim = Array.isArray(node) ? 'Pair' : node.prim
+  return [args[0], { prim, args: args.slice(1) }]
+}
+
+function hasAnnot(type: Object, annots: Array<string>): boolean {
+  return (type.annots || []).some(annot => annots.indexOf(annot) !== -1)
+}
+
+/**
+ * Walks a contract's storage type alongside its storage value,
+ * looking for the big map that holds token balances.
+ */
+export function findLedger(type: Object, value: any): TezosLedger | null {
+  if (type.prim === 'big_map' && hasAnnot(type, LEDGER_ANNOTS)) {
+    return {
+      bigMapId: value.int,
+      keyType: type.args[0],
+      valueType: type.args[1]
+    }
+  }
+  if (type.prim === 'pair') {
+    const types = unpair(type)
+    const values = unpair(value)
+    if (types == null || values == null) return null
+    return findLedger(types[0], values[0]) || findLedger(types[1], values[1])
+  }
+  return null
+}
+
+function encodeAddress(address: string): Array<number> {
+  const prefix = address.slice(0, 3)
+  if (prefix === 'KT1') {
+    const hash = eztz.utility.b58cdecode(address, eztz.prefix.KT)
+    return [0x01, ...hash, 0x00]
+  }
+  const tags = { tz1: 0x00, tz2: 0x01, tz3: 0x02 }
+  if (tags[prefix] == null) throw new Error('InvalidPublicAddressError')
+  const hash = eztz.utility.b58cdecode(address, eztz.prefix[prefix])
+  return [0x00, tags[prefix], ...hash]
+}
+
+// Splits off the low digit, keeping big token ids exact:
+function divmod(value: string, base: string): [string, number] {
+  const quotient = bns.div(value, base)
+  return [quotient, Number(bns.sub(value, bns.mul(quotient, base)))]
+}
+
+function encodeNat(value: string): Array<number> {
+  // Zarith encoding, where the first byte also carries a sign bit:
+  let [rest, digit] = divmod(value, '64')
+  const out = [digit]
+  while (bns.gt(rest, '0')) {
+    out[out.length - 1] |= 0x80
+    const next = divmod(rest, '128')
+    rest = next[0]
+    out.push(next[1])
+  }
+  return out
+}
+
+function encodeData(type: Object, value: any): Array<number> {
+  switch (type.prim) {
+    case 'address': {
+      const bytes = encodeAddress(value.string)
+      const length = bytes.length
+      return [
+        0x0a,
+        (length >>> 24) & 0xff,
+        (length >>> 16) & 0xff,
+        (length >>> 8) & 0xff,
+        length & 0xff,
+        ...bytes
+      ]
+    }
+    case 'nat':
+      return [0x00, ...encodeNat(value.int)]
+    case 'pair': {
+      const types = unpair(type)
+      const values = unpair(value)
+      if (types == null || values == null) break
+      return [
+        0x07,
+        0x07,
+        ...encodeData(types[0], values[0]),
+        ...encodeData(types[1], values[1])
+      ]
+    }
+  }
+  throw new Error('ErrorUnsupportedLedger')
+}
+
+/**
+ * Serializes a Michelson value the way the `PACK` instruction does.
+ */
+export function packData(type: Object, value: any): Uint8Array {
+  return new Uint8Array([0x05, ...encodeData(type, value)])
+}
+
+/**
+ * Hashes a packed Michelson value into an `expr...` script expression hash.
+ */
+export function getExpressionHash(type: Object, value: any): string {
+  const hash = eztz.library.sodium.crypto_generichash(32, packData(type, value))
+  return eztz.utility.b58cencode(hash, EXPR_PREFIX)
+}
+
+/**
+ * Finds the script expression hash that the RPC nodes use
+ * to look up an owner's entry in a token ledger.
+ */
+export function getLedgerKey(
+  ledger: TezosLedger,
+  owner: string,
+  tokenId?: string
+): string {
+  const { keyType } = ledger
+  let key
+  if (keyType.prim === 'address') {
+    key = { string: owner }
+  } else if (keyType.prim === 'pair' && tokenId != null) {
+    // FA2 multi-asset ledgers key on the owner and token id:
+    const [first] = unpair(keyType) || []
+    const ownerFirst = first != null && first.prim === 'address'
+    key = {
+      prim: 'Pair',
+      args: ownerFirst
+        ? [{ string: owner }, { int: tokenId }]
+        : [{ int: tokenId }, { string: owner }]
+    }
+  } else {
+    throw new Error('ErrorUnsupportedLedger')
+  }
+
+  return getExpressionHash(keyType, key)
+}
+
+/**
+ * Reads the balance out of a ledger entry,
+ * which is either a bare amount or a record with a `%balance` field.
+ */
+export function readLedgerBalance(type: Object, value: any): string | null {
+  if (type.prim === 'nat' || type.prim === 'int') return value.int
+  if (type.prim === 'pair') {
+    const types = unpair(type)
+    const values = unpair(value)
+    if (types == null || values == null) return null
+    for (let i = 0; i < 2; ++i) {
+      if (hasAnnot(types[i], ['%balance'])) {
+        return readLedgerBalance(types[i], values[i])
+      }
+    }
+    return (
+      readLedgerBalance(types[0], values[0]) ||
+      readLedgerBalance(types[1], values[1])
+    )
+  }
+  return null
+}
+
+/**
+ * Builds the `transfer` entrypoint parameters for a token contract.
+ * FA2 contracts take a batch of transfers, while FA1.2 contracts take one.
+ */
+export function makeTransferParameters(
+  tokenAddress: TezosTokenAddress,
+  from: string,
+  transfers: Array<{ to: string, amount: string }>
+): Array<Object> {
+  const { tokenId } = tokenAddress
+  if (tokenId == null) {
+    return transfers.map(({ to, amount }) => ({
+      entrypoint: 'transfer',
+      value: {
+        prim: 'Pair',
+        args: [
+          { string: from },
+          { prim: 'Pair', args: [{ string: to }, { int: amount }] }
+        ]
+      }
+    }))
+  }
+
+  const txs = transfers.map(({ to, amount }) => ({
+    prim: 'Pair',
+    args: [
+      { string: to },
+      { prim: 'Pair', args: [{ int: tokenId }, { int: amount }] }
+    ]
+  }))
+  return [
+    {
+      entrypoint: 'transfer',
+      value: [{ prim: 'Pair', args: [{ string: from }, txs] }]
+    }
+  ]
+}
@@ -1,6 +1,44 @@
 // @flow
 export type TezosSettings = {
-  tezosRpcNodes: Array<string>
+  tezosRpcNodes: Array<string>,
+  tezosApiServers: Array<string>,
+  tezosTokenApiServers: Array<string>
+}
+
+export type TezosWalletOtherData = {
+  numberTransactions: number,
+  lastTokenTransferId: number,
+  // Newly added tokens catch up on their history from these transfer ids:
+  tokenBackfills: { [contractAddress: string]: number },
+  delegate: string | null,
+  bakers: Array<string>, // Every delegate this wallet has used
+  payoutAddresses: Array<string> // Accounts those bakers pay rewards from
+}
+
+export type TezosTokenAddress = {
+  contract: string,
+  tokenId?: string
+}
+
+// Where a token contract keeps its balances:
+export type TezosLedger = {
+  bigMapId: string,
+  keyType: Object,
+  valueType: Object
+}
+
+export type TezosTokenTransfer = {
+  id: number,
+  level: number,
+  timestamp: string,
+  token: {
+    contract: { address: string },
+    tokenId: string
+  },
+  from?: { address: string },
+  to?: { address: string },
+  amount: string,
+  transactionId?: number
 }
 
 export type XtzGetTransaction = {
@@ -14,13 +14,16 @@ import {
 } from 'edge-core-js/types'
 
 import { CurrencyEngine } from '../common/engine.js'
-import { validateObject } from '../common/utils.js'
+import { type CustomToken } from '../common/types.js'
+import { getDenomInfo, validateObject } from '../common/utils.js'
 import { currencyInfo } from './xrpInfo.js'
-import { XrpPlugin } from './xrpPlugin.js'
+import { checkAddress, XrpPlugin } from './xrpPlugin.js'
 import {
   XrpGetBalancesSchema,
+  XrpGetPathsSchema,
   XrpGetServerInfoSchema,
-  XrpGetTransactionsSchema
+  XrpGetTransactionsSchema,
+  XrpTokenIdSchema
 } from './xrpSchema.js'
 import {
   type XrpGetTransaction,
@@ -46,14 +49,17 @@ type XrpFunction =
   | 'getServerInfo'
   | 'getTransactions'
   | 'getBalances'
+  | 'getPaths'
   | 'connect'
   | 'disconnect'
   | 'preparePayment'
+  | 'prepareTrustline'
   | 'sign'
   | 'submit'
 export class XrpEngine extends CurrencyEngine {
   xrpPlugin: XrpPlugin
   otherData: XrpWalletOtherData
+  otherMethods: Object
   // callbacksSetup: boolean
 
   constructor(
@@ -64,6 +70,17 @@ export class XrpEngine extends CurrencyEngine {
     super(currencyPlugin, walletInfo, opts)
     this.xrpPlugin = currencyPlugin
     // this.callbacksSetup = false
+    this.tokenIdSchema = XrpTokenIdSchema
+    this.otherMethods = {
+      ...this.otherMethods,
+
+      // Trust lines let the account hold an issuer's currency,
+      // at the cost of an owner reserve:
+      openTrustline: async (currencyCode: string) =>
+        this.makeTrustSet(currencyCode, true),
+      closeTrustline: async (currencyCode: string) =>
+        this.makeTrustSet(currencyCode, false)
+    }
   }
 
   async multicastServers(func: XrpFunction, ...params: any): Promise<any> {
@@ -73,10 +90,12 @@ export class XrpEngine extends CurrencyEngine {
       case 'getFee':
       case 'getServerInfo':
       case 'getBalances':
+      case 'getPaths':
       case 'getTransactions':
       case 'disconnect':
       case 'submit':
       case 'preparePayment':
+      case 'prepareTrustline':
       case 'sign':
         out = {
           result: await this.xrpPlugin.rippleApi[func](...params),
@@ -99,6 +118,17 @@ export class XrpEngine extends CurrencyEngine {
       const jsonObj = await this.multicastServers('getServerInfo')
       const valid = validateObject(jsonObj, XrpGetServerInfoSchema)
       if (valid) {
+        const { reserveBaseXRP, reserveIncrementXRP } = jsonObj.validatedLedger
+        if (
+          typeof reserveBaseXRP === 'string' &&
+          typeof reserveIncrementXRP === 'string' &&
+          (reserveBaseXRP !== this.otherData.reserveBase ||
+            reserveIncrementXRP !== this.otherData.reserveIncrement)
+        ) {
+          this.otherData.reserveBase = reserveBaseXRP
+          this.otherData.reserveIncrement = reserveIncrementXRP
+          this.walletLocalDataDirty = true
+        }
         const blockHeight: number = jsonObj.validatedLedger.ledgerVersion
         this.log(`Got block height ${blockHeight}`)
         if (this.walletLocalData.blockHeight !== blockHeight) {
@@ -124,7 +154,9 @@ export class XrpEngine extends CurrencyEngine {
       tx.outcome.balanceChanges[this.walletLocalData.publicKey]
     if (balanceChanges) {
       for (const bc of balanceChanges) {
-        const currencyCode: string = bc.currency
+        const currencyCode = this.getCurrencyCode(bc.currency, bc.counterparty)
+        // Skip issued currencies we don't track:
+        if (currencyCode == null) continue
         const date: number = Date.parse(tx.outcome.timestamp) / 1000
         const blockHeight: number =
           tx.outcome.ledgerVersion > 0 ? tx.outcome.ledgerVersion : 0
@@ -132,7 +164,10 @@ export class XrpEngine extends CurrencyEngine {
         if (exchangeAmount.slice(0, 1) !== '-') {
           ourReceiveAddresses.push(this.walletLocalData.publicKey)
         }
-        const nativeAmount: string = bns.mul(exchangeAmount, '1000000')
+        const nativeAmount: string = this.toNativeAmount(
+          exchangeAmount,
+          currencyCode
+        )
         let networkFee: string
         let parentNetworkFee: string
         if (currencyCode === PRIMARY_CURRENCY) {
@@ -202,7 +237,11 @@ export class XrpEngine extends CurrencyEngine {
           this.transactionsChangedArray = []
         }
         this.walletLocalData.lastAddressQueryHeight = blockHeight
+        // Every currency shows up in the same transaction list:
         this.tokenCheckTransactionsStatus.XRP = 1
+        for (const currencyCode of this.walletLocalData.enabledTokens) {
+          this.tokenCheckTransactionsStatus[currencyCode] = 1
+        }
         this.updateOnAddressesChecked()
       } else {
         this.log('Invalid data returned from rippleApi.getTransactions')
@@ -223,10 +262,31 @@ export class XrpEngine extends CurrencyEngine {
       const jsonObj = await this.multicastServers('getBalances', address)
       const valid = validateObject(jsonObj, XrpGetBalancesSchema)
       if (valid) {
+        const balances: { [currencyCode: string]: string } = {}
+        let trustlineCount = 0
         for (const bal of jsonObj) {
-          const currencyCode = bal.currency
-          const exchangeAmount = bal.value
-          const nativeAmount = bns.mul(exchangeAmount, '1000000')
+          // Every issued currency balance lives in its own trust line:
+          if (bal.counterparty != null) trustlineCount++
+          const currencyCode = this.getCurrencyCode(
+            bal.currency,
+            bal.counterparty
+          )
+          if (currencyCode == null) continue
+          balances[currencyCode] = this.toNativeAmount(bal.value, currencyCode)
+        }
+        // Currencies without a trust line have nothing in them:
+        for (const token of this.customTokens) {
+          if (balances[token.currencyCode] == null) {
+            balances[token.currencyCode] = '0'
+          }
+        }
+        if (trustlineCount !== this.otherData.trustlineCount) {
+          this.otherData.trustlineCount = trustlineCount
+          this.walletLocalDataDirty = true
+        }
+
+        for (const currencyCode of Object.keys(balances)) {
+          const nativeAmount = balances[currencyCode]
 
           if (
             typeof this.walletLocalData.totalBalances[currencyCode] ===
@@ -244,6 +304,7 @@ export class XrpEngine extends CurrencyEngine {
               nativeAmount
             )
           }
+          this.tokenCheckBalanceStatus[currencyCode] = 1
         }
         this.tokenCheckBalanceStatus.XRP = 1
         this.updateOnAddressesChecked()
@@ -269,6 +330,85 @@ export class XrpEngine extends CurrencyEngine {
     await super.clearBlockchainCache()
   }
 
+  // Issued currencies are identified by their code plus issuing account,
+  // which we keep in the token's contractAddress:
+  getCurrencyCode(currency: string, counterparty?: string): string | null {
+    if (currency === PRIMARY_CURRENCY && counterparty == null) {
+      return PRIMARY_CURRENCY
+    }
+    const token = this.allTokens.find(
+      token =>
+        token.currencyCode === currency &&
+        token.contractAddress === counterparty
+    )
+    return token != null ? token.currencyCode : null
+  }
+
+  getIssuedAmount(currencyCode: string, value: string): Object {
+    const token = this.getTokenInfo(currencyCode)
+    if (token == null || token.contractAddress == null) {
+      throw new Error('ErrorInvalidCurrencyCode')
+    }
+    return {
+      currency: currencyCode,
+      counterparty: token.contractAddress,
+      value
+    }
+  }
+
+  getMultiplier(currencyCode: string): string {
+    const denom = getDenomInfo(
+      this.currencyInfo,
+      currencyCode,
+      this.customTokens
+    )
+    if (denom == null) throw new Error('InternalErrorInvalidCurrencyCode')
+    return denom.multiplier
+  }
+
+  // Issued currencies carry more precision than their denominations,
+  // so drop anything below the smallest native unit:
+  toNativeAmount(exchangeAmount: string, currencyCode: string): string {
+    const nativeAmount = bns.mul(
+      exchangeAmount,
+      this.getMultiplier(currencyCode)
+    )
+    return nativeAmount.split('.')[0]
+  }
+
+  // Accounts must hold a base reserve,
+  // plus an owner reserve for each trust line:
+  getReserve(extraTrustlines: number = 0): string {
+    const owners = this.otherData.trustlineCount + extraTrustlines
+    const reserve = bns.add(
+      this.otherData.reserveBase,
+      bns.mul(this.otherData.reserveIncrement, owners.toString())
+    )
+    return this.toNativeAmount(reserve, PRIMARY_CURRENCY)
+  }
+
+  // Currency codes are either three characters other than XRP,
+  // or 40 hex digits for nonstandard codes
+  validateCustomToken(tokenObj: CustomToken) {
+    const { currencyCode } = tokenObj
+    if (
+      currencyCode === PRIMARY_CURRENCY ||
+      !/^([a-zA-Z0-9]{3}|[0-9A-F]{40})$/.test(currencyCode)
+    ) {
+      throw new Error('ErrorInvalidCurrencyCode')
+    }
+    if (tokenObj.currencyName.trim() === '') {
+      throw new Error('ErrorInvalidCurrencyNameLength')
+    }
+  }
+
+  normalizeContractAddress(contractAddress: string): string {
+    if (!checkAddress(contractAddress)) {
+      throw new Error('ErrorInvalidContractAddress')
+    }
+    return contractAddress
+  }
+
   // ****************************************************************************
   // Public methods
   // ****************************************************************************
@@ -389,16 +529,21 @@ export class XrpEngine extends CurrencyEngine {
     }
 
     const nativeNetworkFee = bns.mul(this.otherData.recommendedFee, '1000000')
+    const isToken = currencyCode !== PRIMARY_CURRENCY
 
-    if (currencyCode === PRIMARY_CURRENCY) {
+    if (!isToken) {
       const totalTxAmount = bns.add(nativeNetworkFee, nativeAmount)
-      const virtualTxAmount = bns.add(totalTxAmount, '20000000')
+      const virtualTxAmount = bns.add(totalTxAmount, this.getReserve())
       if (bns.gt(virtualTxAmount, nativeBalance)) {
         throw new InsufficientFundsError()
       }
     }
 
-    const exchangeAmount = bns.div(nativeAmount, denom.multiplier, 6)
+    const exchangeAmount = bns.div(
+      nativeAmount,
+      denom.multiplier,
+      denom.multiplier.length - 1
+    )
     let uniqueIdentifier
     if (
       edgeSpendInfo.spendTargets[0].otherParams &&
@@ -415,24 +560,43 @@ export class XrpEngine extends CurrencyEngine {
         throw new Error('Error invalid destinationtag')
       }
     }
-    const payment = {
+    const amount = isToken
+      ? this.getIssuedAmount(currencyCode, exchangeAmount)
+      : { value: exchangeAmount, currency: currencyCode }
+    const payment: Object = {
       source: {
         address: this.walletLocalData.publicKey,
-        maxAmount: {
-          value: exchangeAmount,
-          currency: currencyCode
-        }
+        maxAmount: amount
       },
       destination: {
         address: publicAddress,
-        amount: {
-          value: exchangeAmount,
-          currency: currencyCode
-        },
+        amount,
         tag: uniqueIdentifier
       }
     }
 
+    if (isToken) {
+      // Issuer transfer fees mean we may need to send more than arrives:
+      const path = await this.findPath(publicAddress, amount)
+      if (path != null) {
+        payment.source.maxAmount = path.source.maxAmount
+        payment.paths = path.paths
+        nativeAmount = this.toNativeAmount(
+          path.source.maxAmount.value,
+          currencyCode
+        )
+      }
+      if (bns.gt(nativeAmount, nativeBalance)) {
+        throw new InsufficientFundsError()
+      }
+      const xrpBalance =
+        this.walletLocalData.totalBalances[PRIMARY_CURRENCY] || '0'
+      const requiredXrp = bns.add(nativeNetworkFee, this.getReserve())
+      if (bns.gt(requiredXrp, xrpBalance)) {
+        throw new InsufficientFundsError('Insufficient XRP for transaction fee')
+      }
+    }
+
     let preparedTx = {}
     let i = 6
     while (true) {
@@ -465,7 +629,7 @@ export class XrpEngine extends CurrencyEngine {
       preparedTx
     }
 
-    nativeAmount = bns.add(nativeAmount, nativeNetworkFee)
+    if (!isToken) nativeAmount = bns.add(nativeAmount, nativeNetworkFee)
     nativeAmount = '-' + nativeAmount
 
     const edgeTransaction: EdgeTransaction = {
@@ -474,16 +638,92 @@ export class XrpEngine extends CurrencyEngine {
       currencyCode, // currencyCode
       blockHeight: 0, // blockHeight
       nativeAmount, // nativeAmount
-      networkFee: nativeNetworkFee, // networkFee
+      networkFee: isToken ? '0' : nativeNetworkFee, // networkFee
       ourReceiveAddresses: [], // ourReceiveAddresses
       signedTx: '', // signedTx
       otherParams
     }
+    if (isToken) edgeTransaction.parentNetworkFee = nativeNetworkFee
 
     this.log('Payment transaction prepared...')
     return edgeTransaction
   }
 
+  // Asks the ledger for the cheapest way to deliver an issued currency,
+  // falling back on a direct payment if it finds nothing:
+  async findPath(destination: string, amount: Object): Promise<Object | null> {
+    const { currency, counterparty } = amount
+    try {
+      const paths = await this.multicastServers('getPaths', {
+        source: {
+          address: this.walletLocalData.publicKey,
+          currencies: [{ currency, counterparty }]
+        },
+        destination: { address: destination, amount }
+      })
+      if (!validateObject(paths, XrpGetPathsSchema)) return null
+      const path = paths.find(
+        path =>
+          path.source.maxAmount.currency === currency &&
+          path.source.maxAmount.counterparty === counterparty
+      )
+      return path != null ? path : null
+    } catch (e) {
+      this.log(`No payment path found: ${e.message}`)
+      return null
+    }
+  }
+
+  async makeTrustSet(
+    currencyCode: string,
+    open: boolean
+  ): Promise<EdgeTransaction> {
+    const { currency, counterparty } = this.getIssuedAmount(currencyCode, '0')
+    const tokenBalance = this.walletLocalData.totalBalances[currencyCode]
+    if (!open && tokenBalance != null && !bns.eq(tokenBalance, '0')) {
+      throw new Error('ErrorTrustlineHasBalance')
+    }
+
+    // Opening a trust line raises the reserve, while closing one releases it:
+    const nativeNetworkFee = bns.mul(this.otherData.recommendedFee, '1000000')
+    const xrpBalance =
+      this.walletLocalData.totalBalances[PRIMARY_CURRENCY] || '0'
+    const reserve = this.getReserve(open ? 1 : 0)
+    if (bns.gt(bns.add(nativeNetworkFee, reserve), xrpBalance)) {
+      throw new InsufficientFundsError()
+    }
+
+    const preparedTx = await this.multicastServers(
+      'prepareTrustline',
+      this.walletLocalData.publicKey,
+      {
+        currency,
+        counterparty,
+        // A limit high enough to never get in the way:
+        limit: open ? '1000000000000000' : '0'
+      },
+      { maxLedgerVersionOffset: 300 }
+    )
+    const otherParams: XrpParams = {
+      preparedTx
+    }
+
+    const edgeTransaction: EdgeTransaction = {
+      txid: '', // txid
+      date: 0, // date
+      currencyCode: PRIMARY_CURRENCY, // currencyCode
+      blockHeight: 0, // blockHeight
+      nativeAmount: '-' + nativeNetworkFee, // nativeAmount
+      networkFee: nativeNetworkFee, // networkFee
+      ourReceiveAddresses: [], // ourReceiveAddresses
+      signedTx: '', // signedTx
+      otherParams
+    }
+
+    this.log('TrustSet transaction prepared...')
+    return edgeTransaction
+  }
+
   async signTx(edgeTransaction: EdgeTransaction): Promise<EdgeTransaction> {
     // Do signing
     const txJson = edgeTransaction.otherParams.preparedTx.txJSON
@@ -30,7 +30,7 @@ const base58Codec = baseX(
   '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz'
 )
 
-function checkAddress(address: string): boolean {
+export function checkAddress(address: string): boolean {
   let data: Uint8Array
   try {
     data = base58Codec.decode(address)
@@ -198,6 +198,15 @@ export function makeRipplePlugin(
     if (!currencyEngine.otherData.recommendedFee) {
       currencyEngine.otherData.recommendedFee = '0'
     }
+    if (!currencyEngine.otherData.reserveBase) {
+      currencyEngine.otherData.reserveBase = '20'
+    }
+    if (!currencyEngine.otherData.reserveIncrement) {
+      currencyEngine.otherData.reserveIncrement = '5'
+    }
+    if (!currencyEngine.otherData.trustlineCount) {
+      currencyEngine.otherData.trustlineCount = 0
+    }
 
     const out: EdgeCurrencyEngine = currencyEngine
     return out
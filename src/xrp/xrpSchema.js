@@ -11,6 +11,8 @@ export const XrpGetServerInfoSchema = {
       properties: {
         age: { type: 'number' },
         baseFeeXRP: { type: 'string' },
+        reserveBaseXRP: { type: 'string' },
+        reserveIncrementXRP: { type: 'string' },
         hash: { type: 'string' },
         ledgerVersion: { type: 'number' }
       }
@@ -24,11 +26,38 @@ export const XrpGetBalancesSchema = {
     type: 'object',
     properties: {
       currency: { type: 'string' },
+      counterparty: { type: 'string' },
       value: { type: 'string' }
     }
   }
 }
 
+export const XrpGetPathsSchema = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      source: {
+        type: 'object',
+        properties: {
+          maxAmount: {
+            type: 'object',
+            properties: {
+              currency: { type: 'string' },
+              counterparty: { type: 'string' },
+              value: { type: 'string' }
+            },
+            required: ['currency', 'value']
+          }
+        },
+        required: ['maxAmount']
+      },
+      paths: { type: 'string' }
+    },
+    required: ['source', 'paths']
+  }
+}
+
 export const XrpOnTransactionSchema = {
   type: 'object',
   properties: {
@@ -73,3 +102,15 @@ export const XrpGetTransactionsSchema = {
     }
   }
 }
+
+// Issued currencies are identified by their code and issuing gateway:
+export const XrpTokenIdSchema = {
+  type: 'object',
+  properties: {
+    contractAddress: {
+      type: 'string',
+      pattern: '^r[1-9A-HJ-NP-Za-km-z]{24,34}$'
+    }
+  },
+  required: ['contractAddress']
+}
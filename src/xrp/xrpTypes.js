@@ -16,6 +16,7 @@ export type XrpCustomToken = {
 
 export type XrpBalanceChange = {
   currency: string,
+  counterparty?: string,
   value: string
 }
 export type XrpGetTransaction = {
@@ -33,6 +34,9 @@ export type XrpGetTransaction = {
   }
 }
 export type XrpWalletOtherData = {
-  recommendedFee: string // Floating point value in full XRP value
+  recommendedFee: string, // Floating point value in full XRP value
+  reserveBase: string, // Floating point value in full XRP value
+  reserveIncrement: string, // Floating point value in full XRP value
+  trustlineCount: number
 }
 export type XrpGetTransactions = Array<XrpGetTransaction>
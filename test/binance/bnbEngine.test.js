@@ -0,0 +1,255 @@
+// @flow
+
+import { assert } from 'chai'
+import { type EdgeCurrencyEngineOptions, makeFakeIo } from 'edge-core-js'
+import { beforeEach, describe, it } from 'mocha'
+
+import { BinanceEngine } from '../../src/binance/bnbEngine.js'
+import { makeBinancePlugin } from '../../src/binance/bnbPlugin.js'
+import { expectRejection } from '../expectRejection.js'
+
+const address = 'bnb1grpf0955h0ykzq3ar5nmum7y6gdfl6lxfn46h2'
+const otherAddress = 'bnb1jxfh2g85q3v0tdq56fnevx6xcxtcnhtsmcu64m'
+const launch = 1554076800000
+const queryWindow = 1000 * 60 * 60 * 24 * 7 * 4 * 2
+const info = {
+  id: '1',
+  type: 'wallet:binance',
+  keys: { publicKey: address }
+}
+
+// Makes a transfer the way the explorer reports it:
+function makeApiTx(opts: Object): Object {
+  return {
+    blockHeight: 1000,
+    timeStamp: '2020-06-01T00:00:00.000Z',
+    txHash: 'A1B2C3',
+    fromAddr: otherAddress,
+    toAddr: address,
+    value: '1.5',
+    txFee: '0.000375',
+    txAsset: 'BNB',
+    memo: '',
+    ...opts
+  }
+}
+
+// Reads the time window out of a transaction query:
+function parseWindow(url: string): Array<number> {
+  const match = /startTime=(\d+)&endTime=(\d+)/.exec(url)
+  return match != null ? [Number(match[1]), Number(match[2])] : []
+}
+
+describe(`Binance engine`, function() {
+  let engine: BinanceEngine
+
+  const fakeIo = makeFakeIo()
+  const plugin = makeBinancePlugin({
+    initOptions: {},
+    io: fakeIo,
+    nativeIo: {},
+    pluginDisklet: fakeIo.disklet
+  })
+  const currencyEngineOptions: EdgeCurrencyEngineOptions = {
+    callbacks: {
+      onAddressesChecked() {},
+      onBalanceChanged() {},
+      onBlockHeightChanged() {},
+      onTransactionsChanged() {},
+      onTxidsChanged() {}
+    },
+    userSettings: undefined,
+    walletLocalDisklet: fakeIo.disklet,
+    walletLocalEncryptedDisklet: fakeIo.disklet
+  }
+
+  beforeEach(async function() {
+    // $FlowFixMe
+    engine = await plugin.makeCurrencyEngine(info, {
+      ...currencyEngineOptions,
+      walletLocalDisklet: makeFakeIo().disklet
+    })
+  })
+
+  describe('tokens', function() {
+    it('adds tokens by their symbol', async function() {
+      await engine.addCustomToken({ contractAddress: 'twt-8c2' })
+      const token = engine.getTokenInfo('TWT')
+      assert.equal(token && token.contractAddress, 'TWT-8C2')
+      assert.equal(token && token.denominations[0].multiplier, '100000000')
+      assert.equal(engine.getAssetSymbol('TWT'), 'TWT-8C2')
+      assert.isTrue(engine.getTokenStatus('TWT'))
+    })
+
+    it('refuses symbols of built-in tokens', async function() {
+      assert.equal(engine.getAssetSymbol('BUSD'), 'BUSD-BD1')
+      await expectRejection(
+        engine.addCustomToken({ contractAddress: 'BUSD-BD1' }),
+        'Error: ErrorCannotModifyToken'
+      )
+    })
+
+    it('refuses multipliers other than BNB', async function() {
+      await expectRejection(
+        engine.addCustomToken({
+          contractAddress: 'TWT-8C2',
+          multiplier: '1000000000000000000'
+        }),
+        'Error: ErrorInvalidMultiplier'
+      )
+    })
+
+    it('reports balances missing from the reply as zero', async function() {
+      await engine.enableTokens(['BUSD'])
+      engine.walletLocalData.totalBalances.BUSD = '500'
+      // $FlowFixMe
+      engine.multicastServers = async (func: string, url: string) => {
+        assert.equal(func, 'bnb_getBalance')
+        return {
+          address,
+          balances: [{ free: '1.5', frozen: '0', locked: '0', symbol: 'BNB' }]
+        }
+      }
+      await engine.checkAccountInnerLoop()
+      assert.equal(engine.walletLocalData.totalBalances.BNB, '150000000')
+      assert.equal(engine.walletLocalData.totalBalances.BUSD, '0')
+      assert.deepEqual(engine.otherData.assetBalances, { BNB: '150000000' })
+    })
+
+    it('charges token spends a BNB fee', async function() {
+      await engine.enableTokens(['BUSD'])
+      engine.walletLocalData.totalBalances.BUSD = '1000'
+      engine.walletLocalData.totalBalances.BNB = '100000'
+      const tx = await engine.makeSpend({
+        currencyCode: 'BUSD',
+        spendTargets: [{ publicAddress: otherAddress, nativeAmount: '500' }]
+      })
+      assert.equal(tx.currencyCode, 'BUSD')
+      assert.equal(tx.nativeAmount, '-500')
+      assert.equal(tx.networkFee, '0')
+      assert.equal(tx.parentNetworkFee, '37500')
+    })
+
+    it('needs BNB for the fee of token spends', async function() {
+      await engine.enableTokens(['BUSD'])
+      engine.walletLocalData.totalBalances.BUSD = '1000'
+      engine.walletLocalData.totalBalances.BNB = '30000'
+      await expectRejection(
+        engine.makeSpend({
+          currencyCode: 'BUSD',
+          spendTargets: [{ publicAddress: otherAddress, nativeAmount: '500' }]
+        }),
+        'ErrorInsufficientFundsMoreBnb: Insufficient BNB for transaction fee'
+      )
+    })
+
+    it('records token history under the token code', async function() {
+      await engine.enableTokens(['BUSD'])
+      const urls = []
+      // $FlowFixMe
+      engine.multicastServers = async (func: string, url: string) => {
+        urls.push(url)
+        return {
+          tx: [
+            makeApiTx({ txHash: 'AAA', txAsset: 'BUSD-BD1', value: '2' }),
+            makeApiTx({
+              txHash: 'BBB',
+              txAsset: 'BUSD-BD1',
+              fromAddr: address,
+              toAddr: otherAddress,
+              value: '1'
+            })
+          ]
+        }
+      }
+      // Older history is already synced, so only one window is left:
+      engine.otherData.historySyncedBefore.BUSD = 1554076800000
+      assert.isTrue(await engine.checkTransactionsFetch(Date.now(), 'BUSD'))
+      assert.equal(urls.length, 1)
+      assert.isTrue(urls.every(url => url.includes('&txAsset=BUSD-BD1')))
+
+      const findTx = (txid: string) =>
+        engine.transactionList.BUSD.find(tx => tx.txid === txid) || {}
+      assert.equal(findTx('AAA').nativeAmount, '200000000')
+      assert.equal(findTx('BBB').nativeAmount, '-100000000')
+      assert.equal(findTx('BBB').networkFee, '0')
+      assert.equal(findTx('BBB').parentNetworkFee, '37500')
+      assert.equal((engine.transactionList.BNB || []).length, 0)
+    })
+  })
+
+  describe('history', function() {
+    let windows: Array<Array<number>>
+    let failAt: number
+
+    // Answers transaction queries, failing the chosen window:
+    function stubTransactions(engine: BinanceEngine) {
+      // $FlowFixMe
+      engine.multicastServers = async (func: string, url: string) => {
+        windows.push(parseWindow(url))
+        return windows.length === failAt ? {} : { tx: [] }
+      }
+    }
+
+    beforeEach(function() {
+      windows = []
+      failAt = -1
+      stubTransactions(engine)
+    })
+
+    it('pages back to the BNB launch', async function() {
+      engine.otherData.historySyncedBefore.BNB = launch + 2.5 * queryWindow
+      assert.isTrue(await engine.checkOlderTransactions('BNB', 'BNB'))
+      assert.deepEqual(windows, [
+        [launch + 1.5 * queryWindow, launch + 2.5 * queryWindow],
+        [launch + 0.5 * queryWindow, launch + 1.5 * queryWindow],
+        [launch, launch + 0.5 * queryWindow]
+      ])
+      assert.equal(engine.otherData.historySyncedBefore.BNB, launch)
+    })
+
+    it('keeps the marker when a window fails', async function() {
+      engine.otherData.historySyncedBefore.BNB = launch + 2.5 * queryWindow
+      failAt = 2
+      assert.isFalse(await engine.checkOlderTransactions('BNB', 'BNB'))
+      assert.equal(windows.length, 2)
+      assert.equal(
+        engine.otherData.historySyncedBefore.BNB,
+        launch + 1.5 * queryWindow
+      )
+    })
+
+    it('resumes from the saved marker', async function() {
+      const walletLocalDisklet = makeFakeIo().disklet
+      // $FlowFixMe
+      engine = await plugin.makeCurrencyEngine(info, {
+        ...currencyEngineOptions,
+        walletLocalDisklet
+      })
+      stubTransactions(engine)
+      engine.otherData.historySyncedBefore.BNB = launch + 2.5 * queryWindow
+      failAt = 2
+      await engine.checkOlderTransactions('BNB', 'BNB')
+      await engine.saveWalletLoop()
+
+      // A restarted engine picks up below the last window that synced:
+      // $FlowFixMe
+      engine = await plugin.makeCurrencyEngine(info, {
+        ...currencyEngineOptions,
+        walletLocalDisklet
+      })
+      assert.equal(
+        engine.otherData.historySyncedBefore.BNB,
+        launch + 1.5 * queryWindow
+      )
+      stubTransactions(engine)
+      windows = []
+      failAt = -1
+      assert.isTrue(await engine.checkOlderTransactions('BNB', 'BNB'))
+      assert.deepEqual(windows, [
+        [launch + 0.5 * queryWindow, launch + 1.5 * queryWindow],
+        [launch, launch + 0.5 * queryWindow]
+      ])
+    })
+  })
+})
@@ -0,0 +1,546 @@
+// @flow
+
+import { assert } from 'chai'
+import { type EdgeCurrencyEngineOptions, makeFakeIo } from 'edge-core-js'
+import { beforeEach, describe, it } from 'mocha'
+
+import { EosEngine } from '../../src/eos/eosEngine.js'
+import { makeEosPlugin } from '../../src/eos/eosPlugin.js'
+import { expectRejection } from '../expectRejection.js'
+
+const info = {
+  id: '1',
+  type: 'wallet:eos',
+  keys: {
+    eosOwnerKey: '5JeBUyDfnUBceFyzaCSebkoBKiWwDpyMRggGuGdtepbPpSQDTCM',
+    ownerPublicKey: 'EOS6gjtwHjdLKQTrPzWSmeDeLXMgxMC6oSGu6xZJNmgTa7iTCNrNn',
+    eosKey: '5KZC4UX62kNn5yQZ9w4F5iScJDo3i95Yn9VExYzrVidDy8zwfxY',
+    publicKey: 'EOS74z74w1fjuUQBNFGRzTeGHcBFkzxKFugR9nvEp5ADfkyhWHpXE'
+  }
+}
+
+// Formats a time the way the chain does, in UTC without a zone:
+function chainTime(seconds: number): string {
+  return new Date(seconds * 1000).toISOString().replace(/\.\d+Z$/, '')
+}
+
+describe(`EOS engine`, function() {
+  let engine: EosEngine
+  let transactions: Array<Object>
+  let syncRatios: Array<number>
+  let activationRequests: Array<Object>
+
+  // Answers activation requests like the activation server:
+  const fetchJson = async (uri: string, opts: Object) => {
+    const body = JSON.parse(opts.body)
+    activationRequests.push({ uri, body })
+    return { currencyCode: body.currencyCode, amount: '2.5' }
+  }
+
+  const fakeIo = makeFakeIo()
+  const plugin = makeEosPlugin({
+    initOptions: {},
+    io: fakeIo,
+    nativeIo: { 'edge-currency-accountbased': { fetchJson } },
+    pluginDisklet: fakeIo.disklet
+  })
+  const currencyEngineOptions: EdgeCurrencyEngineOptions = {
+    callbacks: {
+      onAddressesChecked(ratio) {
+        syncRatios.push(ratio)
+      },
+      onBalanceChanged() {},
+      onBlockHeightChanged() {},
+      onTransactionsChanged() {},
+      onTxidsChanged() {}
+    },
+    userSettings: undefined,
+    walletLocalDisklet: fakeIo.disklet,
+    walletLocalEncryptedDisklet: fakeIo.disklet
+  }
+
+  beforeEach(async function() {
+    syncRatios = []
+    activationRequests = []
+    // $FlowFixMe
+    engine = await plugin.makeCurrencyEngine(info, currencyEngineOptions)
+    await engine.clearBlockchainCache()
+    engine.otherData.accountName = 'edgeaccount1'
+
+    // Capture the transactions we would ask the nodes to build:
+    transactions = []
+    // $FlowFixMe
+    engine.multicastServers = async (func, transactionJson) => {
+      assert.equal(func, 'transaction')
+      transactions.push(transactionJson)
+      return { transaction_id: 'aa' }
+    }
+  })
+
+  describe('system actions', function() {
+    it('keeps unstaking in the history', async function() {
+      const tx = await engine.otherMethods.unstakeResources({
+        cpuAmount: '10000',
+        netAmount: '0'
+      })
+      assert.equal(tx.nativeAmount, '0')
+      assert.equal(transactions[0].actions[0].name, 'undelegatebw')
+
+      tx.txid = 'aa'
+      engine.addTransaction('EOS', tx)
+      const txs = await engine.getTransactions({ currencyCode: 'EOS' })
+      assert.equal(txs.length, 1)
+    })
+
+    it('still drops empty transfers', async function() {
+      engine.addTransaction('EOS', {
+        txid: 'bb',
+        date: 0,
+        currencyCode: 'EOS',
+        blockHeight: 1,
+        nativeAmount: '0',
+        networkFee: '0',
+        ourReceiveAddresses: [],
+        signedTx: '',
+        otherParams: {}
+      })
+      const txs = await engine.getTransactions({ currencyCode: 'EOS' })
+      assert.equal(txs.length, 0)
+    })
+  })
+
+  describe('claimRefund', function() {
+    function setRefund(requestTime: string) {
+      engine.otherData.resources = {
+        cpu: { used: 0, available: 0, max: 0 },
+        net: { used: 0, available: 0, max: 0 },
+        ram: { used: 0, quota: 0 },
+        staked: { cpu: '0', net: '0' },
+        refund: { cpu: '10000', net: '5000', requestTime }
+      }
+    }
+
+    it('needs a refund', async function() {
+      await expectRejection(
+        engine.otherMethods.claimRefund(),
+        'Error: ErrorNoRefundAvailable'
+      )
+    })
+
+    it('waits out the delay', async function() {
+      const now = Date.now() / 1000
+      setRefund(chainTime(now - 2 * 24 * 60 * 60))
+      await expectRejection(
+        engine.otherMethods.claimRefund(),
+        'Error: ErrorRefundNotReady'
+      )
+      assert.equal(transactions.length, 0)
+    })
+
+    it('claims once the delay passes', async function() {
+      const now = Date.now() / 1000
+      setRefund(chainTime(now - 3 * 24 * 60 * 60 - 60))
+      const tx = await engine.otherMethods.claimRefund()
+      assert.equal(tx.nativeAmount, '15000')
+      assert.deepEqual(transactions[0].actions[0].data, {
+        owner: 'edgeaccount1'
+      })
+    })
+  })
+
+  describe('token history', function() {
+    // Hyperion replies, keyed by the query path:
+    let replies: { [path: string]: Array<Object> }
+    let paths: Array<string>
+
+    function makeTransfer(trxId: string, account: string, symbol: string) {
+      return {
+        act: {
+          account,
+          name: 'transfer',
+          data: { from: 'someone', to: 'edgeaccount1', amount: 1.5, symbol }
+        },
+        trx_id: trxId,
+        '@timestamp': '2020-02-20T12:00:00.000',
+        block_num: 1000,
+        global_sequence: 1
+      }
+    }
+
+    beforeEach(async function() {
+      await engine.addCustomToken({
+        currencyCode: 'TKN',
+        currencyName: 'Token',
+        multiplier: '10000',
+        contractAddress: 'tokencontrct'
+      })
+      await engine.enableTokens(['TKN'])
+
+      replies = {}
+      paths = []
+      // $FlowFixMe
+      engine.multicastServers = async (func, path) => {
+        paths.push(path)
+        const key = Object.keys(replies).find(key => path.includes(key))
+        const actions = key != null ? replies[key] : []
+        return { json: async () => ({ actions }) }
+      }
+    })
+
+    it('queries each token by contract and symbol', async function() {
+      await engine.checkTransactionsInnerLoop()
+      assert.equal(paths.length, 4)
+      assert.include(paths[2], 'symbol=TKN&contract=tokencontrct')
+      assert.include(paths[3], 'transfer.symbol=TKN&act.account=tokencontrct')
+      assert.equal(engine.tokenCheckTransactionsStatus.EOS, 1)
+      assert.equal(engine.tokenCheckTransactionsStatus.TKN, 1)
+    })
+
+    it('reads custom token transfers', async function() {
+      replies['symbol=TKN&contract=tokencontrct'] = [
+        makeTransfer('aa', 'tokencontrct', 'TKN'),
+        // The same symbol from another contract is an impostor:
+        makeTransfer('bb', 'fakecontract', 'TKN')
+      ]
+      await engine.checkTransactionsInnerLoop()
+
+      const txs = await engine.getTransactions({ currencyCode: 'TKN' })
+      assert.deepEqual(txs.map(tx => tx.txid), ['aa'])
+      assert.equal(txs[0].nativeAmount, '15000')
+      assert.deepEqual(engine.otherData.historyHeights['tokencontrct:TKN'], {
+        incoming: 1000,
+        outgoing: 0
+      })
+    })
+  })
+
+  describe('permissions', function() {
+    it('sorts the new authority the way the chain wants', async function() {
+      await engine.otherMethods.updateAuth({
+        permission: 'active',
+        parent: 'owner',
+        threshold: 2,
+        keys: [
+          { key: info.keys.publicKey, weight: 1 },
+          { key: info.keys.ownerPublicKey, weight: 1 }
+        ],
+        accounts: [
+          { actor: 'edgeaccount2', permission: 'owner', weight: 1 },
+          { actor: 'edgeaccount2', permission: 'active', weight: 1 },
+          { actor: 'edge.account', permission: 'active', weight: 1 }
+        ],
+        waits: [{ wait_sec: 60, weight: 1 }, { wait_sec: 30, weight: 1 }]
+      })
+
+      const { auth } = transactions[0].actions[0].data
+      assert.deepEqual(auth.keys, [
+        { key: info.keys.ownerPublicKey, weight: 1 },
+        { key: info.keys.publicKey, weight: 1 }
+      ])
+      assert.deepEqual(auth.accounts, [
+        {
+          permission: { actor: 'edge.account', permission: 'active' },
+          weight: 1
+        },
+        {
+          permission: { actor: 'edgeaccount2', permission: 'active' },
+          weight: 1
+        },
+        {
+          permission: { actor: 'edgeaccount2', permission: 'owner' },
+          weight: 1
+        }
+      ])
+      assert.deepEqual(auth.waits.map(wait => wait.wait_sec), [30, 60])
+      // Root permissions need the owner key:
+      assert.deepEqual(transactions[0].actions[0].authorization, [
+        { actor: 'edgeaccount1', permission: 'owner' }
+      ])
+    })
+
+    it('refuses authorities that would lock the wallet out', async function() {
+      const stranger = 'EOS6MRyAjQq8ud7hVNYcfnVPJqcVpscN5So8BhtHuGYqET5GDW5CV'
+      await expectRejection(
+        engine.otherMethods.updateAuth({
+          permission: 'active',
+          parent: 'owner',
+          keys: [{ key: stranger, weight: 1 }]
+        }),
+        'Error: ErrorWouldLockAccount'
+      )
+      await expectRejection(
+        engine.otherMethods.updateAuth({
+          permission: 'owner',
+          threshold: 2,
+          keys: [
+            { key: info.keys.ownerPublicKey, weight: 1 },
+            { key: stranger, weight: 1 }
+          ]
+        }),
+        'Error: ErrorWouldLockAccount'
+      )
+      assert.deepEqual(transactions, [])
+
+      // Other permissions can go to anybody:
+      await engine.otherMethods.updateAuth({
+        permission: 'trading',
+        parent: 'active',
+        keys: [{ key: stranger, weight: 1 }]
+      })
+      assert.equal(transactions.length, 1)
+    })
+  })
+
+  describe('key rotation', function() {
+    let options: EdgeCurrencyEngineOptions
+    let keyProviders: Array<Array<string>>
+
+    // Engines share storage here, so they see each other's rotations:
+    async function makeEngine(): Promise<EosEngine> {
+      // $FlowFixMe
+      const engine: EosEngine = await plugin.makeCurrencyEngine(
+        { ...info, keys: { ...info.keys } },
+        options
+      )
+      engine.otherData.accountName = 'edgeaccount1'
+      // $FlowFixMe
+      engine.multicastServers = async (func, param, opts) => {
+        if (func === 'getAccount') {
+          return {
+            permissions: [
+              makePermission('owner', '', info.keys.ownerPublicKey),
+              makePermission('active', 'owner', info.keys.publicKey)
+            ]
+          }
+        }
+        assert.equal(func, 'transaction')
+        transactions.push(param)
+        if (opts != null) keyProviders.push(opts.keyProvider)
+        return { transaction_id: 'aa' }
+      }
+      return engine
+    }
+
+    function makePermission(name: string, parent: string, key: string) {
+      return {
+        perm_name: name,
+        parent,
+        required_auth: {
+          threshold: 1,
+          keys: [{ key, weight: 1 }],
+          accounts: [
+            {
+              permission: { actor: 'edgerecovery', permission: 'active' },
+              weight: 1
+            }
+          ],
+          waits: []
+        }
+      }
+    }
+
+    beforeEach(function() {
+      const disklet = makeFakeIo().disklet
+      options = {
+        ...currencyEngineOptions,
+        walletLocalDisklet: disklet,
+        walletLocalEncryptedDisklet: makeFakeIo().disklet
+      }
+      keyProviders = []
+    })
+
+    it('switches to the new key once the rotation broadcasts', async function() {
+      engine = await makeEngine()
+      const tx = await engine.otherMethods.rotateKey({ permission: 'active' })
+      const { data, authorization } = transactions[0].actions[0]
+      const [{ key: newKey }] = data.auth.keys
+      assert.notEqual(newKey, info.keys.publicKey)
+      assert.equal(data.permission, 'active')
+      assert.equal(data.parent, 'owner')
+      // Other signers stay put:
+      assert.equal(data.auth.accounts[0].permission.actor, 'edgerecovery')
+      assert.deepEqual(authorization, [
+        { actor: 'edgeaccount1', permission: 'owner' }
+      ])
+      assert.isUndefined(tx.otherParams.eosKey)
+      assert.equal(engine.walletInfo.keys.publicKey, info.keys.publicKey)
+
+      await engine.broadcastTx(tx)
+      const { eosKey, publicKey } = engine.walletInfo.keys
+      assert.equal(publicKey, newKey)
+      assert.notEqual(eosKey, info.keys.eosKey)
+      assert.equal(engine.walletInfo.keys.eosOwnerKey, info.keys.eosOwnerKey)
+      assert.equal(engine.walletLocalData.publicKey, newKey)
+
+      // A restarted engine signs with the new key:
+      const restarted = await makeEngine()
+      assert.equal(restarted.walletInfo.keys.publicKey, newKey)
+      await restarted.signTx(tx)
+      assert.include(keyProviders[keyProviders.length - 1], eosKey)
+      assert.notInclude(keyProviders[keyProviders.length - 1], info.keys.eosKey)
+    })
+
+    it('keeps a pending rotation across restarts', async function() {
+      engine = await makeEngine()
+      const tx = await engine.otherMethods.rotateKey({ permission: 'owner' })
+      const { rotatedPublicKey } = tx.otherParams
+
+      const restarted = await makeEngine()
+      assert.equal(
+        restarted.walletInfo.keys.ownerPublicKey,
+        info.keys.ownerPublicKey
+      )
+      await restarted.broadcastTx(tx)
+      assert.equal(restarted.walletInfo.keys.ownerPublicKey, rotatedPublicKey)
+      assert.equal(restarted.walletInfo.keys.publicKey, info.keys.publicKey)
+    })
+
+    it('needs our key in the permission', async function() {
+      engine = await makeEngine()
+      engine.walletInfo.keys.publicKey =
+        'EOS6MRyAjQq8ud7hVNYcfnVPJqcVpscN5So8BhtHuGYqET5GDW5CV'
+      await expectRejection(
+        engine.otherMethods.rotateKey({ permission: 'active' }),
+        'Error: ErrorKeyNotInPermission'
+      )
+    })
+  })
+
+  describe('activation', function() {
+    // Accounts the chain knows, and the keys that control them:
+    let accounts: { [name: string]: string }
+    // What the key index has caught up on:
+    let keyAccounts: { [key: string]: Array<string> }
+
+    beforeEach(function() {
+      engine.otherData.accountName = ''
+      engine.otherData.activation = { state: 'none' }
+      accounts = {}
+      keyAccounts = {}
+      // $FlowFixMe
+      engine.multicastServers = async (func, param) => {
+        if (func === 'getKeyAccounts') {
+          return { account_names: keyAccounts[param] || [] }
+        }
+        assert.equal(func, 'getAccount')
+        if (accounts[param] == null) throw new Error('unknown key')
+        return {
+          permissions: [
+            {
+              perm_name: 'active',
+              required_auth: { keys: [{ key: accounts[param], weight: 1 }] }
+            }
+          ]
+        }
+      }
+    })
+
+    it('moves from quoted to paid', async function() {
+      await expectRejection(
+        engine.otherMethods.markActivationPaid(),
+        'Error: ErrorNoActivationQuote'
+      )
+
+      const quote = await engine.otherMethods.getAccountActivationQuote({
+        requestedAccountName: 'edgeaccount2',
+        currencyCode: 'BTC',
+        activePublicKey: info.keys.publicKey
+      })
+      assert.deepEqual(quote, { currencyCode: 'BTC', amount: '2.5' })
+      assert.equal(
+        activationRequests[0].body.requestedAccountName,
+        'edgeaccount2'
+      )
+      assert.deepEqual(await engine.otherMethods.getActivationState(), {
+        state: 'quoted',
+        requestedAccountName: 'edgeaccount2',
+        quote
+      })
+
+      const activation = await engine.otherMethods.markActivationPaid()
+      assert.equal(activation.state, 'paid')
+    })
+
+    it('rejects bad account names', async function() {
+      await expectRejection(
+        engine.otherMethods.getAccountActivationQuote({
+          requestedAccountName: 'Bad_Name',
+          currencyCode: 'BTC',
+          activePublicKey: info.keys.publicKey
+        }),
+        'ErrorInvalidAccountName: ErrorInvalidAccountName'
+      )
+      assert.equal(engine.otherData.activation.state, 'none')
+    })
+
+    it('finds nothing before the account exists', async function() {
+      await engine.discoverAccount()
+      assert.equal(engine.otherData.accountName, '')
+      assert.deepEqual(syncRatios, [])
+    })
+
+    it('finds the requested account before the key index does', async function() {
+      engine.otherData.activation = {
+        state: 'paid',
+        requestedAccountName: 'edgeaccount2'
+      }
+      accounts.edgeaccount2 = info.keys.publicKey
+      await engine.discoverAccount()
+
+      assert.equal(engine.otherData.accountName, 'edgeaccount2')
+      assert.equal(engine.otherData.activation.state, 'created')
+      assert.equal(engine.getFreshAddress({}).publicAddress, 'edgeaccount2')
+      // The sync progress restarts for the new account:
+      assert.deepEqual(syncRatios, [0])
+    })
+
+    it('ignores requested names somebody else owns', async function() {
+      engine.otherData.activation = {
+        state: 'paid',
+        requestedAccountName: 'edgeaccount2'
+      }
+      accounts.edgeaccount2 = info.keys.ownerPublicKey.replace('6g', '6h')
+      await engine.discoverAccount()
+      assert.equal(engine.otherData.accountName, '')
+    })
+
+    it('finds accounts through the key index', async function() {
+      keyAccounts[info.keys.ownerPublicKey] = ['edgeaccount3']
+      await engine.discoverAccount()
+      assert.equal(engine.otherData.accountName, 'edgeaccount3')
+      assert.equal(engine.otherData.activation.state, 'created')
+    })
+  })
+  describe('custom tokens', function() {
+    const token = {
+      currencyCode: 'TKN',
+      currencyName: 'Token',
+      multiplier: '10000',
+      contractAddress: 'tokencontrct'
+    }
+
+    it('keeps a symbol with the contract that first took it', async function() {
+      await engine.addCustomToken(token)
+      await expectRejection(
+        engine.addCustomToken({ ...token, contractAddress: 'othercontrct' }),
+        'Error: ErrorCurrencyCodeTaken'
+      )
+      assert.equal(engine.getTokenContract('TKN'), 'tokencontrct')
+    })
+
+    it('checks contract accounts, symbols and names', async function() {
+      await expectRejection(
+        engine.addCustomToken({ ...token, contractAddress: 'Token.Contract' }),
+        'Error: ErrorInvalidContractAddress'
+      )
+      await expectRejection(
+        engine.addCustomToken({ ...token, currencyCode: 'tkn' }),
+        'Error: ErrorInvalidCurrencyCode'
+      )
+      await expectRejection(
+        engine.addCustomToken({ ...token, currencyName: '' }),
+        'Error: ErrorInvalidCurrencyNameLength'
+      )
+    })
+  })
+})
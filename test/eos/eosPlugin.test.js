@@ -0,0 +1,88 @@
+// @flow
+
+import { assert } from 'chai'
+import { makeFakeIo } from 'edge-core-js'
+import { describe, it } from 'mocha'
+
+import { makeTelosPlugin, makeWaxPlugin } from '../../src/eos/eosPlugin.js'
+import { expectRejection } from '../expectRejection.js'
+
+describe(`EOSIO chain plugins`, function() {
+  const fakeIo = makeFakeIo()
+  const opts = {
+    initOptions: {},
+    io: fakeIo,
+    nativeIo: {},
+    pluginDisklet: fakeIo.disklet
+  }
+
+  describe('telos', function() {
+    const plugin = makeTelosPlugin(opts)
+    const { otherMethods = {} } = plugin
+
+    it('parses telos: uris', async function() {
+      const tools = await plugin.makeCurrencyTools()
+      const parsed = await tools.parseUri('telos:edgeaccount1?amount=1.2345')
+      assert.equal(parsed.publicAddress, 'edgeaccount1')
+      assert.equal(parsed.nativeAmount, '12345')
+      assert.equal(parsed.currencyCode, 'TLOS')
+    })
+
+    it('rejects other chains', async function() {
+      const tools = await plugin.makeCurrencyTools()
+      await expectRejection(
+        tools.parseUri('wax:edgeaccount1'),
+        'Error: InvalidUriError'
+      )
+    })
+
+    it('encodes telos: uris', async function() {
+      const tools = await plugin.makeCurrencyTools()
+      const uri = await tools.encodeUri({
+        publicAddress: 'edgeaccount1',
+        nativeAmount: '12345'
+      })
+      assert.equal(uri, 'telos:edgeaccount1?amount=1.2345')
+    })
+
+    it('has no activation', async function() {
+      await expectRejection(
+        otherMethods.getActivationSupportedCurrencies(),
+        'Error: ErrorActivationUnsupported'
+      )
+      await expectRejection(
+        otherMethods.getActivationCost(),
+        'Error: ErrorActivationUnsupported'
+      )
+    })
+  })
+
+  describe('wax', function() {
+    const plugin = makeWaxPlugin(opts)
+    const { otherMethods = {} } = plugin
+
+    it('parses wax: uris with 8 decimals', async function() {
+      const tools = await plugin.makeCurrencyTools()
+      const parsed = await tools.parseUri('wax:edgeaccount1?amount=1.23456789')
+      assert.equal(parsed.publicAddress, 'edgeaccount1')
+      assert.equal(parsed.nativeAmount, '123456789')
+      assert.equal(parsed.currencyCode, 'WAX')
+    })
+
+    it('encodes wax: uris with 8 decimals', async function() {
+      const tools = await plugin.makeCurrencyTools()
+      const uri = await tools.encodeUri({
+        publicAddress: 'edgeaccount1',
+        nativeAmount: '123456789'
+      })
+      assert.equal(uri, 'wax:edgeaccount1?amount=1.23456789')
+    })
+
+    it('has no activation', async function() {
+      await expectRejection(
+        otherMethods.getActivationCost(),
+        'Error: ErrorActivationUnsupported'
+      )
+    })
+  })
+})
@@ -0,0 +1,58 @@
+import { assert } from 'chai'
+import { describe, it } from 'mocha'
+
+import {
+  addressToTopic,
+  APPROVAL_TOPIC,
+  getAllowance,
+  makeApproveData,
+  parseApprovalLog
+} from '../../src/ethereum/ethAllowances.js'
+
+const token = '0x6b175474e89094c44da98b954eedeac495271d0f'
+const owner = '0xb8c2c29ee19d8307cb7255e1cd9cbde883a267d5'
+const spender = '0x7a250d5630b4cf539739df2c5dacb4c659f2488d'
+
+function makeLog(topics) {
+  return {
+    address: token.toUpperCase().replace('0X', '0x'),
+    topics,
+    data: '0x',
+    blockNumber: '0x1',
+    timeStamp: '0x1',
+    transactionHash: '0x1234'
+  }
+}
+
+describe(`ERC-20 allowances`, function() {
+  it('parseApprovalLog', function() {
+    const topics = [
+      APPROVAL_TOPIC,
+      addressToTopic(owner),
+      addressToTopic(spender)
+    ]
+    assert.deepEqual(parseApprovalLog(makeLog(topics)), {
+      contractAddress: token,
+      spender
+    })
+
+    // ERC-721 approvals index the token id as well:
+    assert.equal(parseApprovalLog(makeLog([...topics, '0x01'])), null)
+  })
+
+  it('getAllowance', async function() {
+    async function fakeEthCall(to, data) {
+      assert.equal(to, token)
+      assert.equal(data.slice(0, 10), '0xdd62ed3e')
+      return '0x' + (255).toString(16).padStart(64, '0')
+    }
+    assert.equal(await getAllowance(fakeEthCall, token, owner, spender), '255')
+  })
+
+  it('makeApproveData', function() {
+    const data = makeApproveData(spender, '0')
+    assert.equal(data.slice(0, 10), '0x095ea7b3')
+    assert.equal(data.slice(10, 74), addressToTopic(spender).slice(2))
+    assert.equal(data.slice(74), '0'.repeat(64))
+  })
+})
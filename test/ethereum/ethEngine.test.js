@@ -0,0 +1,482 @@
+// @flow
+
+import { bns } from 'biggystring'
+import { assert } from 'chai'
+import { type Disklet } from 'disklet'
+import {
+  type EdgeCurrencyEngineOptions,
+  type EdgeTransaction,
+  makeFakeIo
+} from 'edge-core-js'
+import abi from 'ethereumjs-abi'
+import { beforeEach, describe, it } from 'mocha'
+
+import { CUSTOM_TOKENS_FILE } from '../../src/common/types.js'
+import { EthereumEngine } from '../../src/ethereum/ethEngine.js'
+import { makeEthereumPlugin } from '../../src/ethereum/ethPlugin.js'
+import { expectRejection } from '../expectRejection.js'
+
+const ethereumKey =
+  '5b6a0e2ef7ea7e3e54a4c8b5d8e3c2c8d01a3fbb1f87e18b8bcd8bb2a2a3b4c5'
+const recipient = '0x7a250d5630b4cf539739df2c5dacb4c659f2488d'
+const txid = '0x' + 'ab'.repeat(32)
+
+describe(`Ethereum engine`, function() {
+  let engine: EthereumEngine
+  let publicKey: string
+  let changed: Array<EdgeTransaction>
+
+  const fakeIo = makeFakeIo()
+  const plugin = makeEthereumPlugin({
+    initOptions: {},
+    io: fakeIo,
+    nativeIo: {},
+    pluginDisklet: fakeIo.disklet
+  })
+  // Each engine gets fresh storage, unless it is restarting:
+  const makeEngineOptions = (
+    disklet = makeFakeIo().disklet
+  ): EdgeCurrencyEngineOptions => ({
+    callbacks: {
+      onAddressesChecked() {},
+      onBalanceChanged() {},
+      onBlockHeightChanged() {},
+      onTransactionsChanged(txs) {
+        changed.push(...txs)
+      },
+      onTxidsChanged() {}
+    },
+    userSettings: undefined,
+    walletLocalDisklet: disklet,
+    walletLocalEncryptedDisklet: makeFakeIo().disklet
+  })
+
+  // A send we signed, as `signTx` leaves it:
+  function makeSignedSend(): EdgeTransaction {
+    return {
+      txid,
+      date: 1600000000,
+      currencyCode: 'ETH',
+      blockHeight: 0,
+      nativeAmount: '-1021000000000000',
+      networkFee: '21000000000000',
+      ourReceiveAddresses: [],
+      signedTx: '0x00',
+      otherParams: {
+        from: [publicKey],
+        to: [recipient],
+        gas: '21000',
+        gasPrice: '1000000000',
+        gasUsed: '0',
+        cumulativeGasUsed: '0',
+        errorVal: 0,
+        tokenRecipientAddress: null,
+        data: '0xbeef',
+        nonce: '7'
+      }
+    }
+  }
+
+  // The same send, as the unconfirmed transaction server reports it:
+  const unconfirmedReport = () => ({
+    hash: txid.slice(2),
+    received: '2020-09-13T12:26:40Z',
+    total: 1000000000000000,
+    fees: 21000000000000,
+    inputs: [{ addresses: [publicKey.slice(2)] }],
+    outputs: [{ addresses: [recipient.slice(2)] }]
+  })
+
+  async function makeEngine(disklet?: Disklet): Promise<EthereumEngine> {
+    const tools = await plugin.makeCurrencyTools()
+    const info = { id: '1', type: 'wallet:ethereum', keys: { ethereumKey } }
+    info.keys = { ...info.keys, ...(await tools.derivePublicKey(info)) }
+    publicKey = info.keys.publicKey
+    // $FlowFixMe
+    return plugin.makeCurrencyEngine(info, makeEngineOptions(disklet))
+  }
+
+  beforeEach(async function() {
+    changed = []
+    engine = await makeEngine()
+    engine.walletLocalData.totalBalances.ETH = '1000000000000000000'
+  })
+
+  describe('replacements', function() {
+    it('keeps what only the signed copy knows', async function() {
+      engine.addTransaction('ETH', makeSignedSend())
+      engine.processUnconfirmedTransaction(unconfirmedReport())
+
+      const [tx] = await engine.getTransactions({ currencyCode: 'ETH' })
+      assert.equal(tx.otherParams.nonce, '7')
+      assert.equal(tx.otherParams.data, '0xbeef')
+      assert.equal(tx.otherParams.gas, '21000')
+      assert.equal(tx.otherParams.gasPrice, '1000000000')
+    })
+
+    it('speeds up a send the server reported again', async function() {
+      engine.addTransaction('ETH', makeSignedSend())
+      engine.processUnconfirmedTransaction(unconfirmedReport())
+      const [tx] = await engine.getTransactions({ currencyCode: 'ETH' })
+
+      const speedUp = await engine.otherMethods.makeSpeedUpTx(tx)
+      assert.equal(speedUp.otherParams.nonce, '7')
+      assert.equal(speedUp.otherParams.data, '0xbeef')
+      assert.equal(speedUp.otherParams.replacesTxid, txid)
+      assert.isTrue(bns.gte(speedUp.otherParams.gasPrice, '1100000001'))
+      // The same value goes out, with the new fee:
+      assert.equal(
+        speedUp.nativeAmount,
+        bns.sub(`-1000000000000000`, speedUp.networkFee)
+      )
+    })
+
+    it('cancels by sending nothing to ourselves', async function() {
+      engine.addTransaction('ETH', makeSignedSend())
+      const [tx] = await engine.getTransactions({ currencyCode: 'ETH' })
+
+      const cancel = await engine.otherMethods.makeCancelTx(tx)
+      assert.deepEqual(cancel.otherParams.to, [publicKey])
+      assert.equal(cancel.otherParams.data, null)
+      assert.equal(cancel.otherParams.nonce, '7')
+      assert.equal(cancel.nativeAmount, `-${cancel.networkFee}`)
+    })
+
+    it('hides the replaced send once the replacement goes out', async function() {
+      engine.addTransaction('ETH', makeSignedSend())
+      const [tx] = await engine.getTransactions({ currencyCode: 'ETH' })
+      const speedUp = await engine.otherMethods.makeSpeedUpTx(tx)
+      speedUp.txid = '0x' + 'cd'.repeat(32)
+
+      // $FlowFixMe
+      engine.ethNetwork.multicastServers = async () => ({})
+      await engine.broadcastTx(speedUp)
+      assert.equal(changed[0].txid, txid)
+      assert.equal(changed[0].otherParams.replacedByTxid, speedUp.txid)
+
+      // Servers reporting the old send as pending don't bring it back:
+      engine.processUnconfirmedTransaction(unconfirmedReport())
+      const [old] = await engine.getTransactions({ currencyCode: 'ETH' })
+      assert.equal(old.blockHeight, -1)
+      await expectRejection(
+        engine.otherMethods.makeSpeedUpTx(old),
+        'Error: ErrorTransactionNotPending'
+      )
+    })
+
+    it('needs the nonce we signed with', async function() {
+      engine.processUnconfirmedTransaction(unconfirmedReport())
+      const [tx] = await engine.getTransactions({ currencyCode: 'ETH' })
+      await expectRejection(
+        engine.otherMethods.makeSpeedUpTx(tx),
+        'Error: ErrorTransactionNotReplaceable'
+      )
+    })
+  })
+  describe('nonces', function() {
+    // A fresh send, before `signTx` picks its nonce:
+    function makeUnsignedSend(nativeAmount: string): EdgeTransaction {
+      const edgeTransaction = makeSignedSend()
+      edgeTransaction.nativeAmount = nativeAmount
+      edgeTransaction.signedTx = ''
+      edgeTransaction.txid = ''
+      delete edgeTransaction.otherParams.nonce
+      return edgeTransaction
+    }
+
+    beforeEach(function() {
+      engine.otherData.nextNonce = '7'
+      engine.otherData.pendingNonce = '7'
+      engine.otherData.nonceReservations = {}
+      // $FlowFixMe
+      engine.ethNetwork.multicastServers = async () => ({})
+    })
+
+    it('sends two transactions signed back to back', async function() {
+      const first = await engine.signTx(makeUnsignedSend('-1021000000000000'))
+      const second = await engine.signTx(makeUnsignedSend('-2021000000000000'))
+      assert.equal(first.otherParams.nonce, '7')
+      assert.equal(second.otherParams.nonce, '8')
+
+      await engine.broadcastTx(first)
+      await engine.broadcastTx(second)
+      const { nonceReservations } = engine.otherData
+      assert.equal(nonceReservations['7'].txid, first.txid)
+      assert.equal(nonceReservations['8'].txid, second.txid)
+      assert.isNotNull(nonceReservations['7'].broadcastAt)
+      assert.isNotNull(nonceReservations['8'].broadcastAt)
+    })
+
+    it('reuses the nonce of an abandoned send', async function() {
+      const first = await engine.signTx(makeUnsignedSend('-1021000000000000'))
+      await engine.otherMethods.abandonTx(first)
+      const second = await engine.signTx(makeUnsignedSend('-2021000000000000'))
+      assert.equal(second.otherParams.nonce, '7')
+
+      await expectRejection(
+        engine.broadcastTx(first),
+        'Error: ErrorNonceReused'
+      )
+      await engine.broadcastTx(second)
+    })
+
+    it('refuses sends whose nonce went to a newer one', async function() {
+      const first = await engine.signTx(makeUnsignedSend('-1021000000000000'))
+
+      // The first send sits unsent until its reservation runs out:
+      engine.nonceManager.reconcile('7', '7', Date.now() / 1000 + 3600)
+      const second = await engine.signTx(makeUnsignedSend('-2021000000000000'))
+      assert.equal(second.otherParams.nonce, '7')
+
+      await expectRejection(
+        engine.broadcastTx(first),
+        'Error: ErrorNonceReused'
+      )
+    })
+  })
+  describe('token discovery', function() {
+    const fakeUsdt = '0x1111111111111111111111111111111111111111'
+    const newToken = '0x2222222222222222222222222222222222222222'
+    let balances: { [contractAddress: string]: number }
+
+    function makeTransfer(contractAddress: string, tokenSymbol: string) {
+      const fields = {}
+      for (const key of ['blockNumber', 'timeStamp', 'nonce', 'value']) {
+        fields[key] = '1'
+      }
+      for (const key of ['gas', 'gasPrice', 'cumulativeGasUsed', 'gasUsed']) {
+        fields[key] = '1'
+      }
+      return {
+        ...fields,
+        hash: txid,
+        from: recipient,
+        to: publicKey,
+        confirmations: '1',
+        contractAddress,
+        tokenName: tokenSymbol,
+        tokenSymbol,
+        tokenDecimal: '6'
+      }
+    }
+
+    function encode(type: string, value: any): string {
+      return '0x' + abi.rawEncode([type], [value]).toString('hex')
+    }
+
+    beforeEach(function() {
+      balances = { [fakeUsdt]: 5, [newToken]: 7 }
+      // $FlowFixMe
+      engine.ethNetwork.multicastServers = async () => ({
+        server: 'test',
+        result: {
+          status: '1',
+          message: 'OK',
+          result: [
+            makeTransfer(fakeUsdt, 'USDT'),
+            makeTransfer(newToken, 'NEW')
+          ]
+        }
+      })
+      // Both contracts only answer balanceOf:
+      engine.ethNetwork.ethCall = async (to, data) => {
+        if (data.slice(0, 10) !== '0x70a08231') throw new Error('reverted')
+        return encode('uint256', balances[to])
+      }
+    })
+
+    it('ignores tokens claiming a taken code', async function() {
+      const {
+        tokenDiscovery
+      } = await engine.ethNetwork.checkTokenDiscoveryEthscan(0)
+      if (tokenDiscovery == null) throw new Error('No discovery')
+      engine.processTokenDiscovery(tokenDiscovery)
+
+      const suggestions = await engine.otherMethods.getSuggestedTokens()
+      assert.deepEqual(suggestions, [
+        {
+          currencyCode: 'NEW',
+          currencyName: 'NEW',
+          contractAddress: newToken,
+          multiplier: '1000000',
+          balance: '7'
+        }
+      ])
+
+      // A custom token can take the code later:
+      await engine.addCustomToken({
+        currencyCode: 'NEW',
+        currencyName: 'Newer',
+        multiplier: '1000000',
+        contractAddress: '0x3333333333333333333333333333333333333333'
+      })
+      assert.deepEqual(await engine.otherMethods.getSuggestedTokens(), [])
+    })
+
+    it('keeps suggested balances up to date', async function() {
+      const first = await engine.ethNetwork.checkTokenDiscoveryEthscan(0)
+      if (first.tokenDiscovery == null) throw new Error('No discovery')
+      engine.processTokenDiscovery(first.tokenDiscovery)
+
+      balances[newToken] = 9
+      const second = await engine.ethNetwork.checkTokenDiscoveryEthscan(0)
+      if (second.tokenDiscovery == null) throw new Error('No discovery')
+      engine.processTokenDiscovery(second.tokenDiscovery)
+      assert.equal(engine.otherData.suggestedTokens[newToken].balance, '9')
+
+      balances[newToken] = 0
+      const third = await engine.ethNetwork.checkTokenDiscoveryEthscan(0)
+      if (third.tokenDiscovery == null) throw new Error('No discovery')
+      engine.processTokenDiscovery(third.tokenDiscovery)
+      assert.deepEqual(engine.otherData.suggestedTokens, {})
+    })
+  })
+  describe('custom tokens', function() {
+    const contractAddress = '0x' + 'aa'.repeat(20)
+    const token = {
+      currencyCode: 'TST',
+      currencyName: 'Test token',
+      multiplier: '1000000',
+      contractAddress: '0x' + 'AA'.repeat(20)
+    }
+
+    // Gives the token some history to lose:
+    function addTokenHistory(engine: EthereumEngine) {
+      engine.walletLocalData.totalBalances.TST = '5'
+      engine.walletLocalData.lastTransactionQueryHeight.TST = 100
+      engine.addTransaction('TST', { ...makeSignedSend(), currencyCode: 'TST' })
+    }
+
+    it('loads saved tokens after a restart', async function() {
+      const disklet = makeFakeIo().disklet
+      const first = await makeEngine(disklet)
+      await first.addCustomToken(token)
+      assert.deepEqual(JSON.parse(await disklet.getText(CUSTOM_TOKENS_FILE)), [
+        {
+          currencyCode: 'TST',
+          currencyName: 'Test token',
+          denominations: [{ name: 'TST', multiplier: '1000000' }],
+          contractAddress
+        }
+      ])
+
+      const second = await makeEngine(disklet)
+      const info = second.getTokenInfo('TST')
+      if (info == null) throw new Error('No token')
+      assert.equal(info.contractAddress, contractAddress)
+      assert.isTrue(second.allTokens.some(tk => tk.currencyCode === 'TST'))
+    })
+
+    it('removes tokens along with their history', async function() {
+      const disklet = makeFakeIo().disklet
+      engine = await makeEngine(disklet)
+      await engine.addCustomToken(token)
+      addTokenHistory(engine)
+
+      await engine.otherMethods.removeCustomToken('TST')
+      assert.isUndefined(engine.getTokenInfo('TST'))
+      assert.notInclude(await engine.getEnabledTokens(), 'TST')
+      assert.isUndefined(engine.walletLocalData.totalBalances.TST)
+      assert.isUndefined(engine.walletLocalData.lastTransactionQueryHeight.TST)
+      assert.isUndefined(engine.transactionList.TST)
+      assert.deepEqual(
+        JSON.parse(await disklet.getText(CUSTOM_TOKENS_FILE)),
+        []
+      )
+
+      await expectRejection(
+        engine.otherMethods.removeCustomToken('TST'),
+        'Error: ErrorUnknownToken'
+      )
+      await expectRejection(
+        engine.otherMethods.removeCustomToken(
+          engine.currencyInfo.metaTokens[0].currencyCode
+        ),
+        'Error: ErrorCannotModifyToken'
+      )
+    })
+
+    it('keeps history across edits to the same contract', async function() {
+      await engine.addCustomToken(token)
+      addTokenHistory(engine)
+
+      await engine.addCustomToken({ ...token, currencyName: 'Renamed token' })
+      const info = engine.getTokenInfo('TST')
+      if (info == null) throw new Error('No token')
+      assert.equal(info.currencyName, 'Renamed token')
+      assert.equal(engine.walletLocalData.totalBalances.TST, '5')
+      assert.equal(engine.transactionList.TST.length, 1)
+    })
+
+    it('keeps a code with the contract that first took it', async function() {
+      await engine.addCustomToken(token)
+      addTokenHistory(engine)
+
+      const newAddress = '0x' + 'bb'.repeat(20)
+      await expectRejection(
+        engine.addCustomToken({ ...token, contractAddress: newAddress }),
+        'Error: ErrorCurrencyCodeTaken'
+      )
+      await expectRejection(
+        engine.otherMethods.removeCustomToken('TST', newAddress),
+        'Error: ErrorUnknownToken'
+      )
+      assert.equal(engine.walletLocalData.totalBalances.TST, '5')
+      assert.equal(engine.transactionList.TST.length, 1)
+
+      // Moving the code to another contract starts it over:
+      await engine.otherMethods.removeCustomToken('TST', contractAddress)
+      await engine.addCustomToken({ ...token, contractAddress: newAddress })
+      const info = engine.getTokenInfo('TST')
+      if (info == null) throw new Error('No token')
+      assert.equal(info.contractAddress, newAddress)
+      assert.isUndefined(engine.walletLocalData.totalBalances.TST)
+      assert.isUndefined(engine.transactionList.TST)
+      assert.include(await engine.getEnabledTokens(), 'TST')
+    })
+
+    it('moves a code to a new contract that replaces the old one', async function() {
+      await engine.addCustomToken(token)
+      addTokenHistory(engine)
+
+      const newAddress = '0x' + 'bb'.repeat(20)
+      await expectRejection(
+        engine.addCustomToken({
+          ...token,
+          contractAddress: newAddress,
+          oldContractAddress: '0x' + 'cc'.repeat(20)
+        }),
+        'Error: ErrorCurrencyCodeTaken'
+      )
+      assert.equal(engine.transactionList.TST.length, 1)
+
+      await engine.addCustomToken({
+        ...token,
+        contractAddress: newAddress,
+        oldContractAddress: contractAddress.toUpperCase().replace('0X', '0x')
+      })
+      const info = engine.getTokenInfo('TST')
+      if (info == null) throw new Error('No token')
+      assert.equal(info.contractAddress, newAddress)
+      assert.equal(engine.customTokens.length, 1)
+      assert.isUndefined(engine.walletLocalData.totalBalances.TST)
+      assert.isUndefined(engine.transactionList.TST)
+      assert.include(await engine.getEnabledTokens(), 'TST')
+    })
+
+    it('checks ERC-20 names and contracts', async function() {
+      await expectRejection(
+        engine.addCustomToken({ ...token, currencyName: ' ' }),
+        'Error: ErrorInvalidCurrencyNameLength'
+      )
+      await expectRejection(
+        engine.addCustomToken({ ...token, contractAddress: 'GABC' }),
+        'Error: ErrorInvalidContractAddress'
+      )
+      await expectRejection(
+        engine.addCustomToken({ ...token, contractAddress: undefined }),
+        'Error: ErrorInvalidContractAddress'
+      )
+    })
+  })
+})
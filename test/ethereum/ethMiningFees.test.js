@@ -0,0 +1,134 @@
+// @flow
+
+import { assert } from 'chai'
+import { describe, it } from 'mocha'
+
+import {
+  calcFeeMarket,
+  calcMiningFee
+} from '../../src/ethereum/ethMiningFees.js'
+
+const networkFees = {
+  default: {
+    gasLimit: {
+      regularTransaction: '21000',
+      tokenTransaction: '200000'
+    },
+    gasPrice: {
+      lowFee: '1000000001',
+      standardFeeLow: '40000000001',
+      standardFeeHigh: '300000000001',
+      standardFeeLowAmount: '100000000000000000',
+      standardFeeHighAmount: '10000000000000000000',
+      highFee: '40000000001'
+    }
+  }
+}
+
+const feeMarket = {
+  baseFeePerGas: '30000000000',
+  lowPriorityFee: '1000000000',
+  standardPriorityFee: '2000000000',
+  highPriorityFee: '3000000000'
+}
+
+function makeSpendInfo(networkFeeOption: string, customNetworkFee?: Object) {
+  const spendInfo: any = {
+    currencyCode: 'ETH',
+    networkFeeOption,
+    spendTargets: [
+      {
+        publicAddress: '0xf6bf4a4ed3a5b5c0a8bc1f0a3e0f8f1e8e2d7c41',
+        nativeAmount: '1000000000000000000'
+      }
+    ]
+  }
+  if (customNetworkFee != null) spendInfo.customNetworkFee = customNetworkFee
+  return spendInfo
+}
+
+describe(`calcFeeMarket`, function() {
+  it('uses the next base fee and median rewards', function() {
+    const out = calcFeeMarket({
+      oldestBlock: '0x1',
+      baseFeePerGas: ['0x3b9aca00', '0x77359400', '0x6fc23ac00'],
+      gasUsedRatio: [0.5, 0.6],
+      reward: [
+        ['0x3b9aca00', '0x77359400', '0xb2d05e00'],
+        ['0x3b9aca00', '0x3b9aca00', '0x12a05f200']
+      ]
+    })
+    assert.equal(out.baseFeePerGas, '30000000000')
+    assert.equal(out.lowPriorityFee, '1000000000')
+    assert.equal(out.standardPriorityFee, '2000000000')
+    assert.equal(out.highPriorityFee, '5000000000')
+  })
+
+  it('keeps tips above the minimum and in order', function() {
+    const out = calcFeeMarket({
+      oldestBlock: '0x1',
+      baseFeePerGas: ['0x1', '0x1'],
+      gasUsedRatio: [0.1],
+      reward: [['0x0', '0x5f5e100', '0x1']]
+    })
+    assert.equal(out.lowPriorityFee, '100000000')
+    assert.equal(out.standardPriorityFee, '100000000')
+    assert.equal(out.highPriorityFee, '100000000')
+  })
+})
+
+describe(`calcMiningFee`, function() {
+  it('returns legacy fees without a fee market', function() {
+    const out = calcMiningFee(makeSpendInfo('low'), networkFees)
+    assert.equal(out.gasPrice, '1000000001')
+    assert.equal(out.maxFeePerGas, undefined)
+  })
+
+  it('maps fee options onto priority fees', function() {
+    const low = calcMiningFee(makeSpendInfo('low'), networkFees, feeMarket)
+    assert.equal(low.maxPriorityFeePerGas, '1000000000')
+    assert.equal(low.maxFeePerGas, '61000000000')
+    assert.equal(low.gasPrice, '31000000000')
+
+    const standard = calcMiningFee(
+      makeSpendInfo('standard'),
+      networkFees,
+      feeMarket
+    )
+    assert.equal(standard.maxPriorityFeePerGas, '2000000000')
+    assert.equal(standard.maxFeePerGas, '62000000000')
+
+    const high = calcMiningFee(makeSpendInfo('high'), networkFees, feeMarket)
+    assert.equal(high.maxPriorityFeePerGas, '3000000000')
+    assert.equal(high.maxFeePerGas, '63000000000')
+    assert.equal(high.gasLimit, '21000')
+  })
+
+  it('uses the custom gas price as the max fee', function() {
+    const out = calcMiningFee(
+      makeSpendInfo('custom', { gasLimit: '30000', gasPrice: '40' }),
+      networkFees,
+      feeMarket
+    )
+    assert.equal(out.gasLimit, '30000')
+    assert.equal(out.maxFeePerGas, '40000000000')
+    assert.equal(out.maxPriorityFeePerGas, '2000000000')
+    assert.equal(out.gasPrice, '32000000000')
+    assert.equal(out.useDefaults, false)
+  })
+
+  it('caps the priority fee at the custom max fee', function() {
+    const out = calcMiningFee(
+      makeSpendInfo('custom', {
+        gasLimit: '30000',
+        gasPrice: '20',
+        maxPriorityFeePerGas: '25'
+      }),
+      networkFees,
+      feeMarket
+    )
+    assert.equal(out.maxFeePerGas, '20000000000')
+    assert.equal(out.maxPriorityFeePerGas, '20000000000')
+    assert.equal(out.gasPrice, '20000000000')
+  })
+})
@@ -0,0 +1,79 @@
+import { assert } from 'chai'
+import abi from 'ethereumjs-abi'
+import { describe, it } from 'mocha'
+
+import {
+  getNftBalance,
+  getNftKey,
+  getNftMetadataUri,
+  makeNftTransferData
+} from '../../src/ethereum/ethNfts.js'
+
+const contract = '0x06012c8cf97bead5deae237070f9587f8e7a266d'
+const owner = '0xb8c2c29ee19d8307cb7255e1cd9cbde883a267d5'
+const recipient = '0x4976fb03c32e5b8cfe2b6ccb31c09ba78ebaba41'
+
+function word(value) {
+  return '0x' + value.replace('0x', '').padStart(64, '0')
+}
+
+// Answers like a contract where `owner` holds token 1 and 5 copies of token 2:
+async function fakeEthCall(to, data) {
+  const selector = data.slice(0, 10)
+  if (selector === '0x6352211e') {
+    if (data.slice(-1) === '1') return word(owner)
+    throw new Error('execution reverted')
+  }
+  if (selector === '0x00fdd58e') return word(data.slice(-1) === '2' ? '5' : '0')
+  if (selector === '0xc87b56dd' || selector === '0x0e89341c') {
+    const uri = 'ipfs://meta/{id}.json'
+    return '0x' + abi.rawEncode(['string'], [uri]).toString('hex')
+  }
+  return '0x'
+}
+
+describe(`NFTs`, function() {
+  it('getNftKey', function() {
+    assert.equal(
+      getNftKey('0x06012C8cf97BEaD5deAe237070F9587f8E7A266d', '42'),
+      `${contract}:42`
+    )
+  })
+
+  it('getNftBalance', async function() {
+    assert.equal(
+      await getNftBalance(fakeEthCall, 'erc721', contract, '1', owner),
+      '1'
+    )
+    assert.equal(
+      await getNftBalance(fakeEthCall, 'erc721', contract, '1', recipient),
+      '0'
+    )
+    assert.equal(
+      await getNftBalance(fakeEthCall, 'erc721', contract, '3', owner),
+      '0'
+    )
+    assert.equal(
+      await getNftBalance(fakeEthCall, 'erc1155', contract, '2', owner),
+      '5'
+    )
+  })
+
+  it('getNftMetadataUri fills in ERC-1155 ids', async function() {
+    assert.equal(
+      await getNftMetadataUri(fakeEthCall, 'erc1155', contract, '10'),
+      `ipfs://meta/${'a'.padStart(64, '0')}.json`
+    )
+  })
+
+  it('makeNftTransferData', function() {
+    assert.equal(
+      makeNftTransferData('erc721', owner, recipient, '1').slice(0, 10),
+      '0x42842e0e'
+    )
+    assert.equal(
+      makeNftTransferData('erc1155', owner, recipient, '2', '3').slice(0, 10),
+      '0xf242432a'
+    )
+  })
+})
@@ -0,0 +1,95 @@
+import { assert } from 'chai'
+import { describe, it } from 'mocha'
+
+import { EthereumNonceManager } from '../../src/ethereum/ethNonces.js'
+
+function makeManager(nextNonce = '7', pendingNonce = nextNonce) {
+  const engine = {
+    otherData: { nextNonce, pendingNonce, nonceReservations: {} },
+    walletLocalDataDirty: false
+  }
+  return new EthereumNonceManager(engine)
+}
+
+describe(`Nonce manager`, function() {
+  it('reserves a fresh nonce for each send', function() {
+    const manager = makeManager()
+    assert.equal(manager.reserveNonce(0), '7')
+    manager.markBroadcast('7', 0)
+    assert.equal(manager.reserveNonce(0), '8')
+    manager.markBroadcast('8', 0)
+
+    // Failed broadcasts give their nonce back:
+    manager.releaseNonce('7')
+    assert.equal(manager.reserveNonce(0), '7')
+  })
+
+  it('keeps unsent nonces for a while', function() {
+    const manager = makeManager()
+    assert.equal(manager.reserveNonce(0), '7')
+    manager.assignTxid('7', '0xaa', 0)
+
+    // A second send signed before the first goes out gets its own nonce:
+    assert.equal(manager.reserveNonce(0), '8')
+    manager.assignTxid('8', '0xbb', 0)
+    assert.isTrue(manager.holdsNonce('7', '0xaa'))
+    assert.isTrue(manager.holdsNonce('8', '0xbb'))
+
+    // Sends that never go out give their nonce up eventually:
+    manager.reconcile('7', '7', 1000)
+    assert.equal(manager.reserveNonce(1000), '7')
+    manager.assignTxid('7', '0xcc', 1000)
+    assert.isFalse(manager.holdsNonce('7', '0xaa'))
+  })
+
+  it('frees the nonces of abandoned sends', function() {
+    const manager = makeManager()
+    manager.assignTxid(manager.reserveNonce(0), '0xaa', 0)
+
+    // Only the send holding the nonce can give it up:
+    manager.abandonNonce('7', '0xbb')
+    assert.equal(manager.reserveNonce(0), '8')
+    manager.abandonNonce('7', '0xaa')
+    assert.equal(manager.reserveNonce(0), '7')
+  })
+
+  it('limits the pending sends', function() {
+    const manager = makeManager('0', '5')
+    assert.equal(manager.reserveNonce(0), '5')
+    manager.markBroadcast('5', 0)
+    assert.throws(() => manager.reserveNonce(0), /Excessive/)
+  })
+
+  it('reconciles against the network', function() {
+    const manager = makeManager()
+    manager.reserveNonce(0)
+    manager.markBroadcast('7', 0)
+    manager.reserveNonce(0)
+    manager.markBroadcast('8', 0)
+    manager.reserveNonce(1000)
+    manager.reconcile('8', '9', 1000)
+    assert.deepEqual(
+      Object.keys(manager.ethEngine.otherData.nonceReservations),
+      ['8', '9']
+    )
+    assert.equal(manager.ethEngine.otherData.pendingNonce, '9')
+    manager.markBroadcast('9', 1000)
+    assert.equal(manager.reserveNonce(1000), '10')
+  })
+
+  it('finds gaps that hold up later sends', function() {
+    const manager = makeManager()
+    for (let i = 0; i < 3; ++i) {
+      manager.markBroadcast(manager.reserveNonce(0), 0)
+    }
+
+    // The nodes only know about nonce 7, but 8 gets a chance to show up:
+    manager.reconcile('7', '8', 10)
+    assert.deepEqual(manager.getNonceGaps(10), [])
+    assert.deepEqual(manager.getNonceGaps(1000), ['8'])
+
+    // A failed broadcast leaves a gap right away:
+    manager.releaseNonce('8')
+    assert.deepEqual(manager.getNonceGaps(10), ['8'])
+  })
+})
@@ -0,0 +1,93 @@
+// @flow
+
+import { assert } from 'chai'
+import { makeFakeIo } from 'edge-core-js'
+import { describe, it } from 'mocha'
+
+import { namehash } from '../../src/common/nameService.js'
+import { makeEthereumPlugin } from '../../src/ethereum/ethPlugin.js'
+import { expectRejection } from '../expectRejection.js'
+
+const registry = '0x00000000000c2e074ec69a0dfb2997ba6c7d2e1e'
+const resolver = '0x4976fb03c32e5b8cfe2b6ccb31c09ba78ebaba41'
+const owner = '0xb8c2c29ee19d8307cb7255e1cd9cbde883a267d5'
+const token = '0x6b175474e89094c44da98b954eedeac495271d0f'
+
+function word(address: string) {
+  return '0x' + address.replace('0x', '').padStart(64, '0')
+}
+
+// Answers like an ENS registry and resolver that know `my-wallet.eth`:
+function ethCall(to: string, data: string): string {
+  const selector = data.slice(0, 10)
+  if (to === registry && selector === '0x0178b8bf') return word(resolver)
+  if (to === resolver && selector === '0x3b3b57de') {
+    return data.slice(10) === namehash('my-wallet.eth').slice(2)
+      ? word(owner)
+      : word('0x0')
+  }
+  return '0x'
+}
+
+// Serves `eth_call` from both the Etherscan proxy and Infura:
+async function fetch(uri: any, opts: Object = {}): Promise<any> {
+  let result
+  if (opts.method === 'POST') {
+    const [{ to, data }] = JSON.parse(opts.body).params
+    result = ethCall(to.toLowerCase(), data)
+  } else {
+    const query = new URL(uri).searchParams
+    result = ethCall(
+      String(query.get('to')).toLowerCase(),
+      String(query.get('data'))
+    )
+  }
+  const body = { jsonrpc: '2.0', id: 1, result }
+  return {
+    ok: true,
+    status: 200,
+    json: async () => body,
+    text: async () => JSON.stringify(body)
+  }
+}
+
+describe(`Ethereum plugin`, function() {
+  const io = { ...makeFakeIo(), fetch }
+  const plugin = makeEthereumPlugin({
+    initOptions: { etherscanApiKey: 'fakeEtherscanKey', infuraProjectId: '' },
+    io,
+    nativeIo: {},
+    pluginDisklet: io.disklet
+  })
+
+  it('resolves hyphenated names', async function() {
+    const tools = await plugin.makeCurrencyTools()
+    const parsed = await tools.parseUri('ethereum:my-wallet.eth')
+    assert.equal(parsed.publicAddress, owner)
+    assert.equal(parsed.metadata && parsed.metadata.name, 'my-wallet.eth')
+  })
+
+  it('resolves names behind a pay prefix', async function() {
+    const tools = await plugin.makeCurrencyTools()
+    const parsed = await tools.parseUri('ethereum:pay-my-wallet.eth?label=Shop')
+    assert.equal(parsed.publicAddress, owner)
+    assert.equal(parsed.metadata && parsed.metadata.name, 'Shop')
+  })
+
+  it('rejects names nobody registered', async function() {
+    const tools = await plugin.makeCurrencyTools()
+    await expectRejection(
+      tools.parseUri('ethereum:no-wallet.eth'),
+      'Error: InvalidPublicAddressError'
+    )
+  })
+
+  it('parses token prefixes', async function() {
+    const tools = await plugin.makeCurrencyTools()
+    const parsed = await tools.parseUri(
+      `ethereum:token-${token}?symbol=DAI&decimals=18`
+    )
+    assert.equal(parsed.token && parsed.token.contractAddress, token)
+    assert.equal(parsed.token && parsed.token.currencyCode, 'DAI')
+  })
+})
@@ -0,0 +1,53 @@
+import { assert } from 'chai'
+import abi from 'ethereumjs-abi'
+import { describe, it } from 'mocha'
+
+import {
+  getTokenBalance,
+  getTokenDetails
+} from '../../src/ethereum/ethTokens.js'
+
+const owner = '0xb8c2c29ee19d8307cb7255e1cd9cbde883a267d5'
+const dai = '0x6b175474e89094c44da98b954eedeac495271d0f'
+const mkr = '0x9f8f72aa9304c8b593d555f12ef6589cc3a579a2'
+
+function encode(type, value) {
+  return '0x' + abi.rawEncode([type], [value]).toString('hex')
+}
+
+// DAI returns strings, while MKR returns bytes32 and has no decimals():
+async function fakeEthCall(to, data) {
+  const selector = data.slice(0, 10)
+  if (selector === '0x70a08231') return encode('uint256', to === dai ? 5 : 0)
+  if (selector === '0x06fdde03') {
+    return to === dai
+      ? encode('string', 'Dai Stablecoin')
+      : encode('bytes32', Buffer.from('Maker'))
+  }
+  if (selector === '0x95d89b41') {
+    return to === dai
+      ? encode('string', 'DAI')
+      : encode('bytes32', Buffer.from('MKR'))
+  }
+  if (selector === '0x313ce567' && to === dai) return encode('uint8', 18)
+  throw new Error('execution reverted')
+}
+
+describe(`ERC-20 tokens`, function() {
+  it('getTokenBalance', async function() {
+    assert.equal(await getTokenBalance(fakeEthCall, dai, owner), '5')
+    assert.equal(await getTokenBalance(fakeEthCall, mkr, owner), '0')
+  })
+
+  it('getTokenDetails', async function() {
+    assert.deepEqual(await getTokenDetails(fakeEthCall, dai), {
+      name: 'Dai Stablecoin',
+      symbol: 'DAI',
+      decimals: 18
+    })
+    assert.deepEqual(await getTokenDetails(fakeEthCall, mkr), {
+      name: 'Maker',
+      symbol: 'MKR'
+    })
+  })
+})
@@ -0,0 +1,208 @@
+// @flow
+
+import { assert } from 'chai'
+import {
+  type EdgeCorePluginOptions,
+  type EdgeCurrencyEngineOptions,
+  type EdgeWalletInfo,
+  makeFakeIo
+} from 'edge-core-js'
+import { beforeEach, describe, it } from 'mocha'
+
+import { FioEngine } from '../../src/fio/fioEngine.js'
+import { makeFioPlugin } from '../../src/fio/fioPlugin.js'
+
+const fioKey = '5KZC4UX62kNn5yQZ9w4F5iScJDo3i95Yn9VExYzrVidDy8zwfxY'
+const publicKey = 'FIO74z74w1fjuUQBNFGRzTeGHcBFkzxKFugR9nvEp5ADfkyhWHpXE'
+const otherKey = 'FIO6gjtwHjdLKQTrPzWSmeDeLXMgxMC6oSGu6xZJNmgTa7iTCNrNn'
+
+function makeAction(seq: number, trxId: string, act: Object) {
+  return {
+    account_action_seq: seq,
+    block_num: 1000 + seq,
+    block_time: '2020-02-20T12:00:00.000',
+    action_trace: { trx_id: trxId, act }
+  }
+}
+
+describe(`FIO engine`, function() {
+  // The answers our stubbed `fetchJson` gives, keyed by API path.
+  // Functions get the request body:
+  let replies: { [path: string]: Object | Error | Function }
+  let engine: FioEngine
+
+  const fakeIo = makeFakeIo()
+  const fetchJson = async (uri: string, opts: Object) => {
+    const path = Object.keys(replies).find(path => uri.endsWith(path))
+    if (path == null) throw new Error(`Error 404 while fetching ${uri}`)
+    const reply = replies[path]
+    if (reply instanceof Error) throw reply
+    if (typeof reply === 'function') return reply(JSON.parse(opts.body))
+    return reply
+  }
+  const opts: EdgeCorePluginOptions = {
+    initOptions: {},
+    io: fakeIo,
+    nativeIo: { 'edge-currency-accountbased': { fetchJson } },
+    pluginDisklet: fakeIo.disklet
+  }
+  const plugin = makeFioPlugin(opts)
+
+  const currencyEngineOptions: EdgeCurrencyEngineOptions = {
+    callbacks: {
+      onAddressesChecked() {},
+      onBalanceChanged() {},
+      onBlockHeightChanged() {},
+      onTransactionsChanged() {},
+      onTxidsChanged() {}
+    },
+    userSettings: undefined,
+    walletLocalDisklet: fakeIo.disklet,
+    walletLocalEncryptedDisklet: fakeIo.disklet
+  }
+  const info: EdgeWalletInfo = {
+    id: '1',
+    type: 'wallet:fio',
+    keys: { fioKey, publicKey, ownerPublicKey: publicKey }
+  }
+
+  beforeEach(async function() {
+    replies = {}
+    // $FlowFixMe
+    engine = await plugin.makeCurrencyEngine(info, currencyEngineOptions)
+    await engine.clearBlockchainCache()
+  })
+
+  it('reads the balance', async function() {
+    replies['chain/get_fio_balance'] = { balance: 2500000000 }
+    await engine.checkAccountInnerLoop()
+    assert.equal(engine.getBalance({ currencyCode: 'FIO' }), '2500000000')
+  })
+
+  it('treats keys without an account as empty', async function() {
+    replies['chain/get_fio_balance'] = new Error('Error 404 while fetching')
+    await engine.checkAccountInnerLoop()
+    assert.equal(engine.getBalance({ currencyCode: 'FIO' }), '0')
+  })
+
+  it('combines a transfer with its fee', async function() {
+    const actor = engine.getActor()
+    replies['history/get_actions'] = {
+      actions: [
+        makeAction(0, 'aa', {
+          account: 'fio.token',
+          name: 'trnsfiopubky',
+          data: { payee_public_key: otherKey, amount: 1000000000, actor }
+        }),
+        makeAction(1, 'aa', {
+          account: 'fio.token',
+          name: 'transfer',
+          data: { from: actor, to: 'fio.treasury', quantity: '2.000000000 FIO' }
+        })
+      ]
+    }
+    await engine.checkTransactions()
+
+    const txs = await engine.getTransactions({ currencyCode: 'FIO' })
+    assert.equal(txs.length, 1)
+    assert.equal(txs[0].nativeAmount, '-3000000000')
+    assert.equal(txs[0].networkFee, '2000000000')
+    assert.equal(txs[0].blockHeight, 1001)
+    assert.equal(engine.otherData.lastQueryActionSeq, 2)
+  })
+
+  it('keeps large amounts exact', async function() {
+    // More SUF than a JavaScript number holds exactly:
+    const quantity = '9007199254740993'
+    engine.walletLocalData.totalBalances.FIO = '9007199254740999999'
+    replies['chain/get_fee'] = { fee: 2000000000 }
+    const tx = await engine.makeSpend({
+      currencyCode: 'FIO',
+      spendTargets: [{ publicAddress: otherKey, nativeAmount: quantity }]
+    })
+    const { data } = tx.otherParams.transactionJson.actions[0]
+    assert.equal(data.amount, quantity)
+    assert.equal(data.max_fee, '2000000000')
+    assert.equal(tx.nativeAmount, '-9007201254740993')
+  })
+
+  it('parses incoming transfers', async function() {
+    replies['history/get_actions'] = {
+      actions: [
+        makeAction(0, 'bb', {
+          account: 'fio.token',
+          name: 'trnsfiopubky',
+          data: { payee_public_key: publicKey, amount: 7, actor: 'someoneelse' }
+        }),
+        // Other contracts' actions aren't ours to show:
+        makeAction(1, 'cc', {
+          account: 'fio.address',
+          name: 'regaddress',
+          data: {}
+        })
+      ]
+    }
+    await engine.checkTransactions()
+
+    const txs = await engine.getTransactions({ currencyCode: 'FIO' })
+    assert.equal(txs.length, 1)
+    assert.equal(txs[0].nativeAmount, '7')
+    assert.deepEqual(txs[0].ourReceiveAddresses, [publicKey])
+  })
+
+  it('decrypts the request content it encrypts', function() {
+    const content = {
+      payee_public_address: publicKey,
+      amount: '1.5',
+      token_code: 'FIO',
+      memo: 'héllo',
+      hash: null,
+      offline_url: null
+    }
+    const request = {
+      fio_request_id: 1,
+      payer_fio_address: 'payer@edge',
+      payee_fio_address: 'payee@edge',
+      payer_fio_public_key: otherKey,
+      payee_fio_public_key: publicKey,
+      content: engine.encryptContent('new_funds_content', content, otherKey),
+      time_stamp: '2020-02-20T12:00:00'
+    }
+    assert.deepEqual(engine.decryptRequest(request, otherKey).content, content)
+  })
+
+  it('pages through pending requests', async function() {
+    const content = {
+      payee_public_address: otherKey,
+      amount: '2',
+      token_code: 'FIO',
+      memo: null,
+      hash: null,
+      offline_url: null
+    }
+    const makeRequest = (id: number) => ({
+      fio_request_id: id,
+      payer_fio_address: 'payer@edge',
+      payee_fio_address: 'payee@edge',
+      payer_fio_public_key: publicKey,
+      payee_fio_public_key: otherKey,
+      content: engine.encryptContent('new_funds_content', content, otherKey),
+      time_stamp: '2020-02-20T12:00:00'
+    })
+    replies['chain/get_pending_fio_requests'] = body =>
+      body.offset === 0
+        ? { requests: [makeRequest(1), makeRequest(2)], more: 1 }
+        : { requests: [makeRequest(3)], more: 0 }
+
+    const requests = await engine.otherMethods.getPendingFioRequests()
+    assert.deepEqual(requests.map(request => request.fioRequestId), [1, 2, 3])
+    assert.deepEqual(requests[2].content, content)
+  })
+
+  it('lists no sent requests when the API has none', async function() {
+    replies['chain/get_sent_fio_requests'] = new Error(
+      'Error 404 while fetching'
+    )
+    assert.deepEqual(await engine.otherMethods.getSentFioRequests(), [])
+  })
+})
@@ -0,0 +1,74 @@
+// @flow
+
+import { assert } from 'chai'
+import { makeFakeIo } from 'edge-core-js'
+import { beforeEach, describe, it } from 'mocha'
+
+import { makeFioPlugin } from '../../src/fio/fioPlugin.js'
+import { expectRejection } from '../expectRejection.js'
+
+const ethAddress = '0x04b6b3bcbc16a5fb6a20301d650f8def513122a8'
+
+describe(`FIO plugin`, function() {
+  // Every server gives the same answer, or fails the same way:
+  let reply: Object | Error
+
+  const fakeIo = makeFakeIo()
+  const fetchJson = async (uri: string, opts: Object) => {
+    if (reply instanceof Error) throw reply
+    return reply
+  }
+  const plugin = makeFioPlugin({
+    initOptions: {},
+    io: fakeIo,
+    nativeIo: { 'edge-currency-accountbased': { fetchJson } },
+    pluginDisklet: fakeIo.disklet
+  })
+  const { otherMethods = {} } = plugin
+
+  beforeEach(function() {
+    reply = {}
+  })
+
+  describe('getPublicAddress', function() {
+    it('looks up the address for a chain', async function() {
+      reply = { public_address: ethAddress }
+      assert.equal(
+        await otherMethods.getPublicAddress('alice@edge', 'ETH'),
+        ethAddress
+      )
+    })
+
+    it('reports addresses the server cannot find', async function() {
+      reply = new Error('Error 404 while fetching')
+      await expectRejection(
+        otherMethods.getPublicAddress('alice@edge', 'ETH'),
+        'Error: ErrorFioAddressNotFound'
+      )
+    })
+
+    it('treats an empty address as not found', async function() {
+      reply = { public_address: '' }
+      await expectRejection(
+        otherMethods.getPublicAddress('alice@edge', 'ETH'),
+        'Error: ErrorFioAddressNotFound'
+      )
+    })
+
+    it('passes other failures on', async function() {
+      reply = new Error('Error 500 while fetching')
+      await expectRejection(
+        otherMethods.getPublicAddress('alice@edge', 'ETH'),
+        'Error: Error 500 while fetching'
+      )
+    })
+
+    it('refuses malformed replies', async function() {
+      reply = { public_address: 42 }
+      await expectRejection(
+        otherMethods.getPublicAddress('alice@edge', 'ETH'),
+        'Error: ErrorInvalidPublicAddress'
+      )
+    })
+  })
+})
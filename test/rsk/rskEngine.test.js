@@ -0,0 +1,156 @@
+// @flow
+
+import { bns } from 'biggystring'
+import { assert } from 'chai'
+import { type EdgeCurrencyEngineOptions, makeFakeIo } from 'edge-core-js'
+import { beforeEach, describe, it } from 'mocha'
+
+import { RskEngine } from '../../src/rsk/rskEngine.js'
+import { makeRskPlugin } from '../../src/rsk/rskPlugin.js'
+
+const rskKey =
+  '0x5b6a0e2ef7ea7e3e54a4c8b5d8e3c2c8d01a3fbb1f87e18b8bcd8bb2a2a3b4c5'
+const spender = '0x7a250d5630b4cf539739df2c5dacb4c659f2488d'
+
+const approve = {
+  abi: {
+    name: 'approve',
+    stateMutability: 'nonpayable',
+    inputs: [
+      { name: 'spender', type: 'address' },
+      { name: 'amount', type: 'uint256' }
+    ]
+  },
+  method: 'approve',
+  args: [spender, '1000']
+}
+
+describe(`RSK engine`, function() {
+  let engine: RskEngine
+  let estimates: Array<Object>
+  let estimateReply: Object | Error
+
+  const fakeIo = makeFakeIo()
+  const plugin = makeRskPlugin({
+    initOptions: {},
+    io: fakeIo,
+    nativeIo: {},
+    pluginDisklet: fakeIo.disklet
+  })
+  const currencyEngineOptions: EdgeCurrencyEngineOptions = {
+    callbacks: {
+      onAddressesChecked() {},
+      onBalanceChanged() {},
+      onBlockHeightChanged() {},
+      onTransactionsChanged() {},
+      onTxidsChanged() {}
+    },
+    userSettings: undefined,
+    walletLocalDisklet: fakeIo.disklet,
+    walletLocalEncryptedDisklet: fakeIo.disklet
+  }
+
+  beforeEach(async function() {
+    const tools = await plugin.makeCurrencyTools()
+    const info = { id: '1', type: 'wallet:rsk', keys: { rskKey } }
+    info.keys = { ...info.keys, ...(await tools.derivePublicKey(info)) }
+    // $FlowFixMe
+    engine = await plugin.makeCurrencyEngine(info, currencyEngineOptions)
+    engine.walletLocalData.totalBalances.RBTC = '1000000000000000000'
+
+    // Answers like the public node:
+    estimates = []
+    estimateReply = { jsonrpc: '2.0', id: 1, result: '0xb411' }
+    // $FlowFixMe
+    engine.fetchPostPublicNode = async (method, params) => {
+      assert.equal(method, 'eth_estimateGas')
+      estimates.push(params[0])
+      if (estimateReply instanceof Error) throw estimateReply
+      return estimateReply
+    }
+  })
+
+  it('estimates gas for contract calls', async function() {
+    const tx = await engine.makeSpend({
+      currencyCode: 'RBTC',
+      networkFeeOption: 'standard',
+      spendTargets: [
+        {
+          publicAddress: spender,
+          nativeAmount: '0',
+          otherParams: { contractCall: approve }
+        }
+      ]
+    })
+    assert.equal(estimates.length, 1)
+    assert.equal(estimates[0].data.slice(0, 10), '0x095ea7b3')
+    assert.equal(tx.otherParams.gas, '46097')
+    assert.equal(tx.otherParams.data, estimates[0].data)
+    assert.equal(
+      tx.otherParams.contractCall.signature,
+      'approve(address,uint256)'
+    )
+  })
+
+  it('falls back to the token gas limit', async function() {
+    estimateReply = new Error('node down')
+    const tx = await engine.makeSpend({
+      currencyCode: 'RBTC',
+      networkFeeOption: 'standard',
+      spendTargets: [
+        {
+          publicAddress: spender,
+          nativeAmount: '0',
+          otherParams: { contractCall: approve }
+        }
+      ]
+    })
+    assert.equal(
+      tx.otherParams.gas,
+      engine.otherData.networkFees.default.gasLimit.tokenTransaction
+    )
+  })
+
+  it('leaves plain sends alone', async function() {
+    const tx = await engine.makeSpend({
+      currencyCode: 'RBTC',
+      networkFeeOption: 'standard',
+      spendTargets: [{ publicAddress: spender, nativeAmount: '1000' }]
+    })
+    assert.equal(estimates.length, 0)
+    assert.equal(tx.otherParams.data, undefined)
+    assert.equal(tx.otherParams.contractCall, undefined)
+  })
+  it('speeds up token sends, paying the fee in RBTC', async function() {
+    const publicKey = engine.walletLocalData.publicKey
+    const tx = await engine.otherMethods.makeSpeedUpTx({
+      txid: '0x' + 'ab'.repeat(32),
+      date: 0,
+      currencyCode: 'RIF',
+      blockHeight: 0,
+      nativeAmount: '-5000',
+      networkFee: '0',
+      parentNetworkFee: '3000000',
+      ourReceiveAddresses: [],
+      signedTx: '0x00',
+      otherParams: {
+        from: [publicKey],
+        to: ['0x2acc95758f8b5f583470ba265eb685a8f45fc9d5'],
+        gas: '50000',
+        gasPrice: '60',
+        gasUsed: '0',
+        cumulativeGasUsed: '0',
+        errorVal: 0,
+        tokenRecipientAddress: spender,
+        data: '0xa9059cbb',
+        nonce: '3'
+      }
+    })
+    assert.equal(tx.currencyCode, 'RIF')
+    assert.equal(tx.nativeAmount, '-5000')
+    assert.equal(tx.networkFee, '0')
+    assert.equal(tx.otherParams.nonce, '3')
+    assert.equal(tx.otherParams.tokenRecipientAddress, spender)
+    assert.equal(tx.parentNetworkFee, bns.mul('50000', tx.otherParams.gasPrice))
+  })
+})
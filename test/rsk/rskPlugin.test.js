@@ -0,0 +1,67 @@
+// @flow
+
+import { assert } from 'chai'
+import { makeFakeIo } from 'edge-core-js'
+import { describe, it } from 'mocha'
+
+import { namehash } from '../../src/common/nameService.js'
+import { makeRskPlugin } from '../../src/rsk/rskPlugin.js'
+import { expectRejection } from '../expectRejection.js'
+
+const registry = '0xcb868aeabd31e2b66f74e9a55cf064abb31a4ad5'
+const resolver = '0x99a12be4c89cbf6cfd11d1f2c029904a7b644368'
+const owner = '0xb8c2c29ee19d8307cb7255e1cd9cbde883a267d5'
+
+function word(address: string) {
+  return '0x' + address.replace('0x', '').padStart(64, '0')
+}
+
+// Answers like an RNS registry and resolver that know `my-wallet.rsk`:
+async function fetch(uri: any, opts: Object): Promise<any> {
+  const { method, params } = JSON.parse(opts.body)
+  assert.equal(uri, 'https://public-node.rsk.co')
+  assert.equal(method, 'eth_call')
+  const [{ to, data }] = params
+  const selector = data.slice(0, 10)
+  let result = '0x'
+  if (to === registry && selector === '0x0178b8bf') result = word(resolver)
+  if (to === resolver && selector === '0x3b3b57de') {
+    result =
+      data.slice(10) === namehash('my-wallet.rsk').slice(2)
+        ? word(owner)
+        : word('0x0')
+  }
+  const body = { jsonrpc: '2.0', id: 1, result }
+  return { ok: true, status: 200, json: async () => body }
+}
+
+describe(`RSK plugin`, function() {
+  const io = { ...makeFakeIo(), fetch }
+  const plugin = makeRskPlugin({
+    initOptions: {},
+    io,
+    nativeIo: {},
+    pluginDisklet: io.disklet
+  })
+
+  it('resolves hyphenated names', async function() {
+    const tools = await plugin.makeCurrencyTools()
+    const parsed = await tools.parseUri('rsk:my-wallet.rsk')
+    assert.equal(parsed.publicAddress, owner)
+    assert.equal(parsed.metadata && parsed.metadata.name, 'my-wallet.rsk')
+  })
+
+  it('resolves names behind a pay prefix', async function() {
+    const tools = await plugin.makeCurrencyTools()
+    const parsed = await tools.parseUri('rsk:pay-my-wallet.rsk')
+    assert.equal(parsed.publicAddress, owner)
+  })
+
+  it('rejects names nobody registered', async function() {
+    const tools = await plugin.makeCurrencyTools()
+    await expectRejection(
+      tools.parseUri('rsk:no-wallet.rsk'),
+      'Error: InvalidPublicAddressError'
+    )
+  })
+})
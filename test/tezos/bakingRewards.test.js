@@ -0,0 +1,102 @@
+// @flow
+
+import { assert } from 'chai'
+import { type EdgeCurrencyEngineOptions, makeFakeIo } from 'edge-core-js'
+import { beforeEach, describe, it } from 'mocha'
+
+import { TezosEngine } from '../../src/tezos/tezosEngine.js'
+import { makeTezosPlugin } from '../../src/tezos/tezosPlugin.js'
+
+const publicKey = 'tz1VSUr8wwNhLAzempoch5d6hLRiTh8Cjcjb'
+const baker = 'tz1irJKkXS2DBWkU1NnmFQx1c1L7pbGg4yhk'
+const payout = 'tz1Ldzz6k1BHdhuKvAtMRX7h5kJSMHESMHLC'
+const stranger = 'tz1aWXP237BLwNHJcCD4b3DutCevhqq2T1Z9'
+
+function makeTx(txid: string, fromAddress: string, nativeAmount: string) {
+  return {
+    txid,
+    date: 1600000000,
+    currencyCode: 'XTZ',
+    blockHeight: 1000,
+    nativeAmount,
+    networkFee: '0',
+    ourReceiveAddresses: [publicKey],
+    signedTx: '',
+    otherParams: { fromAddress }
+  }
+}
+
+describe(`Tezos baking rewards`, function() {
+  let engine: TezosEngine
+
+  const fakeIo = makeFakeIo()
+  const plugin = makeTezosPlugin({
+    initOptions: {},
+    io: fakeIo,
+    nativeIo: {},
+    pluginDisklet: fakeIo.disklet
+  })
+  const currencyEngineOptions: EdgeCurrencyEngineOptions = {
+    callbacks: {
+      onAddressesChecked() {},
+      onBalanceChanged() {},
+      onBlockHeightChanged() {},
+      onTransactionsChanged() {},
+      onTxidsChanged() {}
+    },
+    userSettings: undefined,
+    walletLocalDisklet: fakeIo.disklet,
+    walletLocalEncryptedDisklet: fakeIo.disklet
+  }
+
+  beforeEach(async function() {
+    // $FlowFixMe
+    engine = await plugin.makeCurrencyEngine(
+      { id: '1', type: 'wallet:tezos', keys: { publicKey } },
+      currencyEngineOptions
+    )
+    await engine.clearBlockchainCache()
+
+    // We delegate to `baker`, which delegates its payout account to itself:
+    const delegates = { [publicKey]: baker, [payout]: baker }
+    // $FlowFixMe
+    engine.multicastServers = async (func, address) => {
+      assert.equal(func, 'getDelegate')
+      return delegates[address] || null
+    }
+  })
+
+  it('labels rewards from the baker itself', async function() {
+    engine.addTransaction('XTZ', makeTx('aa', baker, '100'))
+    await engine.checkDelegate()
+    const [tx] = await engine.getTransactions({ currencyCode: 'XTZ' })
+    assert.equal(tx.metadata && tx.metadata.name, 'Baking Reward')
+  })
+
+  it('labels rewards from payout accounts', async function() {
+    await engine.checkDelegate()
+    engine.addTransaction('XTZ', makeTx('aa', payout, '100'))
+    engine.addTransaction('XTZ', makeTx('bb', stranger, '100'))
+    await engine.findPayoutAddresses()
+
+    assert.deepEqual(engine.otherData.payoutAddresses, [payout])
+    const txs = await engine.getTransactions({ currencyCode: 'XTZ' })
+    const reward = txs.find(tx => tx.txid === 'aa')
+    const payment = txs.find(tx => tx.txid === 'bb')
+    assert.equal(
+      reward && reward.metadata && reward.metadata.name,
+      'Baking Reward'
+    )
+    assert.equal(payment && payment.metadata, undefined)
+  })
+
+  it('gives each reward its own metadata', async function() {
+    engine.addTransaction('XTZ', makeTx('aa', baker, '100'))
+    engine.addTransaction('XTZ', makeTx('bb', baker, '200'))
+    await engine.checkDelegate()
+    const [first, second] = engine.transactionList.XTZ
+    if (first.metadata == null) throw new Error('No metadata')
+    first.metadata.name = 'Renamed'
+    assert.equal(second.metadata && second.metadata.name, 'Baking Reward')
+  })
+})
@@ -0,0 +1,84 @@
+// @flow
+
+import { assert } from 'chai'
+import { describe, it } from 'mocha'
+
+import {
+  getExpressionHash,
+  getLedgerKey,
+  packData
+} from '../../src/tezos/tezosTokens.js'
+
+const owner = 'tz1VSUr8wwNhLAzempoch5d6hLRiTh8Cjcjb'
+const nat = { prim: 'nat' }
+const address = { prim: 'address' }
+
+function toHex(bytes: Uint8Array): string {
+  return Buffer.from(bytes).toString('hex')
+}
+
+describe(`Tezos token ledgers`, function() {
+  it('packs nats with zarith', function() {
+    assert.equal(toHex(packData(nat, { int: '0' })), '050000')
+    assert.equal(toHex(packData(nat, { int: '63' })), '05003f')
+    assert.equal(toHex(packData(nat, { int: '64' })), '05008001')
+    // Past 2^53, where floating point would round:
+    assert.equal(
+      toHex(packData(nat, { int: '9007199254740993' })),
+      '05008180808080808020'
+    )
+    assert.equal(
+      toHex(packData(nat, { int: '18446744073709551616' })),
+      '050080808080808080808004'
+    )
+  })
+
+  it('packs addresses', function() {
+    assert.equal(
+      toHex(packData(address, { string: owner })),
+      '050a0000001600006b82198cb179e8306c1bedd08f12dc863f328886'
+    )
+  })
+
+  it('hashes expressions', function() {
+    // The key every FA2 `token_metadata` map uses for token 0:
+    assert.equal(
+      getExpressionHash(nat, { int: '0' }),
+      'exprtZBwZUeYYYfUs9B9Rg2ywHezVHnCCnmF9WsDQVrs582dSK63dC'
+    )
+  })
+
+  it('finds FA1.2 ledger keys', function() {
+    const ledger = { bigMapId: '1', keyType: address, valueType: nat }
+    assert.equal(
+      getLedgerKey(ledger, owner),
+      'exprtr3iA2ZhFDtnJZDS1nVxJYeXGWw2AWziVAD7DZf7kxsHmNLZBB'
+    )
+  })
+
+  it('finds FA2 ledger keys', function() {
+    const ledger = {
+      bigMapId: '1',
+      keyType: { prim: 'pair', args: [address, nat] },
+      valueType: nat
+    }
+    assert.equal(
+      getLedgerKey(ledger, owner, '0'),
+      'expruf31xxwPARn57EfGnwxDZNNBT9aANCoawPVeTfBx5ckmgvaJje'
+    )
+    assert.equal(
+      getLedgerKey(ledger, owner, '18446744073709551616'),
+      'exprvG2zWezt3bKHRMbTv5rutcSqGQY5m2XMoeJ5vQ9EsDs8xGJSaE'
+    )
+
+    // Some contracts put the token id first:
+    const flipped = {
+      ...ledger,
+      keyType: { prim: 'pair', args: [nat, address] }
+    }
+    assert.equal(
+      getLedgerKey(flipped, owner, '5'),
+      'exprv2J4bjSgVZLEzvkkSp2eV3CtrR2NJcfiQhw7LSaC9zE1gwibmr'
+    )
+  })
+})
@@ -0,0 +1,122 @@
+import { assert } from 'chai'
+import { describe, it } from 'mocha'
+
+import {
+  decodeUint,
+  encodeCall,
+  encodeContractCall,
+  encodeSpendContractCall
+} from '../../src/common/contractCalls.js'
+
+const spender = '0x7a250d5630b4cf539739df2c5dacb4c659f2488d'
+
+const erc20Abi = [
+  {
+    type: 'function',
+    name: 'approve',
+    stateMutability: 'nonpayable',
+    inputs: [
+      { name: 'spender', type: 'address' },
+      { name: 'amount', type: 'uint256' }
+    ]
+  },
+  { type: 'event', name: 'Approval', inputs: [] }
+]
+
+describe(`Contract calls`, function() {
+  it('encodes calldata and summarizes it', function() {
+    const { data, summary } = encodeContractCall({
+      abi: erc20Abi,
+      method: 'approve',
+      args: [spender, '0x10']
+    })
+    assert.equal(data.slice(0, 10), '0x095ea7b3')
+    assert.equal(data.length, 10 + 2 * 64)
+    assert.deepEqual(summary, {
+      method: 'approve',
+      signature: 'approve(address,uint256)',
+      payable: false,
+      args: [
+        { name: 'spender', type: 'address', value: spender },
+        { name: 'amount', type: 'uint256', value: '16' }
+      ]
+    })
+  })
+
+  it('handles arrays and signed integers', function() {
+    const { summary } = encodeContractCall({
+      abi: {
+        name: 'batch',
+        payable: true,
+        inputs: [
+          { name: 'ids', type: 'int8[2]' },
+          { name: 'memo', type: 'bytes' }
+        ]
+      },
+      method: 'batch',
+      args: [[-128, '127'], '0xbeef']
+    })
+    assert.equal(summary.payable, true)
+    assert.deepEqual(summary.args[0].value, ['-128', '127'])
+    assert.equal(summary.args[1].value, '0xbeef')
+  })
+
+  it('rejects bad arguments', function() {
+    const call = (method, args) => () =>
+      encodeContractCall({ abi: erc20Abi, method, args })
+    assert.throws(call('approve', ['0x1234', '1']), TypeError)
+    assert.throws(call('approve', [spender, '-1']), TypeError)
+    assert.throws(call('approve', [spender, '0x1' + '0'.repeat(64)]), TypeError)
+    assert.throws(call('approve', [spender, 1.5]), TypeError)
+    assert.throws(call('approve', [spender]), /ErrorContractMethodNotFound/)
+    assert.throws(call('Approval', []), /ErrorContractMethodNotFound/)
+  })
+  it('encodes spend targets', function() {
+    const contractCall = {
+      abi: erc20Abi,
+      method: 'approve',
+      args: [spender, 1]
+    }
+    const target = (nativeAmount, otherParams) => ({
+      publicAddress: spender,
+      nativeAmount,
+      otherParams
+    })
+
+    const encoded = encodeSpendContractCall(target('0', { contractCall }))
+    assert.equal(encoded.data.slice(0, 10), '0x095ea7b3')
+    assert.equal(encoded.contractCall.method, 'approve')
+
+    // Raw calldata passes through:
+    assert.deepEqual(encodeSpendContractCall(target('0', {}), '0xbeef'), {
+      data: '0xbeef',
+      contractCall: undefined
+    })
+    assert.throws(
+      () => encodeSpendContractCall(target('0', { contractCall }), '0xbeef'),
+      /cannot be combined/
+    )
+    assert.throws(
+      () => encodeSpendContractCall(target('1', { contractCall })),
+      /approve is not payable/
+    )
+  })
+
+  it('encodes calls by method signature', function() {
+    const data = encodeCall('approve(address,uint256)', spender, '16')
+    assert.equal(
+      data,
+      encodeContractCall({
+        abi: erc20Abi,
+        method: 'approve',
+        args: [spender, 16]
+      }).data
+    )
+  })
+
+  it('decodes uint results', function() {
+    assert.equal(decodeUint('0x' + '0'.repeat(62) + '10'), '16')
+    // Calls to non-contracts return nothing:
+    assert.equal(decodeUint('0x'), '0')
+  })
+})
@@ -0,0 +1,84 @@
+import { assert } from 'chai'
+import abi from 'ethereumjs-abi'
+import { describe, it } from 'mocha'
+
+import {
+  isNameServiceName,
+  namehash,
+  resolveName,
+  reverseLookup,
+  splitEip681Prefix
+} from '../../src/common/nameService.js'
+
+const registry = '0x00000000000c2e074ec69a0dfb2997ba6c7d2e1e'
+const resolver = '0x4976fb03c32e5b8cfe2b6ccb31c09ba78ebaba41'
+const owner = '0xb8c2c29ee19d8307cb7255e1cd9cbde883a267d5'
+
+function word(address) {
+  return '0x' + address.replace('0x', '').padStart(64, '0')
+}
+
+// Answers like a registry and resolver that know `nick.eth`:
+async function fakeEthCall(to, data) {
+  const selector = data.slice(0, 10)
+  if (to === registry && selector === '0x0178b8bf') return word(resolver)
+  if (to === resolver && selector === '0x3b3b57de') {
+    return data.slice(10) === namehash('nick.eth').slice(2)
+      ? word(owner)
+      : word('0x0')
+  }
+  if (to === resolver && selector === '0x691f3431') {
+    return '0x' + abi.rawEncode(['string'], ['nick.eth']).toString('hex')
+  }
+  return '0x'
+}
+
+describe(`Name service`, function() {
+  it('namehash', function() {
+    assert.equal(
+      namehash(''),
+      '0x0000000000000000000000000000000000000000000000000000000000000000'
+    )
+    assert.equal(
+      namehash('eth'),
+      '0x93cdeb708b7545dc668eb9280176169d1c33cfd8ed6f04690a0bcc88a93fc4ae'
+    )
+    assert.equal(
+      namehash('foo.eth'),
+      '0xde9b09fd7c5f901e23a3f19fecc54828e9c848539801e86591bd9801b019f84f'
+    )
+  })
+
+  it('isNameServiceName', function() {
+    assert.equal(isNameServiceName('alice.eth'), true)
+    assert.equal(isNameServiceName('bob.rsk'), true)
+    assert.equal(isNameServiceName(owner), false)
+    assert.equal(isNameServiceName('alice@edge'), false)
+  })
+
+  it('resolveName', async function() {
+    assert.equal(await resolveName(fakeEthCall, registry, 'nick.eth'), owner)
+    assert.equal(await resolveName(fakeEthCall, registry, 'nobody.eth'), null)
+  })
+
+  it('reverseLookup checks the forward record', async function() {
+    assert.equal(await reverseLookup(fakeEthCall, registry, owner), 'nick.eth')
+    assert.equal(await reverseLookup(fakeEthCall, registry, resolver), null)
+  })
+
+  it('splitEip681Prefix', function() {
+    assert.deepEqual(splitEip681Prefix(owner), { prefix: 'pay', target: owner })
+    assert.deepEqual(splitEip681Prefix(`token-${owner}`), {
+      prefix: 'token',
+      target: owner
+    })
+    assert.deepEqual(splitEip681Prefix('pay-my-wallet.eth'), {
+      prefix: 'pay',
+      target: 'my-wallet.eth'
+    })
+    assert.deepEqual(splitEip681Prefix('my-wallet.eth'), {
+      prefix: 'pay',
+      target: 'my-wallet.eth'
+    })
+  })
+})
@@ -0,0 +1,155 @@
+// @flow
+
+import { assert } from 'chai'
+import { type EdgeCurrencyEngineOptions, makeFakeIo } from 'edge-core-js'
+import { beforeEach, describe, it } from 'mocha'
+
+import { XrpEngine } from '../../src/xrp/xrpEngine.js'
+import { makeRipplePlugin } from '../../src/xrp/xrpPlugin.js'
+import { expectRejection } from '../expectRejection.js'
+
+const publicKey = 'rfuESo7eHUnvebxgaFjfYxfwXhM2uBPAj3'
+const gatehub = 'rhub8VRN55s94qWKDv6jmDy1pUykJzF3wq'
+const bitstamp = 'rvYAfWj5gh67oV6fW32ZzP3Aw4Eubs59B'
+
+describe(`XRP engine`, function() {
+  let engine: XrpEngine
+  let prepared: Array<Object>
+
+  const fakeIo = makeFakeIo()
+  const plugin = makeRipplePlugin({
+    initOptions: {},
+    io: fakeIo,
+    nativeIo: {},
+    pluginDisklet: fakeIo.disklet
+  })
+  const currencyEngineOptions: EdgeCurrencyEngineOptions = {
+    callbacks: {
+      onAddressesChecked() {},
+      onBalanceChanged() {},
+      onBlockHeightChanged() {},
+      onTransactionsChanged() {},
+      onTxidsChanged() {}
+    },
+    userSettings: undefined,
+    walletLocalDisklet: fakeIo.disklet,
+    walletLocalEncryptedDisklet: fakeIo.disklet
+  }
+
+  beforeEach(async function() {
+    // $FlowFixMe
+    engine = await plugin.makeCurrencyEngine(
+      { id: '1', type: 'wallet:ripple', keys: { publicKey } },
+      currencyEngineOptions
+    )
+    await engine.addCustomToken({
+      currencyCode: 'USD',
+      currencyName: 'Gatehub USD',
+      multiplier: '1000000',
+      contractAddress: gatehub
+    })
+
+    // Capture what we would ask the servers to prepare:
+    prepared = []
+    // $FlowFixMe
+    engine.multicastServers = async (func, ...params) => {
+      prepared.push({ func, params })
+      return { txJSON: '{}' }
+    }
+  })
+
+  it('getCurrencyCode', function() {
+    assert.equal(engine.getCurrencyCode('XRP'), 'XRP')
+    assert.equal(engine.getCurrencyCode('USD', gatehub), 'USD')
+    // Somebody else's USD isn't our token:
+    assert.equal(engine.getCurrencyCode('USD', bitstamp), null)
+    assert.equal(engine.getCurrencyCode('EUR', gatehub), null)
+  })
+
+  it('getReserve', function() {
+    engine.otherData.reserveBase = '20'
+    engine.otherData.reserveIncrement = '5'
+    engine.otherData.trustlineCount = 2
+    assert.equal(engine.getReserve(), '30000000')
+    assert.equal(engine.getReserve(1), '35000000')
+
+    engine.otherData.reserveIncrement = '0.000001'
+    assert.equal(engine.getReserve(), '20000002')
+  })
+
+  it('makeTrustSet opens a trust line', async function() {
+    engine.otherData.recommendedFee = '0.000012'
+    engine.walletLocalData.totalBalances.XRP = '30000000'
+    const tx = await engine.makeTrustSet('USD', true)
+
+    assert.equal(tx.currencyCode, 'XRP')
+    assert.equal(tx.nativeAmount, '-12')
+    assert.equal(tx.networkFee, '12')
+    assert.equal(prepared.length, 1)
+    assert.equal(prepared[0].func, 'prepareTrustline')
+    assert.deepEqual(prepared[0].params[1], {
+      currency: 'USD',
+      counterparty: gatehub,
+      limit: '1000000000000000'
+    })
+  })
+
+  it('makeTrustSet needs the extra reserve', async function() {
+    engine.otherData.recommendedFee = '0.000012'
+    engine.walletLocalData.totalBalances.XRP = '25000000'
+    await expectRejection(
+      engine.makeTrustSet('USD', true),
+      'InsufficientFundsError: Insufficient funds'
+    )
+    assert.equal(prepared.length, 0)
+  })
+
+  it('makeTrustSet keeps trust lines with a balance', async function() {
+    engine.walletLocalData.totalBalances.XRP = '30000000'
+    engine.walletLocalData.totalBalances.USD = '1000000'
+    await expectRejection(
+      engine.makeTrustSet('USD', false),
+      'Error: ErrorTrustlineHasBalance'
+    )
+
+    engine.walletLocalData.totalBalances.USD = '0'
+    await engine.makeTrustSet('USD', false)
+    assert.equal(prepared[0].params[1].limit, '0')
+  })
+  it('keeps USD with the gateway that first took it', async function() {
+    engine.walletLocalData.totalBalances.USD = '1000000'
+    await expectRejection(
+      engine.addCustomToken({
+        currencyCode: 'USD',
+        currencyName: 'Bitstamp USD',
+        multiplier: '1000000',
+        contractAddress: bitstamp
+      }),
+      'Error: ErrorCurrencyCodeTaken'
+    )
+    assert.equal(engine.getCurrencyCode('USD', gatehub), 'USD')
+    assert.equal(engine.walletLocalData.totalBalances.USD, '1000000')
+  })
+
+  it('checks issuers and names', async function() {
+    const token = {
+      currencyCode: 'EUR',
+      currencyName: 'Gatehub EUR',
+      multiplier: '1000000',
+      contractAddress: gatehub
+    }
+    await expectRejection(
+      engine.addCustomToken({
+        ...token,
+        contractAddress: '0x' + 'aa'.repeat(20)
+      }),
+      'Error: ErrorInvalidContractAddress'
+    )
+    await expectRejection(
+      engine.addCustomToken({ ...token, currencyName: '' }),
+      'Error: ErrorInvalidCurrencyNameLength'
+    )
+    await engine.addCustomToken(token)
+    assert.equal(engine.getCurrencyCode('EUR', gatehub), 'EUR')
+  })
+})